@@ -10,15 +10,22 @@ const dashboardRoutes = require('./src/routes/dashboard');
 const serviceRoutes = require('./src/routes/services');
 const addressRoutes = require('./src/routes/addresses');
 const checkoutRoutes = require('./src/routes/checkout');
+const cartRoutes = require('./src/routes/cart');
+const walletRoutes = require('./src/routes/wallet');
 const promoRoutes = require('./src/routes/promos');
 const bookingRoutes = require('./src/routes/bookings');
 const paymentRoutes = require('./src/routes/payments');
 const contactRoutes = require('./src/routes/contact');
 const adminRoutes = require('./src/routes/admin');
+const partnerRoutes = require('./src/routes/partner');
 
 // Import middleware
 const errorHandler = require('./src/middleware/errorHandler');
 
+// Import background jobs
+const { startNotificationRetryWorker } = require('./src/services/notificationService');
+const { startUnpaidBookingExpiryWorker } = require('./src/services/unpaidBookingService');
+
 const app = express();
 
 // Trust proxy (for rate limiting behind reverse proxy)
@@ -94,6 +101,7 @@ const generalLimiter = rateLimit({
 
 // Apply rate limiters - Auth limiter first, then general limiter
 app.use('/api/v1/auth', authLimiter); // Auth routes get lenient limiter
+app.use('/api/v1/partner/auth', authLimiter);
 app.use('/api/', generalLimiter); // All other routes get general limiter (skips auth)
 
 // Health check endpoint
@@ -110,12 +118,15 @@ app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/dashboard', dashboardRoutes);
 app.use('/api/v1/services', serviceRoutes);
 app.use('/api/v1/addresses', addressRoutes);
+app.use('/api/v1/cart', cartRoutes);
+app.use('/api/v1/wallet', walletRoutes);
 app.use('/api/v1/checkout', checkoutRoutes);
 app.use('/api/v1/promos', promoRoutes);
 app.use('/api/v1/bookings', bookingRoutes);
 app.use('/api/v1/payments', paymentRoutes);
 app.use('/api/v1/contact', contactRoutes);
 app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/partner', partnerRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -134,6 +145,12 @@ app.listen(PORT, () => {
   console.log(`🚀 Minuteserv API Server running on port ${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 Health check: http://localhost:${PORT}/health`);
+
+  // Retry customer notifications that failed to send
+  startNotificationRetryWorker();
+
+  // Cancel online bookings that were never paid
+  startUnpaidBookingExpiryWorker();
 });
 
 module.exports = app;
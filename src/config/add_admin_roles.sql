@@ -0,0 +1,25 @@
+-- ============================================
+-- ADMIN ROLES
+-- Restricts admin_users.role to the roles in src/config/adminRoles.js:
+-- super_admin | ops | finance | support | catalog
+-- Run this in your Supabase SQL Editor (after add_user_sessions.sql)
+-- ============================================
+
+-- Existing admins had full access under the old generic 'admin' role
+UPDATE admin_users SET role = 'super_admin' WHERE role IS NULL OR role = 'admin';
+
+ALTER TABLE admin_users ALTER COLUMN role SET DEFAULT 'support';
+ALTER TABLE admin_users ALTER COLUMN role SET NOT NULL;
+
+ALTER TABLE admin_users DROP CONSTRAINT IF EXISTS admin_users_role_check;
+ALTER TABLE admin_users ADD CONSTRAINT admin_users_role_check
+  CHECK (role IN ('super_admin', 'ops', 'finance', 'support', 'catalog'));
+
+-- Written by createAdminUser when an existing admin is updated
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+DROP TRIGGER IF EXISTS update_admin_users_updated_at ON admin_users;
+CREATE TRIGGER update_admin_users_updated_at
+  BEFORE UPDATE ON admin_users
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,236 @@
+-- ============================================
+-- ANALYTICS VIEWS & RPC FUNCTIONS
+-- Server-side aggregation for /api/v1/admin/analytics
+-- Run this in your Supabase SQL Editor
+--
+-- bookings.created_at / users.created_at hold UTC. Range params are TIMESTAMPTZ
+-- (the API sends IST day bounds, e.g. 2026-01-05T00:00:00+05:30) and dates are
+-- bucketed by the IST calendar day.
+-- ============================================
+
+-- Earlier versions took TIMESTAMP / DATE ranges; drop them so RPC calls stay unambiguous
+DROP FUNCTION IF EXISTS analytics_revenue_by_category(TIMESTAMP, TIMESTAMP);
+DROP FUNCTION IF EXISTS analytics_peak_hours(DATE, DATE);
+DROP FUNCTION IF EXISTS analytics_acquisition_funnel(TIMESTAMP, TIMESTAMP);
+DROP FUNCTION IF EXISTS analytics_partner_performance(TIMESTAMP, TIMESTAMP);
+DROP FUNCTION IF EXISTS analytics_geographic(TIMESTAMP, TIMESTAMP);
+DROP FUNCTION IF EXISTS analytics_service_popularity(TIMESTAMP, TIMESTAMP);
+DROP FUNCTION IF EXISTS analytics_aov_trends(TIMESTAMP, TIMESTAMP, TEXT);
+
+CREATE INDEX IF NOT EXISTS idx_bookings_created ON bookings(created_at);
+CREATE INDEX IF NOT EXISTS idx_bookings_status_created ON bookings(status, created_at);
+
+-- One row per booked service (expands the services JSONB array)
+CREATE OR REPLACE VIEW analytics_booking_items AS
+SELECT
+  b.id AS booking_id,
+  b.status,
+  b.payment_status,
+  b.created_at,
+  b.booking_date,
+  COALESCE(item->>'service_id', item->>'id') AS service_id,
+  COALESCE(item->>'service_name', item->>'name', 'Unknown Service') AS service_name,
+  COALESCE(item->>'service_category', item->>'category', 'Other') AS category,
+  COALESCE(NULLIF((item->>'quantity')::NUMERIC, 0), 1) AS quantity,
+  COALESCE((item->>'price')::NUMERIC, 0) AS price
+FROM bookings b
+CROSS JOIN LATERAL jsonb_array_elements(
+  CASE WHEN jsonb_typeof(b.services) = 'array' THEN b.services ELSE '[]'::jsonb END
+) AS item;
+
+-- Revenue by service category (completed + paid bookings)
+CREATE OR REPLACE FUNCTION analytics_revenue_by_category(
+  p_date_from TIMESTAMPTZ DEFAULT NULL,
+  p_date_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (category TEXT, revenue NUMERIC) AS $$
+  SELECT i.category, ROUND(SUM(i.price * i.quantity), 2)
+  FROM analytics_booking_items i
+  WHERE i.status = 'completed'
+    AND i.payment_status = 'paid'
+    AND (p_date_from IS NULL OR i.created_at >= (p_date_from AT TIME ZONE 'UTC'))
+    AND (p_date_to IS NULL OR i.created_at <= (p_date_to AT TIME ZONE 'UTC'))
+  GROUP BY i.category;
+$$ LANGUAGE sql STABLE;
+
+-- Booking counts per day-of-week (0 = Sunday) and hour of booking_time (ranges apply to booking_date)
+CREATE OR REPLACE FUNCTION analytics_peak_hours(
+  p_date_from TIMESTAMPTZ DEFAULT NULL,
+  p_date_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (day_of_week INTEGER, hour INTEGER, booking_count BIGINT) AS $$
+  SELECT
+    EXTRACT(DOW FROM b.booking_date)::INTEGER,
+    EXTRACT(HOUR FROM b.booking_time)::INTEGER,
+    COUNT(*)
+  FROM bookings b
+  WHERE b.status IN ('confirmed', 'completed')
+    AND b.booking_time IS NOT NULL
+    AND (p_date_from IS NULL OR b.booking_date >= (p_date_from AT TIME ZONE 'Asia/Kolkata')::DATE)
+    AND (p_date_to IS NULL OR b.booking_date <= (p_date_to AT TIME ZONE 'Asia/Kolkata')::DATE)
+  GROUP BY 1, 2;
+$$ LANGUAGE sql STABLE;
+
+-- Registered users → users with a booking → repeat customers
+CREATE OR REPLACE FUNCTION analytics_acquisition_funnel(
+  p_date_from TIMESTAMPTZ DEFAULT NULL,
+  p_date_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (total_users BIGINT, users_with_bookings BIGINT, repeat_customers BIGINT) AS $$
+  WITH booking_counts AS (
+    SELECT b.user_id, COUNT(*) AS booking_count
+    FROM bookings b
+    WHERE (p_date_from IS NULL OR b.created_at >= (p_date_from AT TIME ZONE 'UTC'))
+      AND (p_date_to IS NULL OR b.created_at <= (p_date_to AT TIME ZONE 'UTC'))
+    GROUP BY b.user_id
+  )
+  SELECT
+    (SELECT COUNT(*) FROM users u
+      WHERE (p_date_from IS NULL OR u.created_at >= (p_date_from AT TIME ZONE 'UTC'))
+        AND (p_date_to IS NULL OR u.created_at <= (p_date_to AT TIME ZONE 'UTC'))),
+    (SELECT COUNT(*) FROM booking_counts),
+    (SELECT COUNT(*) FROM booking_counts bc WHERE bc.booking_count >= 2);
+$$ LANGUAGE sql STABLE;
+
+-- Per-partner booking stats (every partner is returned, including those with no bookings)
+CREATE OR REPLACE FUNCTION analytics_partner_performance(
+  p_date_from TIMESTAMPTZ DEFAULT NULL,
+  p_date_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  partner_id UUID,
+  name VARCHAR,
+  partner_code VARCHAR,
+  total_bookings BIGINT,
+  completed_bookings BIGINT,
+  cancelled_bookings BIGINT,
+  total_earnings NUMERIC,
+  average_rating NUMERIC,
+  average_response_time NUMERIC
+) AS $$
+  SELECT
+    p.id,
+    p.name,
+    p.partner_code,
+    COUNT(b.id),
+    COUNT(b.id) FILTER (WHERE b.status = 'completed'),
+    COUNT(b.id) FILTER (WHERE b.status = 'cancelled'),
+    COALESCE(SUM(b.partner_payout) FILTER (WHERE b.status = 'completed'), 0),
+    COALESCE(ROUND(AVG(b.customer_rating)::NUMERIC, 1), 0),
+    COALESCE(ROUND((AVG(EXTRACT(EPOCH FROM (b.accepted_at - b.assigned_at)) / 60)
+      FILTER (WHERE b.assigned_at IS NOT NULL AND b.accepted_at IS NOT NULL))::NUMERIC, 1), 0)
+  FROM partners p
+  LEFT JOIN bookings b
+    ON b.partner_id = p.id
+    AND (p_date_from IS NULL OR b.created_at >= (p_date_from AT TIME ZONE 'UTC'))
+    AND (p_date_to IS NULL OR b.created_at <= (p_date_to AT TIME ZONE 'UTC'))
+  GROUP BY p.id, p.name, p.partner_code;
+$$ LANGUAGE sql STABLE;
+
+-- Demand by pincode and by city (dimension = 'pincode' | 'city')
+CREATE OR REPLACE FUNCTION analytics_geographic(
+  p_date_from TIMESTAMPTZ DEFAULT NULL,
+  p_date_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (dimension TEXT, area TEXT, bookings BIGINT, revenue NUMERIC) AS $$
+  SELECT
+    CASE WHEN GROUPING(a.pincode) = 0 THEN 'pincode' ELSE 'city' END,
+    COALESCE(a.pincode, a.city)::TEXT,
+    COUNT(*),
+    COALESCE(SUM(b.grand_total), 0)
+  FROM bookings b
+  JOIN user_addresses a ON a.id = b.address_id
+  WHERE b.status IN ('confirmed', 'completed')
+    AND (p_date_from IS NULL OR b.created_at >= (p_date_from AT TIME ZONE 'UTC'))
+    AND (p_date_to IS NULL OR b.created_at <= (p_date_to AT TIME ZONE 'UTC'))
+  GROUP BY GROUPING SETS ((a.pincode), (a.city));
+$$ LANGUAGE sql STABLE;
+
+-- Registration cohorts and the period in which each user made their first booking.
+-- period_index is NULL for users with no first booking inside the tracked periods.
+CREATE OR REPLACE FUNCTION analytics_cohort_retention(
+  p_cohort_period TEXT DEFAULT 'month',
+  p_periods INTEGER DEFAULT 12
+)
+RETURNS TABLE (cohort TEXT, period_index INTEGER, user_count BIGINT) AS $$
+  WITH user_cohorts AS (
+    SELECT
+      u.id AS user_id,
+      CASE WHEN p_cohort_period = 'week'
+        THEN (date_trunc('week', (u.created_at AT TIME ZONE 'UTC' AT TIME ZONE 'Asia/Kolkata') + INTERVAL '1 day') - INTERVAL '1 day')::DATE
+        ELSE date_trunc('month', u.created_at AT TIME ZONE 'UTC' AT TIME ZONE 'Asia/Kolkata')::DATE
+      END AS cohort_start
+    FROM users u
+  ),
+  first_bookings AS (
+    SELECT b.user_id, MIN(b.created_at AT TIME ZONE 'UTC' AT TIME ZONE 'Asia/Kolkata')::DATE AS first_booking_on
+    FROM bookings b
+    GROUP BY b.user_id
+  ),
+  user_periods AS (
+    SELECT
+      uc.cohort_start,
+      CASE WHEN p_cohort_period = 'week'
+        THEN FLOOR((fb.first_booking_on - uc.cohort_start) / 7.0)::INTEGER
+        ELSE ((EXTRACT(YEAR FROM fb.first_booking_on) - EXTRACT(YEAR FROM uc.cohort_start)) * 12
+          + EXTRACT(MONTH FROM fb.first_booking_on) - EXTRACT(MONTH FROM uc.cohort_start))::INTEGER
+      END AS raw_period
+    FROM user_cohorts uc
+    LEFT JOIN first_bookings fb ON fb.user_id = uc.user_id
+  )
+  SELECT
+    CASE WHEN p_cohort_period = 'week'
+      THEN to_char(up.cohort_start, 'YYYY-MM-DD')
+      ELSE to_char(up.cohort_start, 'YYYY-MM')
+    END,
+    CASE WHEN up.raw_period BETWEEN 0 AND p_periods - 1 THEN up.raw_period END,
+    COUNT(*)
+  FROM user_periods up
+  GROUP BY 1, 2;
+$$ LANGUAGE sql STABLE;
+
+-- Bookings, quantity and revenue per service (confirmed + completed bookings)
+CREATE OR REPLACE FUNCTION analytics_service_popularity(
+  p_date_from TIMESTAMPTZ DEFAULT NULL,
+  p_date_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (service_name TEXT, service_id TEXT, bookings BIGINT, quantity NUMERIC, revenue NUMERIC) AS $$
+  SELECT
+    i.service_name,
+    MIN(i.service_id),
+    COUNT(*),
+    SUM(i.quantity),
+    ROUND(SUM(i.price * i.quantity), 2)
+  FROM analytics_booking_items i
+  WHERE i.status IN ('confirmed', 'completed')
+    AND (p_date_from IS NULL OR i.created_at >= (p_date_from AT TIME ZONE 'UTC'))
+    AND (p_date_to IS NULL OR i.created_at <= (p_date_to AT TIME ZONE 'UTC'))
+  GROUP BY i.service_name;
+$$ LANGUAGE sql STABLE;
+
+-- Revenue and booking count per day / week (starting Sunday) / month
+CREATE OR REPLACE FUNCTION analytics_aov_trends(
+  p_date_from TIMESTAMPTZ DEFAULT NULL,
+  p_date_to TIMESTAMPTZ DEFAULT NULL,
+  p_period TEXT DEFAULT 'day'
+)
+RETURNS TABLE (period_key TEXT, total_revenue NUMERIC, booking_count BIGINT) AS $$
+  SELECT
+    CASE p_period
+      WHEN 'day' THEN to_char(x.service_date, 'YYYY-MM-DD')
+      WHEN 'week' THEN to_char(x.service_date - EXTRACT(DOW FROM x.service_date)::INTEGER, 'YYYY-MM-DD')
+      ELSE to_char(x.service_date, 'YYYY-MM')
+    END,
+    COALESCE(SUM(x.grand_total), 0),
+    COUNT(*)
+  FROM (
+    SELECT COALESCE(b.booking_date, (b.created_at AT TIME ZONE 'UTC' AT TIME ZONE 'Asia/Kolkata')::DATE) AS service_date, b.grand_total
+    FROM bookings b
+    WHERE b.status = 'completed'
+      AND b.payment_status = 'paid'
+      AND (p_date_from IS NULL OR b.created_at >= (p_date_from AT TIME ZONE 'UTC'))
+      AND (p_date_to IS NULL OR b.created_at <= (p_date_to AT TIME ZONE 'UTC'))
+  ) x
+  GROUP BY 1
+  ORDER BY 1;
+$$ LANGUAGE sql STABLE;
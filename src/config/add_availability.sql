@@ -0,0 +1,30 @@
+-- ============================================
+-- SLOT AVAILABILITY
+-- Partner working hours, service areas and booking durations
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Weekly working hours per partner (day_of_week: 0 = Sunday ... 6 = Saturday, IST)
+-- Partners with no rows work the default hours (8 AM - 8 PM) every day
+CREATE TABLE IF NOT EXISTS partner_working_hours (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  partner_id UUID NOT NULL REFERENCES partners(id) ON DELETE CASCADE,
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL CHECK (end_time > start_time),
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (partner_id, day_of_week)
+);
+
+CREATE INDEX IF NOT EXISTS idx_partner_working_hours_partner ON partner_working_hours(partner_id);
+
+-- Pincodes a partner travels to (NULL = all pincodes)
+ALTER TABLE partners
+ADD COLUMN IF NOT EXISTS service_pincodes TEXT[];
+
+-- Total time the booked services take, used to block the partner's calendar
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS duration_minutes INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_date_time ON bookings(booking_date, booking_time);
@@ -0,0 +1,36 @@
+-- ============================================
+-- BOOKING EVENTS
+-- Append-only history of booking status transitions and other booking activity
+-- Run this in your Supabase SQL Editor (after add_partner_app.sql)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS booking_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL, -- created | status_changed | partner_assigned | partner_rejected | payment_captured | payment_failed | ...
+  from_status VARCHAR(50),
+  to_status VARCHAR(50),
+  actor_type VARCHAR(20) NOT NULL DEFAULT 'system', -- system | customer | partner | admin
+  actor_id TEXT,
+  reason TEXT,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_events_booking ON booking_events(booking_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_booking_events_type ON booking_events(event_type, created_at);
+
+-- Backfill history for bookings created before this table existed
+INSERT INTO booking_events (booking_id, event_type, to_status, actor_type, actor_id, created_at)
+SELECT b.id, 'created', 'pending', 'customer', b.user_id::TEXT, b.created_at
+FROM bookings b
+WHERE NOT EXISTS (SELECT 1 FROM booking_events e WHERE e.booking_id = b.id);
+
+INSERT INTO booking_events (booking_id, event_type, from_status, to_status, actor_type, reason, metadata, created_at)
+SELECT b.id, 'status_changed', 'pending', b.status, 'system', b.cancellation_reason, '{"backfilled": true}'::jsonb, COALESCE(b.cancelled_at, b.updated_at, b.created_at)
+FROM bookings b
+WHERE b.status IS NOT NULL
+  AND b.status <> 'pending'
+  AND NOT EXISTS (
+    SELECT 1 FROM booking_events e WHERE e.booking_id = b.id AND e.event_type = 'status_changed'
+  );
@@ -0,0 +1,77 @@
+-- ============================================
+-- CANCELLATION POLICIES
+-- Versioned cancellation fee rules; each booking records the version it accepted
+-- Run this in your Supabase SQL Editor (after add_refunds.sql)
+-- ============================================
+
+-- Policies are never edited once created: publish a new version and activate it instead.
+-- tiers are evaluated in order and the first match sets the fee. The last tier must have no conditions.
+--   [{ "label": "24h+ before", "min_hours_before": 24, "fee_percent": 0 },
+--    { "label": "Partner on the way", "partner_statuses": ["accepted", "arrived"], "fee_percent": 20, "fee_flat": 50 },
+--    { "label": "Late cancellation", "fee_percent": 10 }]
+-- partner_statuses: unassigned | assigned | accepted | arrived
+CREATE TABLE IF NOT EXISTS cancellation_policies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version INTEGER UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  free_cancellation_minutes INTEGER NOT NULL DEFAULT 0 CHECK (free_cancellation_minutes >= 0), -- Grace period after the booking is placed
+  tiers JSONB NOT NULL,
+  is_active BOOLEAN DEFAULT false,
+  activated_at TIMESTAMP,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- At most one active policy
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cancellation_policies_active ON cancellation_policies(is_active) WHERE is_active;
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancellation_policy_version INTEGER;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS cancellation_fee DECIMAL(10, 2);
+ALTER TABLE checkout_previews ADD COLUMN IF NOT EXISTS cancellation_policy_version INTEGER;
+
+-- Version 1 reproduces the original hardcoded rules:
+-- free within 5 minutes of booking or while no partner is assigned, otherwise 10%
+INSERT INTO cancellation_policies (version, name, description, free_cancellation_minutes, tiers, is_active, activated_at)
+SELECT
+  1,
+  'Standard',
+  'Free within 5 minutes of booking or until a partner is assigned. 10% fee after that.',
+  5,
+  '[{"label": "No partner assigned", "partner_statuses": ["unassigned"], "fee_percent": 0},
+    {"label": "Partner assigned", "fee_percent": 10}]'::jsonb,
+  true,
+  NOW()
+WHERE NOT EXISTS (SELECT 1 FROM cancellation_policies);
+
+UPDATE bookings SET cancellation_policy_version = 1 WHERE cancellation_policy_version IS NULL;
+
+-- Make a policy the only active one
+CREATE OR REPLACE FUNCTION activate_cancellation_policy(p_policy_id UUID)
+RETURNS cancellation_policies AS $$
+DECLARE
+  v_policy cancellation_policies%ROWTYPE;
+BEGIN
+  LOCK TABLE cancellation_policies IN SHARE ROW EXCLUSIVE MODE;
+
+  SELECT * INTO v_policy FROM cancellation_policies WHERE id = p_policy_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Cancellation policy not found';
+  END IF;
+
+  IF v_policy.is_active THEN
+    RETURN v_policy;
+  END IF;
+
+  UPDATE cancellation_policies SET is_active = false WHERE is_active;
+
+  UPDATE cancellation_policies
+  SET is_active = true,
+      activated_at = NOW()
+  WHERE id = p_policy_id
+  RETURNING * INTO v_policy;
+
+  RETURN v_policy;
+END;
+$$ LANGUAGE plpgsql;
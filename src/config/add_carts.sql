@@ -0,0 +1,69 @@
+-- ============================================
+-- CARTS
+-- Server-side carts so they follow the user across devices
+-- Run this in your Supabase SQL Editor (after add_service_max_quantity.sql)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS carts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'active', -- active | converted
+  promo_code VARCHAR(50),
+  address_id UUID REFERENCES user_addresses(id) ON DELETE SET NULL,
+  converted_booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  converted_at TIMESTAMP,
+  last_activity_at TIMESTAMP DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- One active cart per user; converted carts are kept for analysis
+CREATE UNIQUE INDEX IF NOT EXISTS idx_carts_user_active ON carts(user_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_carts_last_activity ON carts(last_activity_at) WHERE status = 'active';
+
+CREATE TABLE IF NOT EXISTS cart_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  cart_id UUID NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  service_id UUID NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(cart_id, service_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cart_items_cart ON cart_items(cart_id);
+
+DROP TRIGGER IF EXISTS update_carts_updated_at ON carts;
+CREATE TRIGGER update_carts_updated_at
+  BEFORE UPDATE ON carts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_cart_items_updated_at ON cart_items;
+CREATE TRIGGER update_cart_items_updated_at
+  BEFORE UPDATE ON cart_items
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Checkouts started from the cart convert it once the booking is confirmed
+ALTER TABLE checkout_previews ADD COLUMN IF NOT EXISTS cart_id UUID REFERENCES carts(id) ON DELETE SET NULL;
+
+-- Active carts with items and no activity for a day
+CREATE OR REPLACE VIEW abandoned_carts AS
+SELECT
+  c.id AS cart_id,
+  c.user_id,
+  u.phone_number,
+  u.name,
+  c.promo_code,
+  c.last_activity_at,
+  COUNT(ci.id) AS line_items,
+  SUM(ci.quantity) AS total_quantity,
+  SUM(ci.quantity * COALESCE(s.product_cost, 0)) AS cart_value
+FROM carts c
+JOIN cart_items ci ON ci.cart_id = c.id
+JOIN services s ON s.id = ci.service_id
+JOIN users u ON u.id = c.user_id
+WHERE c.status = 'active'
+  AND c.last_activity_at < NOW() - INTERVAL '24 hours'
+GROUP BY c.id, u.phone_number, u.name;
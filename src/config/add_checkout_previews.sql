@@ -0,0 +1,24 @@
+-- ============================================
+-- CHECKOUT PREVIEWS
+-- Server-side price quotes issued by /checkout/prepare
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS checkout_previews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  services JSONB NOT NULL, -- Priced line items as returned to the client
+  pricing JSONB NOT NULL,
+  promo_code VARCHAR(50), -- Only set when the code was valid at preview time
+  promo_discount DECIMAL(10, 2) DEFAULT 0,
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ, -- Set once, atomically, when a booking is confirmed
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_checkout_previews_user ON checkout_previews(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_checkout_previews_expires ON checkout_previews(expires_at) WHERE consumed_at IS NULL;
+
+-- Previews are short-lived; clean up old rows periodically, e.g.
+-- DELETE FROM checkout_previews WHERE expires_at < NOW() - INTERVAL '1 day';
@@ -0,0 +1,122 @@
+-- ============================================
+-- GST INVOICING
+-- SAC codes per service, platform fee / GST split on bookings,
+-- and gap-free invoice numbers per financial year
+-- Run this in your Supabase SQL Editor (after add_carts.sql)
+-- ============================================
+
+ALTER TABLE services ADD COLUMN IF NOT EXISTS sac_code VARCHAR(8) DEFAULT '999722';
+ALTER TABLE services ADD COLUMN IF NOT EXISTS gst_rate DECIMAL(5, 2) DEFAULT 18;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'services_gst_rate_check') THEN
+    ALTER TABLE services ADD CONSTRAINT services_gst_rate_check CHECK (gst_rate >= 0 AND gst_rate <= 28);
+  END IF;
+END $$;
+
+-- `tax` has always held the platform fee; GST is included in the prices
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS platform_fee DECIMAL(10, 2);
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS gst_amount DECIMAL(10, 2);
+
+UPDATE bookings SET platform_fee = tax WHERE platform_fee IS NULL;
+
+-- Last invoice number used in each financial year (e.g. '2026-27')
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  financial_year VARCHAR(7) PRIMARY KEY,
+  last_number INTEGER NOT NULL DEFAULT 0
+);
+
+-- Issued tax invoices. Rows are never deleted or renumbered.
+CREATE TABLE IF NOT EXISTS invoices (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL UNIQUE REFERENCES bookings(id),
+  invoice_number VARCHAR(16) NOT NULL UNIQUE,
+  financial_year VARCHAR(7) NOT NULL,
+  sequence_number INTEGER NOT NULL,
+  supplier_gstin VARCHAR(15),
+  supplier_state_code VARCHAR(2),
+  place_of_supply VARCHAR(100),
+  place_of_supply_code VARCHAR(2),
+  supply_type VARCHAR(20) NOT NULL, -- intra_state | inter_state
+  line_items JSONB NOT NULL,
+  taxable_amount DECIMAL(10, 2) NOT NULL,
+  cgst_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  sgst_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  igst_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  total_gst DECIMAL(10, 2) NOT NULL,
+  discount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  platform_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  grand_total DECIMAL(10, 2) NOT NULL,
+  issued_at TIMESTAMP DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(financial_year, sequence_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_financial_year ON invoices(financial_year, sequence_number);
+
+-- Issue the invoice for a booking, or return the one already issued.
+-- The sequence row is incremented in the same transaction as the insert, so a failed
+-- insert rolls the number back and numbers stay consecutive.
+CREATE OR REPLACE FUNCTION issue_invoice(
+  p_booking_id UUID,
+  p_financial_year TEXT,
+  p_number_prefix TEXT,
+  p_invoice JSONB
+)
+RETURNS invoices AS $$
+DECLARE
+  v_invoice invoices;
+  v_next INTEGER;
+BEGIN
+  -- Serialize issuing for the same booking
+  PERFORM 1 FROM bookings WHERE id = p_booking_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Booking % not found', p_booking_id;
+  END IF;
+
+  SELECT * INTO v_invoice FROM invoices WHERE booking_id = p_booking_id;
+  IF FOUND THEN
+    RETURN v_invoice;
+  END IF;
+
+  INSERT INTO invoice_sequences (financial_year, last_number)
+  VALUES (p_financial_year, 0)
+  ON CONFLICT (financial_year) DO NOTHING;
+
+  UPDATE invoice_sequences
+  SET last_number = last_number + 1
+  WHERE financial_year = p_financial_year
+  RETURNING last_number INTO v_next;
+
+  INSERT INTO invoices (
+    booking_id, invoice_number, financial_year, sequence_number,
+    supplier_gstin, supplier_state_code, place_of_supply, place_of_supply_code, supply_type,
+    line_items, taxable_amount, cgst_amount, sgst_amount, igst_amount, total_gst,
+    discount, platform_fee, grand_total
+  )
+  VALUES (
+    p_booking_id,
+    p_number_prefix || LPAD(v_next::TEXT, 6, '0'),
+    p_financial_year,
+    v_next,
+    p_invoice->>'supplier_gstin',
+    p_invoice->>'supplier_state_code',
+    p_invoice->>'place_of_supply',
+    p_invoice->>'place_of_supply_code',
+    p_invoice->>'supply_type',
+    p_invoice->'line_items',
+    (p_invoice->>'taxable_amount')::DECIMAL,
+    (p_invoice->>'cgst_amount')::DECIMAL,
+    (p_invoice->>'sgst_amount')::DECIMAL,
+    (p_invoice->>'igst_amount')::DECIMAL,
+    (p_invoice->>'total_gst')::DECIMAL,
+    (p_invoice->>'discount')::DECIMAL,
+    (p_invoice->>'platform_fee')::DECIMAL,
+    (p_invoice->>'grand_total')::DECIMAL
+  )
+  RETURNING * INTO v_invoice;
+
+  RETURN v_invoice;
+END;
+$$ LANGUAGE plpgsql;
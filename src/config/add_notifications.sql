@@ -0,0 +1,39 @@
+-- ============================================
+-- CUSTOMER NOTIFICATIONS
+-- Delivery log for WhatsApp booking notifications, with retry state
+-- Run this in your Supabase SQL Editor (after add_wallet.sql)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS notification_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event VARCHAR(50) NOT NULL, -- booking_confirmed | partner_assigned | booking_cancelled | refund_issued
+  channel VARCHAR(20) NOT NULL DEFAULT 'whatsapp',
+  transport VARCHAR(20) NOT NULL DEFAULT 'interakt', -- interakt | mock
+  template_name VARCHAR(100) NOT NULL,
+  recipient_phone VARCHAR(20) NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  variables JSONB NOT NULL DEFAULT '{}'::jsonb,
+  body_values JSONB NOT NULL DEFAULT '[]'::jsonb,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | sent | failed
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 4,
+  next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+  last_error TEXT,
+  provider_message_id VARCHAR(255),
+  sent_at TIMESTAMPTZ,
+  -- One notification per event and subject, e.g. booking_confirmed:<booking_id>
+  dedupe_key VARCHAR(200) UNIQUE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_logs_due ON notification_logs(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_logs_booking ON notification_logs(booking_id);
+CREATE INDEX IF NOT EXISTS idx_notification_logs_status ON notification_logs(status, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_notification_logs_updated_at ON notification_logs;
+CREATE TRIGGER update_notification_logs_updated_at
+  BEFORE UPDATE ON notification_logs
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
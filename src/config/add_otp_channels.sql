@@ -0,0 +1,12 @@
+-- ============================================
+-- OTP DELIVERY CHANNELS
+-- Records which channel (whatsapp | sms | email | console) delivered each OTP,
+-- used for per-channel rate limits
+-- Run this in your Supabase SQL Editor (after add_notifications.sql)
+-- ============================================
+
+ALTER TABLE otp_verifications
+ADD COLUMN IF NOT EXISTS channel VARCHAR(20), -- NULL until delivered
+ADD COLUMN IF NOT EXISTS attempted_channels TEXT[] DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_otp_phone_channel ON otp_verifications(phone_number, channel, created_at DESC);
@@ -0,0 +1,127 @@
+-- ============================================
+-- OTP SECURITY
+-- Hashed OTP codes, per-code attempt limits, progressive lockouts per phone number and IP,
+-- and an audit log of suspicious activity
+-- Run this in your Supabase SQL Editor (after add_otp_channels.sql)
+-- ============================================
+
+-- Codes are stored as bcrypt hashes; plain-text codes still waiting to be used cannot be
+-- verified any more, so those users simply request a new OTP
+ALTER TABLE otp_verifications
+ADD COLUMN IF NOT EXISTS otp_hash VARCHAR(100),
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 5,
+ADD COLUMN IF NOT EXISTS invalidated_at TIMESTAMP, -- Set when attempts run out or a newer OTP is sent
+ADD COLUMN IF NOT EXISTS request_ip VARCHAR(64);
+
+DELETE FROM otp_verifications WHERE otp_hash IS NULL AND is_verified = false;
+ALTER TABLE otp_verifications DROP COLUMN IF EXISTS otp_code;
+
+CREATE INDEX IF NOT EXISTS idx_otp_phone_active ON otp_verifications(phone_number, created_at DESC)
+  WHERE is_verified = false AND invalidated_at IS NULL;
+
+-- Count a verification attempt against an OTP before the code is checked, so parallel
+-- guesses cannot exceed the limit. Returns the new attempt count, or NULL when the OTP
+-- has no attempts left (it is invalidated on its last attempt).
+CREATE OR REPLACE FUNCTION register_otp_attempt(p_otp_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  v_attempts INTEGER;
+BEGIN
+  UPDATE otp_verifications
+  SET attempts = attempts + 1,
+      invalidated_at = CASE WHEN attempts + 1 >= max_attempts THEN NOW() ELSE invalidated_at END
+  WHERE id = p_otp_id
+    AND is_verified = false
+    AND invalidated_at IS NULL
+    AND attempts < max_attempts
+  RETURNING attempts INTO v_attempts;
+
+  RETURN v_attempts;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Failed verifications per phone number, phone number and IP, and IP address
+CREATE TABLE IF NOT EXISTS otp_lockouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subject_type VARCHAR(10) NOT NULL, -- phone | phone_ip (`<phone>|<ip>`) | ip
+  subject VARCHAR(64) NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0, -- Since the last lockout
+  lockout_count INTEGER NOT NULL DEFAULT 0, -- Lockouts in the current window; each one lasts longer
+  locked_until TIMESTAMPTZ,
+  last_failed_at TIMESTAMPTZ,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(subject_type, subject)
+);
+
+DROP TRIGGER IF EXISTS update_otp_lockouts_updated_at ON otp_lockouts;
+CREATE TRIGGER update_otp_lockouts_updated_at
+  BEFORE UPDATE ON otp_lockouts
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Record a failed verification and lock the subject once it reaches p_max_failures.
+-- Lockout n lasts p_lockout_minutes[n] (the last entry repeats). History older than
+-- p_reset_minutes is forgotten. Locks the row so concurrent failures are all counted.
+CREATE OR REPLACE FUNCTION record_otp_failure(
+  p_subject_type VARCHAR,
+  p_subject VARCHAR,
+  p_max_failures INTEGER,
+  p_lockout_minutes INTEGER[],
+  p_reset_minutes INTEGER
+)
+RETURNS otp_lockouts AS $$
+DECLARE
+  v_lockout otp_lockouts%ROWTYPE;
+BEGIN
+  INSERT INTO otp_lockouts (subject_type, subject)
+  VALUES (p_subject_type, p_subject)
+  ON CONFLICT (subject_type, subject) DO NOTHING;
+
+  SELECT * INTO v_lockout FROM otp_lockouts
+  WHERE subject_type = p_subject_type AND subject = p_subject
+  FOR UPDATE;
+
+  IF v_lockout.last_failed_at IS NOT NULL
+     AND v_lockout.last_failed_at < NOW() - make_interval(mins => p_reset_minutes)
+     AND (v_lockout.locked_until IS NULL OR v_lockout.locked_until < NOW()) THEN
+    v_lockout.failed_attempts := 0;
+    v_lockout.lockout_count := 0;
+  END IF;
+
+  v_lockout.failed_attempts := v_lockout.failed_attempts + 1;
+
+  IF v_lockout.failed_attempts >= p_max_failures THEN
+    v_lockout.lockout_count := v_lockout.lockout_count + 1;
+    v_lockout.failed_attempts := 0;
+    v_lockout.locked_until := NOW() + make_interval(
+      mins => p_lockout_minutes[LEAST(v_lockout.lockout_count, array_length(p_lockout_minutes, 1))]
+    );
+  END IF;
+
+  UPDATE otp_lockouts
+  SET failed_attempts = v_lockout.failed_attempts,
+      lockout_count = v_lockout.lockout_count,
+      locked_until = v_lockout.locked_until,
+      last_failed_at = NOW()
+  WHERE id = v_lockout.id
+  RETURNING * INTO v_lockout;
+
+  RETURN v_lockout;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Suspicious OTP activity: lockouts, exhausted codes, attempts while locked, send limits hit
+CREATE TABLE IF NOT EXISTS otp_audit_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event VARCHAR(50) NOT NULL, -- lockout | attempts_exhausted | locked_attempt | send_limit_reached
+  phone_number VARCHAR(15),
+  ip_address VARCHAR(64),
+  details JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_otp_audit_logs_phone ON otp_audit_logs(phone_number, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_otp_audit_logs_ip ON otp_audit_logs(ip_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_otp_audit_logs_event ON otp_audit_logs(event, created_at DESC);
@@ -0,0 +1,23 @@
+-- ============================================
+-- PARTNER APP
+-- Job progress timestamps and rejection history for /api/v1/partner
+-- Run this in your Supabase SQL Editor (after add_partner_assignment.sql)
+-- ============================================
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS arrived_at TIMESTAMP;
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+
+-- [{ partner_id, reason, rejected_at }] - rejected partners are not offered the job again
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS partner_rejections JSONB DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_partner_date ON bookings(partner_id, booking_date);
+
+ALTER TABLE partners
+ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMP;
@@ -0,0 +1,13 @@
+-- ============================================
+-- PARTNER AUTO-ASSIGNMENT
+-- Admin queue for bookings the assignment engine could not place
+-- Run this in your Supabase SQL Editor (after add_availability.sql)
+-- ============================================
+
+-- assignment_status: assigned | needs_manual_assignment
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS assignment_failure_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_assignment_queue
+  ON bookings(booking_date, booking_time)
+  WHERE assignment_status = 'needs_manual_assignment';
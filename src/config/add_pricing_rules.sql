@@ -0,0 +1,53 @@
+-- ============================================
+-- PRICING RULES
+-- Effective-dated versions of the platform fee slabs and partner commission
+-- Run this in your Supabase SQL Editor (after add_gst_invoicing.sql)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS pricing_rule_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version INTEGER NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  -- [{ "max": 400, "fee": 59 }, ..., { "max": null, "fee": 279 }] by order value after discounts
+  platform_fee_slabs JSONB NOT NULL,
+  -- Partner share (%) of what the customer pays when no commission rule matches
+  default_payout_percent DECIMAL(5, 2) NOT NULL,
+  -- [{ "partner_id"?, "category"?, "tier"?, "payout_percent" }]; the most specific match wins
+  commission_rules JSONB NOT NULL DEFAULT '[]'::jsonb,
+  effective_from TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pricing_rule_versions_effective ON pricing_rule_versions(effective_from DESC);
+
+-- Version 1: the slabs and 70% payout previously hardcoded
+INSERT INTO pricing_rule_versions (version, name, description, platform_fee_slabs, default_payout_percent, effective_from)
+VALUES (
+  1,
+  'Launch pricing',
+  'Platform fee ₹59–₹279 by order value; partners receive 70% of the order total.',
+  '[
+    {"max": 400, "fee": 59},
+    {"max": 800, "fee": 78},
+    {"max": 1200, "fee": 97},
+    {"max": 1500, "fee": 109},
+    {"max": 2000, "fee": 119},
+    {"max": 2500, "fee": 138},
+    {"max": 3000, "fee": 167},
+    {"max": 3500, "fee": 188},
+    {"max": 4000, "fee": 209},
+    {"max": 5000, "fee": 249},
+    {"max": 6000, "fee": 269},
+    {"max": null, "fee": 279}
+  ]'::jsonb,
+  70,
+  '1970-01-01T00:00:00Z'
+)
+ON CONFLICT (version) DO NOTHING;
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS pricing_rule_version INTEGER;
+ALTER TABLE checkout_previews ADD COLUMN IF NOT EXISTS pricing_rule_version INTEGER;
+
+UPDATE bookings SET pricing_rule_version = 1 WHERE pricing_rule_version IS NULL;
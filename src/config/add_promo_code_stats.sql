@@ -0,0 +1,33 @@
+-- ============================================
+-- PROMO CODE ADMIN SUPPORT
+-- updated_at tracking and redemption stats view
+-- Run this in your Supabase SQL Editor (after add_promo_code_usage.sql)
+-- ============================================
+
+ALTER TABLE promo_codes
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+DROP TRIGGER IF EXISTS update_promo_codes_updated_at ON promo_codes;
+CREATE TRIGGER update_promo_codes_updated_at
+  BEFORE UPDATE ON promo_codes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX IF NOT EXISTS idx_bookings_promo_code ON bookings(promo_code) WHERE promo_code IS NOT NULL;
+
+-- Redemption stats per promo code, drawn from bookings
+-- Cancelled and refunded bookings do not count as redemptions
+CREATE OR REPLACE VIEW promo_code_stats AS
+SELECT
+  pc.id AS promo_code_id,
+  pc.code,
+  COUNT(b.id) FILTER (WHERE b.status NOT IN ('cancelled', 'refunded')) AS redemptions,
+  COUNT(b.id) FILTER (WHERE b.status = 'completed') AS completed_bookings,
+  COUNT(b.id) FILTER (WHERE b.status IN ('cancelled', 'refunded')) AS cancelled_bookings,
+  COUNT(DISTINCT b.user_id) FILTER (WHERE b.status NOT IN ('cancelled', 'refunded')) AS unique_users,
+  COALESCE(SUM(b.discount) FILTER (WHERE b.status NOT IN ('cancelled', 'refunded')), 0) AS total_discount,
+  COALESCE(SUM(b.grand_total) FILTER (WHERE b.status NOT IN ('cancelled', 'refunded')), 0) AS total_revenue,
+  MAX(b.created_at) AS last_redeemed_at
+FROM promo_codes pc
+LEFT JOIN bookings b ON b.promo_code = pc.code
+GROUP BY pc.id, pc.code;
@@ -0,0 +1,188 @@
+-- ============================================
+-- PROMO CODE USAGE LEDGER
+-- Per-user usage limits and atomic redemption
+-- Run this in your Supabase SQL Editor
+-- ============================================
+
+-- Columns referenced by promoService but missing from the original schema
+ALTER TABLE promo_codes
+ADD COLUMN IF NOT EXISTS max_discount DECIMAL(10, 2);
+
+ALTER TABLE promo_codes
+ADD COLUMN IF NOT EXISTS total_usage_limit INTEGER;
+
+-- Also added by add_promo_targeting.sql; needed here for redeem_promo_code
+ALTER TABLE promo_codes
+ADD COLUMN IF NOT EXISTS first_order_only BOOLEAN DEFAULT false;
+
+COMMENT ON COLUMN promo_codes.usage_limit IS 'Maximum redemptions per user (NULL = unlimited)';
+COMMENT ON COLUMN promo_codes.total_usage_limit IS 'Maximum redemptions across all users (NULL = unlimited)';
+COMMENT ON COLUMN promo_codes.used_count IS 'Active redemptions, maintained by redeem_promo_code/release_promo_code';
+
+-- One row per booking that used a promo code
+CREATE TABLE IF NOT EXISTS promo_code_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promo_code_id UUID NOT NULL REFERENCES promo_codes(id),
+  user_id UUID NOT NULL REFERENCES users(id),
+  booking_id UUID UNIQUE NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'applied', -- applied | released
+  released_reason TEXT,
+  released_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Set when a late payment re-applied a redemption past the code's limits (see force_promo_redemption)
+ALTER TABLE promo_code_usage
+ADD COLUMN IF NOT EXISTS forced_at TIMESTAMP;
+
+ALTER TABLE promo_code_usage
+ADD COLUMN IF NOT EXISTS forced_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_promo_usage_forced ON promo_code_usage(promo_code_id, forced_at) WHERE forced_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_promo_usage_code_user ON promo_code_usage(promo_code_id, user_id) WHERE status = 'applied';
+CREATE INDEX IF NOT EXISTS idx_promo_usage_user ON promo_code_usage(user_id);
+
+-- Redeem a promo code for a booking.
+-- Locks the promo row so two concurrent checkouts cannot both take the last redemption.
+-- Idempotent per booking: re-applies a previously released redemption.
+CREATE OR REPLACE FUNCTION redeem_promo_code(
+  p_promo_code_id UUID,
+  p_user_id UUID,
+  p_booking_id UUID,
+  p_discount_amount NUMERIC
+)
+RETURNS promo_code_usage AS $$
+DECLARE
+  v_promo promo_codes%ROWTYPE;
+  v_usage promo_code_usage%ROWTYPE;
+  v_user_uses INTEGER;
+BEGIN
+  SELECT * INTO v_promo FROM promo_codes WHERE id = p_promo_code_id FOR UPDATE;
+
+  IF NOT FOUND OR NOT v_promo.is_active THEN
+    RAISE EXCEPTION 'Invalid promo code';
+  END IF;
+
+  SELECT * INTO v_usage FROM promo_code_usage WHERE booking_id = p_booking_id;
+
+  IF v_usage.id IS NOT NULL AND v_usage.status = 'applied' THEN
+    RETURN v_usage;
+  END IF;
+
+  IF v_promo.total_usage_limit IS NOT NULL AND COALESCE(v_promo.used_count, 0) >= v_promo.total_usage_limit THEN
+    RAISE EXCEPTION 'Promo code usage limit reached';
+  END IF;
+
+  -- A first order is one with no other paid or completed booking
+  IF v_promo.first_order_only AND EXISTS (
+    SELECT 1 FROM bookings b
+    WHERE b.user_id = p_user_id
+      AND b.id <> p_booking_id
+      AND b.status <> 'cancelled'
+      AND (b.payment_status = 'paid' OR b.status = 'completed')
+  ) THEN
+    RAISE EXCEPTION 'This promo code is only valid on your first booking';
+  END IF;
+
+  IF v_promo.usage_limit IS NOT NULL THEN
+    SELECT COUNT(*) INTO v_user_uses
+    FROM promo_code_usage
+    WHERE promo_code_id = p_promo_code_id
+      AND user_id = p_user_id
+      AND status = 'applied';
+
+    IF v_user_uses >= v_promo.usage_limit THEN
+      RAISE EXCEPTION 'You have already used this promo code';
+    END IF;
+  END IF;
+
+  IF v_usage.id IS NOT NULL THEN
+    UPDATE promo_code_usage
+    SET status = 'applied',
+        discount_amount = p_discount_amount,
+        released_reason = NULL,
+        released_at = NULL
+    WHERE id = v_usage.id
+    RETURNING * INTO v_usage;
+  ELSE
+    INSERT INTO promo_code_usage (promo_code_id, user_id, booking_id, discount_amount)
+    VALUES (p_promo_code_id, p_user_id, p_booking_id, p_discount_amount)
+    RETURNING * INTO v_usage;
+  END IF;
+
+  UPDATE promo_codes
+  SET used_count = COALESCE(used_count, 0) + 1
+  WHERE id = p_promo_code_id;
+
+  RETURN v_usage;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Release a booking's redemption (cancellation, payment failure).
+-- Returns false when there was nothing to release.
+CREATE OR REPLACE FUNCTION release_promo_code(
+  p_booking_id UUID,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_promo_code_id UUID;
+BEGIN
+  UPDATE promo_code_usage
+  SET status = 'released',
+      released_reason = p_reason,
+      released_at = NOW()
+  WHERE booking_id = p_booking_id
+    AND status = 'applied'
+  RETURNING promo_code_id INTO v_promo_code_id;
+
+  IF NOT FOUND THEN
+    RETURN false;
+  END IF;
+
+  UPDATE promo_codes
+  SET used_count = GREATEST(COALESCE(used_count, 0) - 1, 0)
+  WHERE id = v_promo_code_id;
+
+  RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Re-apply a released redemption without checking limits.
+-- Used when a payment is captured after its redemption was released and the code has since
+-- run out (or been deactivated): the customer already paid the discounted amount, so the
+-- redemption is recorded anyway and stamped forced_at / forced_reason for finance review.
+-- Returns NULL when the booking has no released redemption.
+CREATE OR REPLACE FUNCTION force_promo_redemption(
+  p_booking_id UUID,
+  p_reason TEXT
+)
+RETURNS promo_code_usage AS $$
+DECLARE
+  v_usage promo_code_usage%ROWTYPE;
+BEGIN
+  SELECT * INTO v_usage FROM promo_code_usage WHERE booking_id = p_booking_id FOR UPDATE;
+
+  IF NOT FOUND OR v_usage.status <> 'released' THEN
+    RETURN NULL;
+  END IF;
+
+  PERFORM 1 FROM promo_codes WHERE id = v_usage.promo_code_id FOR UPDATE;
+
+  UPDATE promo_code_usage
+  SET status = 'applied',
+      released_reason = NULL,
+      released_at = NULL,
+      forced_at = NOW(),
+      forced_reason = p_reason
+  WHERE id = v_usage.id
+  RETURNING * INTO v_usage;
+
+  UPDATE promo_codes
+  SET used_count = COALESCE(used_count, 0) + 1
+  WHERE id = v_usage.promo_code_id;
+
+  RETURN v_usage;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,22 @@
+-- ============================================
+-- PROMO CODE TARGETING RULES
+-- First-order-only, category/tier restrictions and user allow-lists
+-- Run this in your Supabase SQL Editor (after add_promo_code_usage.sql)
+-- ============================================
+
+ALTER TABLE promo_codes
+ADD COLUMN IF NOT EXISTS first_order_only BOOLEAN DEFAULT false;
+
+ALTER TABLE promo_codes
+ADD COLUMN IF NOT EXISTS applicable_categories TEXT[];
+
+ALTER TABLE promo_codes
+ADD COLUMN IF NOT EXISTS applicable_tiers TEXT[];
+
+ALTER TABLE promo_codes
+ADD COLUMN IF NOT EXISTS allowed_user_ids UUID[];
+
+COMMENT ON COLUMN promo_codes.first_order_only IS 'Only customers with no other paid or completed booking can use this code (checked again by redeem_promo_code)';
+COMMENT ON COLUMN promo_codes.applicable_categories IS 'Service categories the discount applies to (NULL = all)';
+COMMENT ON COLUMN promo_codes.applicable_tiers IS 'Service tiers the discount applies to (NULL = all)';
+COMMENT ON COLUMN promo_codes.allowed_user_ids IS 'Users allowed to use this code (NULL = everyone)';
@@ -0,0 +1,32 @@
+-- ============================================
+-- REFUNDS
+-- One row per Razorpay refund, tracked from initiation to processed / failed
+-- Run this in your Supabase SQL Editor (after add_booking_events.sql)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  booking_id UUID NOT NULL REFERENCES bookings(id),
+  payment_id UUID NOT NULL REFERENCES payments(id),
+  razorpay_payment_id VARCHAR(255) NOT NULL,
+  razorpay_refund_id VARCHAR(255) UNIQUE,
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | processed | failed
+  reason TEXT,
+  failure_reason TEXT,
+  initiated_by VARCHAR(20) NOT NULL DEFAULT 'system', -- system | customer | admin
+  initiated_by_id TEXT,
+  processed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_booking ON refunds(booking_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_payment ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+
+DROP TRIGGER IF EXISTS update_refunds_updated_at ON refunds;
+CREATE TRIGGER update_refunds_updated_at
+  BEFORE UPDATE ON refunds
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,28 @@
+-- ============================================
+-- RESCHEDULES
+-- Reschedule window on cancellation policies, reschedule tracking on bookings and partner notifications
+-- Run this in your Supabase SQL Editor (after add_cancellation_policies.sql)
+-- ============================================
+
+-- Customers can reschedule until this many hours before the appointment, at most max_reschedules times
+ALTER TABLE cancellation_policies ADD COLUMN IF NOT EXISTS reschedule_cutoff_hours NUMERIC(5, 2) NOT NULL DEFAULT 2;
+ALTER TABLE cancellation_policies ADD COLUMN IF NOT EXISTS max_reschedules INTEGER NOT NULL DEFAULT 2;
+
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS reschedule_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS rescheduled_at TIMESTAMP;
+
+-- In-app notifications shown in the partner app
+CREATE TABLE IF NOT EXISTS partner_notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  partner_id UUID NOT NULL REFERENCES partners(id) ON DELETE CASCADE,
+  booking_id UUID REFERENCES bookings(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL, -- job_rescheduled | job_released | ...
+  title VARCHAR(255) NOT NULL,
+  message TEXT,
+  data JSONB DEFAULT '{}'::jsonb,
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_partner_notifications_partner ON partner_notifications(partner_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_partner_notifications_unread ON partner_notifications(partner_id) WHERE read_at IS NULL;
@@ -0,0 +1,17 @@
+-- ============================================
+-- SERVICE MAX QUANTITY
+-- Per-service limit on the quantity of one service in a single order
+-- Run this in your Supabase SQL Editor (after add_reschedules.sql)
+-- ============================================
+
+ALTER TABLE services
+ADD COLUMN IF NOT EXISTS max_quantity INTEGER NOT NULL DEFAULT 10;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'services_max_quantity_check') THEN
+    ALTER TABLE services ADD CONSTRAINT services_max_quantity_check CHECK (max_quantity >= 1);
+  END IF;
+END $$;
+
+COMMENT ON COLUMN services.max_quantity IS 'Maximum quantity of this service per order';
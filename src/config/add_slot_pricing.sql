@@ -0,0 +1,38 @@
+-- ============================================
+-- SLOT PRICING
+-- Surge / off-peak multipliers by time of day, day of week and holiday
+-- Run this in your Supabase SQL Editor (after add_pricing_rules.sql)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS slot_pricing_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  days_of_week INTEGER[], -- 0 = Sunday ... 6 = Saturday; NULL = any day
+  start_time TIME, -- Slot start window (inclusive); NULL = all day
+  end_time TIME, -- Exclusive
+  holiday_date DATE, -- Applies on this date only
+  multiplier DECIMAL(4, 2) NOT NULL CHECK (multiplier > 0 AND multiplier <= 3), -- 1.2 = 20% surge, 0.9 = 10% off
+  is_active BOOLEAN DEFAULT true,
+  created_by TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (days_of_week IS NOT NULL OR start_time IS NOT NULL OR holiday_date IS NOT NULL),
+  CHECK ((start_time IS NULL) = (end_time IS NULL)),
+  CHECK (start_time IS NULL OR start_time < end_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_slot_pricing_rules_active ON slot_pricing_rules(is_active) WHERE is_active = true;
+
+DROP TRIGGER IF EXISTS update_slot_pricing_rules_updated_at ON slot_pricing_rules;
+CREATE TRIGGER update_slot_pricing_rules_updated_at
+  BEFORE UPDATE ON slot_pricing_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Slot adjustment applied to the booking's service prices
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS slot_multiplier DECIMAL(4, 2) DEFAULT 1;
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS slot_pricing_rule_id UUID REFERENCES slot_pricing_rules(id) ON DELETE SET NULL;
+
+-- Per-slot totals quoted at prepare time for booking_date
+ALTER TABLE checkout_previews ADD COLUMN IF NOT EXISTS booking_date DATE;
+ALTER TABLE checkout_previews ADD COLUMN IF NOT EXISTS slot_pricing JSONB;
@@ -0,0 +1,41 @@
+-- ============================================
+-- USER SESSIONS
+-- One row per signed-in device. Refresh tokens are stored as SHA-256 hashes and
+-- rotated on every refresh; a rotated token that is presented again revokes the session.
+-- Run this in your Supabase SQL Editor (after add_otp_security.sql)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  device_name VARCHAR(100),
+  user_agent TEXT,
+  ip_address VARCHAR(64),
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP NOT NULL, -- Extended on every refresh
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(30), -- logout | signed_out | signed_out_others | token_reuse
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id, last_used_at DESC) WHERE revoked_at IS NULL;
+
+DROP TRIGGER IF EXISTS update_user_sessions_updated_at ON user_sessions;
+CREATE TRIGGER update_user_sessions_updated_at
+  BEFORE UPDATE ON user_sessions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Every refresh token issued for a session. Rotated tokens are kept (used_at set)
+-- so that a replayed token can be recognised.
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP, -- Set when exchanged for a new token
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
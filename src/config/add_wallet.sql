@@ -0,0 +1,100 @@
+-- ============================================
+-- WALLET
+-- Store credit per user: a balance plus an append-only ledger of credits and debits
+-- Run this in your Supabase SQL Editor (after add_slot_pricing.sql)
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS wallets (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  balance DECIMAL(10, 2) NOT NULL DEFAULT 0 CHECK (balance >= 0),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_wallets_updated_at ON wallets;
+CREATE TRIGGER update_wallets_updated_at
+  BEFORE UPDATE ON wallets
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(10) NOT NULL CHECK (type IN ('credit', 'debit')),
+  amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+  balance_after DECIMAL(10, 2) NOT NULL,
+  source VARCHAR(30) NOT NULL, -- refund | referral | goodwill | adjustment | checkout | checkout_reversal
+  booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+  description TEXT,
+  reference VARCHAR(100) UNIQUE, -- Idempotency key, e.g. checkout:<booking_id>
+  actor_type VARCHAR(20) NOT NULL DEFAULT 'system', -- system | customer | admin
+  actor_id TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_user ON wallet_transactions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_booking ON wallet_transactions(booking_id) WHERE booking_id IS NOT NULL;
+
+-- Post a credit or debit and update the balance in one step.
+-- Locks the wallet row so concurrent debits cannot overdraw it.
+-- Idempotent per reference: a repeated reference returns the original transaction.
+CREATE OR REPLACE FUNCTION post_wallet_transaction(
+  p_user_id UUID,
+  p_type VARCHAR,
+  p_amount NUMERIC,
+  p_source VARCHAR,
+  p_booking_id UUID DEFAULT NULL,
+  p_description TEXT DEFAULT NULL,
+  p_reference VARCHAR DEFAULT NULL,
+  p_actor_type VARCHAR DEFAULT 'system',
+  p_actor_id TEXT DEFAULT NULL
+)
+RETURNS wallet_transactions AS $$
+DECLARE
+  v_balance NUMERIC;
+  v_transaction wallet_transactions%ROWTYPE;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Wallet amount must be positive';
+  END IF;
+
+  INSERT INTO wallets (user_id) VALUES (p_user_id) ON CONFLICT (user_id) DO NOTHING;
+  SELECT balance INTO v_balance FROM wallets WHERE user_id = p_user_id FOR UPDATE;
+
+  IF p_reference IS NOT NULL THEN
+    SELECT * INTO v_transaction FROM wallet_transactions WHERE reference = p_reference;
+    IF v_transaction.id IS NOT NULL THEN
+      RETURN v_transaction;
+    END IF;
+  END IF;
+
+  IF p_type = 'debit' THEN
+    IF v_balance < p_amount THEN
+      RAISE EXCEPTION 'Insufficient wallet balance';
+    END IF;
+    v_balance := v_balance - p_amount;
+  ELSIF p_type = 'credit' THEN
+    v_balance := v_balance + p_amount;
+  ELSE
+    RAISE EXCEPTION 'Invalid wallet transaction type';
+  END IF;
+
+  UPDATE wallets SET balance = v_balance WHERE user_id = p_user_id;
+
+  INSERT INTO wallet_transactions (
+    user_id, type, amount, balance_after, source, booking_id, description, reference, actor_type, actor_id
+  )
+  VALUES (
+    p_user_id, p_type, p_amount, v_balance, p_source, p_booking_id, p_description, p_reference,
+    COALESCE(p_actor_type, 'system'), p_actor_id
+  )
+  RETURNING * INTO v_transaction;
+
+  RETURN v_transaction;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Part of the grand total paid from the wallet; the rest is paid online or in cash
+ALTER TABLE bookings ADD COLUMN IF NOT EXISTS wallet_amount DECIMAL(10, 2) DEFAULT 0;
+
+ALTER TABLE checkout_previews ADD COLUMN IF NOT EXISTS use_wallet BOOLEAN DEFAULT false;
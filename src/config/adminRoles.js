@@ -0,0 +1,63 @@
+/**
+ * Admin roles and the permissions they grant
+ * Routes in src/routes/admin declare the permission they need with requirePermission().
+ * super_admin holds every permission ('*').
+ *
+ * Permissions are `<area>:<action>`:
+ * dashboard:read, analytics:read, bookings:read, bookings:write, invoices:read, invoices:issue, payments:read,
+ * partners:read, partners:write, catalog:read, catalog:write, users:read, wallets:read, wallets:adjust,
+ * promos:read, promos:write, pricing:read, pricing:write, cancellation_policies:read,
+ * cancellation_policies:write, notifications:read, notifications:retry
+ */
+const ROLE_PERMISSIONS = {
+  super_admin: ['*'],
+  // Day-to-day operations: bookings, partner assignment and partner management
+  ops: [
+    'dashboard:read', 'analytics:read',
+    'bookings:read', 'bookings:write', 'invoices:read', 'invoices:issue',
+    'partners:read', 'partners:write',
+    'catalog:read', 'users:read',
+    'notifications:read', 'notifications:retry'
+  ],
+  // Money: payments, invoices, wallets, promos and pricing
+  finance: [
+    'dashboard:read', 'analytics:read',
+    'bookings:read', 'invoices:read', 'invoices:issue', 'payments:read',
+    'users:read', 'wallets:read', 'wallets:adjust',
+    'promos:read', 'promos:write',
+    'pricing:read', 'pricing:write',
+    'cancellation_policies:read', 'cancellation_policies:write'
+  ],
+  // Customer support: look up customers and bookings, cancel bookings, resend messages
+  support: [
+    'dashboard:read',
+    'bookings:read', 'bookings:write', 'invoices:read',
+    'partners:read', 'users:read', 'wallets:read',
+    'cancellation_policies:read',
+    'notifications:read', 'notifications:retry'
+  ],
+  // Services, categories and their prices
+  catalog: [
+    'dashboard:read', 'analytics:read',
+    'catalog:read', 'catalog:write',
+    'pricing:read'
+  ]
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
+
+function hasPermission(role, permission) {
+  const permissions = getRolePermissions(role);
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  getRolePermissions,
+  hasPermission
+};
@@ -0,0 +1,32 @@
+/**
+ * WhatsApp templates for customer notifications
+ * Each lifecycle event maps to an Interakt template (created in Facebook Business Manager and
+ * synced in Interakt) and the booking variables that fill its body placeholders {{1}}, {{2}}, ... in order.
+ * Template names can be overridden per environment.
+ *
+ * Available variables: customer_name, booking_number, booking_date, booking_time, services,
+ * grand_total, amount_payable, partner_name, partner_phone, cancellation_fee, refund_amount,
+ * refund_destination
+ */
+module.exports = {
+  booking_confirmed: {
+    template: process.env.INTERAKT_TEMPLATE_BOOKING_CONFIRMED || 'booking_confirmed',
+    languageCode: 'en',
+    bodyValues: ['customer_name', 'booking_number', 'services', 'booking_date', 'booking_time', 'grand_total']
+  },
+  partner_assigned: {
+    template: process.env.INTERAKT_TEMPLATE_PARTNER_ASSIGNED || 'partner_assigned',
+    languageCode: 'en',
+    bodyValues: ['customer_name', 'partner_name', 'booking_number', 'booking_date', 'booking_time']
+  },
+  booking_cancelled: {
+    template: process.env.INTERAKT_TEMPLATE_BOOKING_CANCELLED || 'booking_cancelled',
+    languageCode: 'en',
+    bodyValues: ['customer_name', 'booking_number', 'cancellation_fee']
+  },
+  refund_issued: {
+    template: process.env.INTERAKT_TEMPLATE_REFUND_ISSUED || 'refund_issued',
+    languageCode: 'en',
+    bodyValues: ['customer_name', 'refund_amount', 'booking_number', 'refund_destination']
+  }
+};
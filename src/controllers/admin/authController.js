@@ -1,5 +1,6 @@
 const supabase = require('../../config/supabase');
 const bcrypt = require('bcryptjs');
+const { ADMIN_ROLES, getRolePermissions } = require('../../config/adminRoles');
 const { generateAccessToken } = require('../../utils/jwt');
 const { successResponse, errorResponse } = require('../../utils/response');
 const logger = require('../../utils/logger');
@@ -33,11 +34,21 @@ async function adminLogin(req, res) {
       return errorResponse(res, { message: 'Invalid credentials' }, 401);
     }
 
+    if (!admin.is_active) {
+      return errorResponse(res, { message: 'This admin account is disabled' }, 403);
+    }
+
+    if (!ADMIN_ROLES.includes(admin.role)) {
+      logger.error(`Admin ${admin.id} has unknown role ${admin.role}`);
+      return errorResponse(res, { message: 'This admin account has no valid role. Ask a super admin to assign one.' }, 403);
+    }
+
     // Generate token
     const tokenPayload = {
       adminId: admin.id,
       email: admin.email,
-      role: admin.role
+      role: admin.role,
+      type: 'admin'
     };
 
     const token = generateAccessToken(tokenPayload);
@@ -54,7 +65,8 @@ async function adminLogin(req, res) {
         id: admin.id,
         email: admin.email,
         name: admin.name,
-        role: admin.role
+        role: admin.role,
+        permissions: getRolePermissions(admin.role)
       }
     });
   } catch (error) {
@@ -63,7 +75,15 @@ async function adminLogin(req, res) {
   }
 }
 
+/**
+ * Signed-in admin with the permissions of their role
+ */
+async function getAdminProfile(req, res) {
+  return successResponse(res, req.admin);
+}
+
 module.exports = {
-  adminLogin
+  adminLogin,
+  getAdminProfile
 };
 
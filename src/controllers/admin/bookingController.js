@@ -1,6 +1,18 @@
 const supabase = require('../../config/supabase');
 const { successResponse, errorResponse } = require('../../utils/response');
 const logger = require('../../utils/logger');
+const { releasePromoCode } = require('../../services/promoService');
+const { autoAssignPartner, QUEUE_STATUS } = require('../../services/partnerAssignmentService');
+const { STATUSES, transitionBooking, recordBookingEvent } = require('../../services/bookingLifecycleService');
+const { refundCancelledBooking } = require('../../services/refundService');
+const { getPolicyForBooking, calculateCancellation } = require('../../services/cancellationPolicyService');
+const { getBookingInvoice, issueInvoice, issueInvoiceOnCompletion } = require('../../services/invoiceService');
+const { getPayoutForPartner } = require('../../services/pricingRuleService');
+const { renderInvoicePdf, sendInvoicePdf } = require('../../utils/invoicePdf');
+const { notifyCustomer, notifyBookingEvent } = require('../../services/notificationService');
+
+// Admins can move bookings to any status except refunded, which only the refund flow sets
+const ADMIN_STATUSES = STATUSES.filter(status => status !== 'refunded');
 
 /**
  * Get all bookings (admin)
@@ -97,9 +109,16 @@ async function getAdminBookingById(req, res) {
       .eq('booking_id', id)
       .single();
 
+    const { data: refunds } = await supabase
+      .from('refunds')
+      .select('*')
+      .eq('booking_id', id)
+      .order('created_at', { ascending: false });
+
     return successResponse(res, {
       booking,
-      payment: payment || null
+      payment: payment || null,
+      refunds: refunds || []
     });
   } catch (error) {
     logger.error('Get admin booking by ID error:', error);
@@ -109,35 +128,148 @@ async function getAdminBookingById(req, res) {
 
 /**
  * Update booking status
+ * Only transitions allowed by the booking lifecycle are accepted. Cancelling refunds what was
+ * paid through the same wallet/Razorpay split as a customer cancellation. Confirming accepts the
+ * job for the assigned partner, so a booking without one must go through assign-partner first.
  */
 async function updateBookingStatus(req, res) {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason, refund_to = 'original', apply_cancellation_fee = false } = req.body;
 
     if (!status) {
       return errorResponse(res, { message: 'Status is required' }, 400);
     }
 
-    const { data: booking, error } = await supabase
-      .from('bookings')
-      .update({
-        status,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', id)
-      .select()
-      .single();
+    if (!ADMIN_STATUSES.includes(status)) {
+      return errorResponse(res, {
+        message: status === 'refunded'
+          ? 'Bookings are marked refunded by the refund flow. Cancel the booking or issue a refund instead.'
+          : `Status must be one of: ${ADMIN_STATUSES.join(', ')}`
+      }, 400);
+    }
 
-    if (error) {
-      logger.error('Update booking status error:', error);
-      throw new Error('Failed to update booking status');
+    if (!['original', 'wallet'].includes(refund_to)) {
+      return errorResponse(res, { message: "refund_to must be 'original' or 'wallet'" }, 400);
+    }
+
+    let updates = {};
+    let conditions = {};
+    let metadata = {};
+    let cancellation = null;
+    let current = null;
+
+    if (status === 'confirmed') {
+      const { data: booking } = await supabase
+        .from('bookings')
+        .select('id, partner_id')
+        .eq('id', id)
+        .single();
+
+      if (!booking) {
+        return errorResponse(res, { message: 'Booking not found' }, 404);
+      }
+
+      if (!booking.partner_id) {
+        return errorResponse(res, { message: 'Assign a partner before confirming this booking' }, 409);
+      }
+
+      // The partner must not change between this check and the update
+      conditions = { partner_id: booking.partner_id };
+      updates = {
+        assignment_status: 'accepted',
+        accepted_at: new Date().toISOString()
+      };
+      metadata = { partner_id: booking.partner_id };
+    }
+
+    if (status === 'cancelled') {
+      const { data: booking } = await supabase
+        .from('bookings')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (!booking) {
+        return errorResponse(res, { message: 'Booking not found' }, 404);
+      }
+
+      current = booking;
+
+      // A cancellation by us is refunded in full unless the admin applies the policy fee
+      // (e.g. the customer asked support to cancel late)
+      if (apply_cancellation_fee === true || apply_cancellation_fee === 'true') {
+        const policy = await getPolicyForBooking(booking);
+        cancellation = calculateCancellation(booking, policy);
+        metadata = { cancellation_policy_version: policy.version };
+      } else {
+        cancellation = { cancellation_fee: 0, refund_amount: parseFloat(booking.grand_total || 0) };
+      }
+
+      updates = {
+        cancellation_reason: reason || 'Cancelled by admin',
+        cancellation_fee: cancellation.cancellation_fee,
+        refund_amount: cancellation.refund_amount
+      };
+    }
+
+    const booking = await transitionBooking(id, status, {
+      actorType: 'admin',
+      actorId: req.admin?.id,
+      reason: reason || null,
+      conditions,
+      updates,
+      metadata
+    });
+
+    if (status === 'cancelled') {
+      if (booking?.promo_code) {
+        await releasePromoCode(id, 'cancelled_by_admin');
+      }
+
+      await notifyCustomer('booking_cancelled', booking);
+
+      const { refund, walletCredit } = await refundCancelledBooking({
+        booking: current,
+        refundAmount: cancellation.refund_amount,
+        refundTo: refund_to,
+        reason: reason || 'Cancelled by admin',
+        actorType: 'admin',
+        actorId: req.admin?.id
+      });
+
+      return successResponse(res, {
+        booking,
+        refund_amount: cancellation.refund_amount,
+        cancellation_fee: cancellation.cancellation_fee,
+        refund: refund && {
+          id: refund.id,
+          amount: refund.amount,
+          status: refund.status
+        },
+        wallet_refund: walletCredit && {
+          id: walletCredit.id,
+          amount: walletCredit.amount,
+          balance_after: walletCredit.balance_after
+        }
+      }, 'Booking cancelled');
+    }
+
+    if (status === 'completed') {
+      await issueInvoiceOnCompletion(id);
+    }
+
+    // Customers hear about their partner once the job is accepted
+    if (status === 'confirmed') {
+      await notifyBookingEvent('partner_assigned', id, {
+        dedupeKey: `partner_assigned:${id}:${booking.partner_id}`
+      });
     }
 
     return successResponse(res, booking, 'Booking status updated');
   } catch (error) {
     logger.error('Update booking status error:', error);
-    return errorResponse(res, error, 500);
+    return errorResponse(res, error, error.statusCode || 500);
   }
 }
 
@@ -165,37 +297,175 @@ async function assignPartner(req, res) {
       return errorResponse(res, { message: 'Partner not found or inactive' }, 404);
     }
 
-    // Update booking
-    const { data: booking, error } = await supabase
+    const { data: existing } = await supabase
       .from('bookings')
-      .update({
-        partner_id,
-        assignment_status: 'assigned',
-        assigned_at: new Date().toISOString(),
-        status: 'pending',
-        updated_at: new Date().toISOString()
-      })
+      .select('*')
       .eq('id', id)
-      .select()
       .single();
 
-    if (error) {
-      logger.error('Assign partner error:', error);
-      throw new Error('Failed to assign partner');
+    if (!existing) {
+      return errorResponse(res, { message: 'Booking not found' }, 404);
+    }
+
+    const assignment = {
+      partner_id,
+      partner_payout: await getPayoutForPartner(existing, partner_id),
+      assignment_status: 'assigned',
+      assignment_failure_reason: null,
+      assigned_at: new Date().toISOString(),
+      accepted_at: null
+    };
+
+    let booking;
+    if (existing.status === 'confirmed') {
+      // Reassigning an accepted booking: the new partner has to accept it again
+      booking = await transitionBooking(id, 'pending', {
+        actorType: 'admin',
+        actorId: req.admin?.id,
+        reason: 'Partner reassigned',
+        updates: assignment
+      });
+    } else if (existing.status === 'pending') {
+      const { data: updated, error } = await supabase
+        .from('bookings')
+        .update(assignment)
+        .eq('id', id)
+        .eq('status', 'pending')
+        .select()
+        .single();
+
+      if (error || !updated) {
+        logger.error('Assign partner error:', error);
+        throw new Error('Failed to assign partner');
+      }
+      booking = updated;
+    } else {
+      return errorResponse(res, { message: `Cannot assign a partner to a ${existing.status} booking` }, 409);
     }
 
+    await recordBookingEvent(id, {
+      eventType: 'partner_assigned',
+      actorType: 'admin',
+      actorId: req.admin?.id,
+      metadata: {
+        partner_id,
+        partner_name: partner.name,
+        previous_partner_id: existing.partner_id || null
+      }
+    });
+
     return successResponse(res, {
       booking,
       partner
     }, 'Partner assigned successfully');
   } catch (error) {
     logger.error('Assign partner error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Get bookings waiting for manual partner assignment (admin)
+ */
+async function getAssignmentQueue(req, res) {
+  try {
+    const { data: bookings, error } = await supabase
+      .from('bookings')
+      .select('*, users(id, phone_number, name), user_addresses(*)')
+      .eq('assignment_status', QUEUE_STATUS)
+      .is('partner_id', null)
+      .not('status', 'in', '(cancelled,refunded,completed)')
+      .order('booking_date', { ascending: true })
+      .order('booking_time', { ascending: true })
+      .limit(100);
+
+    if (error) {
+      logger.error('Get assignment queue error:', error);
+      throw new Error('Failed to fetch assignment queue');
+    }
+
+    return successResponse(res, bookings || []);
+  } catch (error) {
+    logger.error('Get assignment queue error:', error);
     return errorResponse(res, error, 500);
   }
 }
 
+/**
+ * Re-run automatic partner assignment for a booking (admin)
+ */
+async function retryAutoAssign(req, res) {
+  try {
+    const { id } = req.params;
+
+    const result = await autoAssignPartner(id);
+
+    if (!result.assigned) {
+      return errorResponse(res, { message: result.reason || 'No partner could be assigned' }, 409);
+    }
+
+    return successResponse(res, result, 'Partner assigned successfully');
+  } catch (error) {
+    logger.error('Retry auto-assign error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+const ACTOR_LABELS = {
+  system: 'System',
+  customer: 'Customer',
+  partner: 'Partner',
+  admin: 'Admin'
+};
+
+const STATUS_LABELS = {
+  pending: 'pending',
+  confirmed: 'confirmed',
+  partner_arrived: 'partner arrived',
+  in_progress: 'in progress',
+  completed: 'completed',
+  cancelled: 'cancelled',
+  refunded: 'refunded'
+};
+
+/**
+ * Human-readable description of a booking event
+ */
+function describeBookingEvent(event) {
+  const metadata = event.metadata || {};
+  const withReason = text => (event.reason ? `${text}: ${event.reason}` : text);
+
+  switch (event.event_type) {
+    case 'created':
+      return 'Booking created';
+    case 'status_changed':
+      return withReason(`Status changed from ${STATUS_LABELS[event.from_status] || event.from_status} to ${STATUS_LABELS[event.to_status] || event.to_status}`);
+    case 'partner_assigned':
+      return metadata.partner_name ? `Partner assigned: ${metadata.partner_name}` : 'Partner assigned';
+    case 'partner_rejected':
+      return withReason('Partner rejected booking');
+    case 'assignment_queued':
+      return withReason('Queued for manual partner assignment');
+    case 'payment_captured':
+      return 'Payment received';
+    case 'payment_failed':
+      return withReason('Payment failed');
+    case 'rescheduled':
+      return withReason(`Rescheduled from ${metadata.from_date} ${metadata.from_time} to ${metadata.to_date} ${metadata.to_time}`);
+    case 'refund_initiated':
+      return `Refund of ₹${metadata.amount} initiated`;
+    case 'refund_processed':
+      return `Refund of ₹${metadata.amount} processed`;
+    case 'refund_failed':
+      return withReason(`Refund of ₹${metadata.amount} failed`);
+    default:
+      return withReason(event.event_type.replace(/_/g, ' '));
+  }
+}
+
 /**
  * Get booking timeline (admin)
+ * Built from the booking_events history
  */
 async function getAdminBookingTimeline(req, res) {
   try {
@@ -212,11 +482,30 @@ async function getAdminBookingTimeline(req, res) {
       return errorResponse(res, { message: 'Booking not found' }, 404);
     }
 
-    // Build timeline from booking data
-    const timeline = [];
+    const { data: events, error: eventsError } = await supabase
+      .from('booking_events')
+      .select('*')
+      .eq('booking_id', id)
+      .order('created_at', { ascending: true });
+
+    if (eventsError) {
+      logger.error('Get booking events error:', eventsError);
+      throw new Error('Failed to fetch booking timeline');
+    }
+
+    const timeline = (events || []).map(event => ({
+      id: event.id,
+      description: describeBookingEvent(event),
+      timestamp: event.created_at,
+      user: ACTOR_LABELS[event.actor_type] || 'System',
+      type: event.event_type,
+      from_status: event.from_status,
+      to_status: event.to_status,
+      reason: event.reason
+    }));
 
-    // Booking created
-    if (booking.created_at) {
+    // Bookings without any recorded history still show when they were created
+    if (!timeline.some(item => item.type === 'created') && booking.created_at) {
       timeline.push({
         id: `created-${booking.id}`,
         description: 'Booking created',
@@ -226,60 +515,6 @@ async function getAdminBookingTimeline(req, res) {
       });
     }
 
-    // Status changes
-    if (booking.status) {
-      const statusMessages = {
-        pending: 'Status set to pending',
-        confirmed: 'Status changed to confirmed',
-        completed: 'Status changed to completed',
-        cancelled: 'Status changed to cancelled',
-        refunded: 'Status changed to refunded'
-      };
-      
-      timeline.push({
-        id: `status-${booking.status}-${booking.id}`,
-        description: statusMessages[booking.status] || `Status changed to ${booking.status}`,
-        timestamp: booking.updated_at || booking.created_at,
-        user: 'Admin',
-        type: 'status_change'
-      });
-    }
-
-    // Partner assigned
-    if (booking.assigned_at && booking.partner_id) {
-      timeline.push({
-        id: `assigned-${booking.id}`,
-        description: 'Partner assigned',
-        timestamp: booking.assigned_at,
-        user: 'Admin',
-        type: 'partner_assigned'
-      });
-    }
-
-    // Partner accepted
-    if (booking.accepted_at) {
-      timeline.push({
-        id: `accepted-${booking.id}`,
-        description: 'Partner accepted booking',
-        timestamp: booking.accepted_at,
-        user: 'Partner',
-        type: 'accepted'
-      });
-    }
-
-    // Cancelled
-    if (booking.cancelled_at) {
-      timeline.push({
-        id: `cancelled-${booking.id}`,
-        description: booking.cancellation_reason 
-          ? `Booking cancelled: ${booking.cancellation_reason}`
-          : 'Booking cancelled',
-        timestamp: booking.cancelled_at,
-        user: booking.status === 'cancelled' ? 'Admin' : 'System',
-        type: 'cancelled'
-      });
-    }
-
     // Get admin notes if they exist
     if (booking.admin_notes && Array.isArray(booking.admin_notes)) {
       booking.admin_notes.forEach((note, index) => {
@@ -305,97 +540,47 @@ async function getAdminBookingTimeline(req, res) {
 
 /**
  * Get booking invoice (admin)
+ * Only returns an issued invoice; 404 until one is issued.
  */
 async function getAdminBookingInvoice(req, res) {
   try {
-    const { id } = req.params;
+    const invoice = await getBookingInvoice(req.params.id);
 
-    // Get booking with all related data
-    const { data: booking, error: bookingError } = await supabase
-      .from('bookings')
-      .select('*, users(*), partners(*), user_addresses(*)')
-      .eq('id', id)
-      .single();
-
-    if (bookingError || !booking) {
-      return errorResponse(res, { message: 'Booking not found' }, 404);
-    }
-
-    // Parse services if needed
-    let servicesArray = [];
-    if (booking.services) {
-      if (typeof booking.services === 'string') {
-        try {
-          servicesArray = JSON.parse(booking.services);
-        } catch (e) {
-          logger.error('Error parsing services JSON:', e);
-          servicesArray = [];
-        }
-      } else if (Array.isArray(booking.services)) {
-        servicesArray = booking.services;
-      }
-    }
+    return successResponse(res, invoice);
+  } catch (error) {
+    logger.error('Get admin booking invoice error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
 
-    // Get payment info
-    const { data: payment } = await supabase
-      .from('payments')
-      .select('*')
-      .eq('booking_id', id)
-      .single();
+/**
+ * Issue the invoice of a completed booking (admin)
+ * For when issuing on completion failed; returns the existing invoice if there is one.
+ */
+async function issueAdminBookingInvoice(req, res) {
+  try {
+    await issueInvoice(req.params.id);
+    const invoice = await getBookingInvoice(req.params.id);
 
-    // Format address
-    const address = booking.user_addresses || (Array.isArray(booking.user_addresses) ? booking.user_addresses[0] : null);
-    const addressString = address 
-      ? `${address.address_line1 || ''}${address.address_line2 ? ', ' + address.address_line2 : ''}, ${address.city || ''}, ${address.state || ''} - ${address.pincode || ''}`.trim()
-      : 'Address not available';
-
-    // Build invoice items from services
-    const invoiceItems = servicesArray.map(service => ({
-      service_name: service.name || service.service_name || 'Service',
-      quantity: service.quantity || service.qty || 1,
-      price: service.price || service.unit_price || service.productCost || service.marketPrice || service.product_cost || 0,
-      total: (service.price || service.unit_price || service.productCost || service.marketPrice || service.product_cost || 0) * (service.quantity || service.qty || 1)
-    }));
+    return successResponse(res, invoice, 'Invoice issued');
+  } catch (error) {
+    logger.error('Issue admin booking invoice error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
 
-    // Generate invoice number (using booking number as base)
-    const invoiceNumber = `INV-${booking.booking_number}`;
-
-    // Build invoice object
-    const invoice = {
-      invoice_number: invoiceNumber,
-      booking_number: booking.booking_number,
-      date: booking.booking_date,
-      time: booking.booking_time,
-      customer: {
-        name: booking.users?.name || booking.customer_name || 'N/A',
-        phone: booking.users?.phone_number || booking.customer_phone || 'N/A',
-        email: booking.users?.email || booking.customer_email || null,
-        address: addressString
-      },
-      items: invoiceItems,
-      subtotal: booking.total_price || 0,
-      tax: booking.tax || 0,
-      discount: booking.discount || 0,
-      grand_total: booking.grand_total || booking.total_price || 0,
-      payment: {
-        method: booking.payment_method || payment?.payment_method || 'N/A',
-        status: booking.payment_status || payment?.status || 'pending',
-        razorpay_order_id: booking.razorpay_order_id || payment?.razorpay_order_id || null,
-        razorpay_payment_id: booking.razorpay_payment_id || payment?.razorpay_payment_id || null
-      },
-      status: booking.status,
-      promo_code: booking.promo_code || null,
-      partner: booking.partners ? {
-        name: booking.partners.name,
-        code: booking.partners.partner_code
-      } : null,
-      created_at: booking.created_at
-    };
+/**
+ * Download booking invoice as PDF (admin)
+ */
+async function getAdminBookingInvoicePdf(req, res) {
+  try {
+    const invoice = await getBookingInvoice(req.params.id);
+    const pdf = await renderInvoicePdf(invoice);
 
-    return successResponse(res, invoice);
+    return sendInvoicePdf(res, invoice, pdf);
   } catch (error) {
-    logger.error('Get admin booking invoice error:', error);
-    return errorResponse(res, error, 500);
+    logger.error('Get admin booking invoice PDF error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
   }
 }
 
@@ -405,6 +590,10 @@ module.exports = {
   updateBookingStatus,
   assignPartner,
   getAdminBookingTimeline,
-  getAdminBookingInvoice
+  getAdminBookingInvoice,
+  issueAdminBookingInvoice,
+  getAdminBookingInvoicePdf,
+  getAssignmentQueue,
+  retryAutoAssign
 };
 
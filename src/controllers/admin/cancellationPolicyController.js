@@ -0,0 +1,229 @@
+const supabase = require('../../config/supabase');
+const { successResponse, errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+const { PARTNER_STATUSES } = require('../../services/cancellationPolicyService');
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate and normalize fee tiers
+ * Returns { tiers } or { error }
+ */
+function parseTiers(tiers) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return { error: 'tiers must be a non-empty array' };
+  }
+
+  const parsed = [];
+  for (const [index, tier] of tiers.entries()) {
+    const position = `tiers[${index}]`;
+
+    if (!tier || typeof tier !== 'object') {
+      return { error: `${position} must be an object` };
+    }
+    if (!tier.label || typeof tier.label !== 'string') {
+      return { error: `${position}.label is required` };
+    }
+    if (!isNonNegativeNumber(tier.fee_percent) || tier.fee_percent > 100) {
+      return { error: `${position}.fee_percent must be a number between 0 and 100` };
+    }
+    if (tier.fee_flat !== undefined && !isNonNegativeNumber(tier.fee_flat)) {
+      return { error: `${position}.fee_flat must be a non-negative number` };
+    }
+    if (tier.min_hours_before !== undefined && !isNonNegativeNumber(tier.min_hours_before)) {
+      return { error: `${position}.min_hours_before must be a non-negative number` };
+    }
+    if (tier.partner_statuses !== undefined &&
+        (!Array.isArray(tier.partner_statuses) || !tier.partner_statuses.every(status => PARTNER_STATUSES.includes(status)))) {
+      return { error: `${position}.partner_statuses must only contain: ${PARTNER_STATUSES.join(', ')}` };
+    }
+
+    parsed.push({
+      label: tier.label.trim(),
+      ...(tier.partner_statuses?.length && { partner_statuses: tier.partner_statuses }),
+      ...(tier.min_hours_before !== undefined && { min_hours_before: tier.min_hours_before }),
+      fee_percent: tier.fee_percent,
+      ...(tier.fee_flat && { fee_flat: tier.fee_flat })
+    });
+  }
+
+  // Every cancellation must land on some tier
+  const last = parsed[parsed.length - 1];
+  if (last.partner_statuses || last.min_hours_before !== undefined) {
+    return { error: 'The last tier must have no conditions (it applies when no other tier matches)' };
+  }
+
+  return { tiers: parsed };
+}
+
+/**
+ * List all policy versions (admin)
+ */
+async function getCancellationPolicies(req, res) {
+  try {
+    const { data: policies, error } = await supabase
+      .from('cancellation_policies')
+      .select('*')
+      .order('version', { ascending: false });
+
+    if (error) {
+      logger.error('Get cancellation policies error:', error);
+      throw new Error('Failed to fetch cancellation policies');
+    }
+
+    return successResponse(res, policies || []);
+  } catch (error) {
+    logger.error('Get cancellation policies error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Get a policy version (admin)
+ */
+async function getCancellationPolicyById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: policy, error } = await supabase
+      .from('cancellation_policies')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !policy) {
+      return errorResponse(res, { message: 'Cancellation policy not found' }, 404);
+    }
+
+    return successResponse(res, policy);
+  } catch (error) {
+    logger.error('Get cancellation policy error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Publish a new policy version (admin)
+ * Versions are immutable; pass `activate: true` to make it apply to new bookings straight away
+ */
+async function createCancellationPolicy(req, res) {
+  try {
+    const {
+      name,
+      description,
+      free_cancellation_minutes = 0,
+      reschedule_cutoff_hours = 2,
+      max_reschedules = 2,
+      tiers,
+      activate = false
+    } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return errorResponse(res, { message: 'Name is required' }, 400);
+    }
+
+    if (!Number.isInteger(free_cancellation_minutes) || free_cancellation_minutes < 0) {
+      return errorResponse(res, { message: 'free_cancellation_minutes must be a non-negative integer' }, 400);
+    }
+
+    if (!isNonNegativeNumber(reschedule_cutoff_hours)) {
+      return errorResponse(res, { message: 'reschedule_cutoff_hours must be a non-negative number' }, 400);
+    }
+
+    if (!Number.isInteger(max_reschedules) || max_reschedules < 0) {
+      return errorResponse(res, { message: 'max_reschedules must be a non-negative integer' }, 400);
+    }
+
+    const { tiers: parsedTiers, error: tiersError } = parseTiers(tiers);
+    if (tiersError) {
+      return errorResponse(res, { message: tiersError }, 400);
+    }
+
+    const { data: latest } = await supabase
+      .from('cancellation_policies')
+      .select('version')
+      .order('version', { ascending: false })
+      .limit(1);
+
+    const version = (latest && latest.length > 0 ? latest[0].version : 0) + 1;
+
+    const { data: policy, error } = await supabase
+      .from('cancellation_policies')
+      .insert({
+        version,
+        name: name.trim(),
+        description: description || null,
+        free_cancellation_minutes,
+        reschedule_cutoff_hours,
+        max_reschedules,
+        tiers: parsedTiers,
+        is_active: false,
+        created_by: req.admin?.id ? String(req.admin.id) : null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique version: another admin published at the same time
+      if (error.code === '23505') {
+        return errorResponse(res, { message: 'Another policy version was just published. Please retry.' }, 409);
+      }
+      logger.error('Create cancellation policy error:', error);
+      throw new Error('Failed to create cancellation policy');
+    }
+
+    if (activate) {
+      const { data: activated, error: activateError } = await supabase.rpc('activate_cancellation_policy', {
+        p_policy_id: policy.id
+      });
+
+      if (activateError) {
+        logger.error('Activate cancellation policy error:', activateError);
+        throw new Error('Policy created but could not be activated');
+      }
+
+      return successResponse(res, activated, 'Cancellation policy created and activated', 201);
+    }
+
+    return successResponse(res, policy, 'Cancellation policy created', 201);
+  } catch (error) {
+    logger.error('Create cancellation policy error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Make a policy version the one applied to new bookings (admin)
+ * Existing bookings keep the version they were made under
+ */
+async function activateCancellationPolicy(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: policy, error } = await supabase.rpc('activate_cancellation_policy', {
+      p_policy_id: id
+    });
+
+    if (error) {
+      if (error.message && error.message.includes('not found')) {
+        return errorResponse(res, { message: 'Cancellation policy not found' }, 404);
+      }
+      logger.error('Activate cancellation policy error:', error);
+      throw new Error('Failed to activate cancellation policy');
+    }
+
+    return successResponse(res, policy, 'Cancellation policy activated');
+  } catch (error) {
+    logger.error('Activate cancellation policy error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+module.exports = {
+  getCancellationPolicies,
+  getCancellationPolicyById,
+  createCancellationPolicy,
+  activateCancellationPolicy
+};
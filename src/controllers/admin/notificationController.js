@@ -0,0 +1,58 @@
+const supabase = require('../../config/supabase');
+const { successResponse, errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+const { retryNotification } = require('../../services/notificationService');
+
+/**
+ * Customer notification delivery log (admin)
+ */
+async function getNotifications(req, res) {
+  try {
+    const { status, event, booking_id, limit = 100 } = req.query;
+
+    let query = supabase
+      .from('notification_logs')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(limit) || 100, 500));
+
+    if (status) query = query.eq('status', status);
+    if (event) query = query.eq('event', event);
+    if (booking_id) query = query.eq('booking_id', booking_id);
+
+    const { data: notifications, error } = await query;
+
+    if (error) {
+      logger.error('Get notifications error:', error);
+      throw new Error('Failed to fetch notifications');
+    }
+
+    return successResponse(res, notifications || []);
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Send a failed notification again (admin)
+ */
+async function retryFailedNotification(req, res) {
+  try {
+    const notification = await retryNotification(req.params.id);
+
+    return successResponse(
+      res,
+      notification,
+      notification.status === 'sent' ? 'Notification sent' : 'Notification could not be sent'
+    );
+  } catch (error) {
+    logger.error('Retry notification error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+module.exports = {
+  getNotifications,
+  retryFailedNotification
+};
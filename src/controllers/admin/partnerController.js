@@ -1,6 +1,7 @@
 const supabase = require('../../config/supabase');
 const { successResponse, errorResponse } = require('../../utils/response');
 const logger = require('../../utils/logger');
+const { parseSlotTime } = require('../../utils/timeSlots');
 
 /**
  * Get all partners
@@ -135,10 +136,120 @@ async function updatePartner(req, res) {
   }
 }
 
+/**
+ * Get partner weekly working hours
+ */
+async function getPartnerWorkingHours(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: hours, error } = await supabase
+      .from('partner_working_hours')
+      .select('*')
+      .eq('partner_id', id)
+      .order('day_of_week', { ascending: true });
+
+    if (error) {
+      logger.error('Get partner working hours error:', error);
+      throw new Error('Failed to fetch working hours');
+    }
+
+    return successResponse(res, {
+      partner_id: id,
+      uses_default_hours: (hours || []).length === 0,
+      hours: hours || []
+    });
+  } catch (error) {
+    logger.error('Get partner working hours error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Replace partner weekly working hours
+ * Days left out are days off; an empty list restores the default hours
+ */
+async function setPartnerWorkingHours(req, res) {
+  try {
+    const { id } = req.params;
+    const { hours } = req.body;
+
+    if (!Array.isArray(hours)) {
+      return errorResponse(res, { message: 'hours must be an array of { day_of_week, start_time, end_time }' }, 400);
+    }
+
+    const days = new Set();
+    for (const row of hours) {
+      const day = Number(row.day_of_week);
+      const start = parseSlotTime(row.start_time);
+      const end = parseSlotTime(row.end_time);
+
+      if (!Number.isInteger(day) || day < 0 || day > 6 || days.has(day)) {
+        return errorResponse(res, { message: 'Each day_of_week must be a unique integer from 0 (Sunday) to 6' }, 400);
+      }
+      if (start === null || end === null || start >= end) {
+        return errorResponse(res, { message: `Invalid working hours for day ${day}` }, 400);
+      }
+      days.add(day);
+    }
+
+    const { data: partner } = await supabase
+      .from('partners')
+      .select('id')
+      .eq('id', id)
+      .single();
+
+    if (!partner) {
+      return errorResponse(res, { message: 'Partner not found' }, 404);
+    }
+
+    const { error: deleteError } = await supabase
+      .from('partner_working_hours')
+      .delete()
+      .eq('partner_id', id);
+
+    if (deleteError) {
+      logger.error('Clear partner working hours error:', deleteError);
+      throw new Error('Failed to update working hours');
+    }
+
+    let saved = [];
+    if (hours.length > 0) {
+      const { data, error } = await supabase
+        .from('partner_working_hours')
+        .insert(hours.map(row => ({
+          partner_id: id,
+          day_of_week: Number(row.day_of_week),
+          start_time: row.start_time,
+          end_time: row.end_time,
+          is_active: row.is_active !== false
+        })))
+        .select();
+
+      if (error) {
+        logger.error('Save partner working hours error:', error);
+        throw new Error('Failed to update working hours');
+      }
+      saved = data || [];
+    }
+
+    return successResponse(res, {
+      partner_id: id,
+      uses_default_hours: saved.length === 0,
+      hours: saved
+    }, 'Working hours updated successfully');
+  } catch (error) {
+    logger.error('Set partner working hours error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
 module.exports = {
   getAdminPartners,
   getAdminPartnerById,
   createPartner,
-  updatePartner
+  updatePartner,
+  getPartnerWorkingHours,
+  setPartnerWorkingHours
 };
 
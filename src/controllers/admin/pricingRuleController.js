@@ -0,0 +1,284 @@
+const supabase = require('../../config/supabase');
+const { successResponse, errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+const { getCurrentPricingRules } = require('../../services/pricingRuleService');
+
+function isPercent(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate platform fee slabs
+ * Returns { slabs } or { error }
+ */
+function parseFeeSlabs(slabs) {
+  if (!Array.isArray(slabs) || slabs.length === 0) {
+    return { error: 'platform_fee_slabs must be a non-empty array' };
+  }
+
+  const parsed = [];
+  for (const [index, slab] of slabs.entries()) {
+    const position = `platform_fee_slabs[${index}]`;
+    const isLast = index === slabs.length - 1;
+
+    if (!slab || typeof slab !== 'object') {
+      return { error: `${position} must be an object` };
+    }
+    if (!isNonNegativeNumber(slab.fee)) {
+      return { error: `${position}.fee must be a non-negative number` };
+    }
+    if (isLast) {
+      // Every order value must land on some slab
+      if (slab.max !== null && slab.max !== undefined) {
+        return { error: 'The last slab must have max: null (it applies above all other slabs)' };
+      }
+    } else {
+      if (!isNonNegativeNumber(slab.max) || slab.max === 0) {
+        return { error: `${position}.max must be a positive number` };
+      }
+      if (parsed.length > 0 && slab.max <= parsed[parsed.length - 1].max) {
+        return { error: 'platform_fee_slabs must be in increasing order of max' };
+      }
+    }
+
+    parsed.push({ max: isLast ? null : slab.max, fee: slab.fee });
+  }
+
+  return { slabs: parsed };
+}
+
+/**
+ * Validate partner commission rules
+ * Returns { rules } or { error }
+ */
+function parseCommissionRules(rules) {
+  if (!Array.isArray(rules)) {
+    return { error: 'commission_rules must be an array' };
+  }
+
+  const parsed = [];
+  const seen = new Set();
+  for (const [index, rule] of rules.entries()) {
+    const position = `commission_rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object') {
+      return { error: `${position} must be an object` };
+    }
+    if (!rule.partner_id && !rule.category && !rule.tier) {
+      return { error: `${position} must set at least one of partner_id, category or tier` };
+    }
+    if (['partner_id', 'category', 'tier'].some(field => rule[field] !== undefined && typeof rule[field] !== 'string')) {
+      return { error: `${position}: partner_id, category and tier must be strings` };
+    }
+    if (!isPercent(rule.payout_percent)) {
+      return { error: `${position}.payout_percent must be a number between 0 and 100` };
+    }
+
+    const key = `${rule.partner_id || ''}|${rule.category || ''}|${rule.tier || ''}`;
+    if (seen.has(key)) {
+      return { error: `${position} duplicates an earlier rule for the same partner, category and tier` };
+    }
+    seen.add(key);
+
+    parsed.push({
+      ...(rule.partner_id && { partner_id: rule.partner_id }),
+      ...(rule.category && { category: rule.category }),
+      ...(rule.tier && { tier: rule.tier }),
+      payout_percent: rule.payout_percent
+    });
+  }
+
+  return { rules: parsed };
+}
+
+/**
+ * List all pricing rule versions (admin)
+ */
+async function getPricingRules(req, res) {
+  try {
+    const { data: versions, error } = await supabase
+      .from('pricing_rule_versions')
+      .select('*')
+      .order('version', { ascending: false });
+
+    if (error) {
+      logger.error('Get pricing rules error:', error);
+      throw new Error('Failed to fetch pricing rules');
+    }
+
+    return successResponse(res, versions || []);
+  } catch (error) {
+    logger.error('Get pricing rules error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Pricing rules in effect now (admin)
+ */
+async function getActivePricingRules(req, res) {
+  try {
+    const rules = await getCurrentPricingRules();
+
+    return successResponse(res, rules);
+  } catch (error) {
+    logger.error('Get active pricing rules error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Get a pricing rule version (admin)
+ */
+async function getPricingRuleById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: rules, error } = await supabase
+      .from('pricing_rule_versions')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !rules) {
+      return errorResponse(res, { message: 'Pricing rule version not found' }, 404);
+    }
+
+    return successResponse(res, rules);
+  } catch (error) {
+    logger.error('Get pricing rule version error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Publish a new pricing rule version (admin)
+ * Versions are immutable and take effect at `effective_from` (default: now); bookings keep the
+ * version they were priced under
+ */
+async function createPricingRules(req, res) {
+  try {
+    const {
+      name,
+      description,
+      platform_fee_slabs,
+      default_payout_percent,
+      commission_rules = [],
+      effective_from
+    } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return errorResponse(res, { message: 'Name is required' }, 400);
+    }
+
+    const { slabs, error: slabsError } = parseFeeSlabs(platform_fee_slabs);
+    if (slabsError) {
+      return errorResponse(res, { message: slabsError }, 400);
+    }
+
+    if (!isPercent(default_payout_percent)) {
+      return errorResponse(res, { message: 'default_payout_percent must be a number between 0 and 100' }, 400);
+    }
+
+    const { rules, error: rulesError } = parseCommissionRules(commission_rules);
+    if (rulesError) {
+      return errorResponse(res, { message: rulesError }, 400);
+    }
+
+    let effectiveFrom = new Date();
+    if (effective_from) {
+      effectiveFrom = new Date(effective_from);
+      if (Number.isNaN(effectiveFrom.getTime())) {
+        return errorResponse(res, { message: 'effective_from must be a valid date-time' }, 400);
+      }
+      // Prices already quoted and booked must not change retroactively
+      if (effectiveFrom < new Date(Date.now() - 60 * 1000)) {
+        return errorResponse(res, { message: 'effective_from cannot be in the past' }, 400);
+      }
+    }
+
+    const { data: latest } = await supabase
+      .from('pricing_rule_versions')
+      .select('version')
+      .order('version', { ascending: false })
+      .limit(1);
+
+    const version = (latest && latest.length > 0 ? latest[0].version : 0) + 1;
+
+    const { data: created, error } = await supabase
+      .from('pricing_rule_versions')
+      .insert({
+        version,
+        name: name.trim(),
+        description: description || null,
+        platform_fee_slabs: slabs,
+        default_payout_percent,
+        commission_rules: rules,
+        effective_from: effectiveFrom.toISOString(),
+        created_by: req.admin?.id ? String(req.admin.id) : null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Unique version: another admin published at the same time
+      if (error.code === '23505') {
+        return errorResponse(res, { message: 'Another pricing rule version was just published. Please retry.' }, 409);
+      }
+      logger.error('Create pricing rules error:', error);
+      throw new Error('Failed to create pricing rules');
+    }
+
+    return successResponse(res, created, 'Pricing rules created', 201);
+  } catch (error) {
+    logger.error('Create pricing rules error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Withdraw a version that has not taken effect yet (admin)
+ */
+async function deletePricingRules(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: deleted, error } = await supabase
+      .from('pricing_rule_versions')
+      .delete()
+      .eq('id', id)
+      .gt('effective_from', new Date().toISOString())
+      .select()
+      .single();
+
+    if (error || !deleted) {
+      const { data: existing } = await supabase
+        .from('pricing_rule_versions')
+        .select('id')
+        .eq('id', id)
+        .single();
+
+      if (!existing) {
+        return errorResponse(res, { message: 'Pricing rule version not found' }, 404);
+      }
+      return errorResponse(res, { message: 'Pricing rules already in effect cannot be deleted' }, 409);
+    }
+
+    return successResponse(res, deleted, 'Scheduled pricing rules deleted');
+  } catch (error) {
+    logger.error('Delete pricing rules error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+module.exports = {
+  getPricingRules,
+  getActivePricingRules,
+  getPricingRuleById,
+  createPricingRules,
+  deletePricingRules
+};
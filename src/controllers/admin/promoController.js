@@ -0,0 +1,437 @@
+const supabase = require('../../config/supabase');
+const { successResponse, errorResponse, paginatedResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+const CODE_REGEX = /^[A-Z0-9_-]{3,50}$/;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const PROMO_STATUSES = ['live', 'scheduled', 'expired', 'inactive'];
+
+const EMPTY_STATS = {
+  redemptions: 0,
+  completed_bookings: 0,
+  cancelled_bookings: 0,
+  unique_users: 0,
+  total_discount: 0,
+  total_revenue: 0,
+  last_redeemed_at: null
+};
+
+function formatStats(row) {
+  if (!row) return { ...EMPTY_STATS };
+  return {
+    redemptions: Number(row.redemptions) || 0,
+    completed_bookings: Number(row.completed_bookings) || 0,
+    cancelled_bookings: Number(row.cancelled_bookings) || 0,
+    unique_users: Number(row.unique_users) || 0,
+    total_discount: parseFloat(row.total_discount || 0),
+    total_revenue: parseFloat(row.total_revenue || 0),
+    last_redeemed_at: row.last_redeemed_at || null
+  };
+}
+
+/**
+ * Derive a display status: inactive, scheduled, expired or live
+ */
+function getPromoStatus(promo, now = new Date()) {
+  if (!promo.is_active) return 'inactive';
+  if (promo.valid_from && new Date(promo.valid_from) > now) return 'scheduled';
+  if (promo.valid_until && new Date(promo.valid_until) < now) return 'expired';
+  return 'live';
+}
+
+/**
+ * Add the conditions for a display status (see getPromoStatus) to a promo_codes query
+ */
+function applyStatusFilter(query, status, now = new Date()) {
+  const nowIso = `"${now.toISOString()}"`;
+  const started = `valid_from.is.null,valid_from.lte.${nowIso}`;
+  const notEnded = `valid_until.is.null,valid_until.gte.${nowIso}`;
+
+  switch (status) {
+    case 'inactive':
+      return query.eq('is_active', false);
+    case 'scheduled':
+      return query.eq('is_active', true).gt('valid_from', now.toISOString());
+    case 'expired':
+      return query.eq('is_active', true).lt('valid_until', now.toISOString()).or(started);
+    default:
+      return query.eq('is_active', true).or(`and(or(${started}),or(${notEnded}))`);
+  }
+}
+
+function parseOptionalNumber(value, field, { integer = false, min = 0 } = {}) {
+  if (value === undefined) return { skip: true };
+  if (value === null || value === '') return { value: null };
+
+  const num = Number(value);
+  if (!Number.isFinite(num) || num < min || (integer && !Number.isInteger(num))) {
+    return { error: `${field} must be ${integer ? 'an integer' : 'a number'} of at least ${min}` };
+  }
+  return { value: num };
+}
+
+function parseOptionalDate(value, field) {
+  if (value === undefined) return { skip: true };
+  if (value === null || value === '') return { value: null };
+
+  if (isNaN(Date.parse(value))) {
+    return { error: `${field} must be a valid date` };
+  }
+  return { value: new Date(value).toISOString() };
+}
+
+/**
+ * Parse an optional list of strings; an empty list clears the restriction (NULL)
+ */
+function parseOptionalList(value, field, pattern = null) {
+  if (value === undefined) return { skip: true };
+  if (value === null) return { value: null };
+
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    return { error: `${field} must be an array of strings` };
+  }
+
+  const items = [...new Set(value.map(item => item.trim()))];
+  if (pattern && items.some(item => !pattern.test(item))) {
+    return { error: `${field} contains an invalid value` };
+  }
+  return { value: items.length > 0 ? items : null };
+}
+
+/**
+ * Validate promo fields from the request body
+ * Returns { data } with the columns to write, or { error }
+ * `existing` is the current row when updating, used to validate the merged result
+ */
+function buildPromoPayload(body, existing = null) {
+  const data = {};
+
+  if (body.code !== undefined) {
+    const code = String(body.code).toUpperCase().trim();
+    if (!CODE_REGEX.test(code)) {
+      return { error: 'Code must be 3-50 characters (letters, numbers, - or _)' };
+    }
+    data.code = code;
+  }
+
+  if (body.discount_type !== undefined) {
+    if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+      return { error: `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    data.discount_type = body.discount_type;
+  }
+
+  if (body.discount_value !== undefined) {
+    const discountValue = Number(body.discount_value);
+    if (!Number.isFinite(discountValue) || discountValue <= 0) {
+      return { error: 'discount_value must be greater than 0' };
+    }
+    data.discount_value = discountValue;
+  }
+
+  const numericFields = [
+    ['max_discount', {}],
+    ['min_order_amount', {}],
+    ['usage_limit', { integer: true, min: 1 }],
+    ['total_usage_limit', { integer: true, min: 1 }]
+  ];
+  for (const [field, options] of numericFields) {
+    const parsed = parseOptionalNumber(body[field], field, options);
+    if (parsed.error) return { error: parsed.error };
+    if (!parsed.skip) data[field] = parsed.value;
+  }
+
+  for (const field of ['valid_from', 'valid_until']) {
+    const parsed = parseOptionalDate(body[field], field);
+    if (parsed.error) return { error: parsed.error };
+    if (!parsed.skip) data[field] = parsed.value;
+  }
+
+  const listFields = [
+    ['applicable_categories', null],
+    ['applicable_tiers', null],
+    ['allowed_user_ids', UUID_REGEX]
+  ];
+  for (const [field, pattern] of listFields) {
+    const parsed = parseOptionalList(body[field], field, pattern);
+    if (parsed.error) return { error: parsed.error };
+    if (!parsed.skip) data[field] = parsed.value;
+  }
+
+  if (body.first_order_only !== undefined) {
+    data.first_order_only = body.first_order_only === true || body.first_order_only === 'true';
+  }
+
+  if (body.is_active !== undefined) {
+    data.is_active = body.is_active === true || body.is_active === 'true';
+  }
+
+  // Validate the combined result
+  const merged = { ...(existing || {}), ...data };
+
+  if (!merged.code || !merged.discount_type || merged.discount_value === undefined || merged.discount_value === null) {
+    return { error: 'Code, discount_type and discount_value are required' };
+  }
+
+  if (merged.discount_type === 'percentage' && parseFloat(merged.discount_value) > 100) {
+    return { error: 'Percentage discount cannot exceed 100' };
+  }
+
+  if (merged.valid_from && merged.valid_until && new Date(merged.valid_from) >= new Date(merged.valid_until)) {
+    return { error: 'valid_from must be before valid_until' };
+  }
+
+  return { data };
+}
+
+/**
+ * Get promo codes with redemption stats (paginated)
+ */
+async function getAdminPromos(req, res) {
+  try {
+    const { is_active, status, search } = req.query;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const from = (pageNum - 1) * limitNum;
+
+    if (status !== undefined && !PROMO_STATUSES.includes(status)) {
+      return errorResponse(res, { message: `status must be one of: ${PROMO_STATUSES.join(', ')}` }, 400);
+    }
+
+    let query = supabase
+      .from('promo_codes')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (is_active !== undefined) {
+      query = query.eq('is_active', is_active === 'true');
+    }
+
+    if (status) {
+      query = applyStatusFilter(query, status);
+    }
+
+    if (search) {
+      query = query.ilike('code', `%${search}%`);
+    }
+
+    const { data: pagePromos, error, count } = await query.range(from, from + limitNum - 1);
+
+    if (error) {
+      logger.error('Get admin promos error:', error);
+      throw new Error('Failed to fetch promo codes');
+    }
+
+    const promos = (pagePromos || []).map(promo => ({ ...promo, status: getPromoStatus(promo) }));
+
+    const promoIds = promos.map(promo => promo.id);
+    let statsById = {};
+
+    if (promoIds.length > 0) {
+      const { data: stats, error: statsError } = await supabase
+        .from('promo_code_stats')
+        .select('*')
+        .in('promo_code_id', promoIds);
+
+      if (statsError) {
+        logger.error('Get promo stats error:', statsError);
+      }
+
+      statsById = (stats || []).reduce((acc, row) => {
+        acc[row.promo_code_id] = row;
+        return acc;
+      }, {});
+    }
+
+    return paginatedResponse(res, promos.map(promo => ({
+      ...promo,
+      stats: formatStats(statsById[promo.id])
+    })), {
+      page: pageNum,
+      limit: limitNum,
+      total: count || 0,
+      total_pages: Math.ceil((count || 0) / limitNum)
+    });
+  } catch (error) {
+    logger.error('Get admin promos error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Get promo code by ID with stats, recent redemptions and redemptions forced past its limits
+ */
+async function getAdminPromoById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !promo) {
+      return errorResponse(res, { message: 'Promo code not found' }, 404);
+    }
+
+    const { data: stats } = await supabase
+      .from('promo_code_stats')
+      .select('*')
+      .eq('promo_code_id', id)
+      .single();
+
+    const { data: recentBookings } = await supabase
+      .from('bookings')
+      .select('id, booking_number, user_id, customer_name, status, discount, grand_total, created_at')
+      .eq('promo_code', promo.code)
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    // Payments captured after the code ran out (see restorePromoCode) - for finance review
+    const { data: forcedRedemptions } = await supabase
+      .from('promo_code_usage')
+      .select('booking_id, user_id, discount_amount, status, forced_reason, forced_at')
+      .eq('promo_code_id', id)
+      .not('forced_at', 'is', null)
+      .order('forced_at', { ascending: false });
+
+    return successResponse(res, {
+      ...promo,
+      status: getPromoStatus(promo),
+      stats: formatStats(stats),
+      recent_redemptions: recentBookings || [],
+      forced_redemptions: forcedRedemptions || []
+    });
+  } catch (error) {
+    logger.error('Get admin promo by ID error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Create promo code
+ */
+async function createPromo(req, res) {
+  try {
+    const { data: promoData, error: validationError } = buildPromoPayload(req.body);
+
+    if (validationError) {
+      return errorResponse(res, { message: validationError }, 400);
+    }
+
+    // Check if code already exists
+    const { data: existing } = await supabase
+      .from('promo_codes')
+      .select('id')
+      .eq('code', promoData.code)
+      .single();
+
+    if (existing) {
+      return errorResponse(res, { message: 'Promo code already exists' }, 400);
+    }
+
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .insert({
+        is_active: true,
+        used_count: 0,
+        ...promoData
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Create promo error:', error);
+      throw new Error('Failed to create promo code');
+    }
+
+    return successResponse(res, promo, 'Promo code created successfully', 201);
+  } catch (error) {
+    logger.error('Create promo error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Update promo code
+ * The code itself is immutable - bookings reference promos by code
+ */
+async function updatePromo(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: findError } = await supabase
+      .from('promo_codes')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (findError || !existing) {
+      return errorResponse(res, { message: 'Promo code not found' }, 404);
+    }
+
+    if (req.body.code !== undefined && String(req.body.code).toUpperCase().trim() !== existing.code) {
+      return errorResponse(res, { message: 'Promo code cannot be renamed. Create a new code instead.' }, 400);
+    }
+
+    const { data: updateData, error: validationError } = buildPromoPayload(req.body, existing);
+
+    if (validationError) {
+      return errorResponse(res, { message: validationError }, 400);
+    }
+
+    delete updateData.code;
+
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Update promo error:', error);
+      throw new Error('Failed to update promo code');
+    }
+
+    return successResponse(res, promo, 'Promo code updated successfully');
+  } catch (error) {
+    logger.error('Update promo error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Deactivate promo code (soft delete by setting is_active to false)
+ */
+async function deactivatePromo(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: promo, error } = await supabase
+      .from('promo_codes')
+      .update({ is_active: false })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !promo) {
+      return errorResponse(res, { message: 'Promo code not found' }, 404);
+    }
+
+    return successResponse(res, promo, 'Promo code deactivated successfully');
+  } catch (error) {
+    logger.error('Deactivate promo error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+module.exports = {
+  getAdminPromos,
+  getAdminPromoById,
+  createPromo,
+  updatePromo,
+  deactivatePromo
+};
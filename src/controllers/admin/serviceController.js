@@ -1,6 +1,23 @@
 const supabase = require('../../config/supabase');
 const { successResponse, errorResponse } = require('../../utils/response');
 const logger = require('../../utils/logger');
+const { DEFAULT_SAC_CODE, GST_RATE } = require('../../utils/pricing');
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+/**
+ * Validate SAC code and GST rate when present
+ * Returns an error message or null
+ */
+function validateTaxFields({ sac_code, gst_rate }) {
+  if (sac_code !== undefined && !/^\d{4,8}$/.test(String(sac_code))) {
+    return 'sac_code must be a 4 to 8 digit HSN/SAC code';
+  }
+  if (gst_rate !== undefined && !GST_RATES.includes(Number(gst_rate))) {
+    return `gst_rate must be one of: ${GST_RATES.join(', ')}`;
+  }
+  return null;
+}
 
 /**
  * Get all services
@@ -45,6 +62,9 @@ async function createService(req, res) {
       product_cost,
       market_price,
       duration_minutes = 60,
+      max_quantity = 10,
+      sac_code = DEFAULT_SAC_CODE,
+      gst_rate = GST_RATE,
       image_url,
       brand,
       about,
@@ -55,6 +75,15 @@ async function createService(req, res) {
       return errorResponse(res, { message: 'Name, category, tier, and product_cost are required' }, 400);
     }
 
+    if (!Number.isInteger(Number(max_quantity)) || Number(max_quantity) < 1) {
+      return errorResponse(res, { message: 'max_quantity must be a positive integer' }, 400);
+    }
+
+    const taxError = validateTaxFields({ sac_code, gst_rate });
+    if (taxError) {
+      return errorResponse(res, { message: taxError }, 400);
+    }
+
     const { data: service, error } = await supabase
       .from('services')
       .insert({
@@ -64,6 +93,9 @@ async function createService(req, res) {
         product_cost: parseFloat(product_cost),
         market_price: market_price ? parseFloat(market_price) : null,
         duration_minutes: parseInt(duration_minutes),
+        max_quantity: parseInt(max_quantity),
+        sac_code: String(sac_code),
+        gst_rate: Number(gst_rate),
         image_url: image_url || null,
         brand: brand || null,
         about: about || null,
@@ -99,6 +131,23 @@ async function updateService(req, res) {
     if (updateData.market_price) {
       updateData.market_price = parseFloat(updateData.market_price);
     }
+    if (updateData.max_quantity !== undefined) {
+      updateData.max_quantity = Number(updateData.max_quantity);
+      if (!Number.isInteger(updateData.max_quantity) || updateData.max_quantity < 1) {
+        return errorResponse(res, { message: 'max_quantity must be a positive integer' }, 400);
+      }
+    }
+
+    const taxError = validateTaxFields(updateData);
+    if (taxError) {
+      return errorResponse(res, { message: taxError }, 400);
+    }
+    if (updateData.sac_code !== undefined) {
+      updateData.sac_code = String(updateData.sac_code);
+    }
+    if (updateData.gst_rate !== undefined) {
+      updateData.gst_rate = Number(updateData.gst_rate);
+    }
 
     const { data: service, error } = await supabase
       .from('services')
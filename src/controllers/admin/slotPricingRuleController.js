@@ -0,0 +1,219 @@
+const supabase = require('../../config/supabase');
+const { successResponse, errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+const { parseSlotTime } = require('../../utils/timeSlots');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_MULTIPLIER = 3;
+
+/**
+ * Minutes since midnight as a database TIME, e.g. 570 -> "09:30:00"
+ */
+function toDbTime(minutes) {
+  const hour = Math.floor(minutes / 60).toString().padStart(2, '0');
+  const minute = (minutes % 60).toString().padStart(2, '0');
+  return `${hour}:${minute}:00`;
+}
+
+/**
+ * Validate a slot pricing rule
+ * Returns { rule } or { error }
+ */
+function parseSlotRule(body) {
+  const { name, days_of_week, start_time, end_time, holiday_date, multiplier, is_active } = body;
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return { error: 'Name is required' };
+  }
+
+  let days = null;
+  if (days_of_week !== null && days_of_week !== undefined) {
+    if (!Array.isArray(days_of_week) || days_of_week.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'days_of_week must be an array of days from 0 (Sunday) to 6 (Saturday)' };
+    }
+    days = days_of_week.length > 0 ? [...new Set(days_of_week)].sort((x, y) => x - y) : null;
+  }
+
+  let startTime = null;
+  let endTime = null;
+  if (start_time || end_time) {
+    const start = parseSlotTime(start_time);
+    const end = parseSlotTime(end_time);
+
+    if (start === null || end === null) {
+      return { error: 'start_time and end_time must both be valid times, e.g. "17:00" or "5:00 PM"' };
+    }
+    if (start >= end) {
+      return { error: 'start_time must be before end_time' };
+    }
+    startTime = toDbTime(start);
+    endTime = toDbTime(end);
+  }
+
+  if (holiday_date !== null && holiday_date !== undefined) {
+    if (typeof holiday_date !== 'string' || !DATE_REGEX.test(holiday_date) || Number.isNaN(new Date(holiday_date).getTime())) {
+      return { error: 'holiday_date must be in YYYY-MM-DD format' };
+    }
+  }
+
+  if (!days && !startTime && !holiday_date) {
+    return { error: 'Set at least one of days_of_week, start_time/end_time or holiday_date' };
+  }
+
+  if (typeof multiplier !== 'number' || !Number.isFinite(multiplier) || multiplier <= 0 || multiplier > MAX_MULTIPLIER) {
+    return { error: `multiplier must be greater than 0 and at most ${MAX_MULTIPLIER} (e.g. 1.2 for a 20% surge, 0.9 for 10% off)` };
+  }
+
+  return {
+    rule: {
+      name: name.trim(),
+      days_of_week: days,
+      start_time: startTime,
+      end_time: endTime,
+      holiday_date: holiday_date || null,
+      multiplier: Math.round(multiplier * 100) / 100,
+      is_active: is_active !== false
+    }
+  };
+}
+
+/**
+ * List slot pricing rules (admin)
+ */
+async function getSlotPricingRules(req, res) {
+  try {
+    const { active } = req.query;
+
+    let query = supabase
+      .from('slot_pricing_rules')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (active !== undefined) {
+      query = query.eq('is_active', active === 'true');
+    }
+
+    const { data: rules, error } = await query;
+
+    if (error) {
+      logger.error('Get slot pricing rules error:', error);
+      throw new Error('Failed to fetch slot pricing rules');
+    }
+
+    return successResponse(res, rules || []);
+  } catch (error) {
+    logger.error('Get slot pricing rules error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Create a surge / off-peak rule (admin)
+ * Applies to checkouts prepared from now on; existing bookings keep the price they were booked at
+ */
+async function createSlotPricingRule(req, res) {
+  try {
+    const { rule, error: ruleError } = parseSlotRule(req.body);
+    if (ruleError) {
+      return errorResponse(res, { message: ruleError }, 400);
+    }
+
+    const { data: created, error } = await supabase
+      .from('slot_pricing_rules')
+      .insert({
+        ...rule,
+        created_by: req.admin?.id ? String(req.admin.id) : null
+      })
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Create slot pricing rule error:', error);
+      throw new Error('Failed to create slot pricing rule');
+    }
+
+    return successResponse(res, created, 'Slot pricing rule created', 201);
+  } catch (error) {
+    logger.error('Create slot pricing rule error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Update a slot pricing rule (admin)
+ * Fields not sent keep their current values
+ */
+async function updateSlotPricingRule(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('slot_pricing_rules')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !existing) {
+      return errorResponse(res, { message: 'Slot pricing rule not found' }, 404);
+    }
+
+    const { rule, error: ruleError } = parseSlotRule({
+      ...existing,
+      multiplier: parseFloat(existing.multiplier),
+      holiday_date: existing.holiday_date ? String(existing.holiday_date).slice(0, 10) : null,
+      ...req.body
+    });
+    if (ruleError) {
+      return errorResponse(res, { message: ruleError }, 400);
+    }
+
+    const { data: updated, error } = await supabase
+      .from('slot_pricing_rules')
+      .update(rule)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Update slot pricing rule error:', error);
+      throw new Error('Failed to update slot pricing rule');
+    }
+
+    return successResponse(res, updated, 'Slot pricing rule updated');
+  } catch (error) {
+    logger.error('Update slot pricing rule error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Delete a slot pricing rule (admin)
+ */
+async function deleteSlotPricingRule(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: deleted, error } = await supabase
+      .from('slot_pricing_rules')
+      .delete()
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error || !deleted) {
+      return errorResponse(res, { message: 'Slot pricing rule not found' }, 404);
+    }
+
+    return successResponse(res, deleted, 'Slot pricing rule deleted');
+  } catch (error) {
+    logger.error('Delete slot pricing rule error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+module.exports = {
+  getSlotPricingRules,
+  createSlotPricingRule,
+  updateSlotPricingRule,
+  deleteSlotPricingRule
+};
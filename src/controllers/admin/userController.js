@@ -1,6 +1,16 @@
 const supabase = require('../../config/supabase');
 const { successResponse, errorResponse } = require('../../utils/response');
 const logger = require('../../utils/logger');
+const {
+  CREDIT_SOURCES,
+  getWalletBalance,
+  getWalletTransactions,
+  creditWallet,
+  debitWallet
+} = require('../../services/walletService');
+
+// Credits an admin may post by hand (checkout reversals are system-only)
+const ADMIN_CREDIT_SOURCES = CREDIT_SOURCES.filter(source => source !== 'checkout_reversal');
 
 /**
  * Get all users (customers) - Admin
@@ -79,6 +89,7 @@ async function getAdminUserById(req, res) {
       addresses: addresses || [],
       booking_count: bookingCount || 0,
       total_spent: totalSpent,
+      wallet_balance: await getWalletBalance(id),
     });
   } catch (error) {
     logger.error('Get admin user by ID error:', error);
@@ -112,9 +123,109 @@ async function getAdminUserBookings(req, res) {
   }
 }
 
+/**
+ * Get user wallet balance and history - Admin
+ */
+async function getAdminUserWallet(req, res) {
+  try {
+    const { id } = req.params;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', id)
+      .single();
+
+    if (!user) {
+      return errorResponse(res, { message: 'User not found' }, 404);
+    }
+
+    const balance = await getWalletBalance(id);
+    const { transactions, total } = await getWalletTransactions(id, { page: pageNum, limit: limitNum });
+
+    return successResponse(res, {
+      balance,
+      transactions,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        total_pages: Math.ceil(total / limitNum)
+      }
+    });
+  } catch (error) {
+    logger.error('Get admin user wallet error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Credit or debit a user's wallet - Admin
+ * Credits are goodwill, referral, refund or adjustment; debits are adjustments and cannot exceed the balance.
+ * An optional `reference` makes retries safe: the same reference is only posted once.
+ */
+async function adjustUserWallet(req, res) {
+  try {
+    const { id } = req.params;
+    const { type, amount, source, description, reference } = req.body;
+
+    if (!['credit', 'debit'].includes(type)) {
+      return errorResponse(res, { message: "type must be 'credit' or 'debit'" }, 400);
+    }
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+      return errorResponse(res, { message: 'amount must be a positive number' }, 400);
+    }
+
+    const walletSource = source || 'adjustment';
+    const allowedSources = type === 'credit' ? ADMIN_CREDIT_SOURCES : ['adjustment'];
+    if (!allowedSources.includes(walletSource)) {
+      return errorResponse(res, { message: `source must be one of: ${allowedSources.join(', ')}` }, 400);
+    }
+
+    if (!description || typeof description !== 'string' || !description.trim()) {
+      return errorResponse(res, { message: 'A description of the adjustment is required' }, 400);
+    }
+
+    if (reference !== undefined && (typeof reference !== 'string' || !reference.trim() || reference.length > 80)) {
+      return errorResponse(res, { message: 'reference must be a string of up to 80 characters' }, 400);
+    }
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id')
+      .eq('id', id)
+      .single();
+
+    if (!user) {
+      return errorResponse(res, { message: 'User not found' }, 404);
+    }
+
+    const post = type === 'credit' ? creditWallet : debitWallet;
+    const transaction = await post({
+      userId: id,
+      amount,
+      source: walletSource,
+      description: description.trim(),
+      reference: reference ? `admin:${reference.trim()}` : null,
+      actorType: 'admin',
+      actorId: req.admin?.id
+    });
+
+    return successResponse(res, transaction, type === 'credit' ? 'Wallet credited' : 'Wallet debited', 201);
+  } catch (error) {
+    logger.error('Adjust user wallet error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
 module.exports = {
   getAdminUsers,
   getAdminUserById,
   getAdminUserBookings,
+  getAdminUserWallet,
+  adjustUserWallet,
 };
 
@@ -1,15 +1,61 @@
 const supabase = require('../config/supabase');
-const { sendOTP, verifyOTP } = require('../services/interaktOTPService');
-const { generateAccessToken, generateRefreshToken } = require('../utils/jwt');
+const { sendOTP, verifyOTP, OTP_CHANNEL_NAMES } = require('../services/interaktOTPService');
+const {
+  SESSION_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeOtherSessions,
+  listSessions
+} = require('../services/sessionService');
+const { generateAccessToken } = require('../utils/jwt');
 const { successResponse, errorResponse } = require('../utils/response');
 const logger = require('../utils/logger');
 
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const COOKIE_BASE = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+  sameSite: 'lax', // CSRF protection
+  path: '/',
+};
+
+/**
+ * Set HttpOnly cookies for tokens
+ * The refresh cookie lives as long as the session (extended on every refresh).
+ */
+function setAuthCookies(res, accessToken, refreshToken) {
+  res.cookie('access_token', accessToken, {
+    ...COOKIE_BASE,
+    maxAge: 15 * 60 * 1000, // 15 minutes for access token
+  });
+  res.cookie('refresh_token', refreshToken, {
+    ...COOKIE_BASE,
+    maxAge: SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('access_token', COOKIE_BASE);
+  res.clearCookie('refresh_token', COOKIE_BASE);
+}
+
+function buildAccessToken(user, sessionId) {
+  return generateAccessToken({
+    userId: user.id,
+    phone_number: user.phone_number,
+    sessionId
+  });
+}
+
 /**
  * Send OTP to phone number
+ * Optional `channel` (whatsapp | sms | email | console) is tried first; other channels are fallbacks
  */
 async function sendOTPHandler(req, res) {
   try {
-    const { phone_number } = req.body;
+    const { phone_number, channel } = req.body;
 
     if (!phone_number) {
       return errorResponse(res, { message: 'Phone number is required' }, 400);
@@ -21,19 +67,31 @@ async function sendOTPHandler(req, res) {
       return errorResponse(res, { message: 'Invalid phone number format' }, 400);
     }
 
-    const result = await sendOTP(phone_number);
+    if (channel !== undefined && !OTP_CHANNEL_NAMES.includes(channel)) {
+      return errorResponse(res, { message: `Invalid channel. Use one of: ${OTP_CHANNEL_NAMES.join(', ')}` }, 400);
+    }
+
+    // Returning customers can also receive the OTP on their email
+    const { data: existingUser } = await supabase
+      .from('users')
+      .select('email')
+      .eq('phone_number', phone_number)
+      .single();
+
+    const result = await sendOTP(phone_number, { channel, email: existingUser?.email, ip: req.ip });
 
     return successResponse(res, {
       expires_in: result.expires_in,
-      ...(result.warning && { warning: result.warning }),
-      ...(result.message_sid && { message_sid: result.message_sid }),
+      channel: result.channel,
+      attempted_channels: result.attempted_channels,
       ...(result.otp_code && { otp_code: result.otp_code }) // Include OTP in dev mode for testing
     }, 'OTP sent successfully');
   } catch (error) {
     logger.error('Send OTP handler error:', error);
-    const statusCode = error.message.includes('limit') ? 429 : 
-                      error.message.includes('verified') ? 400 : 500;
-    return errorResponse(res, error, statusCode);
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return errorResponse(res, error, error.statusCode || 500);
   }
 }
 
@@ -42,14 +100,14 @@ async function sendOTPHandler(req, res) {
  */
 async function verifyOTPHandler(req, res) {
   try {
-    const { phone_number, otp_code } = req.body;
+    const { phone_number, otp_code, device_name } = req.body;
 
     if (!phone_number || !otp_code) {
       return errorResponse(res, { message: 'Phone number and OTP code are required' }, 400);
     }
 
     // Verify OTP
-    await verifyOTP(phone_number, otp_code);
+    await verifyOTP(phone_number, otp_code, { ip: req.ip });
 
     // Get or create user
     let user;
@@ -121,34 +179,15 @@ async function verifyOTPHandler(req, res) {
       user = newUser;
     }
 
-    // Generate tokens
-    const tokenPayload = {
+    // Start a session for this device
+    const { session, refreshToken } = await createSession({
       userId: user.id,
-      phone_number: user.phone_number
-    };
-
-    const accessToken = generateAccessToken(tokenPayload);
-    const refreshToken = generateRefreshToken(tokenPayload);
-
-    // Set HttpOnly cookies for tokens
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-      sameSite: 'lax', // CSRF protection
-      maxAge: 15 * 60 * 1000, // 15 minutes for access token
-      path: '/',
-    };
-
-    const refreshCookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 365 * 24 * 60 * 60 * 1000, // 365 days for refresh token (effectively infinite until logout)
-      path: '/',
-    };
-
-    res.cookie('access_token', accessToken, cookieOptions);
-    res.cookie('refresh_token', refreshToken, refreshCookieOptions);
+      deviceName: device_name,
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+
+    setAuthCookies(res, buildAccessToken(user, session.id), refreshToken);
 
     return successResponse(res, {
       user: {
@@ -161,63 +200,55 @@ async function verifyOTPHandler(req, res) {
     }, 'OTP verified successfully');
   } catch (error) {
     logger.error('Verify OTP handler error:', error);
-    return errorResponse(res, error, 400);
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return errorResponse(res, error, error.statusCode || 400);
   }
 }
 
 /**
  * Refresh access token
+ * The refresh token is single-use: a new one is issued and the old one can no longer be used.
  */
 async function refreshTokenHandler(req, res) {
   try {
     // Get refresh token from cookie (preferred) or request body (backward compatibility)
-    let refreshToken = req.cookies?.refresh_token || req.body?.refresh_token;
+    const refreshToken = req.cookies?.refresh_token || req.body?.refresh_token;
 
     if (!refreshToken) {
       return errorResponse(res, { message: 'Refresh token is required' }, 400);
     }
 
-    const { verifyToken } = require('../utils/jwt');
-    const decoded = verifyToken(refreshToken);
-
-    // Generate new access token
-    const tokenPayload = {
-      userId: decoded.userId || decoded.id,
-      phone_number: decoded.phone_number
-    };
-
-    const accessToken = generateAccessToken(tokenPayload);
-    
-    // Generate new refresh token (token rotation) to extend session indefinitely
-    const newRefreshToken = generateRefreshToken(tokenPayload);
-
-    // Set new access token cookie
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 15 * 60 * 1000, // 15 minutes
-      path: '/',
-    };
-    
-    // Set new refresh token cookie (365 days - effectively infinite until logout)
-    const refreshCookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      maxAge: 365 * 24 * 60 * 60 * 1000, // 365 days
-      path: '/',
-    };
-
-    res.cookie('access_token', accessToken, cookieOptions);
-    res.cookie('refresh_token', newRefreshToken, refreshCookieOptions); // Rotate refresh token
+    const { session, refreshToken: newRefreshToken } = await rotateRefreshToken(refreshToken, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+
+    const { data: user } = await supabase
+      .from('users')
+      .select('id, phone_number, is_active')
+      .eq('id', session.user_id)
+      .single();
+
+    if (!user || user.is_active === false) {
+      await revokeSession(session.id, 'signed_out');
+      clearAuthCookies(res);
+      return errorResponse(res, { message: 'Invalid or expired refresh token' }, 401);
+    }
+
+    setAuthCookies(res, buildAccessToken(user, session.id), newRefreshToken);
 
     return successResponse(res, {
       message: 'Token refreshed successfully'
     }, 'Token refreshed successfully');
   } catch (error) {
     logger.error('Refresh token handler error:', error);
-    return errorResponse(res, { message: 'Invalid or expired refresh token' }, 401);
+    // Cookies are left alone: a parallel refresh may just have set new ones
+    if (error.statusCode === 401) {
+      return errorResponse(res, { message: 'Invalid or expired refresh token' }, 401);
+    }
+    return errorResponse(res, error, error.statusCode || 500);
   }
 }
 
@@ -244,23 +275,13 @@ async function getCurrentUser(req, res) {
 }
 
 /**
- * Logout - Clear authentication cookies
+ * Logout - Revoke the current session and clear authentication cookies
  */
 async function logoutHandler(req, res) {
   try {
-    // Clear both access and refresh token cookies
-    res.clearCookie('access_token', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      path: '/',
-    });
-    res.clearCookie('refresh_token', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax',
-      path: '/',
-    });
+    await revokeSession(req.user.sessionId, 'logout', req.user.id);
+
+    clearAuthCookies(res);
 
     return successResponse(res, null, 'Logged out successfully');
   } catch (error) {
@@ -269,11 +290,73 @@ async function logoutHandler(req, res) {
   }
 }
 
+/**
+ * List the user's signed-in devices
+ */
+async function getSessions(req, res) {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    return successResponse(res, sessions.map(session => ({
+      ...session,
+      current: session.id === req.user.sessionId
+    })));
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Sign out one session
+ * Its refresh token and any access token already issued to it stop working at once.
+ */
+async function revokeSessionHandler(req, res) {
+  try {
+    // Session ids are UUIDs; anything else would fail the query instead of matching nothing
+    if (!UUID_REGEX.test(req.params.id)) {
+      return errorResponse(res, { message: 'Session not found' }, 404);
+    }
+
+    const session = await revokeSession(req.params.id, 'signed_out', req.user.id);
+
+    if (!session) {
+      return errorResponse(res, { message: 'Session not found' }, 404);
+    }
+
+    if (session.id === req.user.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    return successResponse(res, { id: session.id }, 'Session signed out');
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Sign out every session except the current one
+ */
+async function revokeOtherSessionsHandler(req, res) {
+  try {
+    const revoked = await revokeOtherSessions(req.user.id, req.user.sessionId, 'signed_out_others');
+
+    return successResponse(res, { revoked }, 'Other sessions signed out');
+  } catch (error) {
+    logger.error('Revoke other sessions error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
 module.exports = {
   sendOTPHandler,
   verifyOTPHandler,
   refreshTokenHandler,
   getCurrentUser,
-  logoutHandler
+  logoutHandler,
+  getSessions,
+  revokeSessionHandler,
+  revokeOtherSessionsHandler
 };
 
@@ -1,7 +1,28 @@
 const supabase = require('../config/supabase');
 const { successResponse, errorResponse, paginatedResponse } = require('../utils/response');
+const { releasePromoCode } = require('../services/promoService');
+const { transitionBooking, recordBookingEvent } = require('../services/bookingLifecycleService');
+const { refundCancelledBooking } = require('../services/refundService');
+const {
+  getPolicyForBooking,
+  calculateCancellation,
+  checkReschedule,
+  formatPolicy
+} = require('../services/cancellationPolicyService');
+const { isBookableSlot, getAvailableSlots, getSlotCapacity, getFreePartners } = require('../services/availabilityService');
+const { autoAssignPartner } = require('../services/partnerAssignmentService');
+const { quoteCart } = require('../services/checkoutService');
+const { getActiveSlotRules, getSlotRule } = require('../services/slotPricingService');
+const { getPricingRulesByVersion } = require('../services/pricingRuleService');
+const { notifyPartner } = require('../services/partnerNotificationService');
+const { notifyCustomer } = require('../services/notificationService');
+const { getBookingInvoice } = require('../services/invoiceService');
+const { renderInvoicePdf, sendInvoicePdf } = require('../utils/invoicePdf');
+const { formatSlotTime, parseSlotTime } = require('../utils/timeSlots');
 const logger = require('../utils/logger');
 
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
 /**
  * Get user bookings
  */
@@ -80,9 +101,16 @@ async function getBookingById(req, res) {
       .eq('booking_id', id)
       .single();
 
+    const { data: refunds } = await supabase
+      .from('refunds')
+      .select('id, amount, status, failure_reason, processed_at, created_at')
+      .eq('booking_id', id)
+      .order('created_at', { ascending: false });
+
     return successResponse(res, {
       booking,
-      payment: payment || null
+      payment: payment || null,
+      refunds: refunds || []
     });
   } catch (error) {
     logger.error('Get booking by ID error:', error);
@@ -92,12 +120,18 @@ async function getBookingById(req, res) {
 
 /**
  * Cancel booking
+ * What was paid from the wallet is refunded to the wallet; an online payment goes back to the card
+ * or UPI it came from, or to the wallet instantly with `refund_to: 'wallet'`.
  */
 async function cancelBooking(req, res) {
   try {
     const userId = req.user.id;
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reason, refund_to = 'original' } = req.body;
+
+    if (!['original', 'wallet'].includes(refund_to)) {
+      return errorResponse(res, { message: "refund_to must be 'original' or 'wallet'" }, 400);
+    }
 
     // Get booking
     const { data: booking, error: bookingError } = await supabase
@@ -120,75 +154,309 @@ async function cancelBooking(req, res) {
       return errorResponse(res, { message: 'Cannot cancel completed booking' }, 400);
     }
 
-    // Calculate refund (free cancellation within 5 minutes or if not assigned)
-    const bookingTime = new Date(booking.created_at);
-    const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-    const isFreeCancellation = bookingTime > fiveMinutesAgo || !booking.partner_id;
+    // Fee tiers come from the policy version the booking was made under
+    const policy = await getPolicyForBooking(booking);
+    const { cancellation_fee: cancellationFee, refund_amount: refundAmount } = calculateCancellation(booking, policy);
+
+    let updatedBooking;
+    try {
+      updatedBooking = await transitionBooking(id, 'cancelled', {
+        actorType: 'customer',
+        actorId: userId,
+        reason: reason || null,
+        conditions: { user_id: userId }, // Ensure user owns the booking
+        updates: {
+          cancellation_reason: reason || 'Cancelled by customer',
+          cancellation_fee: cancellationFee,
+          refund_amount: refundAmount
+        },
+        metadata: { cancellation_policy_version: policy.version }
+      });
+    } catch (transitionError) {
+      if (transitionError.statusCode === 409) {
+        return errorResponse(res, { message: `Booking cannot be cancelled while ${booking.status.replace('_', ' ')}` }, 409);
+      }
+      throw transitionError;
+    }
+
+    // Give the promo redemption back to the user
+    if (booking.promo_code) {
+      await releasePromoCode(id, 'booking_cancelled');
+    }
 
-    let refundAmount = 0;
-    let cancellationFee = 0;
+    await notifyCustomer('booking_cancelled', updatedBooking);
 
-    if (isFreeCancellation) {
-      refundAmount = booking.grand_total;
-    } else {
-      cancellationFee = Math.floor(booking.grand_total * 0.10); // 10% cancellation fee
-      refundAmount = booking.grand_total - cancellationFee;
+    const { refund, walletCredit } = await refundCancelledBooking({
+      booking,
+      refundAmount,
+      refundTo: refund_to,
+      reason: reason || 'Cancelled by customer',
+      actorType: 'customer',
+      actorId: userId
+    });
+
+    return successResponse(res, {
+      booking: updatedBooking,
+      refund_amount: refundAmount,
+      cancellation_fee: cancellationFee,
+      refund: refund && {
+        id: refund.id,
+        amount: refund.amount,
+        status: refund.status
+      },
+      wallet_refund: walletCredit && {
+        id: walletCredit.id,
+        amount: walletCredit.amount,
+        balance_after: walletCredit.balance_after
+      }
+    }, 'Booking cancelled successfully');
+  } catch (error) {
+    logger.error('Cancel booking error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Preview the fee and refund for cancelling a booking now
+ */
+async function getCancellationPreview(req, res) {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (error || !booking) {
+      return errorResponse(res, { message: 'Booking not found' }, 404);
     }
 
-    // Update booking (updated_at is handled by trigger)
-    // Note: cancellation_fee is not stored in DB, only refund_amount
-    const { data: updatedBooking, error: updateError } = await supabase
+    const policy = await getPolicyForBooking(booking);
+
+    return successResponse(res, {
+      booking_id: booking.id,
+      grand_total: booking.grand_total,
+      ...calculateCancellation(booking, policy),
+      policy: formatPolicy(policy)
+    });
+  } catch (error) {
+    logger.error('Get cancellation preview error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Respond 409 SLOT_UNAVAILABLE with the slots still open for this booking
+ */
+async function respondSlotUnavailable(res, { date, pincode, services, excludeBookingId }) {
+  const slots = await getAvailableSlots({ date, pincode, services, excludeBookingId });
+  return res.status(409).json({
+    success: false,
+    error: 'The selected time slot is not available. Please choose another slot.',
+    code: 'SLOT_UNAVAILABLE',
+    data: {
+      available_time_slots: slots.map(slot => slot.time)
+    }
+  });
+}
+
+/**
+ * 409 with the checkout quote for a new slot priced differently (surge / off-peak) from the booked one
+ */
+async function respondSlotPriceChanged(res, booking, slot) {
+  const { pricing, slotRule } = await quoteCart({
+    items: (booking.services || []).map(service => ({ service_id: service.service_id, quantity: service.quantity || 1 })),
+    pricingRules: await getPricingRulesByVersion(booking.pricing_rule_version),
+    slot
+  });
+
+  return res.status(409).json({
+    success: false,
+    error: 'The new time slot is priced differently from your booking. Cancel and book that slot instead.',
+    code: 'PRICE_CHANGED',
+    data: {
+      previous_pricing: {
+        slot_multiplier: parseFloat(booking.slot_multiplier ?? 1),
+        subtotal: parseFloat(booking.total_price),
+        grand_total: parseFloat(booking.grand_total)
+      },
+      slot_multiplier: slotRule ? parseFloat(slotRule.multiplier) : 1,
+      rule: slotRule ? slotRule.name : null,
+      pricing: {
+        subtotal: pricing.subtotal,
+        platform_fee: pricing.platform_fee,
+        grand_total: pricing.grand_total
+      }
+    }
+  });
+}
+
+/**
+ * Reschedule booking to a new date and time slot
+ * Only to a slot priced like the booked one (409 PRICE_CHANGED otherwise), since the price was settled at checkout.
+ * The assigned partner keeps the job if they are free at the new time; otherwise it is released and re-assigned.
+ */
+async function rescheduleBooking(req, res) {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { booking_date, booking_time, reason } = req.body;
+
+    if (!booking_date || !booking_time) {
+      return errorResponse(res, { message: 'New booking date and time are required' }, 400);
+    }
+
+    if (!DATE_REGEX.test(booking_date) || parseSlotTime(booking_time) === null) {
+      return errorResponse(res, { message: 'Invalid booking date or time format' }, 400);
+    }
+
+    const { data: booking, error: bookingError } = await supabase
       .from('bookings')
-      .update({
-        status: 'cancelled',
-        cancelled_at: new Date().toISOString(),
-        cancellation_reason: reason || 'Cancelled by customer',
-        refund_amount: refundAmount
-        // updated_at is automatically updated by trigger
-        // cancellation_fee is calculated but not stored (can be derived from grand_total - refund_amount)
-      })
+      .select('*, user_addresses(*)')
       .eq('id', id)
-      .eq('user_id', userId) // Ensure user owns the booking
-      .select()
+      .eq('user_id', userId)
       .single();
 
-    if (updateError) {
-      logger.error('Cancel booking update error:', {
-        message: updateError.message,
-        details: updateError.details,
-        hint: updateError.hint,
-        code: updateError.code,
-        fullError: updateError
+    if (bookingError || !booking) {
+      return errorResponse(res, { message: 'Booking not found' }, 404);
+    }
+
+    if (booking.booking_date === booking_date && parseSlotTime(booking.booking_time) === parseSlotTime(booking_time)) {
+      return errorResponse(res, { message: 'Booking is already scheduled for this time' }, 400);
+    }
+
+    const policy = await getPolicyForBooking(booking);
+    const { allowed, message } = checkReschedule(booking, policy);
+    if (!allowed) {
+      return errorResponse(res, { message }, 409);
+    }
+
+    const slotQuery = {
+      date: booking_date,
+      time: booking_time,
+      pincode: booking.user_addresses?.pincode,
+      services: booking.services,
+      excludeBookingId: id
+    };
+
+    if (!isBookableSlot(booking_date, booking_time)) {
+      return respondSlotUnavailable(res, slotQuery);
+    }
+
+    const slotRule = getSlotRule(await getActiveSlotRules(), booking_date, booking_time);
+    const slotMultiplier = slotRule ? parseFloat(slotRule.multiplier) : 1;
+    if (slotMultiplier !== parseFloat(booking.slot_multiplier ?? 1)) {
+      return respondSlotPriceChanged(res, booking, { date: booking_date, time: booking_time });
+    }
+
+    // Keep the partner if they are free for the whole new window
+    let keepPartner = false;
+    if (booking.partner_id) {
+      const freePartners = await getFreePartners({ ...slotQuery, durationMinutes: booking.duration_minutes });
+      keepPartner = freePartners.some(partner => partner.id === booking.partner_id);
+    }
+
+    if (!keepPartner && await getSlotCapacity(slotQuery) < 1) {
+      return respondSlotUnavailable(res, slotQuery);
+    }
+
+    const releasePartner = Boolean(booking.partner_id) && !keepPartner;
+    const updates = {
+      booking_date,
+      booking_time,
+      reschedule_count: (booking.reschedule_count || 0) + 1,
+      rescheduled_at: new Date().toISOString(),
+      ...(releasePartner && {
+        partner_id: null,
+        assignment_status: null,
+        assigned_at: null,
+        accepted_at: null
+      })
+    };
+
+    let updatedBooking;
+    if (releasePartner && booking.status === 'confirmed') {
+      // The accepting partner is gone, so the booking waits for a new acceptance
+      updatedBooking = await transitionBooking(id, 'pending', {
+        actorType: 'customer',
+        actorId: userId,
+        reason: 'Rescheduled to a time the assigned partner is not available',
+        conditions: { user_id: userId },
+        updates
       });
-      return errorResponse(res, { 
-        message: 'Failed to cancel booking',
-        details: updateError.message || 'Database update failed'
-      }, 500);
+    } else {
+      const { data: updated, error: updateError } = await supabase
+        .from('bookings')
+        .update(updates)
+        .eq('id', id)
+        .eq('user_id', userId)
+        .eq('status', booking.status)
+        .eq('reschedule_count', booking.reschedule_count || 0)
+        .select()
+        .single();
+
+      if (updateError || !updated) {
+        return errorResponse(res, { message: 'Booking was updated by someone else. Please refresh and try again.' }, 409);
+      }
+      updatedBooking = updated;
     }
 
-    if (!updatedBooking) {
-      logger.error('Cancel booking: No booking returned after update');
-      return errorResponse(res, { message: 'Failed to cancel booking: No booking found after update' }, 500);
+    const previousSlot = `${booking.booking_date} ${formatSlotTime(parseSlotTime(booking.booking_time))}`;
+    const newSlot = `${booking_date} ${formatSlotTime(parseSlotTime(booking_time))}`;
+
+    await recordBookingEvent(id, {
+      eventType: 'rescheduled',
+      actorType: 'customer',
+      actorId: userId,
+      reason: reason || null,
+      metadata: {
+        from_date: booking.booking_date,
+        from_time: booking.booking_time,
+        to_date: booking_date,
+        to_time: booking_time,
+        partner_kept: keepPartner,
+        ...(releasePartner && { released_partner_id: booking.partner_id })
+      }
+    });
+
+    if (keepPartner) {
+      await notifyPartner(booking.partner_id, {
+        bookingId: id,
+        type: 'job_rescheduled',
+        title: 'Job rescheduled',
+        message: `Booking ${booking.booking_number} moved from ${previousSlot} to ${newSlot}`,
+        data: { from_date: booking.booking_date, from_time: booking.booking_time, to_date: booking_date, to_time: booking_time }
+      });
+    } else if (releasePartner) {
+      await notifyPartner(booking.partner_id, {
+        bookingId: id,
+        type: 'job_released',
+        title: 'Job removed from your schedule',
+        message: `Booking ${booking.booking_number} on ${previousSlot} was rescheduled to a time you are not available`,
+        data: { from_date: booking.booking_date, from_time: booking.booking_time }
+      });
     }
 
-    // If online payment, process refund
-    if (booking.payment_method === 'online' && booking.payment_status === 'paid' && refundAmount > 0) {
-      // TODO: Process refund via Razorpay
-      // Update payment status
-      await supabase
-        .from('payments')
-        .update({ status: 'refunded' })
-        .eq('booking_id', id);
+    // Unpaid online bookings are assigned once payment is captured
+    let assignment = null;
+    if (!keepPartner && (booking.payment_method === 'cash' || booking.payment_status === 'paid')) {
+      assignment = await autoAssignPartner(id);
     }
 
     return successResponse(res, {
-      booking: updatedBooking,
-      refund_amount: refundAmount,
-      cancellation_fee: cancellationFee
-    }, 'Booking cancelled successfully');
+      booking: assignment?.assigned
+        ? { ...updatedBooking, partner_id: assignment.partner_id, assignment_status: 'assigned' }
+        : updatedBooking,
+      partner_kept: keepPartner,
+      partner_assigned: keepPartner || Boolean(assignment?.assigned)
+    }, 'Booking rescheduled successfully');
   } catch (error) {
-    logger.error('Cancel booking error:', error);
-    return errorResponse(res, error, 500);
+    logger.error('Reschedule booking error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
   }
 }
 
@@ -262,10 +530,29 @@ async function rateBooking(req, res) {
   }
 }
 
+/**
+ * Download the tax invoice as PDF
+ * Available once the invoice has been issued (when the service is completed)
+ */
+async function getBookingInvoicePdf(req, res) {
+  try {
+    const invoice = await getBookingInvoice(req.params.id, { userId: req.user.id });
+    const pdf = await renderInvoicePdf(invoice);
+
+    return sendInvoicePdf(res, invoice, pdf);
+  } catch (error) {
+    logger.error('Get booking invoice PDF error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
 module.exports = {
   getUserBookings,
   getBookingById,
   cancelBooking,
-  rateBooking
+  getCancellationPreview,
+  rescheduleBooking,
+  rateBooking,
+  getBookingInvoicePdf
 };
 
@@ -0,0 +1,210 @@
+const supabase = require('../config/supabase');
+const { successResponse, errorResponse } = require('../utils/response');
+const {
+  getOrCreateCart,
+  touchCart,
+  setItemQuantity,
+  getItemQuantity,
+  getCartDetails
+} = require('../services/cartService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the user's cart with live pricing
+ */
+async function getCart(req, res) {
+  try {
+    const cart = await getOrCreateCart(req.user.id);
+
+    return successResponse(res, await getCartDetails(cart));
+  } catch (error) {
+    logger.error('Get cart error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Add a service to the cart
+ * Adding a service that is already in the cart increases its quantity
+ */
+async function addCartItem(req, res) {
+  try {
+    const { service_id, quantity = 1 } = req.body;
+
+    if (!service_id) {
+      return errorResponse(res, { message: 'service_id is required' }, 400);
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return errorResponse(res, { message: 'Quantity must be a positive integer' }, 400);
+    }
+
+    let cart = await getOrCreateCart(req.user.id);
+    const currentQuantity = await getItemQuantity(cart.id, service_id);
+    cart = await setItemQuantity(cart, service_id, currentQuantity + quantity);
+
+    return successResponse(res, await getCartDetails(cart), 'Item added to cart');
+  } catch (error) {
+    logger.error('Add cart item error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Set the quantity of a cart item (0 removes it)
+ */
+async function updateCartItem(req, res) {
+  try {
+    const { serviceId } = req.params;
+    const { quantity } = req.body;
+
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return errorResponse(res, { message: 'Quantity must be a non-negative integer' }, 400);
+    }
+
+    let cart = await getOrCreateCart(req.user.id);
+
+    if (quantity > 0 && await getItemQuantity(cart.id, serviceId) === 0) {
+      return errorResponse(res, { message: 'Item not found in cart' }, 404);
+    }
+
+    cart = await setItemQuantity(cart, serviceId, quantity);
+
+    return successResponse(res, await getCartDetails(cart), 'Cart updated');
+  } catch (error) {
+    logger.error('Update cart item error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Remove a service from the cart
+ */
+async function removeCartItem(req, res) {
+  try {
+    const { serviceId } = req.params;
+
+    let cart = await getOrCreateCart(req.user.id);
+    cart = await setItemQuantity(cart, serviceId, 0);
+
+    return successResponse(res, await getCartDetails(cart), 'Item removed from cart');
+  } catch (error) {
+    logger.error('Remove cart item error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Attach a promo code to the cart
+ * The code is kept even if it does not apply yet (e.g. below the minimum order);
+ * `promo.valid` and `promo.message` in the response say whether it currently applies
+ */
+async function applyCartPromo(req, res) {
+  try {
+    const { promo_code } = req.body;
+
+    if (!promo_code || typeof promo_code !== 'string' || !promo_code.trim()) {
+      return errorResponse(res, { message: 'Promo code is required' }, 400);
+    }
+
+    let cart = await getOrCreateCart(req.user.id);
+    cart = await touchCart(cart.id, { promo_code: promo_code.toUpperCase().trim() });
+
+    const details = await getCartDetails(cart);
+
+    return successResponse(
+      res,
+      details,
+      details.promo.valid ? 'Promo code applied' : details.promo.message || 'Promo code cannot be applied'
+    );
+  } catch (error) {
+    logger.error('Apply cart promo error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Remove the promo code from the cart
+ */
+async function removeCartPromo(req, res) {
+  try {
+    let cart = await getOrCreateCart(req.user.id);
+    cart = await touchCart(cart.id, { promo_code: null });
+
+    return successResponse(res, await getCartDetails(cart), 'Promo code removed');
+  } catch (error) {
+    logger.error('Remove cart promo error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Pick the service address for the cart
+ */
+async function setCartAddress(req, res) {
+  try {
+    const userId = req.user.id;
+    const { address_id } = req.body;
+
+    if (!address_id) {
+      return errorResponse(res, { message: 'address_id is required' }, 400);
+    }
+
+    // Verify address belongs to user
+    const { data: address, error: addressError } = await supabase
+      .from('user_addresses')
+      .select('id')
+      .eq('id', address_id)
+      .eq('user_id', userId)
+      .single();
+
+    if (addressError || !address) {
+      return errorResponse(res, { message: 'Address not found' }, 404);
+    }
+
+    let cart = await getOrCreateCart(userId);
+    cart = await touchCart(cart.id, { address_id });
+
+    return successResponse(res, await getCartDetails(cart), 'Address updated');
+  } catch (error) {
+    logger.error('Set cart address error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Empty the cart (items and promo code; the address is kept)
+ */
+async function clearCart(req, res) {
+  try {
+    let cart = await getOrCreateCart(req.user.id);
+
+    const { error } = await supabase
+      .from('cart_items')
+      .delete()
+      .eq('cart_id', cart.id);
+
+    if (error) {
+      logger.error('Clear cart error:', error);
+      throw new Error('Failed to clear cart');
+    }
+
+    cart = await touchCart(cart.id, { promo_code: null });
+
+    return successResponse(res, await getCartDetails(cart), 'Cart cleared');
+  } catch (error) {
+    logger.error('Clear cart error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  applyCartPromo,
+  removeCartPromo,
+  setCartAddress,
+  clearCart
+};
@@ -1,63 +1,122 @@
 const supabase = require('../config/supabase');
 const { successResponse, errorResponse } = require('../utils/response');
-const { validatePromoCode } = require('../services/promoService');
-const { calculatePricing } = require('../utils/pricing');
-const { generateTimeSlots } = require('../utils/timeSlots');
+const { redeemPromoCode, releasePromoCode } = require('../services/promoService');
+const { normalizeCartItems, quoteCart, quoteSlots } = require('../services/checkoutService');
+const { generateTimeSlots, formatSlotTime, parseSlotTime } = require('../utils/timeSlots');
+const { getAvailableSlots, getSlotCapacity, getCartDuration } = require('../services/availabilityService');
+const { autoAssignPartner } = require('../services/partnerAssignmentService');
+const { recordBookingEvent } = require('../services/bookingLifecycleService');
+const { getActivePolicy, formatPolicy } = require('../services/cancellationPolicyService');
+const { getOrCreateCart, loadCartItems, markCartConverted } = require('../services/cartService');
+const { getPricingRulesByVersion, calculatePartnerPayout } = require('../services/pricingRuleService');
+const { getWalletBalance, debitWallet } = require('../services/walletService');
+const { notifyCustomer } = require('../services/notificationService');
+const { cancelUnpaidBooking } = require('../services/unpaidBookingService');
 const logger = require('../utils/logger');
 
+// How long a prepared checkout can be confirmed at the quoted price
+const PREVIEW_TTL_MS = 2 * 60 * 1000;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check that client-supplied items are the same services and quantities as the preview
+ */
+function servicesMatchPreview(services, previewServices) {
+  const toKey = items => normalizeCartItems(items)
+    .map(item => `${item.service_id}:${item.quantity}`)
+    .sort()
+    .join(',');
+
+  try {
+    return toKey(services) === toKey(previewServices);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Make a claimed preview confirmable again after the booking could not be created
+ */
+async function releasePreview(previewId) {
+  const { error } = await supabase
+    .from('checkout_previews')
+    .update({ consumed_at: null })
+    .eq('id', previewId)
+    .is('booking_id', null);
+
+  if (error) {
+    logger.error('Release checkout preview error:', error);
+  }
+}
+
+/**
+ * 409 with the slots that are still open, so the client can offer another time
+ */
+async function respondSlotUnavailable(res, { date, pincode, services }) {
+  const slots = await getAvailableSlots({ date, pincode, services });
+  return res.status(409).json({
+    success: false,
+    error: 'The selected time slot is no longer available. Please choose another slot.',
+    code: 'SLOT_UNAVAILABLE',
+    data: {
+      available_time_slots: slots.map(slot => slot.time)
+    }
+  });
+}
+
+/**
+ * Slot price quoted at prepare time for a date and time, or null if that slot was not quoted
+ */
+function getQuotedSlotPricing(preview, date, time) {
+  if (!preview.slot_pricing || !preview.booking_date || String(preview.booking_date).slice(0, 10) !== date) {
+    return null;
+  }
+
+  return preview.slot_pricing[formatSlotTime(parseSlotTime(time))] || null;
+}
+
 /**
  * Prepare checkout (step 1)
  * Returns pricing, validated promo code, and available time slots
+ * With `booking_date`, each slot is also priced with its surge / off-peak adjustment
+ * The quote is stored as a checkout preview that confirm must reference within PREVIEW_TTL_MS
+ * With `use_cart: true` the items, promo code and address come from the user's saved cart
+ * With `use_wallet: true` the wallet balance pays first and `amount_payable` is what is left
  */
 async function prepareCheckout(req, res) {
   try {
-    const { service_ids, promo_code, address_id, booking_date } = req.body;
+    const { items, service_ids, use_cart, use_wallet, booking_date } = req.body;
+    let { promo_code, address_id } = req.body;
     const userId = req.user.id;
 
-    if (!service_ids || !Array.isArray(service_ids) || service_ids.length === 0) {
-      return errorResponse(res, { message: 'Service IDs are required' }, 400);
+    if (booking_date && !DATE_REGEX.test(booking_date)) {
+      return errorResponse(res, { message: 'booking_date must be in YYYY-MM-DD format' }, 400);
     }
 
-    // Fetch services
-    const { data: services, error: servicesError } = await supabase
-      .from('services')
-      .select('*')
-      .in('id', service_ids)
-      .eq('is_active', true);
+    let cart = null;
+    let cartItems;
 
-    if (servicesError || !services || services.length === 0) {
-      return errorResponse(res, { message: 'Invalid services or services not found' }, 404);
-    }
+    if (use_cart) {
+      cart = await getOrCreateCart(userId);
+      const { available } = await loadCartItems(cart.id);
 
-    // Prepare services with quantity (default 1)
-    const servicesWithQuantity = services.map(service => ({
-      service_id: service.id,
-      name: service.name,
-      category: service.category,
-      tier: service.tier,
-      product_cost: parseFloat(service.product_cost),
-      market_price: service.market_price ? parseFloat(service.market_price) : null,
-      quantity: 1
-    }));
-
-    // Calculate pricing without promo
-    const pricingWithoutPromo = calculatePricing(servicesWithQuantity);
-
-    // Validate promo code
-    let promoResult = { valid: false, discount: 0 };
-    if (promo_code) {
-      promoResult = await validatePromoCode(
-        promo_code,
-        pricingWithoutPromo.subtotal,
-        userId
-      );
+      if (available.length === 0) {
+        return errorResponse(res, { message: 'Your cart is empty' }, 400);
+      }
+
+      cartItems = available;
+      promo_code = promo_code || cart.promo_code;
+      address_id = address_id || cart.address_id;
+    } else {
+      // `items` carries quantities; `service_ids` is still accepted as quantity 1 each
+      cartItems = normalizeCartItems(items || service_ids);
     }
 
-    // Calculate final pricing with promo
-    const finalPricing = calculatePricing(
-      servicesWithQuantity,
-      promoResult.discount
-    );
+    const walletBalance = use_wallet ? await getWalletBalance(userId) : 0;
+
+    const quote = await quoteCart({ items: cartItems, promoCode: promo_code, userId, walletBalance });
+    const { promoResult } = quote;
+    const previewServices = quote.services;
 
     // Get address if provided
     let address = null;
@@ -72,37 +131,106 @@ async function prepareCheckout(req, res) {
       address = addressData;
     }
 
-    // Generate preview ID (2 min TTL)
-    const previewId = `preview_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+    // Slots for the chosen date and area; without them, return the generic slot grid
+    let availableTimeSlots = generateTimeSlots();
+    let slotAvailability = null;
+    if (booking_date && address) {
+      slotAvailability = await getAvailableSlots({
+        date: booking_date,
+        pincode: address.pincode,
+        services: previewServices
+      });
+      availableTimeSlots = slotAvailability.map(slot => slot.time);
+    }
+
+    // Surge / off-peak price of every slot on the chosen date
+    let slotPricing = null;
+    if (booking_date) {
+      slotPricing = await quoteSlots({
+        items: cartItems,
+        promoCode: promo_code,
+        userId,
+        pricingRules: quote.pricingRules,
+        date: booking_date,
+        times: availableTimeSlots,
+        walletBalance
+      });
+    }
+
+    const cancellationPolicy = await getActivePolicy();
+
+    const previewPricing = {
+      subtotal: quote.pricing.subtotal,
+      savings: quote.pricing.savings,
+      discount: quote.pricing.discount,
+      platform_fee: quote.pricing.platform_fee,
+      tax: quote.pricing.tax,
+      gst_amount: quote.pricing.gst_amount,
+      grand_total: quote.pricing.grand_total,
+      wallet_amount: quote.pricing.wallet_amount,
+      amount_payable: quote.pricing.amount_payable
+    };
+
+    // Persist the preview so confirm books exactly what was quoted
+    const { data: preview, error: previewError } = await supabase
+      .from('checkout_previews')
+      .insert({
+        user_id: userId,
+        services: previewServices,
+        pricing: previewPricing,
+        promo_code: promoResult.valid ? promoResult.promo_code : null,
+        promo_discount: promoResult.valid ? promoResult.discount : 0,
+        cancellation_policy_version: cancellationPolicy.version,
+        pricing_rule_version: quote.pricingRules.version,
+        cart_id: cart ? cart.id : null,
+        use_wallet: !!use_wallet,
+        booking_date: booking_date || null,
+        slot_pricing: slotPricing
+          ? Object.fromEntries(slotPricing.map(slot => [slot.time, {
+            ...slot.pricing,
+            multiplier: slot.multiplier,
+            rule_id: slot.rule_id
+          }]))
+          : null,
+        expires_at: new Date(Date.now() + PREVIEW_TTL_MS).toISOString()
+      })
+      .select()
+      .single();
+
+    if (previewError) {
+      logger.error('Create checkout preview error:', previewError);
+      throw new Error('Failed to prepare checkout');
+    }
 
     return successResponse(res, {
-      preview_id: previewId,
-      services: servicesWithQuantity,
-      pricing: {
-        subtotal: finalPricing.subtotal,
-        savings: finalPricing.savings,
-        discount: finalPricing.discount,
-        tax: finalPricing.tax,
-        grand_total: finalPricing.grand_total
-      },
+      preview_id: preview.id,
+      expires_at: preview.expires_at,
+      services: previewServices,
+      pricing: previewPricing,
       promo: {
         code: promoResult.valid ? promo_code : null,
         discount: promoResult.discount,
         valid: promoResult.valid,
+        eligible_amount: promoResult.valid ? promoResult.eligible_amount : 0,
         message: promoResult.message
       },
-      available_time_slots: generateTimeSlots(),
+      duration_minutes: getCartDuration(previewServices),
+      available_time_slots: availableTimeSlots,
+      slot_availability: slotAvailability,
+      slot_pricing: slotPricing,
+      wallet: use_wallet ? { balance: walletBalance, applied: quote.pricing.wallet_amount } : null,
+      cancellation_policy: formatPolicy(cancellationPolicy),
       address
     });
   } catch (error) {
     logger.error('Prepare checkout error:', error);
-    return errorResponse(res, error, 500);
+    return errorResponse(res, error, error.statusCode || 500);
   }
 }
 
 /**
  * Confirm booking (step 2)
- * Creates booking and payment order
+ * Books the items and price quoted by a valid, unexpired preview, then creates the payment order
  */
 async function confirmBooking(req, res) {
   try {
@@ -115,7 +243,8 @@ async function confirmBooking(req, res) {
       customer_name,
       customer_phone,
       customer_email,
-      services, // Array of {service_id, quantity}
+      items, // Optional echo of the previewed {service_id, quantity} items
+      services, // Older name for `items`
       promo_code,
       cancellation_policy_accepted
     } = req.body;
@@ -123,6 +252,10 @@ async function confirmBooking(req, res) {
     const userId = req.user.id;
 
     // Validation
+    if (!preview_id) {
+      return errorResponse(res, { message: 'preview_id is required. Please prepare checkout first.' }, 400);
+    }
+
     if (!payment_method || !['cash', 'online'].includes(payment_method)) {
       return errorResponse(res, { message: 'Invalid payment method' }, 400);
     }
@@ -131,18 +264,14 @@ async function confirmBooking(req, res) {
       return errorResponse(res, { message: 'Address, booking date, and time are required' }, 400);
     }
 
-    if (!services || !Array.isArray(services) || services.length === 0) {
-      return errorResponse(res, { message: 'Services are required' }, 400);
+    if (!DATE_REGEX.test(booking_date) || parseSlotTime(booking_time) === null) {
+      return errorResponse(res, { message: 'Invalid booking date or time format' }, 400);
     }
 
-    // Validate services structure - each service must have service_id or id
-    const invalidServices = services.filter(s => !s.service_id && !s.id);
-    if (invalidServices.length > 0) {
-      logger.error('Invalid services structure:', services);
-      return errorResponse(res, { 
-        message: 'Invalid services: Each service must have a service_id or id field',
-        details: `Found ${invalidServices.length} service(s) without service_id. Services array: ${JSON.stringify(services)}`
-      }, 400);
+    const echoedItems = items || services;
+    if (echoedItems !== undefined && (!Array.isArray(echoedItems) || echoedItems.some(s => !s.service_id && !s.id))) {
+      logger.error('Invalid services structure:', echoedItems);
+      return errorResponse(res, { message: 'Invalid services: Each service must have a service_id or id field' }, 400);
     }
 
     if (!customer_name || !customer_phone) {
@@ -159,6 +288,35 @@ async function confirmBooking(req, res) {
       return errorResponse(res, { message: 'Booking date cannot be in the past' }, 400);
     }
 
+    // Load the preview issued by prepareCheckout
+    const { data: preview, error: previewError } = await supabase
+      .from('checkout_previews')
+      .select('*')
+      .eq('id', preview_id)
+      .eq('user_id', userId)
+      .single();
+
+    if (previewError || !preview) {
+      return errorResponse(res, { message: 'Checkout preview not found' }, 404);
+    }
+
+    if (preview.consumed_at) {
+      return errorResponse(res, { message: 'This checkout has already been confirmed' }, 409);
+    }
+
+    if (new Date(preview.expires_at) <= new Date()) {
+      return errorResponse(res, { message: 'Checkout preview has expired. Please review your order again.' }, 410);
+    }
+
+    // The client may echo back services and promo code, but they must match what was previewed
+    if (echoedItems && !servicesMatchPreview(echoedItems, preview.services)) {
+      return errorResponse(res, { message: 'Services do not match the checkout preview' }, 400);
+    }
+
+    if (promo_code && promo_code.toUpperCase().trim() !== preview.promo_code) {
+      return errorResponse(res, { message: 'Promo code does not match the checkout preview' }, 400);
+    }
+
     // Verify address belongs to user
     const { data: address, error: addressError } = await supabase
       .from('user_addresses')
@@ -171,94 +329,105 @@ async function confirmBooking(req, res) {
       return errorResponse(res, { message: 'Address not found' }, 404);
     }
 
-    // Extract service IDs - support both service_id and id fields
-    const serviceIds = services.map(s => s.service_id || s.id).filter(Boolean);
-    
-    if (serviceIds.length === 0) {
-      logger.error('No valid service IDs found:', services);
-      return errorResponse(res, { 
-        message: 'Invalid services: No valid service IDs found',
-        details: `Services array: ${JSON.stringify(services)}`
-      }, 400);
+    // Reprice the previewed items through the same path and pricing rules prepare used
+    const pricingRules = await getPricingRulesByVersion(preview.pricing_rule_version);
+    // The wallet pays from its balance now; it may differ from the preview without changing the price
+    const walletBalance = preview.use_wallet ? await getWalletBalance(userId) : 0;
+
+    let quote;
+    try {
+      quote = await quoteCart({
+        items: preview.services.map(item => ({ service_id: item.service_id, quantity: item.quantity || 1 })),
+        promoCode: preview.promo_code,
+        userId,
+        pricingRules,
+        slot: { date: booking_date, time: booking_time },
+        walletBalance
+      });
+    } catch (quoteError) {
+      if (quoteError.unavailableServiceIds) {
+        logger.error('Some services not found:', { missing: quoteError.unavailableServiceIds });
+        return errorResponse(res, {
+          message: 'Some services in your checkout are no longer available. Please review your order again.'
+        }, 409);
+      }
+      if (quoteError.statusCode === 400) {
+        return errorResponse(res, { message: `${quoteError.message}. Please review your order again.` }, 409);
+      }
+      throw quoteError;
     }
 
-    // Fetch services
-    const { data: serviceData, error: servicesError } = await supabase
-      .from('services')
-      .select('*')
-      .in('id', serviceIds)
-      .eq('is_active', true);
+    const { services: servicesJson, pricing, promoResult, promoDiscount, slotRule } = quote;
 
-    if (servicesError) {
-      logger.error('Error fetching services:', servicesError);
-      return errorResponse(res, { message: 'Failed to fetch services', error: servicesError.message }, 500);
-    }
+    // The quoted price is locked: the chosen slot's price if slots were priced for this date,
+    // otherwise the base quote. If anything moved since the preview, send the new price back
+    const quotedSlotPricing = getQuotedSlotPricing(preview, booking_date, booking_time);
+    const expectedPricing = quotedSlotPricing || preview.pricing;
 
-    if (!serviceData || serviceData.length === 0) {
-      logger.error('No services found for IDs:', serviceIds);
-      return errorResponse(res, { 
-        message: 'Invalid services: No active services found for the provided service IDs',
-        details: `Requested service IDs: ${JSON.stringify(serviceIds)}`
-      }, 404);
-    }
+    if (pricing.grand_total !== parseFloat(expectedPricing.grand_total) || pricing.discount !== parseFloat(expectedPricing.discount)) {
+      let message = 'Prices have changed since your checkout preview. Please review the new total.';
+      if (!promoResult.valid && preview.promo_code) {
+        message = `Promo code ${preview.promo_code} can no longer be applied. ${promoResult.message || ''}`.trim();
+      } else if (slotRule && !quotedSlotPricing) {
+        message = `${booking_time} on ${booking_date} is priced differently (${slotRule.name}). Please review the new total.`;
+      }
 
-    if (serviceData.length !== serviceIds.length) {
-      const foundIds = serviceData.map(s => s.id);
-      const missingIds = serviceIds.filter(id => !foundIds.includes(id));
-      logger.error('Some services not found:', { requested: serviceIds, found: foundIds, missing: missingIds });
-      return errorResponse(res, { 
-        message: 'Invalid services: Some services were not found or are inactive',
-        details: `Missing service IDs: ${JSON.stringify(missingIds)}`
-      }, 400);
+      return res.status(409).json({
+        success: false,
+        error: message,
+        code: 'PRICE_CHANGED',
+        data: {
+          previous_pricing: expectedPricing,
+          pricing: {
+            subtotal: pricing.subtotal,
+            savings: pricing.savings,
+            discount: pricing.discount,
+            platform_fee: pricing.platform_fee,
+            tax: pricing.tax,
+            gst_amount: pricing.gst_amount,
+            grand_total: pricing.grand_total,
+            wallet_amount: pricing.wallet_amount,
+            amount_payable: pricing.amount_payable
+          }
+        }
+      });
     }
 
-    // Prepare services JSON
-    const servicesJson = serviceData.map(service => {
-      // Find matching service request - support both service_id and id fields
-      const serviceRequest = services.find(s => 
-        (s.service_id === service.id) || (s.id === service.id)
-      );
-      return {
-        service_id: service.id,
-        name: service.name,
-        category: service.category,
-        tier: service.tier,
-        quantity: serviceRequest?.quantity || 1,
-        price: parseFloat(service.product_cost || service.price || 0),
-        product_cost: parseFloat(service.product_cost || service.price || 0),
-        market_price: service.market_price ? parseFloat(service.market_price) : null
-      };
-    });
+    // Make sure a partner is still free for the chosen slot
+    const slotQuery = {
+      date: booking_date,
+      time: booking_time,
+      pincode: address.pincode,
+      services: servicesJson
+    };
 
-    // Calculate pricing
-    let promoDiscount = 0;
-    if (promo_code) {
-      const promoResult = await validatePromoCode(promo_code, 0, userId);
-      if (promoResult.valid) {
-        const pricingWithoutPromo = calculatePricing(servicesJson);
-        const promoResultWithAmount = await validatePromoCode(
-          promo_code,
-          pricingWithoutPromo.subtotal,
-          userId
-        );
-        promoDiscount = promoResultWithAmount.discount;
-      }
+    if (await getSlotCapacity(slotQuery) < 1) {
+      return respondSlotUnavailable(res, slotQuery);
     }
 
-    const pricing = calculatePricing(servicesJson, promoDiscount);
+    // Claim the preview; only one confirm can win
+    const { data: claimedPreview } = await supabase
+      .from('checkout_previews')
+      .update({ consumed_at: new Date().toISOString() })
+      .eq('id', preview.id)
+      .is('consumed_at', null)
+      .select()
+      .single();
 
-    // Validate pricing
-    if (!pricing || typeof pricing.subtotal !== 'number' || typeof pricing.grand_total !== 'number') {
-      logger.error('Invalid pricing calculation:', pricing);
-      return errorResponse(res, { message: 'Failed to calculate pricing' }, 500);
+    if (!claimedPreview) {
+      return errorResponse(res, { message: 'This checkout has already been confirmed' }, 409);
     }
 
     // Generate booking number
     const { generateBookingNumber } = require('../utils/bookingNumber');
     const bookingNumber = generateBookingNumber();
 
-    // Calculate partner payout (70% of grand total)
-    const partnerPayout = Math.floor(pricing.grand_total * 0.70 * 100) / 100;
+    // Partner-specific commission is applied again once a partner is assigned
+    const partnerPayout = calculatePartnerPayout(pricingRules, {
+      services: servicesJson,
+      discount: pricing.discount,
+      platformFee: pricing.platform_fee
+    });
 
     // Create booking
     // Note: Supabase JSONB field accepts JSON object directly
@@ -276,14 +445,23 @@ async function confirmBooking(req, res) {
         total_price: pricing.subtotal || 0,
         discount: pricing.discount || 0,
         tax: pricing.tax || 0,
+        platform_fee: pricing.platform_fee || 0,
+        gst_amount: pricing.gst_amount || 0,
         grand_total: pricing.grand_total || 0,
+        wallet_amount: pricing.wallet_amount || 0,
         partner_payout: partnerPayout,
-        promo_code: promo_code || null,
+        pricing_rule_version: pricingRules.version,
+        slot_multiplier: slotRule ? parseFloat(slotRule.multiplier) : 1,
+        slot_pricing_rule_id: slotRule ? slotRule.id : null,
+        promo_code: promoResult.valid ? promoResult.promo_code : null,
         customer_name: customer_name,
         customer_phone: customer_phone,
         customer_email: customer_email || null,
         status: 'pending',
-        cancellation_policy_accepted: cancellation_policy_accepted || false
+        cancellation_policy_accepted: cancellation_policy_accepted || false,
+        // The policy shown at prepare time is the one the customer accepted
+        cancellation_policy_version: preview.cancellation_policy_version || (await getActivePolicy()).version,
+        duration_minutes: getCartDuration(servicesJson)
       })
       .select()
       .single();
@@ -306,11 +484,113 @@ async function confirmBooking(req, res) {
       };
       
       logger.error('Create booking error details:', errorDetails);
-      
+
+      await releasePreview(preview.id);
       return errorResponse(res, errorDetails, 500);
     }
 
-    // Handle payment based on method
+    // Another checkout may have taken the last partner between the check above and the insert.
+    // Bookings made after this one are ignored, so of two racing checkouts only the later one is rolled back.
+    if (await getSlotCapacity({ ...slotQuery, upToBooking: booking }) < 0) {
+      await supabase.from('bookings').delete().eq('id', booking.id);
+      await releasePreview(preview.id);
+      return respondSlotUnavailable(res, slotQuery);
+    }
+
+    // Record promo redemption (per-user and total limits are enforced atomically)
+    if (promoResult.valid) {
+      try {
+        await redeemPromoCode({
+          promoCodeId: promoResult.promo_code_id,
+          userId,
+          bookingId: booking.id,
+          discount: promoDiscount
+        });
+      } catch (redeemError) {
+        await supabase.from('bookings').delete().eq('id', booking.id);
+        await releasePreview(preview.id);
+        return errorResponse(res, redeemError, redeemError.statusCode || 500);
+      }
+    }
+
+    // Take the wallet part; the balance is checked again atomically
+    if (pricing.wallet_amount > 0) {
+      try {
+        await debitWallet({
+          userId,
+          amount: pricing.wallet_amount,
+          source: 'checkout',
+          bookingId: booking.id,
+          description: `Payment for booking ${bookingNumber}`,
+          reference: `checkout:${booking.id}`,
+          actorType: 'customer',
+          actorId: userId
+        });
+      } catch (walletError) {
+        if (promoResult.valid) {
+          await releasePromoCode(booking.id, 'checkout_failed');
+        }
+        await supabase.from('bookings').delete().eq('id', booking.id);
+        await releasePreview(preview.id);
+        if (walletError.statusCode === 409) {
+          return errorResponse(res, { message: 'Your wallet balance has changed. Please review your order again.' }, 409);
+        }
+        throw walletError;
+      }
+    }
+
+    await supabase
+      .from('checkout_previews')
+      .update({ booking_id: booking.id })
+      .eq('id', preview.id);
+
+    await recordBookingEvent(booking.id, {
+      eventType: 'created',
+      toStatus: booking.status || 'pending',
+      actorType: 'customer',
+      actorId: userId,
+      metadata: { payment_method }
+    });
+
+    if (preview.cart_id) {
+      await markCartConverted(preview.cart_id, booking.id);
+    }
+
+    // Fully paid from the wallet: nothing to collect, so assign a partner right away
+    if (pricing.wallet_amount > 0 && pricing.amount_payable === 0) {
+      await supabase
+        .from('bookings')
+        .update({ payment_status: 'paid' })
+        .eq('id', booking.id);
+
+      await recordBookingEvent(booking.id, {
+        eventType: 'payment_captured',
+        actorType: 'customer',
+        actorId: userId,
+        metadata: { wallet_amount: pricing.wallet_amount }
+      });
+
+      await notifyCustomer('booking_confirmed', booking);
+
+      const assignment = await autoAssignPartner(booking.id);
+
+      return successResponse(res, {
+        booking: {
+          id: booking.id,
+          booking_number: bookingNumber,
+          status: 'pending',
+          payment_status: 'paid',
+          partner_assigned: assignment.assigned
+        },
+        payment: {
+          wallet_amount: pricing.wallet_amount,
+          amount_payable: 0
+        },
+        message: 'Booking paid from your wallet.'
+      }, 'Booking created successfully', 201);
+    }
+
+    // Handle payment based on method (for what the wallet did not cover)
     if (payment_method === 'online') {
       // Check if Razorpay is configured
       const isRazorpayConfigured = !!(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
@@ -325,7 +605,7 @@ async function confirmBooking(req, res) {
           .insert({
             booking_id: booking.id,
             razorpay_order_id: null,
-            amount: pricing.grand_total,
+            amount: pricing.amount_payable,
             status: 'pending',
             payment_method: 'online'
           });
@@ -339,7 +619,7 @@ async function confirmBooking(req, res) {
           },
           payment: {
             order_id: null,
-            amount: pricing.grand_total,
+            amount: pricing.amount_payable,
             currency: 'INR',
             message: 'Razorpay not configured. Payment will be processed manually in development mode.',
             development_mode: true
@@ -353,7 +633,7 @@ async function confirmBooking(req, res) {
       
       try {
         const orderResult = await createOrder(
-          pricing.grand_total,
+          pricing.amount_payable,
           bookingNumber,
           {
             booking_id: booking.id,
@@ -367,7 +647,7 @@ async function confirmBooking(req, res) {
           .insert({
             booking_id: booking.id,
             razorpay_order_id: orderResult.order_id,
-            amount: pricing.grand_total,
+            amount: pricing.amount_payable,
             status: 'pending',
             payment_method: 'online'
           });
@@ -405,28 +685,35 @@ async function confirmBooking(req, res) {
         }, 'Booking created successfully', 201);
       } catch (paymentError) {
         logger.error('Create payment order error:', paymentError);
-        // Booking already created, but payment order failed
-        return successResponse(res, {
-          booking: {
-            id: booking.id,
-            booking_number: bookingNumber,
-            status: 'pending',
-            payment_status: 'pending'
-          },
-          message: 'Booking created. Payment order creation failed. Please contact support.'
-        }, 'Booking created but payment setup failed', 201);
+        // The booking cannot be paid for: cancel it and give back its promo redemption and wallet part
+        try {
+          await cancelUnpaidBooking(booking, 'Payment setup failed');
+        } catch (cancelError) {
+          logger.error(`Cancel booking ${booking.id} after payment setup failed error:`, cancelError);
+        }
+        return errorResponse(res, { message: 'Payment could not be set up. Your booking was not placed, please try again.' }, 500);
       }
     } else {
-      // Cash payment - trigger partner assignment
-      // Partner assignment will be handled separately
+      // Cash payment - assign a partner right away (online bookings are assigned on payment capture)
+      await notifyCustomer('booking_confirmed', booking);
+
+      const assignment = await autoAssignPartner(booking.id);
+
       return successResponse(res, {
         booking: {
           id: booking.id,
           booking_number: bookingNumber,
           status: 'pending',
-          payment_status: 'pending'
+          payment_status: 'pending',
+          partner_assigned: assignment.assigned
+        },
+        payment: {
+          wallet_amount: pricing.wallet_amount,
+          amount_payable: pricing.amount_payable
         },
-        message: 'Booking created. Partner will be assigned shortly.'
+        message: assignment.assigned
+          ? 'Booking created. A partner has been assigned.'
+          : 'Booking created. Partner will be assigned shortly.'
       }, 'Booking created successfully', 201);
     }
   } catch (error) {
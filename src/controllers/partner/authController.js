@@ -0,0 +1,199 @@
+const supabase = require('../../config/supabase');
+const { sendOTP, verifyOTP, OTP_CHANNEL_NAMES } = require('../../services/interaktOTPService');
+const { generateAccessToken, generateRefreshToken, verifyToken } = require('../../utils/jwt');
+const { successResponse, errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+const PHONE_REGEX = /^\+?[1-9]\d{1,14}$/;
+
+/**
+ * Find an active partner by phone number
+ * Partners may have been entered with or without the +91 prefix
+ */
+async function findPartnerByPhone(phoneNumber) {
+  const digits = phoneNumber.replace(/[\s-]/g, '');
+  const local = digits.replace(/^\+?91(?=\d{10}$)/, '');
+  const candidates = [...new Set([digits, local, `+91${local}`, `91${local}`])];
+
+  const { data: partners, error } = await supabase
+    .from('partners')
+    .select('*')
+    .in('phone_number', candidates)
+    .eq('is_active', true)
+    .limit(1);
+
+  if (error) {
+    logger.error('Find partner by phone error:', error);
+    throw new Error('Failed to look up partner');
+  }
+
+  return partners && partners.length > 0 ? partners[0] : null;
+}
+
+function buildTokens(partner) {
+  const tokenPayload = {
+    partnerId: partner.id,
+    phone_number: partner.phone_number,
+    type: 'partner'
+  };
+
+  return {
+    access_token: generateAccessToken(tokenPayload),
+    refresh_token: generateRefreshToken(tokenPayload)
+  };
+}
+
+function formatPartner(partner) {
+  return {
+    id: partner.id,
+    partner_code: partner.partner_code,
+    name: partner.name,
+    phone_number: partner.phone_number,
+    email: partner.email,
+    service_categories: partner.service_categories || [],
+    is_available: partner.is_available,
+    rating: partner.rating
+  };
+}
+
+/**
+ * Send login OTP to a registered partner
+ */
+async function sendPartnerOTP(req, res) {
+  try {
+    const { phone_number, channel } = req.body;
+
+    if (!phone_number) {
+      return errorResponse(res, { message: 'Phone number is required' }, 400);
+    }
+
+    if (!PHONE_REGEX.test(phone_number)) {
+      return errorResponse(res, { message: 'Invalid phone number format' }, 400);
+    }
+
+    if (channel !== undefined && !OTP_CHANNEL_NAMES.includes(channel)) {
+      return errorResponse(res, { message: `Invalid channel. Use one of: ${OTP_CHANNEL_NAMES.join(', ')}` }, 400);
+    }
+
+    const partner = await findPartnerByPhone(phone_number);
+    if (!partner) {
+      return errorResponse(res, { message: 'No active partner account for this phone number' }, 404);
+    }
+
+    const result = await sendOTP(phone_number, { channel, email: partner.email, ip: req.ip });
+
+    return successResponse(res, {
+      expires_in: result.expires_in,
+      channel: result.channel,
+      attempted_channels: result.attempted_channels,
+      ...(result.otp_code && { otp_code: result.otp_code }) // Include OTP in dev mode for testing
+    }, 'OTP sent successfully');
+  } catch (error) {
+    logger.error('Send partner OTP error:', error);
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Verify OTP and log the partner in
+ * Tokens are returned in the body for the partner mobile app (send as Bearer)
+ */
+async function verifyPartnerOTP(req, res) {
+  try {
+    const { phone_number, otp_code } = req.body;
+
+    if (!phone_number || !otp_code) {
+      return errorResponse(res, { message: 'Phone number and OTP code are required' }, 400);
+    }
+
+    const partner = await findPartnerByPhone(phone_number);
+    if (!partner) {
+      return errorResponse(res, { message: 'No active partner account for this phone number' }, 404);
+    }
+
+    await verifyOTP(phone_number, otp_code, { ip: req.ip });
+
+    await supabase
+      .from('partners')
+      .update({ last_login_at: new Date().toISOString() })
+      .eq('id', partner.id);
+
+    return successResponse(res, {
+      partner: formatPartner(partner),
+      ...buildTokens(partner)
+    }, 'OTP verified successfully');
+  } catch (error) {
+    logger.error('Verify partner OTP error:', error);
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return errorResponse(res, error, error.statusCode || 400);
+  }
+}
+
+/**
+ * Exchange a partner refresh token for new tokens
+ */
+async function refreshPartnerToken(req, res) {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return errorResponse(res, { message: 'Refresh token is required' }, 400);
+    }
+
+    const decoded = verifyToken(refresh_token);
+    if (decoded.type !== 'partner' || !decoded.partnerId || decoded.use !== 'refresh') {
+      return errorResponse(res, { message: 'Invalid or expired refresh token' }, 401);
+    }
+
+    // Deactivated partners cannot refresh (partnerAuth also rejects their access tokens)
+    const { data: partner } = await supabase
+      .from('partners')
+      .select('*')
+      .eq('id', decoded.partnerId)
+      .eq('is_active', true)
+      .single();
+
+    if (!partner) {
+      return errorResponse(res, { message: 'Partner account is inactive' }, 401);
+    }
+
+    return successResponse(res, buildTokens(partner), 'Token refreshed successfully');
+  } catch (error) {
+    logger.error('Refresh partner token error:', error);
+    return errorResponse(res, { message: 'Invalid or expired refresh token' }, 401);
+  }
+}
+
+/**
+ * Get logged-in partner profile
+ */
+async function getPartnerProfile(req, res) {
+  try {
+    const { data: partner, error } = await supabase
+      .from('partners')
+      .select('*')
+      .eq('id', req.partner.id)
+      .single();
+
+    if (error || !partner) {
+      return errorResponse(res, { message: 'Partner not found' }, 404);
+    }
+
+    return successResponse(res, formatPartner(partner));
+  } catch (error) {
+    logger.error('Get partner profile error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+module.exports = {
+  sendPartnerOTP,
+  verifyPartnerOTP,
+  refreshPartnerToken,
+  getPartnerProfile
+};
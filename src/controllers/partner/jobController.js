@@ -0,0 +1,219 @@
+const supabase = require('../../config/supabase');
+const { successResponse, errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+const { getIstNow } = require('../../services/availabilityService');
+const { autoAssignPartner } = require('../../services/partnerAssignmentService');
+const { transitionBooking, recordBookingEvent } = require('../../services/bookingLifecycleService');
+const { issueInvoiceOnCompletion } = require('../../services/invoiceService');
+const { notifyBookingEvent } = require('../../services/notificationService');
+
+const JOB_FIELDS = 'id, booking_number, services, booking_date, booking_time, duration_minutes, status, payment_method, payment_status, grand_total, wallet_amount, partner_payout, customer_name, customer_phone, assignment_status, assigned_at, accepted_at, arrived_at, started_at, completed_at, user_addresses(*)';
+
+/**
+ * Get the partner's jobs for today or upcoming days (IST)
+ */
+async function getPartnerJobs(req, res) {
+  try {
+    const { scope = 'today' } = req.query;
+
+    if (!['today', 'upcoming'].includes(scope)) {
+      return errorResponse(res, { message: 'scope must be today or upcoming' }, 400);
+    }
+
+    const today = getIstNow().date;
+
+    let query = supabase
+      .from('bookings')
+      .select(JOB_FIELDS)
+      .eq('partner_id', req.partner.id)
+      .not('status', 'in', '(cancelled,refunded)')
+      .order('booking_date', { ascending: true })
+      .order('booking_time', { ascending: true });
+
+    query = scope === 'today'
+      ? query.eq('booking_date', today)
+      : query.gt('booking_date', today);
+
+    const { data: jobs, error } = await query.limit(100);
+
+    if (error) {
+      logger.error('Get partner jobs error:', error);
+      throw new Error('Failed to fetch jobs');
+    }
+
+    return successResponse(res, jobs || []);
+  } catch (error) {
+    logger.error('Get partner jobs error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Get a single job assigned to the partner
+ */
+async function getPartnerJobById(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: job, error } = await supabase
+      .from('bookings')
+      .select(JOB_FIELDS)
+      .eq('id', id)
+      .eq('partner_id', req.partner.id)
+      .single();
+
+    if (error || !job) {
+      return errorResponse(res, { message: 'Job not found' }, 404);
+    }
+
+    return successResponse(res, job);
+  } catch (error) {
+    logger.error('Get partner job error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Move one of the partner's jobs to a new status through the booking lifecycle
+ */
+async function transitionJob(req, res, toStatus, { updates = {}, successMessage }) {
+  try {
+    const job = await transitionBooking(req.params.id, toStatus, {
+      actorType: 'partner',
+      actorId: req.partner.id,
+      conditions: { partner_id: req.partner.id },
+      updates
+    });
+
+    if (toStatus === 'completed') {
+      await issueInvoiceOnCompletion(req.params.id);
+    }
+
+    // Customers hear about their partner once the partner has accepted the job
+    if (toStatus === 'confirmed') {
+      await notifyBookingEvent('partner_assigned', req.params.id, {
+        dedupeKey: `partner_assigned:${req.params.id}:${req.partner.id}`
+      });
+    }
+
+    return successResponse(res, job, successMessage);
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return errorResponse(res, { message: 'Job not found' }, 404);
+    }
+    logger.error(`Partner job transition to ${toStatus} error:`, error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Accept an assigned job
+ */
+async function acceptJob(req, res) {
+  return transitionJob(req, res, 'confirmed', {
+    updates: {
+      assignment_status: 'accepted',
+      accepted_at: new Date().toISOString()
+    },
+    successMessage: 'Job accepted'
+  });
+}
+
+/**
+ * Reject an assigned job before accepting it
+ * The booking is released and re-run through auto-assignment without this partner
+ */
+async function rejectJob(req, res) {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const { data: booking } = await supabase
+      .from('bookings')
+      .select('id, status, accepted_at, partner_rejections')
+      .eq('id', id)
+      .eq('partner_id', req.partner.id)
+      .single();
+
+    if (!booking) {
+      return errorResponse(res, { message: 'Job not found' }, 404);
+    }
+
+    if (booking.status !== 'pending' || booking.accepted_at) {
+      return errorResponse(res, { message: 'Accepted jobs cannot be rejected. Please contact support.' }, 409);
+    }
+
+    const rejections = [
+      ...(Array.isArray(booking.partner_rejections) ? booking.partner_rejections : []),
+      {
+        partner_id: req.partner.id,
+        reason: reason || null,
+        rejected_at: new Date().toISOString()
+      }
+    ];
+
+    const { data: released, error } = await supabase
+      .from('bookings')
+      .update({
+        partner_id: null,
+        assignment_status: null,
+        assigned_at: null,
+        partner_rejections: rejections
+      })
+      .eq('id', id)
+      .eq('partner_id', req.partner.id)
+      .is('accepted_at', null)
+      .select('id')
+      .single();
+
+    if (error || !released) {
+      return errorResponse(res, { message: 'Job can no longer be rejected' }, 409);
+    }
+
+    await recordBookingEvent(id, {
+      eventType: 'partner_rejected',
+      actorType: 'partner',
+      actorId: req.partner.id,
+      reason: reason || null
+    });
+
+    const reassignment = await autoAssignPartner(id);
+    logger.info(`Partner ${req.partner.id} rejected booking ${id}; reassigned: ${reassignment.assigned}`);
+
+    return successResponse(res, { id, rejected: true }, 'Job rejected');
+  } catch (error) {
+    logger.error('Reject job error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Mark arrival at the customer's address
+ */
+async function markArrived(req, res) {
+  return transitionJob(req, res, 'partner_arrived', { successMessage: 'Arrival recorded' });
+}
+
+/**
+ * Start the service
+ */
+async function startJob(req, res) {
+  return transitionJob(req, res, 'in_progress', { successMessage: 'Service started' });
+}
+
+/**
+ * Complete the service
+ */
+async function completeJob(req, res) {
+  return transitionJob(req, res, 'completed', { successMessage: 'Service completed' });
+}
+
+module.exports = {
+  getPartnerJobs,
+  getPartnerJobById,
+  acceptJob,
+  rejectJob,
+  markArrived,
+  startJob,
+  completeJob
+};
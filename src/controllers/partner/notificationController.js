@@ -0,0 +1,65 @@
+const supabase = require('../../config/supabase');
+const { successResponse, errorResponse } = require('../../utils/response');
+const logger = require('../../utils/logger');
+
+/**
+ * Get the partner's latest notifications
+ */
+async function getPartnerNotifications(req, res) {
+  try {
+    const { unread } = req.query;
+
+    let query = supabase
+      .from('partner_notifications')
+      .select('*')
+      .eq('partner_id', req.partner.id)
+      .order('created_at', { ascending: false });
+
+    if (unread === 'true') {
+      query = query.is('read_at', null);
+    }
+
+    const { data: notifications, error } = await query.limit(50);
+
+    if (error) {
+      logger.error('Get partner notifications error:', error);
+      throw new Error('Failed to fetch notifications');
+    }
+
+    return successResponse(res, notifications || []);
+  } catch (error) {
+    logger.error('Get partner notifications error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+/**
+ * Mark a notification as read
+ */
+async function markNotificationRead(req, res) {
+  try {
+    const { id } = req.params;
+
+    const { data: notification, error } = await supabase
+      .from('partner_notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('partner_id', req.partner.id)
+      .select()
+      .single();
+
+    if (error || !notification) {
+      return errorResponse(res, { message: 'Notification not found' }, 404);
+    }
+
+    return successResponse(res, notification);
+  } catch (error) {
+    logger.error('Mark notification read error:', error);
+    return errorResponse(res, error, 500);
+  }
+}
+
+module.exports = {
+  getPartnerNotifications,
+  markNotificationRead
+};
@@ -1,8 +1,17 @@
 const supabase = require('../config/supabase');
 const { createOrder, verifySignature, verifyWebhookSignature, getPaymentDetails } = require('../services/razorpayService');
+const { restorePromoCode } = require('../services/promoService');
+const { autoAssignPartner } = require('../services/partnerAssignmentService');
+const { recordBookingEvent } = require('../services/bookingLifecycleService');
+const { handleRefundWebhook } = require('../services/refundService');
+const { notifyBookingEvent } = require('../services/notificationService');
+const { markPaymentFailed, reclaimWalletPart, refundLateCapture } = require('../services/unpaidBookingService');
 const { successResponse, errorResponse } = require('../utils/response');
 const logger = require('../utils/logger');
 
+// Payment rows whose capture has already been processed (refunds come after capture)
+const CAPTURED_PAYMENT_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
 /**
  * Create Razorpay payment order
  */
@@ -31,9 +40,16 @@ async function createPaymentOrder(req, res) {
       return errorResponse(res, { message: 'Booking already paid' }, 400);
     }
 
+    // Only the part not already paid from the wallet goes through Razorpay
+    const amountPayable = Math.round((parseFloat(booking.grand_total) - parseFloat(booking.wallet_amount || 0)) * 100) / 100;
+
+    if (amountPayable <= 0) {
+      return errorResponse(res, { message: 'Nothing left to pay for this booking' }, 400);
+    }
+
     // Create Razorpay order
     const orderResult = await createOrder(
-      booking.grand_total,
+      amountPayable,
       booking.booking_number,
       {
         booking_id: booking.id,
@@ -47,7 +63,7 @@ async function createPaymentOrder(req, res) {
       .insert({
         booking_id: booking.id,
         razorpay_order_id: orderResult.order_id,
-        amount: booking.grand_total,
+        amount: amountPayable,
         status: 'pending'
       })
       .select()
@@ -117,6 +133,15 @@ async function verifyPayment(req, res) {
       return errorResponse(res, { message: 'Payment not found' }, 404);
     }
 
+    // Already captured (by the webhook or an earlier verify): report the current state only
+    if (CAPTURED_PAYMENT_STATUSES.includes(payment.status)) {
+      return successResponse(res, {
+        booking_id: payment.booking_id,
+        payment_status: payment.status,
+        booking_status: payment.bookings.status
+      }, 'Payment already verified');
+    }
+
     // Update payment status
     await supabase
       .from('payments')
@@ -126,22 +151,48 @@ async function verifyPayment(req, res) {
       })
       .eq('id', payment.id);
 
-    // Update booking status
+    // Mark booking paid; it stays pending until a partner accepts it
     await supabase
       .from('bookings')
       .update({
         payment_status: 'paid',
-        razorpay_payment_id: razorpay_payment_id,
-        status: 'pending' // Ready for partner assignment
+        razorpay_payment_id: razorpay_payment_id
       })
       .eq('id', payment.booking_id);
 
-    // TODO: Trigger partner assignment
+    await recordBookingEvent(payment.booking_id, {
+      eventType: 'payment_captured',
+      actorType: 'customer',
+      actorId: userId,
+      metadata: { razorpay_payment_id }
+    });
+
+    // The booking expired or was cancelled while the customer was paying
+    if (payment.bookings.status === 'cancelled') {
+      await refundLateCapture(payment.bookings);
+      return successResponse(res, {
+        booking_id: payment.booking_id,
+        payment_status: 'success',
+        booking_status: 'cancelled'
+      }, 'This booking was cancelled before payment completed. Your payment will be refunded.');
+    }
+
+    // Re-apply the promo redemption and wallet part released by an earlier failed attempt
+    if (payment.bookings.promo_code) {
+      await restorePromoCode(payment.booking_id);
+    }
+    if (payment.bookings.payment_status === 'failed') {
+      await reclaimWalletPart(payment.bookings);
+    }
+
+    await notifyBookingEvent('booking_confirmed', payment.booking_id);
+
+    await autoAssignPartner(payment.booking_id);
 
     return successResponse(res, {
       booking_id: payment.booking_id,
       payment_status: 'success',
-      booking_status: 'pending'
+      booking_status: payment.bookings.status
     });
   } catch (error) {
     logger.error('Verify payment error:', error);
@@ -166,6 +217,20 @@ async function handleWebhook(req, res) {
     }
 
     const event = payload.event;
+
+    // Refund events also carry the payment entity, so handle them before the payment idempotency check
+    if (event === 'refund.processed' || event === 'refund.failed') {
+      const refundData = payload.payload?.refund?.entity;
+
+      if (!refundData) {
+        return res.status(400).json({ error: 'Invalid webhook payload' });
+      }
+
+      await handleRefundWebhook(event, refundData);
+      logger.info(`Refund webhook ${event}:`, refundData.id);
+      return res.json({ success: true });
+    }
+
     const paymentData = payload.payload?.payment?.entity;
 
     if (!paymentData) {
@@ -179,7 +244,7 @@ async function handleWebhook(req, res) {
       .eq('razorpay_payment_id', paymentData.id)
       .single();
 
-    if (existingPayment && existingPayment.status === 'success') {
+    if (existingPayment && CAPTURED_PAYMENT_STATUSES.includes(existingPayment.status)) {
       logger.info('Webhook already processed:', paymentData.id);
       return res.json({ success: true, message: 'Already processed' });
     }
@@ -204,18 +269,38 @@ async function handleWebhook(req, res) {
           })
           .eq('id', payment.id);
 
-        // Update booking
+        // Mark booking paid; it stays pending until a partner accepts it
         await supabase
           .from('bookings')
           .update({
             payment_status: 'paid',
-            razorpay_payment_id: paymentData.id,
-            status: 'pending' // Ready for partner assignment
+            razorpay_payment_id: paymentData.id
           })
           .eq('id', payment.booking_id);
 
-        // TODO: Trigger partner assignment
-        logger.info('Payment captured successfully:', paymentData.id);
+        await recordBookingEvent(payment.booking_id, {
+          eventType: 'payment_captured',
+          metadata: { razorpay_payment_id: paymentData.id, method: paymentData.method }
+        });
+
+        if (payment.bookings?.status === 'cancelled') {
+          // The booking expired or was cancelled while the customer was paying
+          await refundLateCapture(payment.bookings);
+          logger.info('Payment captured for a cancelled booking, refunding:', paymentData.id);
+        } else {
+          // Re-apply the promo redemption and wallet part released by an earlier failed attempt
+          if (payment.bookings?.promo_code) {
+            await restorePromoCode(payment.booking_id);
+          }
+          if (payment.bookings?.payment_status === 'failed') {
+            await reclaimWalletPart(payment.bookings);
+          }
+
+          await notifyBookingEvent('booking_confirmed', payment.booking_id);
+
+          await autoAssignPartner(payment.booking_id);
+          logger.info('Payment captured successfully:', paymentData.id);
+        }
       }
     } else if (event === 'payment.failed') {
       // Handle payment failure
@@ -234,6 +319,15 @@ async function handleWebhook(req, res) {
           })
           .eq('id', payment.id);
 
+        await recordBookingEvent(payment.booking_id, {
+          eventType: 'payment_failed',
+          reason: paymentData.error_description || 'Payment failed',
+          metadata: { razorpay_payment_id: paymentData.id }
+        });
+
+        // Free the promo redemption and wallet part held by this booking until it is retried or expires
+        await markPaymentFailed(payment.booking_id);
+
         logger.info('Payment failed:', paymentData.id);
       }
     }
@@ -291,7 +385,7 @@ async function getAllPayments(req, res) {
 
     let query = supabase
       .from('payments')
-      .select('*, bookings(id, booking_number, status, grand_total)')
+      .select('*, bookings(id, booking_number, status, grand_total), refunds(id, amount, status, razorpay_refund_id, failure_reason, processed_at, created_at)')
       .order('created_at', { ascending: false })
       .limit(parseInt(limit));
 
@@ -1,3 +1,4 @@
+const supabase = require('../config/supabase');
 const { successResponse, errorResponse } = require('../utils/response');
 const { validatePromoCode } = require('../services/promoService');
 
@@ -6,16 +7,42 @@ const { validatePromoCode } = require('../services/promoService');
  */
 async function applyPromoCode(req, res) {
   try {
-    const { code, amount } = req.body;
+    const { code, amount, service_ids } = req.body;
 
     if (!code || typeof code !== 'string') {
       return errorResponse(res, { message: 'Promo code is required' }, 400);
     }
 
-    const orderAmount = Number(amount) || 0;
+    let orderAmount = Number(amount) || 0;
     const userId = req.user?.id || null;
 
-    const result = await validatePromoCode(code, orderAmount, userId);
+    // With service IDs the discount is worked out per line item (category/tier restricted codes)
+    let lineItems = null;
+    if (Array.isArray(service_ids) && service_ids.length > 0) {
+      const { data: services, error: servicesError } = await supabase
+        .from('services')
+        .select('id, category, tier, product_cost')
+        .in('id', service_ids)
+        .eq('is_active', true);
+
+      if (servicesError || !services || services.length === 0) {
+        return errorResponse(res, { message: 'Invalid services or services not found' }, 400);
+      }
+
+      lineItems = services.map(service => ({
+        service_id: service.id,
+        category: service.category,
+        tier: service.tier,
+        product_cost: parseFloat(service.product_cost),
+        quantity: 1
+      }));
+
+      if (!orderAmount) {
+        orderAmount = lineItems.reduce((sum, item) => sum + item.product_cost, 0);
+      }
+    }
+
+    const result = await validatePromoCode(code, orderAmount, userId, lineItems);
 
     if (!result.valid) {
       return errorResponse(
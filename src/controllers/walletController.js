@@ -0,0 +1,52 @@
+const { successResponse, errorResponse, paginatedResponse } = require('../utils/response');
+const { getWalletBalance, getWalletTransactions } = require('../services/walletService');
+const logger = require('../utils/logger');
+
+/**
+ * Get the user's wallet balance with the latest transactions
+ */
+async function getWallet(req, res) {
+  try {
+    const userId = req.user.id;
+
+    const balance = await getWalletBalance(userId);
+    const { transactions } = await getWalletTransactions(userId, { limit: 10 });
+
+    return successResponse(res, {
+      balance,
+      currency: 'INR',
+      recent_transactions: transactions
+    });
+  } catch (error) {
+    logger.error('Get wallet error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+/**
+ * Get the user's wallet history (paginated)
+ */
+async function getWalletHistory(req, res) {
+  try {
+    const userId = req.user.id;
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { transactions, total } = await getWalletTransactions(userId, { page: pageNum, limit: limitNum });
+
+    return paginatedResponse(res, transactions, {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      total_pages: Math.ceil(total / limitNum)
+    });
+  } catch (error) {
+    logger.error('Get wallet history error:', error);
+    return errorResponse(res, error, error.statusCode || 500);
+  }
+}
+
+module.exports = {
+  getWallet,
+  getWalletHistory
+};
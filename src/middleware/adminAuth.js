@@ -1,10 +1,14 @@
-const bcrypt = require('bcryptjs');
+const supabase = require('../config/supabase');
+const { ADMIN_ROLES, getRolePermissions, hasPermission } = require('../config/adminRoles');
 const { verifyToken } = require('../utils/jwt');
 const { errorResponse } = require('../utils/response');
 const logger = require('../utils/logger');
 
 /**
  * Admin authentication middleware
+ * Accepts admin tokens only, and checks the admin_users row on every request: the account
+ * must still be active and hold the role the token was issued for (a changed role means
+ * signing in again).
  */
 async function adminAuth(req, res, next) {
   try {
@@ -15,26 +19,29 @@ async function adminAuth(req, res, next) {
     }
 
     const token = authHeader.substring(7);
-    
-    // Development mode: Allow mock token for hardcoded admin login
-    // TODO: Remove this in production and use real JWT tokens
-    if (process.env.NODE_ENV !== 'production' && token === 'mock-admin-token') {
-      req.admin = {
-        id: 'admin-1',
-        username: 'admin',
-        role: 'admin'
-      };
-      return next();
+    const decoded = verifyToken(token);
+
+    // Customer and partner tokens never grant admin access
+    if (decoded.type !== 'admin' || !decoded.adminId || !ADMIN_ROLES.includes(decoded.role)) {
+      return errorResponse(res, { message: 'Invalid or expired token' }, 401);
     }
 
-    // Production: Verify JWT token
-    const decoded = verifyToken(token);
+    const { data: admin } = await supabase
+      .from('admin_users')
+      .select('id, email, name, role, is_active')
+      .eq('id', decoded.adminId)
+      .single();
+
+    if (!admin || !admin.is_active || admin.role !== decoded.role) {
+      return errorResponse(res, { message: 'Invalid or expired token' }, 401);
+    }
 
-    // Check if user is admin (you can add role check here)
     req.admin = {
-      id: decoded.adminId || decoded.id,
-      email: decoded.email,
-      role: decoded.role || 'admin'
+      id: admin.id,
+      email: admin.email,
+      name: admin.name,
+      role: admin.role,
+      permissions: getRolePermissions(admin.role)
     };
 
     next();
@@ -44,5 +51,22 @@ async function adminAuth(req, res, next) {
   }
 }
 
-module.exports = { adminAuth };
+/**
+ * Require the signed-in admin's role to grant every listed permission (use after adminAuth)
+ * e.g. router.post('/', adminAuth, requirePermission('promos:write'), createPromo)
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const role = req.admin?.role;
+    const missing = permissions.filter(permission => !hasPermission(role, permission));
+
+    if (!role || missing.length > 0) {
+      logger.warn(`Admin ${req.admin?.id || 'unknown'} (${role || 'no role'}) denied ${req.method} ${req.originalUrl}: needs ${missing.join(', ')}`);
+      return errorResponse(res, { message: `Your role does not allow this action (requires ${missing.join(', ')})` }, 403);
+    }
+
+    next();
+  };
+}
 
+module.exports = { adminAuth, requirePermission };
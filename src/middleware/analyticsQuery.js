@@ -0,0 +1,60 @@
+const { errorResponse } = require('../utils/response');
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const PERIODS = ['day', 'week', 'month'];
+const COHORT_PERIODS = ['week', 'month'];
+const MAX_LIMIT = 100;
+const IST_OFFSET = '+05:30';
+
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_REGEX.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * Validate analytics query params (date_from, date_to, period, cohort_period, limit)
+ * Date-only values are IST calendar days: date_from starts at IST midnight and date_to is
+ * widened to the end of that IST day so the range is inclusive
+ */
+function validateAnalyticsQuery(req, res, next) {
+  const { date_from, date_to, period, cohort_period, limit } = req.query;
+
+  if (date_from !== undefined && !isValidDate(date_from)) {
+    return errorResponse(res, { message: 'date_from must be a valid date (YYYY-MM-DD or ISO 8601)' }, 400);
+  }
+
+  if (date_to !== undefined && !isValidDate(date_to)) {
+    return errorResponse(res, { message: 'date_to must be a valid date (YYYY-MM-DD or ISO 8601)' }, 400);
+  }
+
+  if (date_from && date_to && new Date(date_from) > new Date(date_to)) {
+    return errorResponse(res, { message: 'date_from cannot be after date_to' }, 400);
+  }
+
+  if (period !== undefined && !PERIODS.includes(period)) {
+    return errorResponse(res, { message: `period must be one of: ${PERIODS.join(', ')}` }, 400);
+  }
+
+  if (cohort_period !== undefined && !COHORT_PERIODS.includes(cohort_period)) {
+    return errorResponse(res, { message: `cohort_period must be one of: ${COHORT_PERIODS.join(', ')}` }, 400);
+  }
+
+  if (limit !== undefined) {
+    const limitNum = Number(limit);
+    if (!Number.isInteger(limitNum) || limitNum < 1 || limitNum > MAX_LIMIT) {
+      return errorResponse(res, { message: `limit must be an integer between 1 and ${MAX_LIMIT}` }, 400);
+    }
+  }
+
+  if (date_from && DATE_ONLY_REGEX.test(date_from)) {
+    req.query.date_from = `${date_from}T00:00:00${IST_OFFSET}`;
+  }
+
+  if (date_to && DATE_ONLY_REGEX.test(date_to)) {
+    req.query.date_to = `${date_to}T23:59:59.999${IST_OFFSET}`;
+  }
+
+  next();
+}
+
+module.exports = { validateAnalyticsQuery };
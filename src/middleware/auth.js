@@ -1,10 +1,12 @@
 const { verifyToken } = require('../utils/jwt');
+const { isSessionActive } = require('../services/sessionService');
 const { errorResponse } = require('../utils/response');
 const logger = require('../utils/logger');
 
 /**
  * Authentication middleware
  * Verifies JWT token and attaches user to request
+ * The token's session must still be active, so a signed-out device loses access right away.
  */
 async function auth(req, res, next) {
   try {
@@ -26,10 +28,33 @@ async function auth(req, res, next) {
     // Verify token
     const decoded = verifyToken(token);
 
+    // Partner app tokens are not valid for customer routes
+    if (decoded.type === 'partner') {
+      return errorResponse(res, { message: 'Invalid or expired token' }, 401);
+    }
+
+    // Customer tokens are issued for a session; tokens without one (admin, or issued before sessions) are not accepted
+    if (!decoded.sessionId) {
+      return errorResponse(res, { message: 'Invalid or expired token' }, 401);
+    }
+
+    let sessionActive;
+    try {
+      sessionActive = await isSessionActive(decoded.sessionId);
+    } catch (sessionError) {
+      logger.error('Auth session lookup error:', sessionError);
+      return errorResponse(res, { message: 'Failed to verify session' }, 500);
+    }
+
+    if (!sessionActive) {
+      return errorResponse(res, { message: 'Session has been signed out' }, 401);
+    }
+
     // Attach user info to request
     req.user = {
       id: decoded.userId || decoded.id,
-      phone_number: decoded.phone_number
+      phone_number: decoded.phone_number,
+      sessionId: decoded.sessionId
     };
 
     next();
@@ -0,0 +1,60 @@
+const supabase = require('../config/supabase');
+const { verifyToken } = require('../utils/jwt');
+const { errorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+/**
+ * Partner authentication middleware
+ * Verifies a partner access token (type: 'partner', use: 'access') and attaches the partner to the request.
+ * The partner is loaded on every request, so a deactivated partner loses access right away.
+ */
+async function partnerAuth(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.startsWith('Bearer ')
+      ? authHeader.substring(7)
+      : req.cookies?.partner_access_token || null;
+
+    if (!token) {
+      return errorResponse(res, { message: 'Authorization token required' }, 401);
+    }
+
+    const decoded = verifyToken(token);
+
+    if (decoded.type !== 'partner' || !decoded.partnerId) {
+      return errorResponse(res, { message: 'Partner access required' }, 403);
+    }
+
+    // Refresh tokens (and tokens issued before they were told apart) only work on the refresh endpoint
+    if (decoded.use !== 'access') {
+      return errorResponse(res, { message: 'Invalid or expired token' }, 401);
+    }
+
+    const { data: partner, error } = await supabase
+      .from('partners')
+      .select('id, phone_number, is_active')
+      .eq('id', decoded.partnerId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      logger.error('Partner auth lookup error:', error);
+      return errorResponse(res, { message: 'Failed to verify partner' }, 500);
+    }
+
+    if (!partner || !partner.is_active) {
+      return errorResponse(res, { message: 'Partner account is inactive' }, 401);
+    }
+
+    req.partner = {
+      id: partner.id,
+      phone_number: partner.phone_number
+    };
+
+    next();
+  } catch (error) {
+    logger.error('Partner auth middleware error:', error);
+    return errorResponse(res, { message: 'Invalid or expired token' }, 401);
+  }
+}
+
+module.exports = { partnerAuth };
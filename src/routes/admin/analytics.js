@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRevenueByCategory,
+  getPeakHoursAnalysis,
+  getCustomerAcquisitionFunnel,
+  getPartnerPerformanceComparison,
+  getGeographicHeatmap,
+  getCohortAnalysis,
+  getServicePopularity,
+  getAOVTrends,
+  getAnalyticsDashboard
+} = require('../../controllers/admin/analyticsController');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
+const { validateAnalyticsQuery } = require('../../middleware/analyticsQuery');
+
+router.get('/dashboard', adminAuth, requirePermission('analytics:read'), validateAnalyticsQuery, getAnalyticsDashboard);
+router.get('/revenue-by-category', adminAuth, requirePermission('analytics:read'), validateAnalyticsQuery, getRevenueByCategory);
+router.get('/peak-hours', adminAuth, requirePermission('analytics:read'), validateAnalyticsQuery, getPeakHoursAnalysis);
+router.get('/customer-funnel', adminAuth, requirePermission('analytics:read'), validateAnalyticsQuery, getCustomerAcquisitionFunnel);
+router.get('/partner-performance', adminAuth, requirePermission('analytics:read'), validateAnalyticsQuery, getPartnerPerformanceComparison);
+router.get('/geographic', adminAuth, requirePermission('analytics:read'), validateAnalyticsQuery, getGeographicHeatmap);
+router.get('/cohorts', adminAuth, requirePermission('analytics:read'), validateAnalyticsQuery, getCohortAnalysis);
+router.get('/service-popularity', adminAuth, requirePermission('analytics:read'), validateAnalyticsQuery, getServicePopularity);
+router.get('/aov-trends', adminAuth, requirePermission('analytics:read'), validateAnalyticsQuery, getAOVTrends);
+
+module.exports = router;
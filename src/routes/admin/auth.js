@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const { adminLogin } = require('../../controllers/admin/authController');
+const { adminLogin, getAdminProfile } = require('../../controllers/admin/authController');
+const { adminAuth } = require('../../middleware/adminAuth');
 
 router.post('/login', adminLogin);
+router.get('/me', adminAuth, getAdminProfile);
 
 module.exports = router;
 
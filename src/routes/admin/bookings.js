@@ -1,14 +1,29 @@
 const express = require('express');
 const router = express.Router();
-const { getAdminBookings, getAdminBookingById, updateBookingStatus, assignPartner, getAdminBookingTimeline, getAdminBookingInvoice } = require('../../controllers/admin/bookingController');
-const { adminAuth } = require('../../middleware/adminAuth');
+const {
+  getAdminBookings,
+  getAdminBookingById,
+  updateBookingStatus,
+  assignPartner,
+  getAdminBookingTimeline,
+  getAdminBookingInvoice,
+  issueAdminBookingInvoice,
+  getAdminBookingInvoicePdf,
+  getAssignmentQueue,
+  retryAutoAssign
+} = require('../../controllers/admin/bookingController');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
 
-router.get('/', adminAuth, getAdminBookings);
-router.get('/:id', adminAuth, getAdminBookingById);
-router.get('/:id/timeline', adminAuth, getAdminBookingTimeline);
-router.get('/:id/invoice', adminAuth, getAdminBookingInvoice);
-router.patch('/:id/status', adminAuth, updateBookingStatus);
-router.post('/:id/assign-partner', adminAuth, assignPartner);
+router.get('/', adminAuth, requirePermission('bookings:read'), getAdminBookings);
+router.get('/assignment-queue', adminAuth, requirePermission('bookings:read'), getAssignmentQueue);
+router.get('/:id', adminAuth, requirePermission('bookings:read'), getAdminBookingById);
+router.get('/:id/timeline', adminAuth, requirePermission('bookings:read'), getAdminBookingTimeline);
+router.get('/:id/invoice', adminAuth, requirePermission('invoices:read'), getAdminBookingInvoice);
+router.post('/:id/invoice', adminAuth, requirePermission('invoices:issue'), issueAdminBookingInvoice);
+router.get('/:id/invoice.pdf', adminAuth, requirePermission('invoices:read'), getAdminBookingInvoicePdf);
+router.patch('/:id/status', adminAuth, requirePermission('bookings:write'), updateBookingStatus);
+router.post('/:id/assign-partner', adminAuth, requirePermission('bookings:write'), assignPartner);
+router.post('/:id/auto-assign', adminAuth, requirePermission('bookings:write'), retryAutoAssign);
 
 module.exports = router;
 
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCancellationPolicies,
+  getCancellationPolicyById,
+  createCancellationPolicy,
+  activateCancellationPolicy
+} = require('../../controllers/admin/cancellationPolicyController');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
+
+router.get('/', adminAuth, requirePermission('cancellation_policies:read'), getCancellationPolicies);
+router.get('/:id', adminAuth, requirePermission('cancellation_policies:read'), getCancellationPolicyById);
+router.post('/', adminAuth, requirePermission('cancellation_policies:write'), createCancellationPolicy);
+router.post('/:id/activate', adminAuth, requirePermission('cancellation_policies:write'), activateCancellationPolicy);
+
+module.exports = router;
@@ -7,14 +7,14 @@ const {
   updateCategory, 
   deleteCategory 
 } = require('../../controllers/admin/categoryController');
-const { adminAuth } = require('../../middleware/adminAuth');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
 
 // All routes require admin authentication
-router.get('/', adminAuth, getCategories);
-router.get('/:id', adminAuth, getCategoryById);
-router.post('/', adminAuth, createCategory);
-router.put('/:id', adminAuth, updateCategory);
-router.delete('/:id', adminAuth, deleteCategory);
+router.get('/', adminAuth, requirePermission('catalog:read'), getCategories);
+router.get('/:id', adminAuth, requirePermission('catalog:read'), getCategoryById);
+router.post('/', adminAuth, requirePermission('catalog:write'), createCategory);
+router.put('/:id', adminAuth, requirePermission('catalog:write'), updateCategory);
+router.delete('/:id', adminAuth, requirePermission('catalog:write'), deleteCategory);
 
 module.exports = router;
 
@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { getAdminDashboard } = require('../../controllers/admin/dashboardController');
-const { adminAuth } = require('../../middleware/adminAuth');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
 
-router.get('/', adminAuth, getAdminDashboard);
+router.get('/', adminAuth, requirePermission('dashboard:read'), getAdminDashboard);
 
 module.exports = router;
 
@@ -7,6 +7,12 @@ const adminServiceRoutes = require('./services');
 const adminCategoryRoutes = require('./categories');
 const adminDashboardRoutes = require('./dashboard');
 const adminUserRoutes = require('./users');
+const adminAnalyticsRoutes = require('./analytics');
+const adminPromoRoutes = require('./promos');
+const adminCancellationPolicyRoutes = require('./cancellationPolicies');
+const adminPricingRuleRoutes = require('./pricingRules');
+const adminSlotPricingRuleRoutes = require('./slotPricingRules');
+const adminNotificationRoutes = require('./notifications');
 
 // Admin routes
 router.use('/auth', adminAuthRoutes);
@@ -16,6 +22,12 @@ router.use('/partners', adminPartnerRoutes);
 router.use('/services', adminServiceRoutes);
 router.use('/categories', adminCategoryRoutes);
 router.use('/users', adminUserRoutes);
+router.use('/analytics', adminAnalyticsRoutes);
+router.use('/promos', adminPromoRoutes);
+router.use('/cancellation-policies', adminCancellationPolicyRoutes);
+router.use('/pricing-rules', adminPricingRuleRoutes);
+router.use('/slot-pricing-rules', adminSlotPricingRuleRoutes);
+router.use('/notifications', adminNotificationRoutes);
 
 module.exports = router;
 
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getNotifications, retryFailedNotification } = require('../../controllers/admin/notificationController');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
+
+router.get('/', adminAuth, requirePermission('notifications:read'), getNotifications);
+router.post('/:id/retry', adminAuth, requirePermission('notifications:retry'), retryFailedNotification);
+
+module.exports = router;
@@ -1,12 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { getAdminPartners, getAdminPartnerById, createPartner, updatePartner } = require('../../controllers/admin/partnerController');
-const { adminAuth } = require('../../middleware/adminAuth');
+const {
+  getAdminPartners,
+  getAdminPartnerById,
+  createPartner,
+  updatePartner,
+  getPartnerWorkingHours,
+  setPartnerWorkingHours
+} = require('../../controllers/admin/partnerController');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
 
-router.get('/', adminAuth, getAdminPartners);
-router.get('/:id', adminAuth, getAdminPartnerById);
-router.post('/', adminAuth, createPartner);
-router.patch('/:id', adminAuth, updatePartner);
+router.get('/', adminAuth, requirePermission('partners:read'), getAdminPartners);
+router.get('/:id', adminAuth, requirePermission('partners:read'), getAdminPartnerById);
+router.post('/', adminAuth, requirePermission('partners:write'), createPartner);
+router.patch('/:id', adminAuth, requirePermission('partners:write'), updatePartner);
+router.get('/:id/working-hours', adminAuth, requirePermission('partners:read'), getPartnerWorkingHours);
+router.put('/:id/working-hours', adminAuth, requirePermission('partners:write'), setPartnerWorkingHours);
 
 module.exports = router;
 
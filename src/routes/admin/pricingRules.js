@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPricingRules,
+  getActivePricingRules,
+  getPricingRuleById,
+  createPricingRules,
+  deletePricingRules
+} = require('../../controllers/admin/pricingRuleController');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
+
+router.get('/', adminAuth, requirePermission('pricing:read'), getPricingRules);
+router.get('/active', adminAuth, requirePermission('pricing:read'), getActivePricingRules);
+router.get('/:id', adminAuth, requirePermission('pricing:read'), getPricingRuleById);
+router.post('/', adminAuth, requirePermission('pricing:write'), createPricingRules);
+router.delete('/:id', adminAuth, requirePermission('pricing:write'), deletePricingRules);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAdminPromos,
+  getAdminPromoById,
+  createPromo,
+  updatePromo,
+  deactivatePromo
+} = require('../../controllers/admin/promoController');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
+
+router.get('/', adminAuth, requirePermission('promos:read'), getAdminPromos);
+router.get('/:id', adminAuth, requirePermission('promos:read'), getAdminPromoById);
+router.post('/', adminAuth, requirePermission('promos:write'), createPromo);
+router.put('/:id', adminAuth, requirePermission('promos:write'), updatePromo);
+router.delete('/:id', adminAuth, requirePermission('promos:write'), deactivatePromo);
+
+module.exports = router;
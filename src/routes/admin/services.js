@@ -1,11 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const { getAdminServices, createService, updateService } = require('../../controllers/admin/serviceController');
-const { adminAuth } = require('../../middleware/adminAuth');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
 
-router.get('/', adminAuth, getAdminServices);
-router.post('/', adminAuth, createService);
-router.put('/:id', adminAuth, updateService);
+router.get('/', adminAuth, requirePermission('catalog:read'), getAdminServices);
+router.post('/', adminAuth, requirePermission('catalog:write'), createService);
+router.put('/:id', adminAuth, requirePermission('catalog:write'), updateService);
 
 module.exports = router;
 
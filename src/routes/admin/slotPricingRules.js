@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSlotPricingRules,
+  createSlotPricingRule,
+  updateSlotPricingRule,
+  deleteSlotPricingRule
+} = require('../../controllers/admin/slotPricingRuleController');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
+
+router.get('/', adminAuth, requirePermission('pricing:read'), getSlotPricingRules);
+router.post('/', adminAuth, requirePermission('pricing:write'), createSlotPricingRule);
+router.patch('/:id', adminAuth, requirePermission('pricing:write'), updateSlotPricingRule);
+router.delete('/:id', adminAuth, requirePermission('pricing:write'), deleteSlotPricingRule);
+
+module.exports = router;
@@ -1,11 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const { getAdminUsers, getAdminUserById, getAdminUserBookings } = require('../../controllers/admin/userController');
-const { adminAuth } = require('../../middleware/adminAuth');
+const {
+  getAdminUsers,
+  getAdminUserById,
+  getAdminUserBookings,
+  getAdminUserWallet,
+  adjustUserWallet
+} = require('../../controllers/admin/userController');
+const { adminAuth, requirePermission } = require('../../middleware/adminAuth');
 
-router.get('/', adminAuth, getAdminUsers);
-router.get('/:id', adminAuth, getAdminUserById);
-router.get('/:id/bookings', adminAuth, getAdminUserBookings);
+router.get('/', adminAuth, requirePermission('users:read'), getAdminUsers);
+router.get('/:id', adminAuth, requirePermission('users:read'), getAdminUserById);
+router.get('/:id/bookings', adminAuth, requirePermission('users:read'), getAdminUserBookings);
+router.get('/:id/wallet', adminAuth, requirePermission('wallets:read'), getAdminUserWallet);
+router.post('/:id/wallet/adjustments', adminAuth, requirePermission('wallets:adjust'), adjustUserWallet);
 
 module.exports = router;
 
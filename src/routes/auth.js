@@ -5,7 +5,10 @@ const {
   verifyOTPHandler,
   refreshTokenHandler,
   getCurrentUser,
-  logoutHandler
+  logoutHandler,
+  getSessions,
+  revokeSessionHandler,
+  revokeOtherSessionsHandler
 } = require('../controllers/authController');
 const { auth } = require('../middleware/auth');
 
@@ -17,6 +20,9 @@ router.post('/refresh-token', refreshTokenHandler);
 // Protected routes
 router.get('/me', auth, getCurrentUser);
 router.post('/logout', auth, logoutHandler);
+router.get('/sessions', auth, getSessions);
+router.delete('/sessions', auth, revokeOtherSessionsHandler);
+router.delete('/sessions/:id', auth, revokeSessionHandler);
 
 module.exports = router;
 
@@ -4,13 +4,19 @@ const {
   getUserBookings,
   getBookingById,
   cancelBooking,
-  rateBooking
+  getCancellationPreview,
+  rescheduleBooking,
+  rateBooking,
+  getBookingInvoicePdf
 } = require('../controllers/bookingController');
 const { auth } = require('../middleware/auth');
 
 router.get('/', auth, getUserBookings);
 router.get('/:id', auth, getBookingById);
+router.get('/:id/cancellation-preview', auth, getCancellationPreview);
+router.get('/:id/invoice.pdf', auth, getBookingInvoicePdf);
 router.post('/:id/cancel', auth, cancelBooking);
+router.post('/:id/reschedule', auth, rescheduleBooking);
 router.post('/:id/rate', auth, rateBooking);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  applyCartPromo,
+  removeCartPromo,
+  setCartAddress,
+  clearCart
+} = require('../controllers/cartController');
+const { auth } = require('../middleware/auth');
+
+router.get('/', auth, getCart);
+router.delete('/', auth, clearCart);
+router.post('/items', auth, addCartItem);
+router.patch('/items/:serviceId', auth, updateCartItem);
+router.delete('/items/:serviceId', auth, removeCartItem);
+router.put('/promo', auth, applyCartPromo);
+router.delete('/promo', auth, removeCartPromo);
+router.put('/address', auth, setCartAddress);
+
+module.exports = router;
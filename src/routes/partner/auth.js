@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  sendPartnerOTP,
+  verifyPartnerOTP,
+  refreshPartnerToken,
+  getPartnerProfile
+} = require('../../controllers/partner/authController');
+const { partnerAuth } = require('../../middleware/partnerAuth');
+
+// Public routes
+router.post('/send-otp', sendPartnerOTP);
+router.post('/verify-otp', verifyPartnerOTP);
+router.post('/refresh-token', refreshPartnerToken);
+
+// Protected routes
+router.get('/me', partnerAuth, getPartnerProfile);
+
+module.exports = router;
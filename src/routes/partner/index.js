@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+
+const partnerAuthRoutes = require('./auth');
+const partnerJobRoutes = require('./jobs');
+const partnerNotificationRoutes = require('./notifications');
+
+// Partner app routes
+router.use('/auth', partnerAuthRoutes);
+router.use('/jobs', partnerJobRoutes);
+router.use('/notifications', partnerNotificationRoutes);
+
+module.exports = router;
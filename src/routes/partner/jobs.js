@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPartnerJobs,
+  getPartnerJobById,
+  acceptJob,
+  rejectJob,
+  markArrived,
+  startJob,
+  completeJob
+} = require('../../controllers/partner/jobController');
+const { partnerAuth } = require('../../middleware/partnerAuth');
+
+router.get('/', partnerAuth, getPartnerJobs);
+router.get('/:id', partnerAuth, getPartnerJobById);
+router.post('/:id/accept', partnerAuth, acceptJob);
+router.post('/:id/reject', partnerAuth, rejectJob);
+router.post('/:id/arrived', partnerAuth, markArrived);
+router.post('/:id/start', partnerAuth, startJob);
+router.post('/:id/complete', partnerAuth, completeJob);
+
+module.exports = router;
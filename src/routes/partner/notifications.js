@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPartnerNotifications,
+  markNotificationRead
+} = require('../../controllers/partner/notificationController');
+const { partnerAuth } = require('../../middleware/partnerAuth');
+
+router.get('/', partnerAuth, getPartnerNotifications);
+router.post('/:id/read', partnerAuth, markNotificationRead);
+
+module.exports = router;
@@ -8,13 +8,13 @@ const {
   getAllPayments
 } = require('../controllers/paymentController');
 const { auth } = require('../middleware/auth');
-const { adminAuth } = require('../middleware/adminAuth');
+const { adminAuth, requirePermission } = require('../middleware/adminAuth');
 
 // Webhook doesn't require auth (Razorpay calls it)
 router.post('/webhook', handleWebhook);
 
-// Admin routes (no auth required for now, but should be adminAuth in production)
-router.get('/', adminAuth, getAllPayments);
+// Admin routes
+router.get('/', adminAuth, requirePermission('payments:read'), getAllPayments);
 
 // Protected routes
 router.post('/create-order', auth, createPaymentOrder);
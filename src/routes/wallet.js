@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { getWallet, getWalletHistory } = require('../controllers/walletController');
+const { auth } = require('../middleware/auth');
+
+router.get('/', auth, getWallet);
+router.get('/transactions', auth, getWalletHistory);
+
+module.exports = router;
@@ -0,0 +1,263 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { SLOT_INTERVAL_MINUTES, formatSlotTime, parseSlotTime } = require('../utils/timeSlots');
+
+// Partners without configured hours work 8 AM - 8 PM (minutes since midnight, IST)
+const DEFAULT_WORKING_HOURS = { start: 8 * 60, end: 20 * 60 };
+const DEFAULT_DURATION_MINUTES = 60;
+// Same-day slots must start at least this far from now
+const MIN_LEAD_TIME_MINUTES = 60;
+const IST_OFFSET_MINUTES = 330;
+// Bookings in these statuses no longer occupy a partner
+const NON_BLOCKING_STATUSES = ['cancelled', 'refunded'];
+
+/**
+ * Total service time of a cart in minutes (duration_minutes x quantity per line)
+ */
+function getCartDuration(services) {
+  const total = (services || []).reduce((sum, service) => {
+    const duration = parseInt(service.duration_minutes, 10) || DEFAULT_DURATION_MINUTES;
+    return sum + duration * (service.quantity || 1);
+  }, 0);
+
+  return total || DEFAULT_DURATION_MINUTES;
+}
+
+/**
+ * Current date (YYYY-MM-DD) and minutes since midnight in IST
+ */
+function getIstNow() {
+  const ist = new Date(Date.now() + IST_OFFSET_MINUTES * 60 * 1000);
+  return {
+    date: ist.toISOString().slice(0, 10),
+    minutes: ist.getUTCHours() * 60 + ist.getUTCMinutes()
+  };
+}
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+/**
+ * Whether a partner covers the pincode and every category in the cart
+ * Empty service_pincodes / service_categories mean no restriction
+ */
+function partnerServes(partner, pincode, categories) {
+  const pincodes = partner.service_pincodes || [];
+  if (pincode && pincodes.length > 0 && !pincodes.includes(String(pincode))) {
+    return false;
+  }
+
+  const partnerCategories = (partner.service_categories || []).map(normalize);
+  if (partnerCategories.length > 0) {
+    return categories.every(category => partnerCategories.includes(normalize(category)));
+  }
+
+  return true;
+}
+
+function overlaps(start, end, interval) {
+  return start < interval.end && interval.start < end;
+}
+
+/**
+ * Whether booking a was made before booking b (ties on created_at are broken by id)
+ */
+function isBookedBefore(a, b) {
+  const aTime = new Date(a.created_at).getTime();
+  const bTime = new Date(b.created_at).getTime();
+  return aTime < bTime || (aTime === bTime && a.id < b.id);
+}
+
+/**
+ * Load partners, shifts and existing bookings for one date and area
+ * `excludeBookingId` leaves a booking out, e.g. the one being rescheduled
+ * `upToBooking` ({ id, created_at }) leaves out bookings made after it
+ */
+async function loadDayContext(date, pincode, categories, excludeBookingId = null, upToBooking = null) {
+  const { data: partners, error: partnersError } = await supabase
+    .from('partners')
+    .select('id, name, service_categories, service_pincodes, rating, current_lat, current_lng')
+    .eq('is_active', true)
+    .eq('is_available', true);
+
+  if (partnersError) {
+    logger.error('Availability partners error:', partnersError);
+    throw new Error('Failed to load availability');
+  }
+
+  const eligiblePartners = (partners || []).filter(partner => partnerServes(partner, pincode, categories));
+  if (eligiblePartners.length === 0) {
+    return { partners: [], unassigned: [] };
+  }
+
+  const partnerIds = eligiblePartners.map(partner => partner.id);
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+
+  const [hoursResult, bookingsResult] = await Promise.all([
+    supabase
+      .from('partner_working_hours')
+      .select('partner_id, day_of_week, start_time, end_time, is_active')
+      .in('partner_id', partnerIds),
+    supabase
+      .from('bookings')
+      .select('id, partner_id, booking_time, duration_minutes, created_at, user_addresses(pincode)')
+      .eq('booking_date', date)
+      .not('status', 'in', `(${NON_BLOCKING_STATUSES.join(',')})`)
+  ]);
+
+  if (hoursResult.error || bookingsResult.error) {
+    logger.error('Availability lookup error:', hoursResult.error || bookingsResult.error);
+    throw new Error('Failed to load availability');
+  }
+
+  const hours = hoursResult.data || [];
+  const bookings = (bookingsResult.data || [])
+    .filter(booking => booking.id !== excludeBookingId)
+    .filter(booking => !upToBooking || booking.id === upToBooking.id || isBookedBefore(booking, upToBooking))
+    .map(booking => {
+      const start = parseSlotTime(booking.booking_time);
+      return start === null ? null : {
+        partner_id: booking.partner_id,
+        pincode: booking.user_addresses?.pincode || null,
+        start,
+        end: start + (booking.duration_minutes || DEFAULT_DURATION_MINUTES)
+      };
+    })
+    .filter(Boolean);
+
+  const dayPartners = eligiblePartners
+    .map(partner => {
+      const partnerHours = hours.filter(row => row.partner_id === partner.id);
+      let shift = DEFAULT_WORKING_HOURS;
+
+      if (partnerHours.length > 0) {
+        const today = partnerHours.find(row => row.day_of_week === dayOfWeek && row.is_active !== false);
+        shift = today ? { start: parseSlotTime(today.start_time), end: parseSlotTime(today.end_time) } : null;
+      }
+
+      return shift && {
+        ...partner,
+        shift,
+        busy: bookings.filter(booking => booking.partner_id === partner.id)
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    partners: dayPartners,
+    unassigned: bookings.filter(booking => !booking.partner_id)
+  };
+}
+
+/**
+ * Partners left for [start, end) once assigned and unassigned bookings are accounted for
+ */
+function freePartnersAt(context, start, end) {
+  return context.partners.filter(partner =>
+    partner.shift.start <= start &&
+    end <= partner.shift.end &&
+    !partner.busy.some(booking => overlaps(start, end, booking))
+  );
+}
+
+function capacityAt(context, start, end, pincode) {
+  const freePartners = freePartnersAt(context, start, end);
+
+  // Unassigned bookings will need one of these partners
+  const pending = context.unassigned.filter(booking =>
+    overlaps(start, end, booking) &&
+    (!booking.pincode || booking.pincode === pincode || freePartners.some(partner => partnerServes(partner, booking.pincode, [])))
+  ).length;
+
+  return freePartners.length - pending;
+}
+
+function isBookableTime(date, start) {
+  const now = getIstNow();
+  if (date < now.date) return false;
+  if (date === now.date && start < now.minutes + MIN_LEAD_TIME_MINUTES) return false;
+  return start % SLOT_INTERVAL_MINUTES === 0;
+}
+
+/**
+ * Whether a date and slot label can still be booked (future, past the lead time, on the slot grid)
+ */
+function isBookableSlot(date, time) {
+  const start = parseSlotTime(time);
+  return start !== null && isBookableTime(date, start);
+}
+
+/**
+ * Bookable slots for a date and pincode given the cart's line items
+ * Returns [{ time, available_partners }] for slots with at least one free partner
+ */
+async function getAvailableSlots({ date, pincode, services, excludeBookingId = null }) {
+  const duration = getCartDuration(services);
+  const categories = [...new Set((services || []).map(service => service.category).filter(Boolean))];
+  const context = await loadDayContext(date, pincode, categories, excludeBookingId);
+
+  if (context.partners.length === 0) {
+    return [];
+  }
+
+  const dayStart = Math.min(...context.partners.map(partner => partner.shift.start));
+  const dayEnd = Math.max(...context.partners.map(partner => partner.shift.end));
+  const firstSlot = Math.ceil(dayStart / SLOT_INTERVAL_MINUTES) * SLOT_INTERVAL_MINUTES;
+  const slots = [];
+
+  for (let start = firstSlot; start + duration <= dayEnd; start += SLOT_INTERVAL_MINUTES) {
+    if (!isBookableTime(date, start)) continue;
+
+    const capacity = capacityAt(context, start, start + duration, pincode);
+    if (capacity > 0) {
+      slots.push({ time: formatSlotTime(start), available_partners: capacity });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Number of partners still free for a specific slot (0 or less = fully booked or not bookable)
+ * Negative when the slot is already overbooked
+ * With `upToBooking`, only bookings made up to and including that one count, so when two
+ * checkouts race for the last partner only the later booking sees the slot overbooked.
+ */
+async function getSlotCapacity({ date, time, pincode, services, excludeBookingId = null, upToBooking = null }) {
+  const start = parseSlotTime(time);
+  if (start === null || !isBookableTime(date, start)) {
+    return 0;
+  }
+
+  const categories = [...new Set((services || []).map(service => service.category).filter(Boolean))];
+  const context = await loadDayContext(date, pincode, categories, excludeBookingId, upToBooking);
+
+  return capacityAt(context, start, start + getCartDuration(services), pincode);
+}
+
+/**
+ * Partners who serve the area and categories and are free for the whole booking window
+ * Each partner includes `busy` (their other bookings that day) for load balancing
+ */
+async function getFreePartners({ date, time, pincode, services, durationMinutes = null, excludeBookingId = null }) {
+  const start = parseSlotTime(time);
+  if (start === null) {
+    return [];
+  }
+
+  const categories = [...new Set((services || []).map(service => service.category).filter(Boolean))];
+  const context = await loadDayContext(date, pincode, categories, excludeBookingId);
+
+  return freePartnersAt(context, start, start + (durationMinutes || getCartDuration(services)));
+}
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  getCartDuration,
+  getIstNow,
+  isBookableSlot,
+  getAvailableSlots,
+  getSlotCapacity,
+  getFreePartners
+};
@@ -0,0 +1,162 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Legal booking status transitions
+ * pending → confirmed (partner accepted) → partner_arrived → in_progress → completed
+ * Cancellation is possible until the service starts; cancelled or completed bookings can be refunded.
+ * confirmed → pending happens when an admin reassigns an accepted booking to another partner.
+ */
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['pending', 'partner_arrived', 'in_progress', 'cancelled'],
+  partner_arrived: ['in_progress', 'cancelled'],
+  in_progress: ['completed'],
+  completed: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Timestamp column stamped when a booking enters a status
+const STATUS_TIMESTAMPS = {
+  partner_arrived: 'arrived_at',
+  in_progress: 'started_at',
+  completed: 'completed_at',
+  cancelled: 'cancelled_at'
+};
+
+function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+function lifecycleError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Append an event to a booking's history
+ * Never throws - a failed insert is logged so it cannot break the action that caused it.
+ */
+async function recordBookingEvent(bookingId, {
+  eventType,
+  fromStatus = null,
+  toStatus = null,
+  actorType = 'system',
+  actorId = null,
+  reason = null,
+  metadata = {}
+}) {
+  try {
+    const { error } = await supabase
+      .from('booking_events')
+      .insert({
+        booking_id: bookingId,
+        event_type: eventType,
+        from_status: fromStatus,
+        to_status: toStatus,
+        actor_type: actorType,
+        actor_id: actorId ? String(actorId) : null,
+        reason,
+        metadata
+      });
+
+    if (error) {
+      logger.error('Record booking event error:', error);
+    }
+  } catch (error) {
+    logger.error('Record booking event error:', error);
+  }
+}
+
+/**
+ * Move a booking to a new status if the transition is legal
+ * - `conditions`: extra column filters the booking must match (e.g. { user_id } or { partner_id })
+ * - `updates`: other columns to write in the same update
+ * The update only applies if the status (and `conditions`) still match what was read, so concurrent changes get a 409.
+ * Throws errors with statusCode 400 / 404 / 409; returns the updated booking.
+ */
+async function transitionBooking(bookingId, toStatus, {
+  actorType = 'system',
+  actorId = null,
+  reason = null,
+  conditions = {},
+  updates = {},
+  metadata = {}
+} = {}) {
+  if (!STATUSES.includes(toStatus)) {
+    throw lifecycleError(`Invalid status: ${toStatus}. Must be one of: ${STATUSES.join(', ')}`, 400);
+  }
+
+  let lookup = supabase
+    .from('bookings')
+    .select('*')
+    .eq('id', bookingId);
+
+  for (const [column, value] of Object.entries(conditions)) {
+    lookup = lookup.eq(column, value);
+  }
+
+  const { data: booking, error: lookupError } = await lookup.single();
+
+  if (lookupError || !booking) {
+    throw lifecycleError('Booking not found', 404);
+  }
+
+  const fromStatus = booking.status || 'pending';
+
+  if (!canTransition(fromStatus, toStatus)) {
+    throw lifecycleError(`Cannot change booking status from ${fromStatus} to ${toStatus}`, 409);
+  }
+
+  const timestampColumn = STATUS_TIMESTAMPS[toStatus];
+
+  let update = supabase
+    .from('bookings')
+    .update({
+      ...(timestampColumn && { [timestampColumn]: new Date().toISOString() }),
+      ...updates,
+      status: toStatus
+    })
+    .eq('id', bookingId)
+    .eq('status', fromStatus);
+
+  for (const [column, value] of Object.entries(conditions)) {
+    update = update.eq(column, value);
+  }
+
+  const { data: updated, error: updateError } = await update
+    .select()
+    .single();
+
+  if (updateError || !updated) {
+    if (updateError && updateError.code !== 'PGRST116') {
+      logger.error('Booking transition update error:', updateError);
+      throw lifecycleError('Failed to update booking status', 500);
+    }
+    throw lifecycleError('Booking was updated by someone else. Please refresh and try again.', 409);
+  }
+
+  await recordBookingEvent(bookingId, {
+    eventType: 'status_changed',
+    fromStatus,
+    toStatus,
+    actorType,
+    actorId,
+    reason,
+    metadata
+  });
+
+  return updated;
+}
+
+module.exports = {
+  TRANSITIONS,
+  STATUSES,
+  canTransition,
+  recordBookingEvent,
+  transitionBooking
+};
@@ -0,0 +1,192 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { parseSlotTime } = require('../utils/timeSlots');
+const { canTransition } = require('./bookingLifecycleService');
+
+const PARTNER_STATUSES = ['unassigned', 'assigned', 'accepted', 'arrived'];
+
+// Used when the policies table has not been seeded (same rules as version 1)
+const DEFAULT_POLICY = {
+  version: 1,
+  name: 'Standard',
+  description: 'Free within 5 minutes of booking or until a partner is assigned. 10% fee after that.',
+  free_cancellation_minutes: 5,
+  reschedule_cutoff_hours: 2,
+  max_reschedules: 2,
+  tiers: [
+    { label: 'No partner assigned', partner_statuses: ['unassigned'], fee_percent: 0 },
+    { label: 'Partner assigned', fee_percent: 10 }
+  ]
+};
+
+const IST_OFFSET = '+05:30';
+
+// Once the partner is on site the booking can only be cancelled, not moved
+const RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Currently active policy, used for new bookings
+ */
+async function getActivePolicy() {
+  const { data: policy, error } = await supabase
+    .from('cancellation_policies')
+    .select('*')
+    .eq('is_active', true)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    logger.error('Get active cancellation policy error:', error);
+    throw new Error('Failed to load cancellation policy');
+  }
+
+  return policy || DEFAULT_POLICY;
+}
+
+/**
+ * Policy the booking was made under (falls back to the active policy)
+ */
+async function getPolicyForBooking(booking) {
+  if (!booking.cancellation_policy_version) {
+    return getActivePolicy();
+  }
+
+  const { data: policy } = await supabase
+    .from('cancellation_policies')
+    .select('*')
+    .eq('version', booking.cancellation_policy_version)
+    .single();
+
+  if (policy) {
+    return policy;
+  }
+
+  if (booking.cancellation_policy_version === DEFAULT_POLICY.version) {
+    return DEFAULT_POLICY;
+  }
+
+  logger.error(`Cancellation policy version ${booking.cancellation_policy_version} not found for booking ${booking.id}`);
+  throw new Error('Failed to load cancellation policy');
+}
+
+/**
+ * Where the partner is in the job, for matching policy tiers
+ */
+function getPartnerStatus(booking) {
+  if (booking.status === 'partner_arrived') return 'arrived';
+  if (booking.status === 'confirmed') return 'accepted';
+  if (booking.partner_id) return 'assigned';
+  return 'unassigned';
+}
+
+/**
+ * Hours from `now` until the appointment (negative once it has started)
+ * Returns null when the booking has no valid date / time
+ */
+function getHoursBeforeAppointment(booking, now = new Date()) {
+  const minutes = parseSlotTime(booking.booking_time);
+  if (!booking.booking_date || minutes === null) {
+    return null;
+  }
+
+  const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}:00`;
+  const appointment = new Date(`${booking.booking_date}T${time}${IST_OFFSET}`);
+
+  return (appointment.getTime() - now.getTime()) / (60 * 60 * 1000);
+}
+
+function tierMatches(tier, partnerStatus, hoursBefore) {
+  if (Array.isArray(tier.partner_statuses) && tier.partner_statuses.length > 0 &&
+      !tier.partner_statuses.includes(partnerStatus)) {
+    return false;
+  }
+
+  if (tier.min_hours_before !== undefined && tier.min_hours_before !== null &&
+      (hoursBefore === null || hoursBefore < tier.min_hours_before)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Fee and refund for cancelling a booking now under a policy
+ */
+function calculateCancellation(booking, policy, now = new Date()) {
+  const grandTotal = parseFloat(booking.grand_total || 0);
+  const partnerStatus = getPartnerStatus(booking);
+  const hoursBefore = getHoursBeforeAppointment(booking, now);
+  const graceEndsAt = new Date(new Date(booking.created_at).getTime() + (policy.free_cancellation_minutes || 0) * 60 * 1000);
+  const withinGracePeriod = now < graceEndsAt;
+
+  let tier = null;
+  let fee = 0;
+
+  if (!withinGracePeriod) {
+    tier = (policy.tiers || []).find(candidate => tierMatches(candidate, partnerStatus, hoursBefore)) || null;
+
+    if (tier) {
+      fee = Math.floor(grandTotal * (parseFloat(tier.fee_percent) || 0) / 100) + (parseFloat(tier.fee_flat) || 0);
+      fee = Math.min(fee, grandTotal);
+    }
+  }
+
+  return {
+    cancellable: canTransition(booking.status || 'pending', 'cancelled'),
+    policy_version: policy.version,
+    tier: withinGracePeriod ? 'Grace period' : (tier?.label || null),
+    partner_status: partnerStatus,
+    hours_before_appointment: hoursBefore === null ? null : Math.round(hoursBefore * 10) / 10,
+    free_cancellation_until: withinGracePeriod ? graceEndsAt.toISOString() : null,
+    cancellation_fee: fee,
+    refund_amount: Math.round((grandTotal - fee) * 100) / 100
+  };
+}
+
+/**
+ * Whether the customer may still reschedule a booking under its policy
+ * Returns { allowed, message }
+ */
+function checkReschedule(booking, policy, now = new Date()) {
+  const cutoffHours = parseFloat(policy.reschedule_cutoff_hours ?? DEFAULT_POLICY.reschedule_cutoff_hours);
+  const maxReschedules = policy.max_reschedules ?? DEFAULT_POLICY.max_reschedules;
+
+  if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+    return { allowed: false, message: `A ${String(booking.status).replace('_', ' ')} booking cannot be rescheduled` };
+  }
+
+  if ((booking.reschedule_count || 0) >= maxReschedules) {
+    return { allowed: false, message: `This booking can be rescheduled at most ${maxReschedules} time(s)` };
+  }
+
+  const hoursBefore = getHoursBeforeAppointment(booking, now);
+  if (hoursBefore !== null && hoursBefore < cutoffHours) {
+    return { allowed: false, message: `Bookings can only be rescheduled up to ${cutoffHours} hours before the appointment` };
+  }
+
+  return { allowed: true, message: null };
+}
+
+/**
+ * Policy fields shown to customers
+ */
+function formatPolicy(policy) {
+  return {
+    version: policy.version,
+    name: policy.name,
+    description: policy.description,
+    free_cancellation_minutes: policy.free_cancellation_minutes,
+    tiers: policy.tiers,
+    reschedule_cutoff_hours: parseFloat(policy.reschedule_cutoff_hours ?? DEFAULT_POLICY.reschedule_cutoff_hours),
+    max_reschedules: policy.max_reschedules ?? DEFAULT_POLICY.max_reschedules
+  };
+}
+
+module.exports = {
+  PARTNER_STATUSES,
+  getActivePolicy,
+  getPolicyForBooking,
+  getHoursBeforeAppointment,
+  calculateCancellation,
+  checkReschedule,
+  formatPolicy
+};
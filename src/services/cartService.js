@@ -0,0 +1,251 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { calculatePricing } = require('../utils/pricing');
+const { getCartDuration } = require('./availabilityService');
+const { DEFAULT_MAX_QUANTITY, quoteCart } = require('./checkoutService');
+
+function cartError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * The user's active cart, created on first use
+ */
+async function getOrCreateCart(userId) {
+  const { data: existing, error } = await supabase
+    .from('carts')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'active')
+    .single();
+
+  if (existing) {
+    return existing;
+  }
+
+  if (error && error.code !== 'PGRST116') {
+    logger.error('Get cart error:', error);
+    throw new Error('Failed to load cart');
+  }
+
+  const { data: cart, error: insertError } = await supabase
+    .from('carts')
+    .insert({ user_id: userId })
+    .select()
+    .single();
+
+  if (insertError) {
+    // A parallel request created it first
+    if (insertError.code === '23505') {
+      return getOrCreateCart(userId);
+    }
+    logger.error('Create cart error:', insertError);
+    throw new Error('Failed to create cart');
+  }
+
+  return cart;
+}
+
+/**
+ * Record activity on a cart (drives abandoned-cart analysis)
+ */
+async function touchCart(cartId, updates = {}) {
+  const { data: cart, error } = await supabase
+    .from('carts')
+    .update({ ...updates, last_activity_at: new Date().toISOString() })
+    .eq('id', cartId)
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Update cart error:', error);
+    throw new Error('Failed to update cart');
+  }
+
+  return cart;
+}
+
+/**
+ * Set the quantity of a service in the cart (0 removes it)
+ * Throws with statusCode 400 / 404 for invalid quantities or unavailable services.
+ */
+async function setItemQuantity(cart, serviceId, quantity) {
+  if (!Number.isInteger(quantity) || quantity < 0) {
+    throw cartError('Quantity must be a non-negative integer', 400);
+  }
+
+  if (quantity === 0) {
+    const { error } = await supabase
+      .from('cart_items')
+      .delete()
+      .eq('cart_id', cart.id)
+      .eq('service_id', serviceId);
+
+    if (error) {
+      logger.error('Remove cart item error:', error);
+      throw new Error('Failed to update cart');
+    }
+    return touchCart(cart.id);
+  }
+
+  const { data: service } = await supabase
+    .from('services')
+    .select('id, name, max_quantity')
+    .eq('id', serviceId)
+    .eq('is_active', true)
+    .single();
+
+  if (!service) {
+    throw cartError('Service not found or unavailable', 404);
+  }
+
+  const maxQuantity = service.max_quantity || DEFAULT_MAX_QUANTITY;
+  if (quantity > maxQuantity) {
+    throw cartError(`${service.name} can be booked at most ${maxQuantity} times per order`, 400);
+  }
+
+  const { error } = await supabase
+    .from('cart_items')
+    .upsert(
+      { cart_id: cart.id, service_id: serviceId, quantity },
+      { onConflict: 'cart_id,service_id' }
+    );
+
+  if (error) {
+    logger.error('Set cart item error:', error);
+    throw new Error('Failed to update cart');
+  }
+
+  return touchCart(cart.id);
+}
+
+/**
+ * Current quantity of a service in the cart (0 if absent)
+ */
+async function getItemQuantity(cartId, serviceId) {
+  const { data: item } = await supabase
+    .from('cart_items')
+    .select('quantity')
+    .eq('cart_id', cartId)
+    .eq('service_id', serviceId)
+    .single();
+
+  return item ? item.quantity : 0;
+}
+
+/**
+ * Cart lines split into orderable { service_id, quantity } items and unavailable ones
+ * Quantities above a service's current max_quantity are capped.
+ */
+async function loadCartItems(cartId) {
+  const { data: rows, error } = await supabase
+    .from('cart_items')
+    .select('service_id, quantity, created_at, services(id, name, is_active, max_quantity)')
+    .eq('cart_id', cartId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    logger.error('Get cart items error:', error);
+    throw new Error('Failed to load cart');
+  }
+
+  const items = rows || [];
+
+  return {
+    available: items
+      .filter(item => item.services?.is_active)
+      .map(item => ({
+        service_id: item.service_id,
+        quantity: Math.min(item.quantity, item.services.max_quantity || DEFAULT_MAX_QUANTITY)
+      })),
+    unavailable: items
+      .filter(item => !item.services?.is_active)
+      .map(item => ({ service_id: item.service_id, name: item.services?.name || null, quantity: item.quantity }))
+  };
+}
+
+/**
+ * Cart with live pricing
+ * Items whose service was deactivated are returned under `unavailable_items` and left out of the price.
+ */
+async function getCartDetails(cart) {
+  const { available, unavailable } = await loadCartItems(cart.id);
+
+  let address = null;
+  if (cart.address_id) {
+    const { data: addressData } = await supabase
+      .from('user_addresses')
+      .select('*')
+      .eq('id', cart.address_id)
+      .single();
+    address = addressData || null;
+  }
+
+  let services = [];
+  let pricing = calculatePricing([]);
+  let promoResult = { valid: false, discount: 0 };
+
+  if (available.length > 0) {
+    const quote = await quoteCart({
+      items: available,
+      promoCode: cart.promo_code,
+      userId: cart.user_id
+    });
+    ({ services, pricing, promoResult } = quote);
+  }
+
+  return {
+    id: cart.id,
+    items: services,
+    unavailable_items: unavailable,
+    promo: {
+      code: cart.promo_code || null,
+      valid: promoResult.valid,
+      discount: promoResult.valid ? promoResult.discount : 0,
+      message: cart.promo_code ? promoResult.message || null : null
+    },
+    address,
+    pricing: {
+      subtotal: pricing.subtotal,
+      savings: pricing.savings,
+      discount: pricing.discount,
+      platform_fee: pricing.platform_fee,
+      tax: pricing.tax,
+      gst_amount: pricing.gst_amount,
+      grand_total: pricing.grand_total
+    },
+    duration_minutes: services.length > 0 ? getCartDuration(services) : 0,
+    updated_at: cart.last_activity_at
+  };
+}
+
+/**
+ * Close a cart after its checkout became a booking
+ */
+async function markCartConverted(cartId, bookingId) {
+  const { error } = await supabase
+    .from('carts')
+    .update({
+      status: 'converted',
+      converted_booking_id: bookingId,
+      converted_at: new Date().toISOString()
+    })
+    .eq('id', cartId)
+    .eq('status', 'active');
+
+  if (error) {
+    logger.error('Mark cart converted error:', error);
+  }
+}
+
+module.exports = {
+  getOrCreateCart,
+  touchCart,
+  setItemQuantity,
+  getItemQuantity,
+  loadCartItems,
+  getCartDetails,
+  markCartConverted
+};
@@ -0,0 +1,211 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { DEFAULT_SAC_CODE, GST_RATE, calculatePricing } = require('../utils/pricing');
+const { validatePromoCode } = require('./promoService');
+const { getCurrentPricingRules } = require('./pricingRuleService');
+const { getActiveSlotRules, getSlotRule, applySlotMultiplier } = require('./slotPricingService');
+
+// Used for services without a max_quantity
+const DEFAULT_MAX_QUANTITY = 10;
+const MAX_LINE_ITEMS = 20;
+
+function checkoutError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Flag the line items a valid promo discount was applied to
+ */
+function markPromoEligibility(services, promoResult) {
+  const eligibleIds = promoResult.valid ? promoResult.eligible_service_ids || [] : [];
+  return services.map(service => ({
+    ...service,
+    promo_eligible: eligibleIds.includes(service.service_id)
+  }));
+}
+
+/**
+ * Validate client line items and merge duplicates into [{ service_id, quantity }]
+ * Accepts { service_id, quantity } objects (quantity defaults to 1) or bare service ID strings.
+ * Throws with statusCode 400 on invalid input.
+ */
+function normalizeCartItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw checkoutError('At least one service is required', 400);
+  }
+
+  const quantities = new Map();
+
+  for (const [index, item] of items.entries()) {
+    const serviceId = typeof item === 'string' ? item : item?.service_id || item?.id;
+    const quantity = typeof item === 'string' || item?.quantity === undefined ? 1 : item.quantity;
+
+    if (!serviceId || typeof serviceId !== 'string') {
+      throw checkoutError(`items[${index}].service_id is required`, 400);
+    }
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw checkoutError(`items[${index}].quantity must be a positive integer`, 400);
+    }
+
+    quantities.set(serviceId, (quantities.get(serviceId) || 0) + quantity);
+  }
+
+  if (quantities.size > MAX_LINE_ITEMS) {
+    throw checkoutError(`An order can contain at most ${MAX_LINE_ITEMS} different services`, 400);
+  }
+
+  return [...quantities].map(([service_id, quantity]) => ({ service_id, quantity }));
+}
+
+/**
+ * Line items for normalized { service_id, quantity } items at current catalogue prices
+ * Throws with statusCode 400 (quantity above max_quantity) or 404 (inactive or unknown services,
+ * listed in `unavailableServiceIds`).
+ */
+async function loadQuoteLines(items) {
+  const serviceIds = items.map(item => item.service_id);
+
+  const { data: services, error } = await supabase
+    .from('services')
+    .select('*')
+    .in('id', serviceIds)
+    .eq('is_active', true);
+
+  if (error) {
+    logger.error('Quote services error:', error);
+    throw new Error('Failed to fetch services');
+  }
+
+  const found = services || [];
+  const missingIds = serviceIds.filter(id => !found.some(service => service.id === id));
+
+  if (missingIds.length > 0) {
+    const unavailable = checkoutError('Some services are not available', 404);
+    unavailable.unavailableServiceIds = missingIds;
+    throw unavailable;
+  }
+
+  const lines = items.map(item => {
+    const service = found.find(candidate => candidate.id === item.service_id);
+    const maxQuantity = service.max_quantity || DEFAULT_MAX_QUANTITY;
+
+    if (item.quantity > maxQuantity) {
+      throw checkoutError(`${service.name} can be booked at most ${maxQuantity} times per order`, 400);
+    }
+
+    const cost = parseFloat(service.product_cost || service.price || 0);
+
+    return {
+      service_id: service.id,
+      name: service.name,
+      category: service.category,
+      tier: service.tier,
+      quantity: item.quantity,
+      max_quantity: maxQuantity,
+      price: cost,
+      product_cost: cost,
+      market_price: service.market_price ? parseFloat(service.market_price) : null,
+      duration_minutes: service.duration_minutes || null,
+      sac_code: service.sac_code || DEFAULT_SAC_CODE,
+      gst_rate: service.gst_rate !== undefined && service.gst_rate !== null ? parseFloat(service.gst_rate) : GST_RATE
+    };
+  });
+
+  return lines;
+}
+
+/**
+ * Apply a slot rule, promo code and pricing rules to line items, settling `walletBalance` first
+ */
+async function priceLines(lines, { promoCode, userId, pricingRules, slotRule, walletBalance = 0 }) {
+  const slotLines = slotRule ? applySlotMultiplier(lines, slotRule.multiplier) : lines;
+
+  let promoResult = { valid: false, discount: 0 };
+  if (promoCode) {
+    promoResult = await validatePromoCode(promoCode, calculatePricing(slotLines).subtotal, userId, slotLines);
+  }
+
+  const promoDiscount = promoResult.valid ? promoResult.discount : 0;
+  const pricedLines = markPromoEligibility(slotLines, promoResult);
+
+  return {
+    services: pricedLines,
+    pricing: calculatePricing(pricedLines, promoDiscount, {
+      platformFeeSlabs: pricingRules.platform_fee_slabs,
+      walletBalance
+    }),
+    promoResult,
+    promoDiscount,
+    pricingRules,
+    slotRule: slotRule || null
+  };
+}
+
+/**
+ * Price normalized line items against the current catalogue and apply a promo code
+ * The one pricing path for checkout prepare and confirm, so both produce identical totals.
+ * Uses the pricing rules in effect unless `pricingRules` (e.g. the preview's version) is passed,
+ * and the surge / off-peak rule for `slot` ({ date, time }) when given. `walletBalance` is applied
+ * as a payment (`wallet_amount` / `amount_payable`) without changing the total.
+ * Throws with statusCode 400 (quantity above max_quantity) or 404 (inactive or unknown services,
+ * listed in `unavailableServiceIds`).
+ */
+async function quoteCart({ items, promoCode = null, userId = null, pricingRules = null, slot = null, walletBalance = 0 }) {
+  const lines = await loadQuoteLines(items);
+  const rules = pricingRules || await getCurrentPricingRules();
+
+  let slotRule = null;
+  if (slot && slot.date && slot.time) {
+    slotRule = getSlotRule(await getActiveSlotRules(), slot.date, slot.time);
+  }
+
+  return priceLines(lines, { promoCode, userId, pricingRules: rules, slotRule, walletBalance });
+}
+
+/**
+ * Totals for the same items in each of a day's slots
+ * Slots priced by the same rule share one quote. Returns [{ time, multiplier, rule, pricing }].
+ */
+async function quoteSlots({ items, promoCode = null, userId = null, pricingRules, date, times, walletBalance = 0 }) {
+  const lines = await loadQuoteLines(items);
+  const slotRules = await getActiveSlotRules();
+  const quotes = new Map();
+  const slots = [];
+
+  for (const time of times) {
+    const slotRule = getSlotRule(slotRules, date, time);
+    const key = slotRule ? slotRule.id : 'base';
+
+    if (!quotes.has(key)) {
+      quotes.set(key, await priceLines(lines, { promoCode, userId, pricingRules, slotRule, walletBalance }));
+    }
+    const { pricing } = quotes.get(key);
+
+    slots.push({
+      time,
+      multiplier: slotRule ? parseFloat(slotRule.multiplier) : 1,
+      rule: slotRule ? slotRule.name : null,
+      rule_id: slotRule ? slotRule.id : null,
+      pricing: {
+        subtotal: pricing.subtotal,
+        discount: pricing.discount,
+        platform_fee: pricing.platform_fee,
+        grand_total: pricing.grand_total,
+        wallet_amount: pricing.wallet_amount,
+        amount_payable: pricing.amount_payable
+      }
+    });
+  }
+
+  return slots;
+}
+
+module.exports = {
+  DEFAULT_MAX_QUANTITY,
+  normalizeCartItems,
+  quoteCart,
+  quoteSlots
+};
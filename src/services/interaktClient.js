@@ -0,0 +1,114 @@
+const axios = require('axios');
+
+const INTERAKT_BASE_URL = process.env.INTERAKT_BASE_URL || 'https://api.interakt.ai/v1/public';
+const INTERAKT_API_KEY = process.env.INTERAKT_API_KEY;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Interakt WhatsApp API client
+ * Shared by OTP delivery and transactional notifications
+ */
+
+/**
+ * Format phone number for Interakt API
+ * Input: "+919876543210"
+ * Output: { countryCode: "+91", phoneNumber: "9876543210" }
+ */
+function formatPhoneNumber(phoneNumber) {
+  // Remove any spaces or dashes
+  let cleaned = phoneNumber.replace(/[\s-]/g, '');
+
+  // Extract country code (assume +91 for India)
+  if (cleaned.startsWith('+91')) {
+    return {
+      countryCode: '+91',
+      phoneNumber: cleaned.substring(3)
+    };
+  } else if (cleaned.startsWith('91')) {
+    return {
+      countryCode: '+91',
+      phoneNumber: cleaned.substring(2)
+    };
+  } else if (cleaned.startsWith('0')) {
+    return {
+      countryCode: '+91',
+      phoneNumber: cleaned.substring(1)
+    };
+  } else {
+    // Default to India
+    return {
+      countryCode: '+91',
+      phoneNumber: cleaned
+    };
+  }
+}
+
+function isConfigured() {
+  return !!INTERAKT_API_KEY;
+}
+
+/**
+ * Mask the API key for logs
+ */
+function maskedApiKey() {
+  return INTERAKT_API_KEY
+    ? `${INTERAKT_API_KEY.substring(0, 10)}...${INTERAKT_API_KEY.substring(INTERAKT_API_KEY.length - 5)}`
+    : 'NOT_SET';
+}
+
+/**
+ * Send a WhatsApp template message
+ * Resolves with { message_id, response }; rejects with the axios error (status in `error.response`).
+ */
+async function sendTemplateMessage({
+  phoneNumber,
+  templateName,
+  languageCode = 'en',
+  bodyValues = [],
+  headerValues,
+  buttonValues,
+  callbackData
+}) {
+  const { countryCode, phoneNumber: number } = formatPhoneNumber(phoneNumber);
+
+  const payload = {
+    countryCode,
+    phoneNumber: number,
+    callbackData: callbackData || templateName,
+    type: 'Template',
+    template: {
+      name: templateName,
+      languageCode,
+      bodyValues,
+      ...(headerValues && { headerValues }),
+      ...(buttonValues && { buttonValues })
+    }
+  };
+
+  const response = await axios.post(
+    `${INTERAKT_BASE_URL}/message/`,
+    payload,
+    {
+      headers: {
+        'Authorization': `Basic ${INTERAKT_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: REQUEST_TIMEOUT_MS
+    }
+  );
+
+  return {
+    message_id: response.data.id || response.data.messageId || null,
+    response: response.data,
+    payload
+  };
+}
+
+module.exports = {
+  INTERAKT_BASE_URL,
+  INTERAKT_API_KEY,
+  formatPhoneNumber,
+  isConfigured,
+  maskedApiKey,
+  sendTemplateMessage
+};
@@ -1,17 +1,36 @@
-const axios = require('axios');
 const supabase = require('../config/supabase');
 const logger = require('../utils/logger');
-
-const INTERAKT_BASE_URL = process.env.INTERAKT_BASE_URL || 'https://api.interakt.ai/v1/public';
-const INTERAKT_API_KEY = process.env.INTERAKT_API_KEY;
+const { OTP_CHANNELS, OTP_CHANNEL_NAMES } = require('./otpChannels');
+const {
+  OTP_POLICY,
+  sendLimitsEnabled,
+  hashOTP,
+  compareOTP,
+  logOtpAudit,
+  isPhoneSendLimited,
+  isChannelLimited,
+  assertNotLocked,
+  recordVerifyFailure,
+  clearVerifyFailures
+} = require('./otpPolicyService');
 
 /**
- * Interakt OTP Service
- * Handles OTP generation, storage, and verification with Interakt WhatsApp Templates
- * Uses 6-digit OTP for better security
- * Template name: "auth" (must be created in Facebook Business Manager and synced in Interakt)
+ * OTP Service
+ * Handles OTP generation, storage, and verification
+ * Uses 6-digit OTP for better security; only a hash of the code is stored
+ * Delivery goes through the channels in OTP_CHANNELS (WhatsApp via Interakt first by default),
+ * falling back to the next channel when one fails or is over its hourly limit
+ * Limits and lockouts are defined in otpPolicyService
  */
 
+const DEFAULT_CHANNEL_ORDER = 'whatsapp,sms,email,console';
+
+function otpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
 /**
  * Generate 6-digit OTP
  */
@@ -20,79 +39,65 @@ function generateOTP() {
 }
 
 /**
- * Format phone number for Interakt API
- * Input: "+919876543210"
- * Output: { countryCode: "+91", phoneNumber: "9876543210" }
+ * Channels to try, in order: the hinted channel first, then OTP_CHANNELS
  */
-function formatPhoneNumber(phoneNumber) {
-  // Remove any spaces or dashes
-  let cleaned = phoneNumber.replace(/[\s-]/g, '');
-  
-  // Extract country code (assume +91 for India)
-  if (cleaned.startsWith('+91')) {
-    return {
-      countryCode: '+91',
-      phoneNumber: cleaned.substring(3)
-    };
-  } else if (cleaned.startsWith('91')) {
-    return {
-      countryCode: '+91',
-      phoneNumber: cleaned.substring(2)
-    };
-  } else if (cleaned.startsWith('0')) {
-    return {
-      countryCode: '+91',
-      phoneNumber: cleaned.substring(1)
-    };
-  } else {
-    // Default to India
-    return {
-      countryCode: '+91',
-      phoneNumber: cleaned
-    };
-  }
+function getChannelOrder(hint) {
+  const configured = (process.env.OTP_CHANNELS || DEFAULT_CHANNEL_ORDER)
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => OTP_CHANNELS[name]);
+
+  return [...new Set([...(hint ? [hint] : []), ...configured])];
 }
 
 /**
- * Send OTP via Interakt WhatsApp Template
- * Uses "auth" template with OTP in bodyValues and buttonValues
+ * Send OTP, falling back through the delivery channels
  * @param {string} phoneNumber - Full phone number with country code
- * @returns {Promise<Object>} Result with OTP code and expiry
+ * @param {Object} options - { channel: preferred channel to try first, email: address for the email channel, ip: client IP }
+ * @returns {Promise<Object>} Result with expiry and the channel that delivered the OTP
  */
-async function sendOTP(phoneNumber) {
+async function sendOTP(phoneNumber, { channel: hint, email, ip } = {}) {
   try {
-    // Check rate limit (disabled in development/test, 3 per hour in production)
-    const isDevelopment = process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test';
-    
-    if (!isDevelopment) {
-      const maxOTPsPerHour = 3;
-      const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-      
-      const { data: recentOTPs } = await supabase
-        .from('otp_verifications')
-        .select('id')
-        .eq('phone_number', phoneNumber)
-        .gte('created_at', oneHourAgo.toISOString());
-
-      if (recentOTPs && recentOTPs.length >= maxOTPsPerHour) {
-        throw new Error(`OTP limit exceeded. Please try again after 1 hour. (${recentOTPs.length}/${maxOTPsPerHour} used)`);
-      }
-    } else {
+    if (hint && !OTP_CHANNELS[hint]) {
+      throw otpError(`Invalid channel. Use one of: ${OTP_CHANNEL_NAMES.join(', ')}`, 400);
+    }
+
+    if (!sendLimitsEnabled()) {
       logger.info(`🔧 Development mode: Rate limiting disabled for testing`);
     }
 
+    // A locked-out number must not get fresh codes to guess at
+    await assertNotLocked(phoneNumber, ip, 'send');
+
+    // The per-channel limits add up, so the number also has an overall hourly limit
+    if (await isPhoneSendLimited(phoneNumber)) {
+      await logOtpAudit('send_limit_reached', { phoneNumber, ip, details: { limit: 'phone' } });
+      throw otpError('OTP limit exceeded. Please try again after 1 hour.', 429);
+    }
+
+    const candidates = getChannelOrder(hint)
+      .map(name => OTP_CHANNELS[name])
+      .filter(channel => channel.isConfigured() && channel.canReach({ email }));
+
+    if (candidates.length === 0) {
+      throw otpError('No OTP delivery channel is available. Please contact support.', 503);
+    }
+
     // Generate 6-digit OTP
     const otpCode = generateOTP();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+    const expiresAt = new Date(Date.now() + OTP_POLICY.expiryMinutes * 60 * 1000);
 
-    // Store OTP in database first
+    // Store the hashed OTP in database first
     const { data: otpRecord, error: dbError } = await supabase
       .from('otp_verifications')
       .insert({
         phone_number: phoneNumber,
-        otp_code: otpCode,
+        otp_hash: await hashOTP(otpCode),
         expires_at: expiresAt.toISOString(),
-        is_verified: false
+        is_verified: false,
+        attempts: 0,
+        max_attempts: OTP_POLICY.maxVerifyAttempts,
+        request_ip: ip || null
       })
       .select()
       .single();
@@ -102,146 +107,68 @@ async function sendOTP(phoneNumber) {
       throw new Error('Failed to send OTP');
     }
 
-    // Format phone number for Interakt
-    const { countryCode, phoneNumber: number } = formatPhoneNumber(phoneNumber);
-
-    // Prepare Interakt WhatsApp API payload
-    // Using Template type with "auth" template for OTP delivery
-    const payload = {
-      countryCode,
-      phoneNumber: number,
-      callbackData: `OTP for ${phoneNumber}`,
-      type: "Template",
-      template: {
-        name: "auth",
-        languageCode: "en",
-        bodyValues: [otpCode],
-        buttonValues: {
-          "0": [otpCode]
-        }
+    const attempted = [];
+    const limited = [];
+
+    for (const channel of candidates) {
+      if (await isChannelLimited(phoneNumber, channel.name)) {
+        limited.push(channel.name);
+        continue;
       }
-    };
 
-    // Send via Interakt WhatsApp API
-    try {
-      // Log request details (mask API key for security)
-      const maskedApiKey = INTERAKT_API_KEY ? `${INTERAKT_API_KEY.substring(0, 10)}...${INTERAKT_API_KEY.substring(INTERAKT_API_KEY.length - 5)}` : 'NOT_SET';
-      logger.info(`📤 Sending OTP via Interakt WhatsApp to ${phoneNumber}`);
-      logger.info(`📤 Interakt API URL: ${INTERAKT_BASE_URL}/message/`);
-      logger.info(`📤 API Key (masked): ${maskedApiKey}`);
-      logger.info(`📤 Payload: ${JSON.stringify(payload, null, 2)}`);
-      
-      const response = await axios.post(
-        `${INTERAKT_BASE_URL}/message/`,
-        payload,
-        {
-          headers: {
-            'Authorization': `Basic ${INTERAKT_API_KEY}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      attempted.push(channel.name);
+      logger.info(`📤 Sending OTP via ${channel.name} to ${phoneNumber}`);
 
-      logger.info(`✅ OTP sent via Interakt WhatsApp to ${phoneNumber}. Message ID: ${response.data.id || response.data.messageId}`);
-      logger.info(`✅ Interakt Response: ${JSON.stringify(response.data, null, 2)}`);
-      
-      return {
-        success: true,
-        expires_in: 600, // 10 minutes in seconds
-        message_id: response.data.id || response.data.messageId,
-        // Only return OTP in development mode
-        ...(process.env.NODE_ENV === 'development' && { otp_code: otpCode })
-      };
-    } catch (interaktError) {
-      // Detailed error logging
-      logger.error('❌ Interakt API Error Details:');
-      logger.error(`   Status: ${interaktError.response?.status || 'N/A'}`);
-      logger.error(`   Status Text: ${interaktError.response?.statusText || 'N/A'}`);
-      logger.error(`   Error Message: ${interaktError.message}`);
-      logger.error(`   Response Data: ${JSON.stringify(interaktError.response?.data || {}, null, 2)}`);
-      logger.error(`   Request URL: ${interaktError.config?.url || 'N/A'}`);
-      logger.error(`   Request Method: ${interaktError.config?.method || 'N/A'}`);
-      logger.error(`   Request Headers: ${JSON.stringify(interaktError.config?.headers || {}, null, 2)}`);
-      
-      // Check if API key is set
-      if (!INTERAKT_API_KEY) {
-        logger.error('❌ ROOT CAUSE: INTERAKT_API_KEY is not set in environment variables');
-        throw new Error('Interakt API key not configured. Please set INTERAKT_API_KEY in .env file.');
-      }
-      
-      // Check if API key looks valid
-      if (INTERAKT_API_KEY.length < 10) {
-        logger.error('❌ ROOT CAUSE: INTERAKT_API_KEY appears to be invalid (too short)');
-        throw new Error('Interakt API key appears to be invalid. Please check your INTERAKT_API_KEY in .env file.');
-      }
-      
-      // Handle rate limiting
-      if (interaktError.response?.status === 429) {
-        logger.error('❌ ROOT CAUSE: Rate limit exceeded');
-        throw new Error('Rate limit exceeded. Please retry after some time.');
-      }
-      
-      // Handle authentication errors
-      if (interaktError.response?.status === 401 || interaktError.response?.status === 403) {
-        logger.error('❌ ROOT CAUSE: Invalid API key or authentication failed');
-        logger.error(`   Error from Interakt: ${JSON.stringify(interaktError.response?.data || {})}`);
-        throw new Error('Invalid Interakt API key. Please verify your INTERAKT_API_KEY in .env file.');
-      }
-      
-      // Handle other API errors (400, 404, etc.)
-      if (interaktError.response?.status >= 400 && interaktError.response?.status < 500) {
-        const errorData = interaktError.response?.data || {};
-        const errorMessage = errorData.message || errorData.error || 'Unknown error';
-        logger.error('❌ ROOT CAUSE: Client error from Interakt API');
-        logger.error(`   Status: ${interaktError.response?.status}`);
-        logger.error(`   Error Message: ${errorMessage}`);
-        logger.error(`   Full Response: ${JSON.stringify(errorData, null, 2)}`);
-        
-        // In development mode, if WhatsApp channel fails, return OTP anyway for testing
-        const isDevelopment = process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test';
-        if (isDevelopment && typeof errorMessage === 'string' && 
-            (errorMessage.includes('Channel not connected') || 
-             errorMessage.includes('WhatsApp') || 
-             errorMessage.includes('not configured') ||
-             errorMessage.includes('Customer is not available') ||
-             errorMessage.includes('not available for the organization'))) {
-          logger.warn('⚠️  WhatsApp channel issue, but returning OTP in development mode for testing');
-          logger.warn(`⚠️  OTP Code: ${otpCode} (Use this for testing)`);
-          logger.warn('⚠️  IMPORTANT: To receive OTP via WhatsApp, you need to:');
-          logger.warn('   1. Create an OTP template named "auth" in Facebook Business Manager');
-          logger.warn('   2. Sync the template in Interakt Dashboard > Templates');
-          logger.warn('   3. Ensure template has body variable and button variable for OTP');
-          logger.warn('   OR: Add the contact in Interakt Dashboard > Contacts first');
-          logger.warn('   See: https://www.interakt.shop/resource-center/send-whatsapp-authentication-template/');
-          
-          // Return OTP in development mode even if WhatsApp fails
-          return {
-            success: true,
-            expires_in: 600, // 10 minutes in seconds
-            message_id: null,
-            otp_code: otpCode, // Always return OTP in dev mode when WhatsApp fails
-            warning: 'WhatsApp channel issue. OTP returned for testing purposes only.'
-          };
-        }
-        
-        // Provide helpful error messages based on common issues
-        if (typeof errorMessage === 'string' && errorMessage.includes('Customer is not available')) {
-          throw new Error('Customer phone number is not available in Interakt. Please add the contact in Interakt dashboard or ensure the customer has opted in to receive messages.');
-        } else if (typeof errorMessage === 'string' && (errorMessage.includes('Channel not connected') || errorMessage.includes('WhatsApp') || errorMessage.includes('not configured'))) {
-          throw new Error('WhatsApp channel is not connected in your Interakt account. Please enable WhatsApp in your Interakt dashboard settings (Settings > Configure Channels > WhatsApp).');
-        } else if (typeof errorMessage === 'string' && (errorMessage.includes('cardMedia') || errorMessage.includes('suggestions') || errorMessage.includes('plainText'))) {
-          throw new Error(`Interakt API validation error: ${errorMessage}. Please check the payload format.`);
-        } else {
-          throw new Error(`Interakt API error: ${errorMessage}`);
-        }
+      try {
+        const result = await channel.send({
+          phoneNumber,
+          email,
+          otpCode,
+          expiresInMinutes: OTP_POLICY.expiryMinutes
+        });
+
+        await supabase
+          .from('otp_verifications')
+          .update({ channel: channel.name, attempted_channels: attempted })
+          .eq('id', otpRecord.id);
+
+        // Only the latest code can be used
+        await supabase
+          .from('otp_verifications')
+          .update({ invalidated_at: new Date().toISOString() })
+          .eq('phone_number', phoneNumber)
+          .eq('is_verified', false)
+          .is('invalidated_at', null)
+          .neq('id', otpRecord.id);
+
+        logger.info(`✅ OTP sent via ${channel.name} to ${phoneNumber}. Message ID: ${result.message_id || 'N/A'}`);
+
+        return {
+          success: true,
+          expires_in: OTP_POLICY.expiryMinutes * 60,
+          channel: channel.name,
+          attempted_channels: attempted,
+          message_id: result.message_id,
+          // Only return OTP in development mode
+          ...(process.env.NODE_ENV === 'development' && { otp_code: otpCode })
+        };
+      } catch (error) {
+        logger.warn(`⚠️  OTP via ${channel.name} failed for ${phoneNumber}, trying next channel`);
       }
-      
-      // Even if Interakt fails, OTP is stored in database
-      logger.warn(`⚠️  Interakt failed but OTP stored: ${otpCode}`);
-      logger.warn(`⚠️  User can still verify OTP if they receive it through other means`);
-      
-      throw new Error('Failed to send OTP via Interakt. Please try again.');
     }
+
+    // Nothing delivered it, so the stored code can never be used
+    await supabase
+      .from('otp_verifications')
+      .delete()
+      .eq('id', otpRecord.id);
+
+    if (attempted.length === 0) {
+      await logOtpAudit('send_limit_reached', { phoneNumber, ip, details: { channels: limited } });
+      throw otpError(`OTP limit exceeded. Please try again after 1 hour. (${limited.join(', ')})`, 429);
+    }
+
+    throw otpError('Failed to send OTP. Please try again.', 503);
   } catch (error) {
     logger.error('Send OTP error:', error);
     throw error;
@@ -250,38 +177,97 @@ async function sendOTP(phoneNumber) {
 
 /**
  * Verify OTP
+ * Each code allows OTP_POLICY.maxVerifyAttempts tries; repeated failures lock out the requester for this
+ * phone number, then the phone number and the IP.
+ * Throws with statusCode 400 (wrong/expired code) or 429 (locked out).
  * @param {string} phoneNumber - Full phone number with country code
  * @param {string} otpCode - 6-digit OTP code to verify
+ * @param {Object} options - { ip: client IP }
  * @returns {Promise<Object>} Verification result
  */
-async function verifyOTP(phoneNumber, otpCode) {
+async function verifyOTP(phoneNumber, otpCode, { ip } = {}) {
   try {
     // Validate OTP format (6 digits)
     if (!/^\d{6}$/.test(otpCode)) {
-      throw new Error('OTP must be 6 digits');
+      throw otpError('OTP must be 6 digits', 400);
     }
 
-    // Find valid OTP
-    const { data: otpRecord, error: findError } = await supabase
+    await assertNotLocked(phoneNumber, ip, 'verify');
+
+    // Latest code still in play
+    const { data: otpRecord } = await supabase
       .from('otp_verifications')
       .select('*')
       .eq('phone_number', phoneNumber)
-      .eq('otp_code', otpCode)
       .eq('is_verified', false)
+      .is('invalidated_at', null)
       .gt('expires_at', new Date().toISOString())
       .order('created_at', { ascending: false })
       .limit(1)
       .single();
 
-    if (findError || !otpRecord) {
-      throw new Error('Invalid or expired OTP');
+    if (!otpRecord) {
+      await recordVerifyFailure(phoneNumber, ip);
+      throw otpError('Invalid or expired OTP', 400);
     }
 
-    // Mark OTP as verified
-    await supabase
+    // Count the attempt before checking the code so parallel guesses cannot exceed the limit
+    const { data: attempts, error: attemptError } = await supabase.rpc('register_otp_attempt', {
+      p_otp_id: otpRecord.id
+    });
+
+    if (attemptError) {
+      logger.error('Register OTP attempt error:', attemptError);
+      throw new Error('Failed to verify OTP');
+    }
+
+    if (!attempts) {
+      await recordVerifyFailure(phoneNumber, ip);
+      throw otpError('Invalid or expired OTP', 400);
+    }
+
+    const isMatch = await compareOTP(otpCode, otpRecord.otp_hash);
+
+    if (!isMatch) {
+      const lockouts = await recordVerifyFailure(phoneNumber, ip);
+      const remaining = otpRecord.max_attempts - attempts;
+
+      if (remaining <= 0) {
+        await logOtpAudit('attempts_exhausted', {
+          phoneNumber,
+          ip,
+          details: { otp_id: otpRecord.id, attempts }
+        });
+      }
+
+      if (lockouts.length > 0) {
+        const error = otpError('Too many incorrect OTP attempts. Please try again later.', 429);
+        error.retryAfter = Math.ceil((Math.max(...lockouts.map(lockout => new Date(lockout.locked_until).getTime())) - Date.now()) / 1000);
+        throw error;
+      }
+
+      throw otpError(
+        remaining > 0
+          ? `Invalid OTP. ${remaining} attempt${remaining === 1 ? '' : 's'} remaining.`
+          : 'Too many incorrect attempts. Please request a new OTP.',
+        400
+      );
+    }
+
+    // Mark OTP as verified (once - a parallel request may have used it)
+    const { data: verified } = await supabase
       .from('otp_verifications')
       .update({ is_verified: true })
-      .eq('id', otpRecord.id);
+      .eq('id', otpRecord.id)
+      .eq('is_verified', false)
+      .select()
+      .single();
+
+    if (!verified) {
+      throw otpError('Invalid or expired OTP', 400);
+    }
+
+    await clearVerifyFailures(phoneNumber, ip);
 
     return {
       success: true,
@@ -312,9 +298,9 @@ async function cleanupExpiredOTPs() {
 }
 
 module.exports = {
+  OTP_CHANNEL_NAMES,
   sendOTP,
   verifyOTP,
   generateOTP,
   cleanupExpiredOTPs
 };
-
@@ -0,0 +1,358 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { getGstBreakdown } = require('../utils/pricing');
+const { resolveGstState, splitGst } = require('../utils/gst');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+// GST invoice numbers (and invoices.invoice_number) are limited to 16 characters:
+// <prefix>/26-27/000001 leaves 3 for the prefix
+const INVOICE_NUMBER_MAX_LENGTH = 16;
+const INVOICE_NUMBER_SUFFIX_LENGTH = '/26-27/000001'.length;
+const INVOICE_PREFIX_MAX_LENGTH = INVOICE_NUMBER_MAX_LENGTH - INVOICE_NUMBER_SUFFIX_LENGTH;
+const INVOICE_PREFIX_REGEX = new RegExp(`^[A-Z0-9]{1,${INVOICE_PREFIX_MAX_LENGTH}}$`);
+
+/**
+ * INVOICE_PREFIX, checked at startup so a bad value cannot fail (or truncate) invoices later
+ */
+function loadInvoicePrefix() {
+  const prefix = (process.env.INVOICE_PREFIX || 'MS').trim().toUpperCase();
+
+  if (!INVOICE_PREFIX_REGEX.test(prefix)) {
+    throw new Error(`Invalid INVOICE_PREFIX "${process.env.INVOICE_PREFIX}": use 1-${INVOICE_PREFIX_MAX_LENGTH} letters or digits (GST invoice numbers are limited to ${INVOICE_NUMBER_MAX_LENGTH} characters)`);
+  }
+
+  return prefix;
+}
+
+const INVOICE_PREFIX = loadInvoicePrefix();
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Indian financial year (April - March) a date falls in, e.g. '2026-27'
+ */
+function getFinancialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Invoice number prefix for a financial year, e.g. 'MS/26-27/'
+ * The sequence adds 6 digits.
+ */
+function getInvoiceNumberPrefix(financialYear) {
+  return `${INVOICE_PREFIX}/${financialYear.slice(2)}/`;
+}
+
+/**
+ * Supplier GST registration from COMPANY_GSTIN / COMPANY_GST_STATE
+ * The state falls back to the first two digits of the GSTIN.
+ */
+function getSupplier() {
+  const gstin = process.env.COMPANY_GSTIN || null;
+  const state = resolveGstState(process.env.COMPANY_GST_STATE) ||
+    (gstin ? resolveGstState(gstin.slice(0, 2)) : null);
+
+  if (!state) {
+    logger.warn('COMPANY_GST_STATE is not configured; invoices are treated as intra-state.');
+  }
+
+  return {
+    name: process.env.COMPANY_LEGAL_NAME || 'Minuteserv',
+    gstin,
+    state: state ? state.name : null,
+    state_code: state ? state.code : null
+  };
+}
+
+function parseServices(services) {
+  if (Array.isArray(services)) return services;
+  if (typeof services === 'string') {
+    try {
+      return JSON.parse(services);
+    } catch (error) {
+      logger.error('Error parsing services JSON:', error);
+    }
+  }
+  return [];
+}
+
+/**
+ * GST details of a booking: SAC-coded line items with CGST/SGST or IGST, and totals
+ * Intra-state when the service address is in the supplier's state (or either state is unknown).
+ */
+function calculateInvoiceTaxes(booking, address) {
+  const supplier = getSupplier();
+  const placeOfSupply = resolveGstState(address?.state);
+  const interState = !!(supplier.state_code && placeOfSupply && supplier.state_code !== placeOfSupply.code);
+
+  const platformFee = parseFloat(booking.platform_fee ?? booking.tax ?? 0) || 0;
+  const breakdown = getGstBreakdown(parseServices(booking.services), {
+    discount: parseFloat(booking.discount || 0),
+    platformFee
+  });
+
+  const lines = [...breakdown.items];
+  if (platformFee > 0) {
+    lines.push({ ...breakdown.platform_fee, quantity: 1, unit_price: platformFee, discount: 0 });
+  }
+
+  const lineItems = lines.map(line => ({
+    ...line,
+    ...splitGst(line.gst_amount, interState)
+  }));
+
+  const sum = field => roundAmount(lineItems.reduce((total, line) => total + line[field], 0));
+
+  return {
+    supplier,
+    place_of_supply: placeOfSupply ? placeOfSupply.name : (address?.state || null),
+    place_of_supply_code: placeOfSupply ? placeOfSupply.code : null,
+    supply_type: interState ? 'inter_state' : 'intra_state',
+    line_items: lineItems,
+    taxable_amount: sum('taxable_amount'),
+    cgst_amount: sum('cgst'),
+    sgst_amount: sum('sgst'),
+    igst_amount: sum('igst'),
+    total_gst: sum('gst_amount'),
+    discount: parseFloat(booking.discount || 0),
+    platform_fee: platformFee,
+    grand_total: parseFloat(booking.grand_total || 0)
+  };
+}
+
+/**
+ * Whether the service has been delivered, so a tax invoice can be issued
+ * Completed bookings that were later refunded keep their invoice.
+ */
+function isInvoiceable(booking) {
+  return booking.status === 'completed' || (booking.status === 'refunded' && !!booking.completed_at);
+}
+
+/**
+ * Invoice already issued for a booking, or null
+ */
+async function getInvoiceForBooking(bookingId) {
+  const { data: invoice, error } = await supabase
+    .from('invoices')
+    .select('*')
+    .eq('booking_id', bookingId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    logger.error('Get invoice error:', error);
+    throw new Error('Failed to fetch invoice');
+  }
+
+  return invoice || null;
+}
+
+/**
+ * Issue the tax invoice for a completed booking (returns the existing one if already issued)
+ * Throws with statusCode 404 / 409 when the booking is missing or not completed.
+ */
+async function issueInvoice(bookingId) {
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .select('*, user_addresses(*)')
+    .eq('id', bookingId)
+    .single();
+
+  if (error || !booking) {
+    const notFound = new Error('Booking not found');
+    notFound.statusCode = 404;
+    throw notFound;
+  }
+
+  if (!isInvoiceable(booking)) {
+    const notCompleted = new Error('An invoice can only be issued once the service is completed');
+    notCompleted.statusCode = 409;
+    throw notCompleted;
+  }
+
+  const taxes = calculateInvoiceTaxes(booking, booking.user_addresses);
+  const financialYear = getFinancialYear(new Date(booking.completed_at || booking.updated_at || Date.now()));
+
+  const { data: invoice, error: issueError } = await supabase.rpc('issue_invoice', {
+    p_booking_id: bookingId,
+    p_financial_year: financialYear,
+    p_number_prefix: getInvoiceNumberPrefix(financialYear),
+    p_invoice: {
+      supplier_gstin: taxes.supplier.gstin,
+      supplier_state_code: taxes.supplier.state_code,
+      place_of_supply: taxes.place_of_supply,
+      place_of_supply_code: taxes.place_of_supply_code,
+      supply_type: taxes.supply_type,
+      line_items: taxes.line_items,
+      taxable_amount: taxes.taxable_amount,
+      cgst_amount: taxes.cgst_amount,
+      sgst_amount: taxes.sgst_amount,
+      igst_amount: taxes.igst_amount,
+      total_gst: taxes.total_gst,
+      discount: taxes.discount,
+      platform_fee: taxes.platform_fee,
+      grand_total: taxes.grand_total
+    }
+  });
+
+  if (issueError) {
+    logger.error('Issue invoice error:', issueError);
+    throw new Error('Failed to issue invoice');
+  }
+
+  logger.info(`Invoice ${invoice.invoice_number} issued for booking ${bookingId}`);
+  return invoice;
+}
+
+/**
+ * Issued invoice of a booking, as returned by the invoice endpoints and rendered to PDF
+ * Never issues one (that would use up a number): invoices are issued on completion or by an admin.
+ * Pass `userId` to only find the user's own booking. Throws with statusCode 404 when the booking
+ * is not found or has no invoice yet.
+ */
+async function getBookingInvoice(bookingId, { userId = null } = {}) {
+  let query = supabase
+    .from('bookings')
+    .select('*, users(*), partners(*), user_addresses(*)')
+    .eq('id', bookingId);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data: booking, error: bookingError } = await query.single();
+
+  if (bookingError || !booking) {
+    const notFound = new Error('Booking not found');
+    notFound.statusCode = 404;
+    throw notFound;
+  }
+
+  // Get payment info
+  const { data: payment } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('booking_id', bookingId)
+    .single();
+
+  // Format address
+  const address = Array.isArray(booking.user_addresses) ? booking.user_addresses[0] : booking.user_addresses;
+  const addressString = address
+    ? `${address.address_line1 || ''}${address.address_line2 ? ', ' + address.address_line2 : ''}, ${address.city || ''}, ${address.state || ''} - ${address.pincode || ''}`.trim()
+    : 'Address not available';
+
+  const issued = await getInvoiceForBooking(bookingId);
+  if (!issued) {
+    const notIssued = new Error(isInvoiceable(booking)
+      ? 'The invoice for this booking has not been issued yet'
+      : 'The invoice is available once the service is completed');
+    notIssued.statusCode = 404;
+    throw notIssued;
+  }
+
+  // Invoices are read back as stored, so later catalogue or config changes never alter them
+  const taxes = {
+    ...issued,
+    supplier: {
+      ...getSupplier(),
+      gstin: issued.supplier_gstin,
+      state_code: issued.supplier_state_code
+    }
+  };
+
+  const toAmount = value => parseFloat(value || 0);
+  const lineItems = taxes.line_items || [];
+  const serviceLines = lineItems.filter(line => line.type === 'service');
+  const platformFeeLine = lineItems.find(line => line.type === 'platform_fee') || null;
+
+  const formatTaxLine = line => ({
+    sac_code: line.sac_code,
+    gst_rate: line.gst_rate,
+    taxable_amount: line.taxable_amount,
+    cgst: line.cgst,
+    sgst: line.sgst,
+    igst: line.igst,
+    gst_amount: line.gst_amount
+  });
+
+  return {
+    invoice_number: issued.invoice_number,
+    financial_year: issued.financial_year,
+    issued_at: issued.issued_at,
+    booking_number: booking.booking_number,
+    date: booking.booking_date,
+    time: booking.booking_time,
+    supplier: taxes.supplier,
+    customer: {
+      name: booking.users?.name || booking.customer_name || 'N/A',
+      phone: booking.users?.phone_number || booking.customer_phone || 'N/A',
+      email: booking.users?.email || booking.customer_email || null,
+      address: addressString
+    },
+    place_of_supply: taxes.place_of_supply,
+    place_of_supply_code: taxes.place_of_supply_code,
+    supply_type: taxes.supply_type,
+    items: serviceLines.map(line => ({
+      service_name: line.name,
+      quantity: line.quantity,
+      price: line.unit_price,
+      total: line.gross_amount,
+      discount: line.discount,
+      ...formatTaxLine(line)
+    })),
+    platform_fee_details: platformFeeLine ? formatTaxLine(platformFeeLine) : null,
+    subtotal: booking.total_price || 0,
+    discount: booking.discount || 0,
+    platform_fee: toAmount(taxes.platform_fee),
+    // Older admin clients read the platform fee as `tax`
+    tax: toAmount(taxes.platform_fee),
+    tax_summary: {
+      taxable_amount: toAmount(taxes.taxable_amount),
+      cgst: toAmount(taxes.cgst_amount),
+      sgst: toAmount(taxes.sgst_amount),
+      igst: toAmount(taxes.igst_amount),
+      total_gst: toAmount(taxes.total_gst)
+    },
+    grand_total: booking.grand_total || booking.total_price || 0,
+    payment: {
+      method: booking.payment_method || payment?.payment_method || 'N/A',
+      status: booking.payment_status || payment?.status || 'pending',
+      wallet_amount: parseFloat(booking.wallet_amount || 0),
+      razorpay_order_id: booking.razorpay_order_id || payment?.razorpay_order_id || null,
+      razorpay_payment_id: booking.razorpay_payment_id || payment?.razorpay_payment_id || null
+    },
+    status: booking.status,
+    promo_code: booking.promo_code || null,
+    partner: booking.partners ? {
+      name: booking.partners.name,
+      code: booking.partners.partner_code
+    } : null,
+    created_at: booking.created_at
+  };
+}
+
+/**
+ * Issue the invoice right after a booking is completed
+ * Never throws: a failure is logged and an admin can issue the invoice later (POST /admin/bookings/:id/invoice).
+ */
+async function issueInvoiceOnCompletion(bookingId) {
+  try {
+    return await issueInvoice(bookingId);
+  } catch (error) {
+    logger.error(`Failed to issue invoice for completed booking ${bookingId}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  getFinancialYear,
+  isInvoiceable,
+  getInvoiceForBooking,
+  issueInvoice,
+  getBookingInvoice,
+  issueInvoiceOnCompletion
+};
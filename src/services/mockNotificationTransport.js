@@ -0,0 +1,54 @@
+/**
+ * In-memory notification transport for tests and local development
+ * Records every message instead of calling Interakt. Select it with NOTIFICATION_TRANSPORT=mock
+ * (the default when NODE_ENV=test).
+ */
+
+const sentMessages = [];
+const queuedFailures = [];
+
+/**
+ * Send (record) a template message
+ * Rejects with the next queued failure, if any, so retry handling can be exercised.
+ */
+async function sendTemplateMessage(message) {
+  if (queuedFailures.length > 0) {
+    throw queuedFailures.shift();
+  }
+
+  const record = {
+    ...message,
+    message_id: `mock-${sentMessages.length + 1}`,
+    sent_at: new Date().toISOString()
+  };
+  sentMessages.push(record);
+
+  return { message_id: record.message_id, response: { id: record.message_id } };
+}
+
+/**
+ * Make the next send fail
+ * `status` mimics an HTTP status from Interakt (5xx and 429 are retried, other 4xx are not).
+ */
+function failNext({ message = 'Mock transport failure', status = 503 } = {}) {
+  const error = new Error(message);
+  error.response = { status, data: { message } };
+  queuedFailures.push(error);
+}
+
+function getSentMessages() {
+  return [...sentMessages];
+}
+
+function reset() {
+  sentMessages.length = 0;
+  queuedFailures.length = 0;
+}
+
+module.exports = {
+  name: 'mock',
+  sendTemplateMessage,
+  failNext,
+  getSentMessages,
+  reset
+};
@@ -0,0 +1,341 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const NOTIFICATION_TEMPLATES = require('../config/notificationTemplates');
+const interaktClient = require('./interaktClient');
+const mockTransport = require('./mockNotificationTransport');
+
+// Wait before retry n (after attempt n failed); attempts beyond this list are not retried
+const RETRY_DELAYS_MINUTES = [1, 5, 30];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+// A delivery in progress is not picked up by the retry worker for this long
+const CLAIM_MINUTES = 2;
+const RETRY_INTERVAL_MS = (parseInt(process.env.NOTIFICATION_RETRY_INTERVAL_SECONDS) || 60) * 1000;
+
+const interaktTransport = {
+  name: 'interakt',
+  sendTemplateMessage: interaktClient.sendTemplateMessage
+};
+
+let transportOverride = null;
+
+/**
+ * Transport in use: NOTIFICATION_TRANSPORT=interakt | mock (mock by default when NODE_ENV=test)
+ */
+function getTransport() {
+  if (transportOverride) return transportOverride;
+
+  const name = process.env.NOTIFICATION_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'mock' : 'interakt');
+  return name === 'mock' ? mockTransport : interaktTransport;
+}
+
+/**
+ * Replace the transport (tests); pass null to go back to the configured one
+ */
+function setTransport(transport) {
+  transportOverride = transport;
+}
+
+function minutesFromNow(minutes) {
+  return new Date(Date.now() + minutes * 60 * 1000).toISOString();
+}
+
+function formatAmount(value) {
+  return `₹${(parseFloat(value) || 0).toFixed(2).replace(/\.00$/, '')}`;
+}
+
+function formatDate(value) {
+  if (!value) return null;
+  const date = new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Template variables for a booking; `extra` adds or overrides event-specific values
+ */
+function buildVariables(booking, extra = {}) {
+  const services = Array.isArray(booking.services) ? booking.services : [];
+  const grandTotal = parseFloat(booking.grand_total || 0);
+
+  return {
+    customer_name: booking.customer_name || 'there',
+    booking_number: booking.booking_number,
+    booking_date: formatDate(booking.booking_date),
+    booking_time: booking.booking_time,
+    services: services
+      .map(service => (service.quantity > 1 ? `${service.name} x${service.quantity}` : service.name))
+      .filter(Boolean)
+      .join(', '),
+    grand_total: formatAmount(grandTotal),
+    amount_payable: formatAmount(grandTotal - parseFloat(booking.wallet_amount || 0)),
+    partner_name: booking.partners?.name || null,
+    partner_phone: booking.partners?.phone_number || null,
+    cancellation_fee: formatAmount(booking.cancellation_fee || 0),
+    ...extra
+  };
+}
+
+/**
+ * Interakt rate limits, server errors and network failures are worth retrying; other 4xx are not
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Send a logged notification once and record the outcome
+ */
+async function attemptDelivery(log) {
+  const attempts = (log.attempts || 0) + 1;
+  const template = NOTIFICATION_TEMPLATES[log.event] || {};
+  const transport = getTransport();
+
+  try {
+    const result = await transport.sendTemplateMessage({
+      phoneNumber: log.recipient_phone,
+      templateName: log.template_name,
+      languageCode: template.languageCode || 'en',
+      bodyValues: log.body_values,
+      callbackData: `notification:${log.id}`
+    });
+
+    const { data: updated } = await supabase
+      .from('notification_logs')
+      .update({
+        status: 'sent',
+        attempts,
+        transport: transport.name,
+        provider_message_id: result.message_id || null,
+        sent_at: new Date().toISOString(),
+        next_attempt_at: null,
+        last_error: null
+      })
+      .eq('id', log.id)
+      .select()
+      .single();
+
+    logger.info(`Notification ${log.event} sent to ${log.recipient_phone} (${log.id})`);
+    return updated || { ...log, status: 'sent', attempts };
+  } catch (error) {
+    const message = error.response?.data?.message || error.message || 'Send failed';
+    const retry = isRetryable(error) && attempts < (log.max_attempts || MAX_ATTEMPTS);
+
+    const { data: updated } = await supabase
+      .from('notification_logs')
+      .update({
+        status: retry ? 'pending' : 'failed',
+        attempts,
+        transport: transport.name,
+        last_error: String(message).slice(0, 1000),
+        next_attempt_at: retry ? minutesFromNow(RETRY_DELAYS_MINUTES[attempts - 1]) : null
+      })
+      .eq('id', log.id)
+      .select()
+      .single();
+
+    if (retry) {
+      logger.warn(`Notification ${log.event} to ${log.recipient_phone} failed (attempt ${attempts}), will retry: ${message}`);
+    } else {
+      logger.error(`Notification ${log.event} to ${log.recipient_phone} failed: ${message}`);
+    }
+    return updated || { ...log, status: retry ? 'pending' : 'failed', attempts, last_error: message };
+  }
+}
+
+/**
+ * Send a WhatsApp notification to a booking's customer
+ * `dedupeKey` makes the event fire once per subject (defaults to `<event>:<booking id>`).
+ * Never throws - a failed notification is logged so it cannot break the action that caused it.
+ * Returns the notification log row, or null when nothing was sent.
+ */
+async function notifyCustomer(event, booking, { dedupeKey, variables = {} } = {}) {
+  try {
+    const template = NOTIFICATION_TEMPLATES[event];
+    if (!template) {
+      logger.error(`No notification template for event ${event}`);
+      return null;
+    }
+
+    if (!booking?.customer_phone) {
+      logger.warn(`Notification ${event} skipped for booking ${booking?.id}: no customer phone`);
+      return null;
+    }
+
+    const values = buildVariables(booking, variables);
+    const missing = template.bodyValues.filter(name => values[name] === null || values[name] === undefined || values[name] === '');
+    const bodyValues = template.bodyValues.map(name => String(values[name] ?? ''));
+
+    const { data: log, error } = await supabase
+      .from('notification_logs')
+      .insert({
+        event,
+        template_name: template.template,
+        transport: getTransport().name,
+        recipient_phone: booking.customer_phone,
+        user_id: booking.user_id || null,
+        booking_id: booking.id || null,
+        variables: Object.fromEntries(template.bodyValues.map(name => [name, values[name] ?? null])),
+        body_values: bodyValues,
+        status: missing.length > 0 ? 'failed' : 'pending',
+        last_error: missing.length > 0 ? `Missing template variables: ${missing.join(', ')}` : null,
+        max_attempts: MAX_ATTEMPTS,
+        next_attempt_at: missing.length > 0 ? null : minutesFromNow(CLAIM_MINUTES),
+        dedupe_key: dedupeKey || `${event}:${booking.id}`
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // Already notified for this event
+      if (error.code === '23505') {
+        return null;
+      }
+      logger.error('Create notification log error:', error);
+      return null;
+    }
+
+    if (missing.length > 0) {
+      logger.error(`Notification ${event} for booking ${booking.id} not sent: missing ${missing.join(', ')}`);
+      return log;
+    }
+
+    return await attemptDelivery(log);
+  } catch (error) {
+    logger.error(`Notify customer (${event}) error:`, error);
+    return null;
+  }
+}
+
+/**
+ * Load a booking (with its partner) and notify the customer
+ * Never throws.
+ */
+async function notifyBookingEvent(event, bookingId, options = {}) {
+  try {
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select('*, partners(id, name, phone_number)')
+      .eq('id', bookingId)
+      .single();
+
+    if (error || !booking) {
+      logger.error(`Notification ${event} skipped: booking ${bookingId} not found`);
+      return null;
+    }
+
+    return await notifyCustomer(event, booking, options);
+  } catch (error) {
+    logger.error(`Notify booking event (${event}) error:`, error);
+    return null;
+  }
+}
+
+/**
+ * Retry pending notifications that are due
+ * Each row is claimed first so two workers never send the same message.
+ */
+async function processDueNotifications({ limit = 25 } = {}) {
+  const { data: due, error } = await supabase
+    .from('notification_logs')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    logger.error('Load due notifications error:', error);
+    return { processed: 0, sent: 0, failed: 0 };
+  }
+
+  const summary = { processed: 0, sent: 0, failed: 0 };
+
+  for (const log of due || []) {
+    const { data: claimed } = await supabase
+      .from('notification_logs')
+      .update({ next_attempt_at: minutesFromNow(CLAIM_MINUTES) })
+      .eq('id', log.id)
+      .eq('status', 'pending')
+      .eq('attempts', log.attempts)
+      .select()
+      .single();
+
+    if (!claimed) continue;
+
+    const result = await attemptDelivery(claimed);
+    summary.processed += 1;
+    if (result.status === 'sent') summary.sent += 1;
+    if (result.status === 'failed') summary.failed += 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Send a failed notification again now (admin)
+ * Allows one more attempt; throws with statusCode 404 / 409.
+ */
+async function retryNotification(id) {
+  const { data: log } = await supabase
+    .from('notification_logs')
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  if (!log) {
+    const error = new Error('Notification not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (log.status !== 'failed') {
+    const error = new Error(`Only failed notifications can be retried (this one is ${log.status})`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const { data: claimed } = await supabase
+    .from('notification_logs')
+    .update({
+      status: 'pending',
+      max_attempts: log.attempts + 1,
+      next_attempt_at: minutesFromNow(CLAIM_MINUTES)
+    })
+    .eq('id', id)
+    .eq('status', 'failed')
+    .select()
+    .single();
+
+  if (!claimed) {
+    const error = new Error('Notification is already being retried');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  return attemptDelivery(claimed);
+}
+
+/**
+ * Retry due notifications in the background every NOTIFICATION_RETRY_INTERVAL_SECONDS
+ */
+function startNotificationRetryWorker() {
+  const timer = setInterval(() => {
+    processDueNotifications().catch(error => logger.error('Notification retry worker error:', error));
+  }, RETRY_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RETRY_DELAYS_MINUTES,
+  formatAmount,
+  buildVariables,
+  notifyCustomer,
+  notifyBookingEvent,
+  processDueNotifications,
+  retryNotification,
+  startNotificationRetryWorker,
+  setTransport
+};
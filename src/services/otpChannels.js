@@ -0,0 +1,158 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const interaktClient = require('./interaktClient');
+
+/**
+ * OTP delivery channels
+ * Each channel exposes isConfigured(), canReach({ email }) and send({ phoneNumber, email, otpCode, expiresInMinutes }).
+ * send resolves with { message_id } and rejects when the provider refuses or is unreachable,
+ * so the OTP service can fall back to the next channel.
+ */
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const isDevelopment = () => process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test';
+
+function otpMessage(otpCode, expiresInMinutes) {
+  return `${otpCode} is your Minuteserv verification code. It expires in ${expiresInMinutes} minutes. Do not share it with anyone.`;
+}
+
+/**
+ * Log why a provider refused a message (never logs credentials)
+ */
+function logProviderError(channel, error) {
+  logger.error(`❌ OTP ${channel} delivery failed: ${error.message}`);
+  if (error.response) {
+    logger.error(`   Status: ${error.response.status}`);
+    logger.error(`   Response Data: ${JSON.stringify(error.response.data || {})}`);
+  }
+}
+
+/**
+ * WhatsApp via Interakt, using the "auth" template
+ * (created in Facebook Business Manager and synced in Interakt, with the OTP as body and button variable)
+ */
+const whatsapp = {
+  name: 'whatsapp',
+  isConfigured: () => interaktClient.isConfigured(),
+  canReach: () => true,
+  async send({ phoneNumber, otpCode }) {
+    logger.info(`📤 Interakt API URL: ${interaktClient.INTERAKT_BASE_URL}/message/`);
+    logger.info(`📤 API Key (masked): ${interaktClient.maskedApiKey()}`);
+
+    try {
+      const result = await interaktClient.sendTemplateMessage({
+        phoneNumber,
+        templateName: process.env.INTERAKT_OTP_TEMPLATE || 'auth',
+        languageCode: 'en',
+        bodyValues: [otpCode],
+        buttonValues: {
+          '0': [otpCode]
+        },
+        callbackData: `OTP for ${phoneNumber}`
+      });
+      return { message_id: result.message_id };
+    } catch (error) {
+      logProviderError('whatsapp', error);
+      const message = error.response?.data?.message;
+      if (typeof message === 'string' && message.includes('Customer is not available')) {
+        logger.warn('   The number is not on WhatsApp or has not opted in with Interakt');
+      }
+      throw error;
+    }
+  }
+};
+
+/**
+ * SMS via Twilio
+ */
+const sms = {
+  name: 'sms',
+  isConfigured: () => !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_FROM_NUMBER),
+  canReach: () => true,
+  async send({ phoneNumber, otpCode, expiresInMinutes }) {
+    const { countryCode, phoneNumber: number } = interaktClient.formatPhoneNumber(phoneNumber);
+
+    try {
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`,
+        new URLSearchParams({
+          To: `${countryCode}${number}`,
+          From: process.env.TWILIO_FROM_NUMBER,
+          Body: otpMessage(otpCode, expiresInMinutes)
+        }).toString(),
+        {
+          auth: {
+            username: process.env.TWILIO_ACCOUNT_SID,
+            password: process.env.TWILIO_AUTH_TOKEN
+          },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: REQUEST_TIMEOUT_MS
+        }
+      );
+      return { message_id: response.data.sid || null };
+    } catch (error) {
+      logProviderError('sms', error);
+      throw error;
+    }
+  }
+};
+
+/**
+ * Email via SendGrid, to the address on the account (if any)
+ */
+const email = {
+  name: 'email',
+  isConfigured: () => !!(process.env.SENDGRID_API_KEY && process.env.OTP_EMAIL_FROM),
+  canReach: ({ email: address }) => !!address,
+  async send({ email: address, otpCode, expiresInMinutes }) {
+    try {
+      const response = await axios.post(
+        'https://api.sendgrid.com/v3/mail/send',
+        {
+          personalizations: [{ to: [{ email: address }] }],
+          from: { email: process.env.OTP_EMAIL_FROM, name: 'Minuteserv' },
+          subject: `${otpCode} is your Minuteserv verification code`,
+          content: [{ type: 'text/plain', value: otpMessage(otpCode, expiresInMinutes) }]
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${process.env.SENDGRID_API_KEY}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: REQUEST_TIMEOUT_MS
+        }
+      );
+      return { message_id: response.headers?.['x-message-id'] || null };
+    } catch (error) {
+      logProviderError('email', error);
+      throw error;
+    }
+  }
+};
+
+/**
+ * Console - prints the OTP to the server log (development and test only)
+ */
+const consoleChannel = {
+  name: 'console',
+  isConfigured: () => isDevelopment(),
+  canReach: () => true,
+  async send({ phoneNumber, otpCode }) {
+    logger.warn(`🔧 OTP for ${phoneNumber}: ${otpCode} (console channel, development only)`);
+    return { message_id: null };
+  }
+};
+
+const OTP_CHANNELS = {
+  whatsapp,
+  sms,
+  email,
+  console: consoleChannel
+};
+
+const OTP_CHANNEL_NAMES = Object.keys(OTP_CHANNELS);
+
+module.exports = {
+  OTP_CHANNELS,
+  OTP_CHANNEL_NAMES
+};
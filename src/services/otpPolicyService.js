@@ -0,0 +1,244 @@
+const bcrypt = require('bcryptjs');
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * OTP Policy
+ * Limits on sending and verifying OTPs: hashing, per-phone and per-channel send limits, attempts
+ * per code, and progressive lockouts per phone number, per phone number and IP, and per IP address.
+ * Suspicious activity is written to otp_audit_logs.
+ */
+
+const OTP_POLICY = {
+  expiryMinutes: 10,
+  hashRounds: 8,
+  // Wrong codes allowed per OTP before it is invalidated
+  maxVerifyAttempts: parseInt(process.env.OTP_MAX_VERIFY_ATTEMPTS) || 5,
+  // OTPs delivered per phone number per hour over all channels (console is never limited)
+  phoneHourlyLimit: parseInt(process.env.OTP_RATE_LIMIT_PER_PHONE) || 5,
+  // OTPs delivered per phone number per hour, by channel (console is never limited)
+  channelHourlyLimits: {
+    whatsapp: parseInt(process.env.OTP_RATE_LIMIT_WHATSAPP) || 3,
+    sms: parseInt(process.env.OTP_RATE_LIMIT_SMS) || 3,
+    email: parseInt(process.env.OTP_RATE_LIMIT_EMAIL) || 5
+  },
+  // Failed verifications before a lockout; lockout n lasts lockoutMinutes[n] (the last one repeats)
+  lockout: {
+    // One requester guessing at one number locks out only that requester, not the number's owner
+    phone_ip: { maxFailures: parseInt(process.env.OTP_LOCKOUT_PHONE_FAILURES) || 5 },
+    // Guesses at one number from many IPs lock out the number itself
+    phone: { maxFailures: parseInt(process.env.OTP_LOCKOUT_PHONE_TOTAL_FAILURES) || 15 },
+    ip: { maxFailures: parseInt(process.env.OTP_LOCKOUT_IP_FAILURES) || 20 },
+    lockoutMinutes: [15, 60, 24 * 60],
+    // Failure history is forgotten after a day without failures
+    resetMinutes: 24 * 60
+  }
+};
+
+function policyError(message, statusCode, extra = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Send limits are disabled in development/test
+ */
+function sendLimitsEnabled() {
+  return !(process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test');
+}
+
+function hashOTP(otpCode) {
+  return bcrypt.hash(otpCode, OTP_POLICY.hashRounds);
+}
+
+function compareOTP(otpCode, otpHash) {
+  if (!otpHash) return Promise.resolve(false);
+  return bcrypt.compare(otpCode, otpHash);
+}
+
+/**
+ * Record suspicious OTP activity
+ * Never throws.
+ */
+async function logOtpAudit(event, { phoneNumber = null, ip = null, details = {} } = {}) {
+  try {
+    const { error } = await supabase
+      .from('otp_audit_logs')
+      .insert({
+        event,
+        phone_number: phoneNumber,
+        ip_address: ip,
+        details
+      });
+
+    if (error) {
+      logger.error('OTP audit log error:', error);
+    }
+    logger.warn(`🔒 OTP audit: ${event} (phone ${phoneNumber || 'N/A'}, ip ${ip || 'N/A'})`);
+  } catch (error) {
+    logger.error('OTP audit log error:', error);
+  }
+}
+
+/**
+ * Lockout subjects for a request: the phone number, and the phone number with the IP and the IP alone when known
+ */
+function lockoutSubjects(phoneNumber, ip) {
+  return [
+    ['phone', phoneNumber],
+    ...(ip ? [['phone_ip', `${phoneNumber}|${ip}`], ['ip', ip]] : [])
+  ];
+}
+
+/**
+ * Whether a phone number has used up its hourly OTP limit over all channels
+ */
+async function isPhoneSendLimited(phoneNumber) {
+  if (!sendLimitsEnabled()) return false;
+
+  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  const { count } = await supabase
+    .from('otp_verifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('phone_number', phoneNumber)
+    .not('channel', 'is', null)
+    .neq('channel', 'console')
+    .gte('created_at', oneHourAgo.toISOString());
+
+  return (count || 0) >= OTP_POLICY.phoneHourlyLimit;
+}
+
+/**
+ * Whether a phone number has used up a channel's hourly OTP limit
+ */
+async function isChannelLimited(phoneNumber, channel) {
+  if (!sendLimitsEnabled()) return false;
+
+  const limit = OTP_POLICY.channelHourlyLimits[channel];
+  if (!limit) return false;
+
+  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  const { count } = await supabase
+    .from('otp_verifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('phone_number', phoneNumber)
+    .eq('channel', channel)
+    .gte('created_at', oneHourAgo.toISOString());
+
+  return (count || 0) >= limit;
+}
+
+/**
+ * Throw 429 if the phone number, this IP for the phone number, or the IP is locked out
+ * The error carries `retryAfter` (seconds).
+ */
+async function assertNotLocked(phoneNumber, ip, action) {
+  const subjects = lockoutSubjects(phoneNumber, ip);
+
+  const { data: lockouts, error } = await supabase
+    .from('otp_lockouts')
+    .select('*')
+    .in('subject', subjects.map(([, subject]) => subject))
+    .gt('locked_until', new Date().toISOString());
+
+  if (error) {
+    logger.error('Load OTP lockouts error:', error);
+    return;
+  }
+
+  const active = (lockouts || []).filter(lockout =>
+    subjects.some(([type, subject]) => lockout.subject_type === type && lockout.subject === subject)
+  );
+  if (active.length === 0) return;
+
+  const lockedUntil = Math.max(...active.map(lockout => new Date(lockout.locked_until).getTime()));
+  const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+
+  await logOtpAudit('locked_attempt', {
+    phoneNumber,
+    ip,
+    details: { action, locked: active.map(lockout => lockout.subject_type), locked_until: new Date(lockedUntil).toISOString() }
+  });
+
+  throw policyError(
+    `Too many incorrect OTP attempts. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+    429,
+    { retryAfter }
+  );
+}
+
+/**
+ * Count a failed verification against each lockout subject, locking it out at its threshold
+ * Returns the lockouts that started with this failure.
+ */
+async function recordVerifyFailure(phoneNumber, ip) {
+  const subjects = lockoutSubjects(phoneNumber, ip);
+  const started = [];
+
+  for (const [type, subject] of subjects) {
+    const { data: lockout, error } = await supabase.rpc('record_otp_failure', {
+      p_subject_type: type,
+      p_subject: subject,
+      p_max_failures: OTP_POLICY.lockout[type].maxFailures,
+      p_lockout_minutes: OTP_POLICY.lockout.lockoutMinutes,
+      p_reset_minutes: OTP_POLICY.lockout.resetMinutes
+    });
+
+    if (error) {
+      logger.error('Record OTP failure error:', error);
+      continue;
+    }
+
+    // A lockout starts on the failure that resets the counter
+    if (lockout && lockout.failed_attempts === 0 && lockout.locked_until) {
+      started.push(lockout);
+      await logOtpAudit('lockout', {
+        phoneNumber,
+        ip,
+        details: {
+          subject_type: type,
+          lockout_count: lockout.lockout_count,
+          locked_until: lockout.locked_until
+        }
+      });
+    }
+  }
+
+  return started;
+}
+
+/**
+ * Clear the failure counts of the phone number (and of this IP for it) after a correct code
+ * The IP's own count is left alone (one good code must not reset an IP guessing across many numbers);
+ * it ages out after a day without failures. Earlier lockouts still count towards the next one's length.
+ */
+async function clearVerifyFailures(phoneNumber, ip) {
+  const subjects = lockoutSubjects(phoneNumber, ip).filter(([type]) => type !== 'ip');
+
+  for (const [type, subject] of subjects) {
+    const { error } = await supabase
+      .from('otp_lockouts')
+      .update({ failed_attempts: 0 })
+      .eq('subject_type', type)
+      .eq('subject', subject);
+
+    if (error) {
+      logger.error('Clear OTP failures error:', error);
+    }
+  }
+}
+
+module.exports = {
+  OTP_POLICY,
+  sendLimitsEnabled,
+  hashOTP,
+  compareOTP,
+  logOtpAudit,
+  isPhoneSendLimited,
+  isChannelLimited,
+  assertNotLocked,
+  recordVerifyFailure,
+  clearVerifyFailures
+};
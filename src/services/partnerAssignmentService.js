@@ -0,0 +1,200 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { getFreePartners } = require('./availabilityService');
+const { recordBookingEvent } = require('./bookingLifecycleService');
+const { getPayoutForPartner } = require('./pricingRuleService');
+
+// Partners further than this from the customer are not auto-assigned
+const MAX_ASSIGNMENT_DISTANCE_KM = 15;
+
+// Relative weight of each factor in the partner score (sums to 1)
+const SCORE_WEIGHTS = {
+  distance: 0.4,
+  load: 0.3,
+  rating: 0.3
+};
+
+const QUEUE_STATUS = 'needs_manual_assignment';
+
+/**
+ * Great-circle distance in km between two lat/lng points
+ */
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const toRad = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function hasLocation(lat, lng) {
+  return lat !== null && lat !== undefined && lng !== null && lng !== undefined;
+}
+
+/**
+ * Score a free partner for a booking address (higher is better)
+ * Returns null when the partner is out of range
+ */
+function scorePartner(partner, address) {
+  let distanceKm = null;
+  let distanceScore = 0.5; // Unknown location: neither preferred nor excluded
+
+  if (hasLocation(address?.lat, address?.lng) && hasLocation(partner.current_lat, partner.current_lng)) {
+    distanceKm = haversineKm(
+      parseFloat(address.lat),
+      parseFloat(address.lng),
+      parseFloat(partner.current_lat),
+      parseFloat(partner.current_lng)
+    );
+
+    if (distanceKm > MAX_ASSIGNMENT_DISTANCE_KM) {
+      return null;
+    }
+    distanceScore = 1 - distanceKm / MAX_ASSIGNMENT_DISTANCE_KM;
+  }
+
+  const load = (partner.busy || []).length;
+  const loadScore = 1 / (1 + load);
+  const ratingScore = Math.min(parseFloat(partner.rating || 0), 5) / 5;
+
+  return {
+    partner,
+    distance_km: distanceKm === null ? null : Math.round(distanceKm * 10) / 10,
+    load,
+    score: SCORE_WEIGHTS.distance * distanceScore +
+      SCORE_WEIGHTS.load * loadScore +
+      SCORE_WEIGHTS.rating * ratingScore
+  };
+}
+
+/**
+ * Put a booking on the admin assignment queue
+ */
+async function queueForAdmin(bookingId, reason) {
+  const { error } = await supabase
+    .from('bookings')
+    .update({
+      assignment_status: QUEUE_STATUS,
+      assignment_failure_reason: reason
+    })
+    .eq('id', bookingId)
+    .is('partner_id', null);
+
+  if (error) {
+    logger.error('Queue booking for manual assignment error:', error);
+  }
+
+  await recordBookingEvent(bookingId, { eventType: 'assignment_queued', reason });
+
+  logger.warn(`Booking ${bookingId} queued for manual assignment: ${reason}`);
+  return { assigned: false, queued: true, reason };
+}
+
+/**
+ * Pick the best free partner for a booking and assign them
+ * Bookings with no match go to the admin queue. Never throws - failures are logged.
+ */
+async function autoAssignPartner(bookingId) {
+  try {
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select('*, user_addresses(*)')
+      .eq('id', bookingId)
+      .single();
+
+    if (error || !booking) {
+      logger.error('Auto-assign booking lookup error:', error);
+      return { assigned: false, queued: false, reason: 'Booking not found' };
+    }
+
+    if (booking.partner_id) {
+      return { assigned: true, queued: false, partner_id: booking.partner_id, reason: 'Already assigned' };
+    }
+
+    if (['cancelled', 'refunded', 'completed'].includes(booking.status)) {
+      return { assigned: false, queued: false, reason: `Booking is ${booking.status}` };
+    }
+
+    const address = booking.user_addresses;
+    const candidates = await getFreePartners({
+      date: booking.booking_date,
+      time: booking.booking_time,
+      pincode: address?.pincode,
+      services: booking.services,
+      durationMinutes: booking.duration_minutes
+    });
+
+    // Partners who already turned this job down are not offered it again
+    const rejectedIds = (Array.isArray(booking.partner_rejections) ? booking.partner_rejections : [])
+      .map(rejection => rejection.partner_id);
+
+    const eligible = candidates.filter(partner => !rejectedIds.includes(partner.id));
+
+    const ranked = eligible
+      .map(partner => scorePartner(partner, address))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+
+    if (ranked.length === 0) {
+      return queueForAdmin(
+        bookingId,
+        eligible.length > 0
+          ? `No free partner within ${MAX_ASSIGNMENT_DISTANCE_KM} km`
+          : 'No partner available for this area, services and time slot'
+      );
+    }
+
+    const best = ranked[0];
+    const partnerPayout = await getPayoutForPartner(booking, best.partner.id);
+
+    // Only assign if nobody (admin or a parallel trigger) got there first
+    const { data: assigned, error: assignError } = await supabase
+      .from('bookings')
+      .update({
+        partner_id: best.partner.id,
+        partner_payout: partnerPayout,
+        assignment_status: 'assigned',
+        assignment_failure_reason: null,
+        assigned_at: new Date().toISOString()
+      })
+      .eq('id', bookingId)
+      .is('partner_id', null)
+      .select()
+      .single();
+
+    if (assignError || !assigned) {
+      logger.warn(`Auto-assign skipped for booking ${bookingId}: already assigned or update failed`);
+      return { assigned: false, queued: false, reason: 'Booking was updated concurrently' };
+    }
+
+    await recordBookingEvent(bookingId, {
+      eventType: 'partner_assigned',
+      metadata: {
+        partner_id: best.partner.id,
+        partner_name: best.partner.name,
+        distance_km: best.distance_km
+      }
+    });
+
+    logger.info(`Booking ${bookingId} auto-assigned to partner ${best.partner.id} (score ${best.score.toFixed(2)}, distance ${best.distance_km === null ? 'unknown' : `${best.distance_km} km`}, load ${best.load})`);
+
+    return {
+      assigned: true,
+      queued: false,
+      partner_id: best.partner.id,
+      partner_name: best.partner.name,
+      distance_km: best.distance_km
+    };
+  } catch (error) {
+    logger.error('Auto-assign partner error:', error);
+    return queueForAdmin(bookingId, 'Assignment engine error');
+  }
+}
+
+module.exports = {
+  QUEUE_STATUS,
+  haversineKm,
+  autoAssignPartner
+};
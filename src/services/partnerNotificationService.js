@@ -0,0 +1,35 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Add an in-app notification for a partner
+ * Never throws - a failed insert is logged so it cannot break the action that caused it.
+ */
+async function notifyPartner(partnerId, { bookingId = null, type, title, message = null, data = {} }) {
+  try {
+    const { error } = await supabase
+      .from('partner_notifications')
+      .insert({
+        partner_id: partnerId,
+        booking_id: bookingId,
+        type,
+        title,
+        message,
+        data
+      });
+
+    if (error) {
+      logger.error('Notify partner error:', error);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    logger.error('Notify partner error:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  notifyPartner
+};
@@ -0,0 +1,125 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { DEFAULT_PLATFORM_FEE_SLABS, getGstBreakdown } = require('../utils/pricing');
+
+// Used when the pricing_rule_versions table has not been seeded (same rules as version 1)
+const DEFAULT_PRICING_RULES = {
+  version: 1,
+  name: 'Launch pricing',
+  platform_fee_slabs: DEFAULT_PLATFORM_FEE_SLABS,
+  default_payout_percent: 70,
+  commission_rules: [],
+  effective_from: '1970-01-01T00:00:00Z'
+};
+
+/**
+ * Pricing rules in effect at a point in time (the latest version that has taken effect)
+ */
+async function getCurrentPricingRules(at = new Date()) {
+  const { data: versions, error } = await supabase
+    .from('pricing_rule_versions')
+    .select('*')
+    .lte('effective_from', at.toISOString())
+    .order('effective_from', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    logger.error('Get pricing rules error:', error);
+    throw new Error('Failed to load pricing rules');
+  }
+
+  return versions && versions.length > 0 ? versions[0] : DEFAULT_PRICING_RULES;
+}
+
+/**
+ * Pricing rules of a specific version (a booking's or a checkout preview's)
+ */
+async function getPricingRulesByVersion(version) {
+  if (!version) {
+    return getCurrentPricingRules();
+  }
+
+  const { data: rules } = await supabase
+    .from('pricing_rule_versions')
+    .select('*')
+    .eq('version', version)
+    .single();
+
+  if (rules) {
+    return rules;
+  }
+
+  if (version === DEFAULT_PRICING_RULES.version) {
+    return DEFAULT_PRICING_RULES;
+  }
+
+  logger.error(`Pricing rule version ${version} not found`);
+  throw new Error('Failed to load pricing rules');
+}
+
+/**
+ * Partner share (%) for a line item
+ * Most specific rule wins: partner + category + tier beats partner + category, and so on;
+ * the partner counts for more than category, which counts for more than tier.
+ */
+function getPayoutPercent(rules, { category = null, tier = null, partnerId = null } = {}) {
+  let best = null;
+  let bestScore = -1;
+
+  for (const rule of rules.commission_rules || []) {
+    if (rule.partner_id && rule.partner_id !== partnerId) continue;
+    if (rule.category && rule.category !== category) continue;
+    if (rule.tier && rule.tier !== tier) continue;
+
+    const score = (rule.partner_id ? 4 : 0) + (rule.category ? 2 : 0) + (rule.tier ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+
+  return parseFloat(best ? best.payout_percent : rules.default_payout_percent);
+}
+
+/**
+ * Partner payout for a booking under a pricing rule version
+ * Each line's share of what the customer pays (after its part of the discount) is paid at that
+ * line's commission; the platform fee at the default rate.
+ */
+function calculatePartnerPayout(rules, { services, discount = 0, platformFee = 0, partnerId = null }) {
+  const { items } = getGstBreakdown(services, { discount, platformFee });
+
+  const servicesPayout = items.reduce((sum, item, index) => {
+    const service = services[index];
+    const percent = getPayoutPercent(rules, { category: service.category, tier: service.tier, partnerId });
+    return sum + item.net_amount * percent / 100;
+  }, 0);
+
+  const feePayout = (parseFloat(platformFee) || 0) * parseFloat(rules.default_payout_percent) / 100;
+
+  return Math.floor((servicesPayout + feePayout) * 100) / 100;
+}
+
+/**
+ * Recalculate a booking's payout for the partner it is being assigned to
+ * Uses the pricing rule version the booking was made under.
+ */
+async function getPayoutForPartner(booking, partnerId) {
+  const rules = await getPricingRulesByVersion(booking.pricing_rule_version);
+  const services = Array.isArray(booking.services) ? booking.services : [];
+
+  return calculatePartnerPayout(rules, {
+    services,
+    discount: parseFloat(booking.discount || 0),
+    platformFee: parseFloat(booking.platform_fee ?? booking.tax ?? 0),
+    partnerId
+  });
+}
+
+module.exports = {
+  DEFAULT_PRICING_RULES,
+  getCurrentPricingRules,
+  getPricingRulesByVersion,
+  calculatePartnerPayout,
+  getPayoutForPartner
+};
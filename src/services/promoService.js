@@ -1,10 +1,31 @@
 const supabase = require('../config/supabase');
+const { recordBookingEvent } = require('./bookingLifecycleService');
 const logger = require('../utils/logger');
 
+/**
+ * Whether a checkout line item falls under the promo's category/tier restrictions
+ */
+function isServiceEligible(promo, service) {
+  const categories = promo.applicable_categories || [];
+  const tiers = promo.applicable_tiers || [];
+
+  if (categories.length > 0 && !categories.includes(service.category)) {
+    return false;
+  }
+
+  if (tiers.length > 0 && !tiers.includes(service.tier)) {
+    return false;
+  }
+
+  return true;
+}
+
 /**
  * Validate and calculate promo code discount
+ * `services` are the checkout line items ({ service_id, category, tier, product_cost, quantity });
+ * when given, the discount is calculated on the eligible items only
  */
-async function validatePromoCode(code, orderAmount, userId = null) {
+async function validatePromoCode(code, orderAmount, userId = null, services = null) {
   try {
     if (!code) {
       return { valid: false, discount: 0 };
@@ -46,10 +67,53 @@ async function validatePromoCode(code, orderAmount, userId = null) {
       };
     }
 
+    // Check user allow-list
+    if (promo.allowed_user_ids && promo.allowed_user_ids.length > 0) {
+      if (!userId || !promo.allowed_user_ids.includes(userId)) {
+        return { valid: false, discount: 0, message: 'This promo code is not available for your account' };
+      }
+    }
+
+    // Check first order only: unpaid (pending, failed) bookings do not count
+    if (promo.first_order_only) {
+      if (!userId) {
+        return { valid: false, discount: 0, message: 'This promo code is only valid on your first booking' };
+      }
+
+      const { count: previousBookings, error: bookingsError } = await supabase
+        .from('bookings')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .neq('status', 'cancelled')
+        .or('payment_status.eq.paid,status.eq.completed');
+
+      if (bookingsError) {
+        logger.error('Promo first order lookup error:', bookingsError);
+        return { valid: false, discount: 0, message: 'Error validating promo code' };
+      }
+
+      if ((previousBookings || 0) > 0) {
+        return { valid: false, discount: 0, message: 'This promo code is only valid on your first booking' };
+      }
+    }
+
     // Check usage limit (per user)
     if (promo.usage_limit && userId) {
-      // TODO: Check user's usage count from promo_code_usage table
-      // For now, skip this check
+      const { count: userUsageCount, error: usageError } = await supabase
+        .from('promo_code_usage')
+        .select('*', { count: 'exact', head: true })
+        .eq('promo_code_id', promo.id)
+        .eq('user_id', userId)
+        .eq('status', 'applied');
+
+      if (usageError) {
+        logger.error('Promo usage lookup error:', usageError);
+        return { valid: false, discount: 0, message: 'Error validating promo code' };
+      }
+
+      if ((userUsageCount || 0) >= promo.usage_limit) {
+        return { valid: false, discount: 0, message: 'You have already used this promo code' };
+      }
     }
 
     // Check total usage limit
@@ -57,14 +121,37 @@ async function validatePromoCode(code, orderAmount, userId = null) {
       return { valid: false, discount: 0, message: 'Promo code usage limit reached' };
     }
 
+    // Work out which line items the discount applies to
+    const isTargeted = (promo.applicable_categories || []).length > 0 || (promo.applicable_tiers || []).length > 0;
+    let eligibleAmount = orderAmount;
+    let eligibleServiceIds = null;
+
+    if (services) {
+      const eligibleServices = services.filter(service => isServiceEligible(promo, service));
+      eligibleServiceIds = eligibleServices.map(service => service.service_id);
+      eligibleAmount = eligibleServices.reduce((sum, service) => {
+        const cost = parseFloat(service.product_cost || service.price || 0);
+        return sum + cost * (service.quantity || 1);
+      }, 0);
+    }
+
+    if (isTargeted && (!services || eligibleAmount <= 0)) {
+      return { valid: false, discount: 0, message: 'This promo code does not apply to the selected services' };
+    }
+
     // Calculate discount
     let discount = 0;
     if (promo.discount_type === 'percentage') {
-      discount = (orderAmount * parseFloat(promo.discount_value)) / 100;
+      discount = (eligibleAmount * parseFloat(promo.discount_value)) / 100;
     } else {
       discount = parseFloat(promo.discount_value);
     }
 
+    // A discount can never exceed the value of the items it applies to
+    if (discount > eligibleAmount) {
+      discount = eligibleAmount;
+    }
+
     // Apply max discount if specified
     if (promo.max_discount && discount > parseFloat(promo.max_discount)) {
       discount = parseFloat(promo.max_discount);
@@ -73,9 +160,12 @@ async function validatePromoCode(code, orderAmount, userId = null) {
     return {
       valid: true,
       discount: Math.floor(discount * 100) / 100, // Round to 2 decimals
+      promo_code_id: promo.id,
       promo_code: promo.code,
       discount_type: promo.discount_type,
-      discount_value: promo.discount_value
+      discount_value: promo.discount_value,
+      eligible_amount: Math.floor(eligibleAmount * 100) / 100,
+      eligible_service_ids: eligibleServiceIds
     };
   } catch (error) {
     logger.error('Validate promo code error:', error);
@@ -83,7 +173,131 @@ async function validatePromoCode(code, orderAmount, userId = null) {
   }
 }
 
+/**
+ * Record a promo redemption for a booking in the promo_code_usage ledger.
+ * Limits and the first-order rule are enforced atomically by the redeem_promo_code function.
+ */
+async function redeemPromoCode({ promoCodeId, userId, bookingId, discount }) {
+  const { data: usage, error } = await supabase.rpc('redeem_promo_code', {
+    p_promo_code_id: promoCodeId,
+    p_user_id: userId,
+    p_booking_id: bookingId,
+    p_discount_amount: discount
+  });
+
+  if (error) {
+    logger.error('Redeem promo code error:', error);
+    const redeemError = new Error(error.message || 'Failed to apply promo code');
+    redeemError.statusCode = 409;
+    throw redeemError;
+  }
+
+  return usage;
+}
+
+/**
+ * Release a booking's promo redemption (booking cancelled or payment failed)
+ * Never throws - a failed release is logged and reported as false.
+ */
+async function releasePromoCode(bookingId, reason) {
+  try {
+    const { data: released, error } = await supabase.rpc('release_promo_code', {
+      p_booking_id: bookingId,
+      p_reason: reason || null
+    });
+
+    if (error) {
+      logger.error('Release promo code error:', error);
+      return false;
+    }
+
+    return !!released;
+  } catch (error) {
+    logger.error('Release promo code error:', error);
+    return false;
+  }
+}
+
+/**
+ * Re-apply a released redemption (e.g. payment captured after an earlier failed attempt)
+ * The customer has already paid the discounted amount, so if the code has since run out the
+ * redemption is forced past its limits, flagged on the usage row (forced_at / forced_reason)
+ * and recorded as a `promo_forced` booking event for finance.
+ * Never throws - a redemption that cannot be recorded at all is logged and reported as false.
+ */
+async function restorePromoCode(bookingId) {
+  let usage;
+
+  try {
+    const { data } = await supabase
+      .from('promo_code_usage')
+      .select('*')
+      .eq('booking_id', bookingId)
+      .eq('status', 'released')
+      .single();
+
+    usage = data;
+
+    if (!usage) {
+      return false;
+    }
+
+    await redeemPromoCode({
+      promoCodeId: usage.promo_code_id,
+      userId: usage.user_id,
+      bookingId,
+      discount: usage.discount_amount
+    });
+
+    return true;
+  } catch (error) {
+    if (!usage) {
+      logger.error(`Restore promo redemption error for booking ${bookingId}:`, error);
+      return false;
+    }
+
+    return forcePromoRedemption(bookingId, usage, error.message);
+  }
+}
+
+/**
+ * Record a released redemption past the code's limits and audit it
+ */
+async function forcePromoRedemption(bookingId, usage, reason) {
+  try {
+    const { data: forced, error } = await supabase.rpc('force_promo_redemption', {
+      p_booking_id: bookingId,
+      p_reason: reason
+    });
+
+    if (error || !forced) {
+      logger.error(`Could not record promo redemption for paid booking ${bookingId}:`, error || 'no released redemption');
+      return false;
+    }
+
+    logger.warn(`Promo redemption forced for paid booking ${bookingId}: ${reason}`);
+
+    await recordBookingEvent(bookingId, {
+      eventType: 'promo_forced',
+      reason,
+      metadata: {
+        promo_code_id: usage.promo_code_id,
+        discount_amount: parseFloat(usage.discount_amount)
+      }
+    });
+
+    return true;
+  } catch (error) {
+    logger.error(`Could not record promo redemption for paid booking ${bookingId}:`, error);
+    return false;
+  }
+}
+
 module.exports = {
-  validatePromoCode
+  isServiceEligible,
+  validatePromoCode,
+  redeemPromoCode,
+  releasePromoCode,
+  restorePromoCode
 };
 
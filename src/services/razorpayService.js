@@ -98,10 +98,38 @@ async function getPaymentDetails(paymentId) {
   }
 }
 
+/**
+ * Refund a captured payment (full or partial)
+ * Razorpay answers with status `pending` or `processed`; the final state arrives via webhook
+ */
+async function createRefund(paymentId, amount, notes = {}, receipt = undefined) {
+  if (!razorpay) {
+    throw new Error('Razorpay is not configured. Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in .env');
+  }
+  try {
+    const refund = await razorpay.payments.refund(paymentId, {
+      amount: Math.round(amount * 100), // Convert to paise
+      speed: 'normal',
+      notes: notes,
+      ...(receipt && { receipt })
+    });
+
+    return {
+      refund_id: refund.id,
+      amount: refund.amount / 100,
+      status: refund.status
+    };
+  } catch (error) {
+    logger.error('Create Razorpay refund error:', error);
+    throw new Error(error.error?.description || 'Failed to create refund');
+  }
+}
+
 module.exports = {
   createOrder,
   verifySignature,
   verifyWebhookSignature,
-  getPaymentDetails
+  getPaymentDetails,
+  createRefund
 };
 
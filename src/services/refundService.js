@@ -0,0 +1,379 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { createRefund } = require('./razorpayService');
+const { canTransition, recordBookingEvent, transitionBooking } = require('./bookingLifecycleService');
+const { creditWallet, getCheckoutWalletHeld } = require('./walletService');
+const { notifyBookingEvent, formatAmount } = require('./notificationService');
+
+// Payment rows that still have money left to refund
+const REFUNDABLE_PAYMENT_STATUSES = ['success', 'partially_refunded'];
+
+function refundError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundAmount(amount) {
+  return Math.round(parseFloat(amount || 0) * 100) / 100;
+}
+
+/**
+ * Sum of refunds on a payment that are pending or processed
+ */
+async function getRefundedTotal(paymentId, { processedOnly = false } = {}) {
+  const { data: refunds, error } = await supabase
+    .from('refunds')
+    .select('amount, status')
+    .eq('payment_id', paymentId)
+    .in('status', processedOnly ? ['processed'] : ['pending', 'processed']);
+
+  if (error) {
+    logger.error('Get refunded total error:', error);
+    throw new Error('Failed to load refunds');
+  }
+
+  return roundAmount((refunds || []).reduce((sum, refund) => sum + parseFloat(refund.amount), 0));
+}
+
+/**
+ * Refund part or all of a booking's captured online payment through Razorpay
+ * The refund row is written before calling Razorpay so a gateway error still leaves a `failed` record for finance.
+ * Throws (with statusCode) only when there is nothing to refund; gateway errors return the failed refund.
+ */
+async function initiateRefund({ bookingId, amount, reason = null, actorType = 'system', actorId = null }) {
+  const { data: payment, error: paymentError } = await supabase
+    .from('payments')
+    .select('*')
+    .eq('booking_id', bookingId)
+    .in('status', REFUNDABLE_PAYMENT_STATUSES)
+    .single();
+
+  if (paymentError || !payment || !payment.razorpay_payment_id) {
+    throw refundError('No captured payment found for this booking', 409);
+  }
+
+  const remaining = roundAmount(payment.amount - await getRefundedTotal(payment.id));
+  const refundAmount = Math.min(roundAmount(amount), remaining);
+
+  if (refundAmount <= 0) {
+    throw refundError('Payment has already been fully refunded', 409);
+  }
+
+  const { data: refund, error: insertError } = await supabase
+    .from('refunds')
+    .insert({
+      booking_id: bookingId,
+      payment_id: payment.id,
+      razorpay_payment_id: payment.razorpay_payment_id,
+      amount: refundAmount,
+      status: 'pending',
+      reason,
+      initiated_by: actorType,
+      initiated_by_id: actorId ? String(actorId) : null
+    })
+    .select()
+    .single();
+
+  if (insertError || !refund) {
+    logger.error('Create refund record error:', insertError);
+    throw new Error('Failed to create refund');
+  }
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await createRefund(
+      payment.razorpay_payment_id,
+      refundAmount,
+      { booking_id: bookingId, refund_id: refund.id },
+      refund.id
+    );
+  } catch (error) {
+    return markRefundFailed(refund, error.message);
+  }
+
+  const { data: updated } = await supabase
+    .from('refunds')
+    .update({ razorpay_refund_id: gatewayRefund.refund_id })
+    .eq('id', refund.id)
+    .select()
+    .single();
+
+  await supabase
+    .from('bookings')
+    .update({ payment_status: 'refund_pending' })
+    .eq('id', bookingId);
+
+  await recordBookingEvent(bookingId, {
+    eventType: 'refund_initiated',
+    actorType,
+    actorId,
+    reason,
+    metadata: { refund_id: refund.id, razorpay_refund_id: gatewayRefund.refund_id, amount: refundAmount }
+  });
+
+  const current = updated || { ...refund, razorpay_refund_id: gatewayRefund.refund_id };
+
+  await notifyBookingEvent('refund_issued', bookingId, {
+    dedupeKey: `refund_issued:${refund.id}`,
+    variables: { refund_amount: formatAmount(refundAmount), refund_destination: 'your original payment method' }
+  });
+
+  // Instant refunds can come back already processed
+  if (gatewayRefund.status === 'processed') {
+    return markRefundProcessed(current);
+  }
+
+  return current;
+}
+
+/**
+ * Mark a refund processed and roll the result up to the payment and booking
+ */
+async function markRefundProcessed(refund) {
+  if (refund.status === 'processed') {
+    return refund;
+  }
+
+  const { data: updated, error } = await supabase
+    .from('refunds')
+    .update({
+      status: 'processed',
+      failure_reason: null,
+      processed_at: new Date().toISOString()
+    })
+    .eq('id', refund.id)
+    .neq('status', 'processed')
+    .select()
+    .single();
+
+  // Another webhook delivery got here first
+  if (error || !updated) {
+    return refund;
+  }
+
+  const { data: payment } = await supabase
+    .from('payments')
+    .select('id, amount')
+    .eq('id', refund.payment_id)
+    .single();
+
+  const refundedTotal = await getRefundedTotal(refund.payment_id, { processedOnly: true });
+  const fullyRefunded = payment && refundedTotal >= roundAmount(payment.amount);
+  const paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+
+  await supabase
+    .from('payments')
+    .update({ status: paymentStatus })
+    .eq('id', refund.payment_id);
+
+  const { data: booking } = await supabase
+    .from('bookings')
+    .update({ payment_status: paymentStatus })
+    .eq('id', refund.booking_id)
+    .select('id, status')
+    .single();
+
+  await recordBookingEvent(refund.booking_id, {
+    eventType: 'refund_processed',
+    metadata: { refund_id: refund.id, razorpay_refund_id: refund.razorpay_refund_id, amount: refund.amount }
+  });
+
+  if (booking && canTransition(booking.status, 'refunded')) {
+    try {
+      await transitionBooking(refund.booking_id, 'refunded', { reason: 'Refund processed' });
+    } catch (transitionError) {
+      logger.warn(`Booking ${refund.booking_id} not moved to refunded: ${transitionError.message}`);
+    }
+  }
+
+  logger.info(`Refund ${refund.id} processed for booking ${refund.booking_id}`);
+  return updated;
+}
+
+/**
+ * Mark a refund failed so it shows up for finance to follow up
+ */
+async function markRefundFailed(refund, failureReason) {
+  const { data: updated, error } = await supabase
+    .from('refunds')
+    .update({
+      status: 'failed',
+      failure_reason: failureReason || 'Refund failed'
+    })
+    .eq('id', refund.id)
+    .eq('status', 'pending')
+    .select()
+    .single();
+
+  if (error || !updated) {
+    return refund;
+  }
+
+  await supabase
+    .from('bookings')
+    .update({ payment_status: 'refund_failed' })
+    .eq('id', refund.booking_id);
+
+  await recordBookingEvent(refund.booking_id, {
+    eventType: 'refund_failed',
+    reason: updated.failure_reason,
+    metadata: { refund_id: refund.id, razorpay_refund_id: refund.razorpay_refund_id, amount: refund.amount }
+  });
+
+  logger.error(`Refund ${refund.id} failed for booking ${refund.booking_id}: ${updated.failure_reason}`);
+  return updated;
+}
+
+/**
+ * Refund to the customer's wallet as store credit (instant, no gateway)
+ * Pass `settled` when no gateway refund is still pending, so the booking moves to refunded.
+ * Throws if the wallet cannot be credited.
+ */
+async function refundToWallet({ booking, amount, reason = null, actorType = 'system', actorId = null, settled = false }) {
+  const transaction = await creditWallet({
+    userId: booking.user_id,
+    amount,
+    source: 'refund',
+    bookingId: booking.id,
+    description: reason || `Refund for booking ${booking.booking_number}`,
+    reference: `refund:${booking.id}`,
+    actorType,
+    actorId
+  });
+
+  await recordBookingEvent(booking.id, {
+    eventType: 'refund_processed',
+    actorType,
+    actorId,
+    metadata: { destination: 'wallet', wallet_transaction_id: transaction.id, amount: parseFloat(transaction.amount) }
+  });
+
+  if (settled) {
+    if (booking.payment_status === 'paid') {
+      await supabase
+        .from('bookings')
+        .update({ payment_status: 'refunded' })
+        .eq('id', booking.id);
+    }
+
+    try {
+      await transitionBooking(booking.id, 'refunded', { reason: 'Refunded to wallet' });
+    } catch (transitionError) {
+      logger.warn(`Booking ${booking.id} not moved to refunded: ${transitionError.message}`);
+    }
+  }
+
+  await notifyBookingEvent('refund_issued', booking.id, {
+    dedupeKey: `refund_issued:wallet:${transaction.id}`,
+    variables: { refund_amount: formatAmount(transaction.amount), refund_destination: 'your Minuteserv wallet' }
+  });
+
+  logger.info(`Refunded ${transaction.amount} to wallet for booking ${booking.id}`);
+  return transaction;
+}
+
+/**
+ * Refund a cancelled booking: `refundAmount` of the grand total (after any cancellation fee)
+ * The fee is kept from what was actually paid and the wallet part is refunded first (only what the
+ * checkout still holds - a failed payment already gave it back). The online part goes back through
+ * Razorpay, or to the wallet when `refundTo` is 'wallet'.
+ * Never throws - a refund that cannot be started is logged for finance and returned as null.
+ */
+async function refundCancelledBooking({ booking, refundAmount, refundTo = 'original', reason = null, actorType = 'system', actorId = null }) {
+  const grandTotal = parseFloat(booking.grand_total || 0);
+  const walletAmount = parseFloat(booking.wallet_amount || 0);
+  const paidOnline = booking.payment_method === 'online' && booking.payment_status === 'paid';
+
+  let walletPaid = 0;
+  if (walletAmount > 0) {
+    try {
+      walletPaid = Math.min(walletAmount, await getCheckoutWalletHeld(booking.id));
+    } catch (error) {
+      logger.error(`Wallet refund for cancelled booking ${booking.id} could not be worked out:`, error);
+    }
+  }
+
+  const amountPaid = walletPaid + (paidOnline ? grandTotal - walletAmount : 0);
+  const refundTotal = Math.max(0, roundAmount(amountPaid - (grandTotal - refundAmount)));
+  const walletRefund = Math.min(refundTotal, walletPaid);
+  const onlineRefund = roundAmount(refundTotal - walletRefund);
+  const onlineToWallet = onlineRefund > 0 && refundTo === 'wallet';
+
+  // Online payments are refunded through Razorpay; the final state arrives via webhook
+  let refund = null;
+  if (onlineRefund > 0 && !onlineToWallet) {
+    try {
+      refund = await initiateRefund({ bookingId: booking.id, amount: onlineRefund, reason, actorType, actorId });
+    } catch (error) {
+      // The cancellation stands; the refund shows as missing/failed for finance to follow up
+      logger.error(`Refund for cancelled booking ${booking.id} could not be started:`, error);
+    }
+  }
+
+  let walletCredit = null;
+  const walletCreditAmount = walletRefund + (onlineToWallet ? onlineRefund : 0);
+  if (walletCreditAmount > 0) {
+    try {
+      walletCredit = await refundToWallet({
+        booking,
+        amount: walletCreditAmount,
+        reason,
+        actorType,
+        actorId,
+        settled: onlineRefund === 0 || onlineToWallet
+      });
+    } catch (error) {
+      logger.error(`Wallet refund for cancelled booking ${booking.id} failed:`, error);
+    }
+  }
+
+  return { refund, walletCredit };
+}
+
+/**
+ * Apply a `refund.processed` / `refund.failed` webhook
+ * Falls back to the refund id we put in the notes, in case the webhook beats our own update.
+ * Returns the refund row, or null if the refund is not ours.
+ */
+async function handleRefundWebhook(event, refundData) {
+  let { data: refund } = await supabase
+    .from('refunds')
+    .select('*')
+    .eq('razorpay_refund_id', refundData.id)
+    .single();
+
+  if (!refund && refundData.notes?.refund_id) {
+    const { data: byNote } = await supabase
+      .from('refunds')
+      .select('*')
+      .eq('id', refundData.notes.refund_id)
+      .single();
+
+    if (byNote) {
+      await supabase
+        .from('refunds')
+        .update({ razorpay_refund_id: refundData.id })
+        .eq('id', byNote.id);
+      refund = { ...byNote, razorpay_refund_id: refundData.id };
+    }
+  }
+
+  if (!refund) {
+    logger.warn('Refund webhook for unknown refund:', refundData.id);
+    return null;
+  }
+
+  if (event === 'refund.processed') {
+    return markRefundProcessed(refund);
+  }
+
+  return markRefundFailed(refund, refundData.error_description || refundData.status_details?.description);
+}
+
+module.exports = {
+  initiateRefund,
+  refundToWallet,
+  refundCancelledBooking,
+  handleRefundWebhook
+};
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+/**
+ * Customer sessions
+ * Each sign-in creates a session (one per device) with an opaque refresh token. Only a SHA-256
+ * hash of the token is stored. Every refresh swaps the token for a new one; presenting a token
+ * that was already swapped means it was copied, so the whole session is revoked.
+ */
+
+const SESSION_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Parallel refreshes from the same client (e.g. two tabs) reuse a token within this window;
+// they are rejected without revoking the session
+const REUSE_GRACE_SECONDS = 10;
+
+function sessionError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function sessionExpiry() {
+  return new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Issue a new refresh token for a session
+ */
+async function issueRefreshToken(sessionId, expiresAt) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert({
+      session_id: sessionId,
+      token_hash: hashToken(refreshToken),
+      expires_at: expiresAt
+    });
+
+  if (error) {
+    logger.error('Issue refresh token error:', error);
+    throw new Error('Failed to create session');
+  }
+
+  return refreshToken;
+}
+
+/**
+ * Start a session after sign-in
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+async function createSession({ userId, deviceName, userAgent, ip }) {
+  const expiresAt = sessionExpiry();
+
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .insert({
+      user_id: userId,
+      device_name: deviceName ? String(deviceName).slice(0, 100) : null,
+      user_agent: userAgent || null,
+      ip_address: ip || null,
+      expires_at: expiresAt
+    })
+    .select()
+    .single();
+
+  if (error) {
+    logger.error('Create session error:', error);
+    throw new Error('Failed to create session');
+  }
+
+  const refreshToken = await issueRefreshToken(session.id, expiresAt);
+  return { session, refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new one
+ * Throws with statusCode 401 when the token is unknown, expired, revoked or replayed.
+ * @returns {Promise<Object>} { session, refreshToken }
+ */
+async function rotateRefreshToken(refreshToken, { userAgent, ip } = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date().toISOString();
+
+  // Claim the token; only one request can mark it used
+  const { data: claimed } = await supabase
+    .from('refresh_tokens')
+    .update({ used_at: now })
+    .eq('token_hash', tokenHash)
+    .is('used_at', null)
+    .select('*, user_sessions(*)')
+    .single();
+
+  if (!claimed) {
+    const { data: token } = await supabase
+      .from('refresh_tokens')
+      .select('*')
+      .eq('token_hash', tokenHash)
+      .single();
+
+    if (token && token.used_at) {
+      const usedSecondsAgo = (Date.now() - new Date(token.used_at).getTime()) / 1000;
+      if (usedSecondsAgo > REUSE_GRACE_SECONDS) {
+        logger.warn(`🔒 Refresh token reuse detected for session ${token.session_id}; revoking session`);
+        await revokeSession(token.session_id, 'token_reuse');
+      }
+    }
+
+    throw sessionError('Invalid or expired refresh token', 401);
+  }
+
+  const session = claimed.user_sessions;
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date() || new Date(claimed.expires_at) <= new Date()) {
+    throw sessionError('Invalid or expired refresh token', 401);
+  }
+
+  const expiresAt = sessionExpiry();
+
+  const { data: updated } = await supabase
+    .from('user_sessions')
+    .update({
+      last_used_at: now,
+      expires_at: expiresAt,
+      ...(userAgent && { user_agent: userAgent }),
+      ...(ip && { ip_address: ip })
+    })
+    .eq('id', session.id)
+    .is('revoked_at', null)
+    .select()
+    .single();
+
+  if (!updated) {
+    throw sessionError('Invalid or expired refresh token', 401);
+  }
+
+  const newRefreshToken = await issueRefreshToken(session.id, expiresAt);
+  return { session: updated, refreshToken: newRefreshToken };
+}
+
+/**
+ * Whether a session is still signed in (not revoked or expired)
+ * Checked on every request so signing out a device ends its access token too.
+ */
+async function isSessionActive(sessionId) {
+  const { data: session, error } = await supabase
+    .from('user_sessions')
+    .select('id, revoked_at, expires_at')
+    .eq('id', sessionId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    logger.error('Get session error:', error);
+    throw new Error('Failed to verify session');
+  }
+
+  return !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+}
+
+/**
+ * Revoke a session (and with it every refresh token it holds)
+ * Pass userId to only revoke the user's own session. Returns the revoked session, or null.
+ */
+async function revokeSession(sessionId, reason, userId = null) {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data: session, error } = await query.select().single();
+
+  if (error && error.code !== 'PGRST116') {
+    logger.error('Revoke session error:', error);
+    throw new Error('Failed to revoke session');
+  }
+
+  return session || null;
+}
+
+/**
+ * Revoke every active session of a user except one (e.g. the current device)
+ * Returns the number of sessions revoked.
+ */
+async function revokeOtherSessions(userId, keepSessionId, reason) {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (keepSessionId) {
+    query = query.neq('id', keepSessionId);
+  }
+
+  const { data: revoked, error } = await query.select('id');
+
+  if (error) {
+    logger.error('Revoke other sessions error:', error);
+    throw new Error('Failed to revoke sessions');
+  }
+
+  return (revoked || []).length;
+}
+
+/**
+ * Active sessions of a user, most recently used first
+ */
+async function listSessions(userId) {
+  const { data: sessions, error } = await supabase
+    .from('user_sessions')
+    .select('id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at')
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+
+  if (error) {
+    logger.error('List sessions error:', error);
+    throw new Error('Failed to fetch sessions');
+  }
+
+  return sessions || [];
+}
+
+module.exports = {
+  SESSION_TTL_DAYS,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeOtherSessions,
+  listSessions
+};
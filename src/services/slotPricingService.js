@@ -0,0 +1,94 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { parseSlotTime } = require('../utils/timeSlots');
+
+/**
+ * Active surge / off-peak rules
+ */
+async function getActiveSlotRules() {
+  const { data: rules, error } = await supabase
+    .from('slot_pricing_rules')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) {
+    logger.error('Get slot pricing rules error:', error);
+    throw new Error('Failed to load slot pricing rules');
+  }
+
+  return rules || [];
+}
+
+function ruleMatches(rule, date, dayOfWeek, minutes) {
+  if (rule.holiday_date && String(rule.holiday_date).slice(0, 10) !== date) {
+    return false;
+  }
+
+  if (Array.isArray(rule.days_of_week) && rule.days_of_week.length > 0 && !rule.days_of_week.includes(dayOfWeek)) {
+    return false;
+  }
+
+  if (rule.start_time && rule.end_time) {
+    if (minutes === null || minutes < parseSlotTime(rule.start_time) || minutes >= parseSlotTime(rule.end_time)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Rule that prices a slot, or null for the base price
+ * The most specific rule wins: a holiday beats a day of week, which beats a time window;
+ * ties go to the most recently created rule.
+ */
+function getSlotRule(rules, date, time) {
+  if (!date) return null;
+
+  const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+  const minutes = parseSlotTime(time);
+
+  let best = null;
+  let bestScore = -1;
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, date, dayOfWeek, minutes)) continue;
+
+    const score = (rule.holiday_date ? 4 : 0) +
+      (Array.isArray(rule.days_of_week) && rule.days_of_week.length > 0 ? 2 : 0) +
+      (rule.start_time ? 1 : 0);
+
+    if (score > bestScore || (score === bestScore && new Date(rule.created_at) > new Date(best.created_at))) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Line items repriced for a slot multiplier (unit prices rounded to whole rupees)
+ * The catalogue price is kept as `base_price`.
+ */
+function applySlotMultiplier(lines, multiplier) {
+  const factor = parseFloat(multiplier) || 1;
+
+  return lines.map(line => {
+    const basePrice = line.base_price ?? line.price;
+    const price = factor === 1 ? basePrice : Math.round(basePrice * factor);
+
+    return {
+      ...line,
+      base_price: basePrice,
+      price,
+      product_cost: price
+    };
+  });
+}
+
+module.exports = {
+  getActiveSlotRules,
+  getSlotRule,
+  applySlotMultiplier
+};
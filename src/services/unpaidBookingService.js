@@ -0,0 +1,149 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+const { recordBookingEvent, transitionBooking } = require('./bookingLifecycleService');
+const { releasePromoCode } = require('./promoService');
+const { reverseCheckoutDebit, reclaimCheckoutDebit } = require('./walletService');
+const { initiateRefund } = require('./refundService');
+
+// Online bookings left unpaid this long after checkout are cancelled
+const EXPIRY_MINUTES = parseInt(process.env.UNPAID_BOOKING_EXPIRY_MINUTES) || 30;
+const EXPIRY_INTERVAL_MS = 60 * 1000;
+
+// Booking payment states that have not collected the online part yet
+const UNPAID_STATUSES = ['pending', 'failed'];
+
+/**
+ * Mark a pending booking's payment failed, freeing its promo redemption and wallet part
+ * The booking stays pending so the customer can retry the same order; a later capture takes them back.
+ */
+async function markPaymentFailed(bookingId) {
+  const { data: booking } = await supabase
+    .from('bookings')
+    .update({ payment_status: 'failed' })
+    .eq('id', bookingId)
+    .eq('status', 'pending')
+    .in('payment_status', UNPAID_STATUSES)
+    .select()
+    .single();
+
+  if (!booking) return null;
+
+  await releasePromoCode(booking.id, 'payment_failed');
+  await reverseCheckoutDebit(booking, `Payment for booking ${booking.booking_number} failed`);
+
+  return booking;
+}
+
+/**
+ * Cancel an online booking that was never paid, giving back its promo redemption and wallet part
+ * Throws (with statusCode) like transitionBooking, e.g. 409 once the booking has been paid.
+ */
+async function cancelUnpaidBooking(booking, reason) {
+  const cancelled = await transitionBooking(booking.id, 'cancelled', {
+    reason,
+    conditions: { payment_status: booking.payment_status },
+    updates: { cancellation_reason: reason }
+  });
+
+  await releasePromoCode(cancelled.id, 'payment_not_completed');
+  await reverseCheckoutDebit(cancelled, `Booking ${cancelled.booking_number} was cancelled: ${reason}`);
+
+  return cancelled;
+}
+
+/**
+ * Cancel online bookings still unpaid UNPAID_BOOKING_EXPIRY_MINUTES after checkout
+ * Bookings without a Razorpay order (development mode) are left alone.
+ */
+async function expireUnpaidBookings() {
+  const cutoff = new Date(Date.now() - EXPIRY_MINUTES * 60 * 1000).toISOString();
+
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('status', 'pending')
+    .eq('payment_method', 'online')
+    .in('payment_status', UNPAID_STATUSES)
+    .not('razorpay_order_id', 'is', null)
+    .lt('created_at', cutoff)
+    .order('created_at', { ascending: true })
+    .limit(100);
+
+  if (error) {
+    logger.error('Load unpaid bookings error:', error);
+    return 0;
+  }
+
+  let expired = 0;
+  for (const booking of bookings || []) {
+    try {
+      await cancelUnpaidBooking(booking, 'Payment not completed');
+      expired++;
+    } catch (cancelError) {
+      // Paid or changed since it was loaded
+      logger.warn(`Unpaid booking ${booking.id} not expired: ${cancelError.message}`);
+    }
+  }
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} unpaid booking(s)`);
+  }
+
+  return expired;
+}
+
+/**
+ * Take back the wallet part of a booking captured after an earlier attempt failed
+ * Never throws - a balance that no longer covers it is flagged on the booking for finance.
+ */
+async function reclaimWalletPart(booking) {
+  try {
+    return await reclaimCheckoutDebit(booking);
+  } catch (error) {
+    logger.error(`Wallet part of booking ${booking.id} could not be taken back:`, error);
+    await recordBookingEvent(booking.id, {
+      eventType: 'wallet_shortfall',
+      reason: error.message,
+      metadata: { wallet_amount: parseFloat(booking.wallet_amount || 0) }
+    });
+    return null;
+  }
+}
+
+/**
+ * Refund in full a payment captured after its booking was cancelled (expired or cancelled mid-payment)
+ * Never throws - a refund that cannot be started is logged for finance and returned as null.
+ */
+async function refundLateCapture(booking) {
+  try {
+    return await initiateRefund({
+      bookingId: booking.id,
+      amount: parseFloat(booking.grand_total) - parseFloat(booking.wallet_amount || 0),
+      reason: 'Payment received after the booking was cancelled'
+    });
+  } catch (error) {
+    logger.error(`Refund of late payment for booking ${booking.id} could not be started:`, error);
+    return null;
+  }
+}
+
+/**
+ * Expire unpaid online bookings in the background every minute
+ */
+function startUnpaidBookingExpiryWorker() {
+  const timer = setInterval(() => {
+    expireUnpaidBookings().catch(error => logger.error('Unpaid booking expiry worker error:', error));
+  }, EXPIRY_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  EXPIRY_MINUTES,
+  markPaymentFailed,
+  cancelUnpaidBooking,
+  expireUnpaidBookings,
+  reclaimWalletPart,
+  refundLateCapture,
+  startUnpaidBookingExpiryWorker
+};
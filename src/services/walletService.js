@@ -0,0 +1,184 @@
+const supabase = require('../config/supabase');
+const logger = require('../utils/logger');
+
+// Sources of wallet credits and debits
+const CREDIT_SOURCES = ['refund', 'referral', 'goodwill', 'adjustment', 'checkout_reversal'];
+const DEBIT_SOURCES = ['checkout', 'adjustment'];
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function walletError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Current wallet balance (0 for users without a wallet yet)
+ */
+async function getWalletBalance(userId) {
+  const { data: wallet } = await supabase
+    .from('wallets')
+    .select('balance')
+    .eq('user_id', userId)
+    .single();
+
+  return wallet ? parseFloat(wallet.balance) : 0;
+}
+
+/**
+ * Page of a user's wallet ledger, newest first
+ */
+async function getWalletTransactions(userId, { page = 1, limit = 20 } = {}) {
+  const from = (page - 1) * limit;
+
+  const { data: transactions, error } = await supabase
+    .from('wallet_transactions')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(from, from + limit - 1);
+
+  if (error) {
+    logger.error('Get wallet transactions error:', error);
+    throw new Error('Failed to load wallet history');
+  }
+
+  const { count } = await supabase
+    .from('wallet_transactions')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  return { transactions: transactions || [], total: count || 0 };
+}
+
+/**
+ * Post a ledger entry and update the balance atomically (post_wallet_transaction)
+ * Idempotent per `reference`. Throws with statusCode 409 when a debit exceeds the balance.
+ */
+async function postWalletTransaction({
+  userId,
+  type,
+  amount,
+  source,
+  bookingId = null,
+  description = null,
+  reference = null,
+  actorType = 'system',
+  actorId = null
+}) {
+  const sources = type === 'credit' ? CREDIT_SOURCES : DEBIT_SOURCES;
+  if (!sources.includes(source)) {
+    throw walletError(`Invalid wallet ${type} source: ${source}`, 400);
+  }
+
+  const value = roundAmount(parseFloat(amount));
+  if (!(value > 0)) {
+    throw walletError('Wallet amount must be greater than 0', 400);
+  }
+
+  const { data: transaction, error } = await supabase.rpc('post_wallet_transaction', {
+    p_user_id: userId,
+    p_type: type,
+    p_amount: value,
+    p_source: source,
+    p_booking_id: bookingId,
+    p_description: description,
+    p_reference: reference,
+    p_actor_type: actorType,
+    p_actor_id: actorId ? String(actorId) : null
+  });
+
+  if (error) {
+    if (error.message && error.message.includes('Insufficient wallet balance')) {
+      throw walletError('Insufficient wallet balance', 409);
+    }
+    logger.error('Post wallet transaction error:', error);
+    throw new Error('Failed to update wallet');
+  }
+
+  return transaction;
+}
+
+function creditWallet(params) {
+  return postWalletTransaction({ ...params, type: 'credit' });
+}
+
+function debitWallet(params) {
+  return postWalletTransaction({ ...params, type: 'debit' });
+}
+
+/**
+ * Give back the wallet part of a booking that could not be completed at checkout
+ * Never throws - a failed reversal is logged for finance to follow up.
+ */
+async function reverseCheckoutDebit(booking, reason) {
+  const amount = parseFloat(booking.wallet_amount || 0);
+  if (amount <= 0) return null;
+
+  try {
+    return await creditWallet({
+      userId: booking.user_id,
+      amount,
+      source: 'checkout_reversal',
+      bookingId: booking.id,
+      description: reason || `Booking ${booking.booking_number} was not placed`,
+      reference: `checkout_reversal:${booking.id}`
+    });
+  } catch (error) {
+    logger.error(`Wallet reversal for booking ${booking.id} failed:`, error);
+    return null;
+  }
+}
+
+/**
+ * Wallet amount a booking's checkout still holds: checkout debits less checkout reversals
+ */
+async function getCheckoutWalletHeld(bookingId) {
+  const { data: transactions, error } = await supabase
+    .from('wallet_transactions')
+    .select('type, amount')
+    .eq('booking_id', bookingId)
+    .in('source', ['checkout', 'checkout_reversal']);
+
+  if (error) {
+    logger.error('Get checkout wallet transactions error:', error);
+    throw new Error('Failed to load wallet history');
+  }
+
+  return roundAmount((transactions || []).reduce((sum, transaction) => (
+    sum + (transaction.type === 'debit' ? 1 : -1) * parseFloat(transaction.amount)
+  ), 0));
+}
+
+/**
+ * Take the wallet part again when a payment is captured after its checkout debit was reversed
+ * Throws with statusCode 409 when the balance no longer covers it.
+ */
+async function reclaimCheckoutDebit(booking) {
+  const amount = roundAmount(parseFloat(booking.wallet_amount || 0) - await getCheckoutWalletHeld(booking.id));
+  if (amount <= 0) return null;
+
+  return debitWallet({
+    userId: booking.user_id,
+    amount,
+    source: 'checkout',
+    bookingId: booking.id,
+    description: `Payment for booking ${booking.booking_number}`,
+    reference: `checkout_reclaim:${booking.id}`
+  });
+}
+
+module.exports = {
+  CREDIT_SOURCES,
+  DEBIT_SOURCES,
+  getWalletBalance,
+  getWalletTransactions,
+  creditWallet,
+  debitWallet,
+  reverseCheckoutDebit,
+  getCheckoutWalletHeld,
+  reclaimCheckoutDebit
+};
@@ -2,17 +2,23 @@ require('dotenv').config();
 const supabase = require('../config/supabase');
 const bcrypt = require('bcryptjs');
 const logger = require('./logger');
+const { ADMIN_ROLES } = require('../config/adminRoles');
 
 /**
  * Create or update admin user
- * Usage: node -e "require('./src/utils/createAdminUser').createAdmin('admin@example.com', 'password123')"
+ * New admins get `role` (default super_admin); an existing admin's role only changes when one is passed.
+ * Usage: node -e "require('./src/utils/createAdminUser').createAdmin('admin@example.com', 'password123', 'Ops Lead', 'ops')"
  */
-async function createAdmin(email, password, name = 'Admin User') {
+async function createAdmin(email, password, name = 'Admin User', role = null) {
   try {
     if (!email || !password) {
       throw new Error('Email and password are required');
     }
 
+    if (role && !ADMIN_ROLES.includes(role)) {
+      throw new Error(`Invalid role. Use one of: ${ADMIN_ROLES.join(', ')}`);
+    }
+
     logger.info(`Creating admin user: ${email}`);
 
     // Hash password
@@ -33,6 +39,7 @@ async function createAdmin(email, password, name = 'Admin User') {
         .update({
           password_hash: passwordHash,
           name,
+          ...(role && { role }),
           is_active: true,
           updated_at: new Date().toISOString()
         })
@@ -55,7 +62,7 @@ async function createAdmin(email, password, name = 'Admin User') {
           email,
           password_hash: passwordHash,
           name,
-          role: 'super_admin',
+          role: role || 'super_admin',
           is_active: true
         })
         .select()
@@ -82,8 +89,9 @@ if (require.main === module) {
   const email = process.argv[2] || 'admin@minuteserv.com';
   const password = process.argv[3] || 'admin123';
   const name = process.argv[4] || 'Admin User';
+  const role = process.argv[5] || null;
 
-  createAdmin(email, password, name)
+  createAdmin(email, password, name, role)
     .then((admin) => {
       console.log('\n✅ Admin user ready!');
       console.log(`   Email: ${admin.email}`);
@@ -0,0 +1,93 @@
+// GST state codes (first two digits of a GSTIN)
+const GST_STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// Common alternative spellings found in saved addresses
+const STATE_ALIASES = {
+  'new delhi': '07',
+  'nct of delhi': '07',
+  orissa: '21',
+  pondicherry: '34',
+  'jammu & kashmir': '01',
+  'andaman & nicobar islands': '35'
+};
+
+function normalizeStateName(value) {
+  return String(value).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Resolve a state name or two-digit GST state code to { code, name }
+ * Returns null when the state is not recognised
+ */
+function resolveGstState(value) {
+  if (!value) return null;
+
+  const text = normalizeStateName(value);
+  if (/^\d{1,2}$/.test(text)) {
+    const code = text.padStart(2, '0');
+    return GST_STATES[code] ? { code, name: GST_STATES[code] } : null;
+  }
+
+  const code = STATE_ALIASES[text] ||
+    Object.keys(GST_STATES).find(candidate => normalizeStateName(GST_STATES[candidate]) === text.replace(/&/g, 'and'));
+
+  return code ? { code, name: GST_STATES[code] } : null;
+}
+
+/**
+ * Split GST into CGST + SGST (intra-state) or IGST (inter-state)
+ */
+function splitGst(gstAmount, interState) {
+  if (interState) {
+    return { cgst: 0, sgst: 0, igst: gstAmount };
+  }
+
+  const cgst = Math.round(gstAmount * 50) / 100;
+  return {
+    cgst,
+    sgst: Math.round((gstAmount - cgst) * 100) / 100,
+    igst: 0
+  };
+}
+
+module.exports = {
+  resolveGstState,
+  splitGst
+};
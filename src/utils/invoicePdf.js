@@ -0,0 +1,261 @@
+const PDFDocument = require('pdfkit');
+
+const BRAND_COLOR = '#6C2BD9';
+const TEXT_COLOR = '#1F2937';
+const MUTED_COLOR = '#6B7280';
+const BORDER_COLOR = '#E5E7EB';
+
+const PAGE_MARGIN = 40;
+
+// Line item table: column x offsets and widths (A4 content width is 515pt)
+const COLUMNS = [
+  { key: 'description', label: 'Description', width: 165, align: 'left' },
+  { key: 'sac_code', label: 'SAC', width: 50, align: 'left' },
+  { key: 'quantity', label: 'Qty', width: 30, align: 'right' },
+  { key: 'rate', label: 'Rate', width: 60, align: 'right' },
+  { key: 'discount', label: 'Discount', width: 55, align: 'right' },
+  { key: 'taxable_amount', label: 'Taxable', width: 60, align: 'right' },
+  { key: 'gst', label: 'GST', width: 45, align: 'right' },
+  { key: 'amount', label: 'Amount', width: 50, align: 'right' }
+];
+
+// The standard PDF fonts have no rupee glyph
+function formatAmount(value) {
+  return `Rs. ${(parseFloat(value) || 0).toFixed(2)}`;
+}
+
+function formatNumber(value) {
+  return (parseFloat(value) || 0).toFixed(2);
+}
+
+function formatDate(value) {
+  if (!value) return '-';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' });
+}
+
+function drawHeader(doc, invoice) {
+  doc.rect(0, 0, doc.page.width, 90).fill(BRAND_COLOR);
+
+  doc.fillColor('#FFFFFF')
+    .font('Helvetica-Bold').fontSize(24)
+    .text('Minuteserv', PAGE_MARGIN, 28);
+  doc.font('Helvetica').fontSize(9)
+    .text('Beauty services at home', PAGE_MARGIN, 58);
+
+  doc.font('Helvetica-Bold').fontSize(16)
+    .text('TAX INVOICE', PAGE_MARGIN, 32, { align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(invoice.invoice_number, PAGE_MARGIN, 54, { align: 'right' });
+
+  doc.fillColor(TEXT_COLOR);
+  doc.y = 110;
+}
+
+function drawLabelledLines(doc, x, y, width, title, lines) {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(MUTED_COLOR).text(title.toUpperCase(), x, y, { width });
+  doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR);
+  lines.filter(Boolean).forEach(line => doc.text(line, { width }));
+  return doc.y;
+}
+
+function drawParties(doc, invoice) {
+  const top = doc.y;
+  const columnWidth = 250;
+  const supplier = invoice.supplier || {};
+
+  const leftBottom = drawLabelledLines(doc, PAGE_MARGIN, top, columnWidth, 'Billed by', [
+    supplier.name,
+    supplier.gstin ? `GSTIN: ${supplier.gstin}` : null,
+    supplier.state ? `State: ${supplier.state}${supplier.state_code ? ` (${supplier.state_code})` : ''}` : null
+  ]);
+
+  const rightBottom = drawLabelledLines(doc, PAGE_MARGIN + 265, top, columnWidth, 'Billed to', [
+    invoice.customer.name,
+    invoice.customer.phone,
+    invoice.customer.email,
+    invoice.customer.address
+  ]);
+
+  doc.y = Math.max(leftBottom, rightBottom) + 14;
+  const detailsTop = doc.y;
+
+  const detailsLeft = drawLabelledLines(doc, PAGE_MARGIN, detailsTop, columnWidth, 'Invoice details', [
+    `Invoice date: ${formatDate(invoice.issued_at || invoice.created_at)}`,
+    `Booking: ${invoice.booking_number}`,
+    `Service date: ${formatDate(invoice.date)}${invoice.time ? `, ${invoice.time}` : ''}`
+  ]);
+
+  const detailsRight = drawLabelledLines(doc, PAGE_MARGIN + 265, detailsTop, columnWidth, 'Place of supply', [
+    invoice.place_of_supply
+      ? `${invoice.place_of_supply}${invoice.place_of_supply_code ? ` (${invoice.place_of_supply_code})` : ''}`
+      : 'Not available',
+    invoice.supply_type === 'inter_state' ? 'Inter-state supply (IGST)' : 'Intra-state supply (CGST + SGST)'
+  ]);
+
+  doc.y = Math.max(detailsLeft, detailsRight) + 18;
+}
+
+function drawTableRow(doc, values, { bold = false, color = TEXT_COLOR } = {}) {
+  const top = doc.y;
+  let x = PAGE_MARGIN;
+  let bottom = top;
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(color);
+  COLUMNS.forEach(column => {
+    doc.text(String(values[column.key] ?? ''), x + 2, top, { width: column.width - 4, align: column.align });
+    bottom = Math.max(bottom, doc.y);
+    x += column.width;
+  });
+
+  doc.y = bottom + 5;
+  doc.moveTo(PAGE_MARGIN, doc.y - 2).lineTo(PAGE_MARGIN + 515, doc.y - 2).strokeColor(BORDER_COLOR).stroke();
+}
+
+function drawLineItems(doc, invoice) {
+  drawTableRow(doc, Object.fromEntries(COLUMNS.map(column => [column.key, column.label])), { bold: true, color: MUTED_COLOR });
+
+  invoice.items.forEach(item => {
+    drawTableRow(doc, {
+      description: item.service_name,
+      sac_code: item.sac_code,
+      quantity: item.quantity,
+      rate: formatNumber(item.price),
+      discount: item.discount ? formatNumber(item.discount) : '-',
+      taxable_amount: formatNumber(item.taxable_amount),
+      gst: `${item.gst_rate}%`,
+      amount: formatNumber(item.total - (item.discount || 0))
+    });
+  });
+
+  const fee = invoice.platform_fee_details;
+  if (fee && invoice.platform_fee > 0) {
+    drawTableRow(doc, {
+      description: 'Platform fee',
+      sac_code: fee.sac_code,
+      quantity: 1,
+      rate: formatNumber(invoice.platform_fee),
+      discount: '-',
+      taxable_amount: formatNumber(fee.taxable_amount),
+      gst: `${fee.gst_rate}%`,
+      amount: formatNumber(invoice.platform_fee)
+    });
+  }
+
+  doc.moveDown(0.8);
+}
+
+function drawTotals(doc, invoice) {
+  const labelX = PAGE_MARGIN + 300;
+  const valueWidth = 215;
+  const summary = invoice.tax_summary;
+
+  const rows = [
+    ['Subtotal', formatAmount(invoice.subtotal)],
+    parseFloat(invoice.discount) > 0
+      ? [`Discount${invoice.promo_code ? ` (${invoice.promo_code})` : ''}`, `- ${formatAmount(invoice.discount)}`]
+      : null,
+    ['Platform fee', formatAmount(invoice.platform_fee)],
+    ['Taxable value', formatAmount(summary.taxable_amount)],
+    ...(invoice.supply_type === 'inter_state'
+      ? [['IGST', formatAmount(summary.igst)]]
+      : [['CGST', formatAmount(summary.cgst)], ['SGST', formatAmount(summary.sgst)]])
+  ].filter(Boolean);
+
+  doc.font('Helvetica').fontSize(10).fillColor(TEXT_COLOR);
+  rows.forEach(([label, value]) => {
+    const top = doc.y;
+    doc.text(label, labelX, top, { width: 110 });
+    doc.text(value, labelX, top, { width: valueWidth, align: 'right' });
+    doc.moveDown(0.3);
+  });
+
+  const top = doc.y + 4;
+  doc.rect(labelX - 8, top - 6, valueWidth + 16, 26).fill(BRAND_COLOR);
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(11);
+  doc.text('Total (incl. GST)', labelX, top, { width: 120 });
+  doc.text(formatAmount(invoice.grand_total), labelX, top, { width: valueWidth, align: 'right' });
+
+  doc.fillColor(TEXT_COLOR);
+  doc.y = top + 36;
+}
+
+function drawPaymentAndPartner(doc, invoice) {
+  const payment = invoice.payment || {};
+  const reference = payment.razorpay_payment_id || payment.razorpay_order_id;
+
+  drawLabelledLines(doc, PAGE_MARGIN, doc.y, 515, 'Payment', [
+    `Method: ${payment.method === 'cash' ? 'Cash' : payment.method === 'online' ? 'Online' : payment.method || '-'}`,
+    `Status: ${String(payment.status || '-').replace(/_/g, ' ')}`,
+    payment.wallet_amount > 0 ? `Paid from wallet: ${formatAmount(payment.wallet_amount)}` : null,
+    reference ? `Reference: ${reference}` : null
+  ]);
+
+  if (invoice.partner) {
+    doc.moveDown(0.8);
+    drawLabelledLines(doc, PAGE_MARGIN, doc.y, 515, 'Service provided by', [
+      `${invoice.partner.name}${invoice.partner.code ? ` (${invoice.partner.code})` : ''}`
+    ]);
+  }
+}
+
+function drawFooter(doc, invoice) {
+  const bottom = doc.page.height - PAGE_MARGIN - 30;
+  doc.moveTo(PAGE_MARGIN, bottom - 8).lineTo(PAGE_MARGIN + 515, bottom - 8).strokeColor(BORDER_COLOR).stroke();
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR).text(
+    'All prices are inclusive of GST. This is a computer-generated invoice and does not require a signature.',
+    PAGE_MARGIN,
+    bottom,
+    { width: 515, align: 'center' }
+  );
+}
+
+/**
+ * Render an invoice (as built by invoiceService.getBookingInvoice) to a PDF buffer
+ */
+function renderInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: {
+        Title: `Invoice ${invoice.invoice_number}`,
+        Author: 'Minuteserv'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    drawHeader(doc, invoice);
+    drawParties(doc, invoice);
+    drawLineItems(doc, invoice);
+    drawTotals(doc, invoice);
+    drawPaymentAndPartner(doc, invoice);
+    drawFooter(doc, invoice);
+
+    doc.end();
+  });
+}
+
+/**
+ * Send a rendered invoice as a PDF download
+ */
+function sendInvoicePdf(res, invoice, pdf) {
+  const fileName = `${invoice.invoice_number.replace(/[^A-Za-z0-9-]/g, '-')}.pdf`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Content-Length': pdf.length
+  });
+  return res.send(pdf);
+}
+
+module.exports = {
+  renderInvoicePdf,
+  sendInvoicePdf
+};
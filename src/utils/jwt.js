@@ -8,23 +8,23 @@ if (!process.env.JWT_SECRET || !process.env.JWT_SECRET.trim()) {
 
 const JWT_SECRET = process.env.JWT_SECRET.trim();
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
-// Refresh token: 365 days (effectively infinite until logout)
+// Partner app refresh token: 365 days (customer sessions use rotating tokens, see sessionService)
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '365d';
 
 /**
- * Generate JWT access token
+ * Generate JWT access token (`use: 'access'`)
  */
 function generateAccessToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, {
+  return jwt.sign({ ...payload, use: 'access' }, JWT_SECRET, {
     expiresIn: JWT_EXPIRES_IN
   });
 }
 
 /**
- * Generate JWT refresh token
+ * Generate JWT refresh token (`use: 'refresh'`, only accepted by the refresh endpoint)
  */
 function generateRefreshToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, {
+  return jwt.sign({ ...payload, use: 'refresh' }, JWT_SECRET, {
     expiresIn: JWT_REFRESH_EXPIRES_IN
   });
 }
@@ -1,4 +1,6 @@
-const TAX_FEE_SLABS = [
+// Platform fee charged per order, by order value after discounts
+// Used when no pricing rule version is passed in; the live slabs come from pricing_rule_versions
+const DEFAULT_PLATFORM_FEE_SLABS = [
   { max: 400, fee: 59 },
   { max: 800, fee: 78 },
   { max: 1200, fee: 97 },
@@ -10,25 +12,110 @@ const TAX_FEE_SLABS = [
   { max: 4000, fee: 209 },
   { max: 5000, fee: 249 },
   { max: 6000, fee: 269 },
+  { max: null, fee: 279 },
 ];
 
-function getTaxFee(amount) {
+// Service prices and the platform fee are GST-inclusive
+const GST_RATE = 18;
+const DEFAULT_SAC_CODE = '999722'; // Beauty treatment services
+const PLATFORM_FEE_SAC_CODE = '998599'; // Other support services
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Fee of the first slab the amount fits in (a slab with `max: null` has no upper bound)
+ */
+function getPlatformFee(amount, slabs = DEFAULT_PLATFORM_FEE_SLABS) {
   const value = Math.max(Number(amount) || 0, 0);
   if (value === 0) return 0;
 
-  for (const slab of TAX_FEE_SLABS) {
-    if (value <= slab.max) {
-      return slab.fee;
+  const slab = slabs.find(candidate => candidate.max === null || candidate.max === undefined || value <= candidate.max);
+  return slab ? parseFloat(slab.fee) : parseFloat(slabs[slabs.length - 1]?.fee || 0);
+}
+
+/**
+ * Split a GST-inclusive amount into taxable value and GST
+ */
+function extractGst(amount, rate = GST_RATE) {
+  const taxableAmount = roundAmount(amount * 100 / (100 + rate));
+  return {
+    taxable_amount: taxableAmount,
+    gst_amount: roundAmount(amount - taxableAmount)
+  };
+}
+
+/**
+ * GST for each line item and the platform fee
+ * The discount is spread over promo-eligible lines (all lines if none are flagged) in proportion to
+ * their value, so every line's GST is charged on what the customer actually pays for it.
+ */
+function getGstBreakdown(services, { discount = 0, platformFee = 0 } = {}) {
+  const lines = services.map(service => {
+    const unitPrice = parseFloat(service.product_cost || service.price || 0);
+    const quantity = service.quantity || 1;
+    return { service, unitPrice, quantity, gross: unitPrice * quantity };
+  });
+
+  const discounted = lines.some(line => line.service.promo_eligible)
+    ? lines.filter(line => line.service.promo_eligible)
+    : lines;
+  const discountBase = discounted.reduce((sum, line) => sum + line.gross, 0);
+  const totalDiscount = roundAmount(Math.min(discount || 0, discountBase));
+  let remainingDiscount = totalDiscount;
+
+  const items = lines.map(line => {
+    let lineDiscount = 0;
+    if (remainingDiscount > 0 && discounted.includes(line)) {
+      lineDiscount = line === discounted[discounted.length - 1]
+        ? remainingDiscount
+        : Math.min(Math.floor(totalDiscount * line.gross / discountBase * 100) / 100, remainingDiscount);
+      remainingDiscount = roundAmount(remainingDiscount - lineDiscount);
     }
-  }
 
-  return 279;
+    const rate = line.service.gst_rate !== undefined && line.service.gst_rate !== null
+      ? parseFloat(line.service.gst_rate)
+      : GST_RATE;
+    const netAmount = roundAmount(line.gross - lineDiscount);
+
+    return {
+      type: 'service',
+      service_id: line.service.service_id || line.service.id || null,
+      name: line.service.name || 'Service',
+      sac_code: line.service.sac_code || DEFAULT_SAC_CODE,
+      gst_rate: rate,
+      quantity: line.quantity,
+      unit_price: line.unitPrice,
+      gross_amount: roundAmount(line.gross),
+      discount: lineDiscount,
+      net_amount: netAmount,
+      ...extractGst(netAmount, rate)
+    };
+  });
+
+  const fee = parseFloat(platformFee) || 0;
+
+  return {
+    items,
+    platform_fee: {
+      type: 'platform_fee',
+      name: 'Platform fee',
+      sac_code: PLATFORM_FEE_SAC_CODE,
+      gst_rate: GST_RATE,
+      net_amount: fee,
+      ...extractGst(fee)
+    }
+  };
 }
 
 /**
  * Calculate booking pricing
+ * `platformFeeSlabs` come from the pricing rule version in effect.
+ * `walletBalance` is store credit to settle first: it pays part of the grand total (`wallet_amount`)
+ * and leaves `amount_payable` for Razorpay or cash; it does not change the price or GST.
  */
-function calculatePricing(services, promoDiscount = 0) {
+function calculatePricing(services, promoDiscount = 0, { platformFeeSlabs = DEFAULT_PLATFORM_FEE_SLABS, walletBalance = 0 } = {}) {
   // Calculate subtotal
   // Support both 'product_cost' and 'price' fields
   const subtotal = services.reduce((sum, service) => {
@@ -58,23 +145,37 @@ function calculatePricing(services, promoDiscount = 0) {
   // Ensure final price is not negative
   const priceAfterDiscount = finalPrice > 0 ? finalPrice : 0;
 
-  // Calculate tax/service fee based on slabs
-  const tax = getTaxFee(priceAfterDiscount);
+  const platformFee = getPlatformFee(priceAfterDiscount, platformFeeSlabs);
+
+  // GST already included in the service prices and platform fee
+  const gst = getGstBreakdown(services, { discount, platformFee });
+  const gstAmount = [...gst.items, gst.platform_fee].reduce((sum, line) => sum + line.gst_amount, 0);
 
   // Calculate grand total
-  const grandTotal = Math.floor((priceAfterDiscount + tax) * 100) / 100;
+  const grandTotal = Math.floor((priceAfterDiscount + platformFee) * 100) / 100;
+
+  const walletAmount = Math.floor(Math.min(Math.max(parseFloat(walletBalance) || 0, 0), grandTotal) * 100) / 100;
 
   return {
     subtotal: Math.floor(subtotal * 100) / 100,
     savings: Math.floor(savings * 100) / 100,
     discount: Math.floor(discount * 100) / 100,
     final_price: Math.floor(finalPrice * 100) / 100,
-    tax: Math.floor(tax * 100) / 100,
+    platform_fee: platformFee,
+    // Older clients read the platform fee as `tax`
+    tax: platformFee,
+    gst_amount: roundAmount(gstAmount),
     grand_total: grandTotal,
+    wallet_amount: walletAmount,
+    amount_payable: roundAmount(grandTotal - walletAmount),
   };
 }
 
 module.exports = {
+  DEFAULT_PLATFORM_FEE_SLABS,
+  GST_RATE,
+  DEFAULT_SAC_CODE,
   calculatePricing,
+  getGstBreakdown,
 };
 
@@ -0,0 +1,47 @@
+require('dotenv').config();
+const { ADMIN_ROLES } = require('../config/adminRoles');
+const { createAdmin } = require('./createAdminUser');
+const logger = require('./logger');
+
+/**
+ * Seed one admin per role for development and testing
+ * Emails are <role>@test.minuteserv.com (e.g. finance@test.minuteserv.com); the password is
+ * TEST_ADMIN_PASSWORD. Refuses to run in production.
+ * Usage: npm run seed-test-admins
+ */
+async function seedTestAdmins() {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Test admins cannot be seeded in production');
+  }
+
+  const password = process.env.TEST_ADMIN_PASSWORD;
+  if (!password || password.length < 8) {
+    throw new Error('Set TEST_ADMIN_PASSWORD (at least 8 characters) to seed test admins');
+  }
+
+  const admins = [];
+  for (const role of ADMIN_ROLES) {
+    const label = role.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+    const admin = await createAdmin(`${role.replace('_', '-')}@test.minuteserv.com`, password, `Test ${label}`, role);
+    admins.push(admin);
+  }
+
+  logger.info(`✅ Seeded ${admins.length} test admins`);
+  return admins;
+}
+
+// Run if called directly
+if (require.main === module) {
+  seedTestAdmins()
+    .then((admins) => {
+      console.log('\n✅ Test admins ready (password: TEST_ADMIN_PASSWORD)');
+      admins.forEach(admin => console.log(`   ${admin.role.padEnd(12)} ${admin.email}`));
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('\n❌ Failed to seed test admins:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { seedTestAdmins };
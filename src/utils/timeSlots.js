@@ -1,28 +1,63 @@
+const SLOT_START_MINUTES = 8 * 60; // 8:00 AM
+const SLOT_END_MINUTES = 19 * 60; // 7:00 PM (last slot start)
+const SLOT_INTERVAL_MINUTES = 30;
+
+/**
+ * Format minutes since midnight as a slot label, e.g. 570 -> "9:30 AM"
+ */
+function formatSlotTime(totalMinutes) {
+  const hour = Math.floor(totalMinutes / 60);
+  const minute = totalMinutes % 60;
+
+  const hour12 = hour > 12 ? hour - 12 : hour === 0 ? 12 : hour;
+  const ampm = hour >= 12 ? 'PM' : 'AM';
+  const minuteStr = minute.toString().padStart(2, '0');
+
+  return `${hour12}:${minuteStr} ${ampm}`;
+}
+
+/**
+ * Parse a slot label ("9:30 AM") or a database TIME ("09:30:00") into minutes since midnight
+ * Returns null when the value is not a valid time
+ */
+function parseSlotTime(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*(AM|PM)?$/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  const ampm = match[3] ? match[3].toUpperCase() : null;
+
+  if (minute > 59) return null;
+  if (ampm) {
+    if (hour < 1 || hour > 12) return null;
+    if (ampm === 'AM' && hour === 12) hour = 0;
+    if (ampm === 'PM' && hour !== 12) hour += 12;
+  } else if (hour > 23) {
+    return null;
+  }
+
+  return hour * 60 + minute;
+}
+
 /**
  * Generate time slots for booking
  */
 function generateTimeSlots() {
   const slots = [];
-  const startHour = 8;
-  const endHour = 19;
-  const intervalMinutes = 30;
-
-  for (let hour = startHour; hour <= endHour; hour++) {
-    for (let minute = 0; minute < 60; minute += intervalMinutes) {
-      if (hour === endHour && minute > 0) break; // Stop at 7:00 PM
 
-      const hour12 = hour > 12 ? hour - 12 : hour === 0 ? 12 : hour;
-      const ampm = hour >= 12 ? 'PM' : 'AM';
-      const minuteStr = minute.toString().padStart(2, '0');
-
-      slots.push(`${hour12}:${minuteStr} ${ampm}`);
-    }
+  for (let minutes = SLOT_START_MINUTES; minutes <= SLOT_END_MINUTES; minutes += SLOT_INTERVAL_MINUTES) {
+    slots.push(formatSlotTime(minutes));
   }
 
   return slots;
 }
 
 module.exports = {
-  generateTimeSlots
+  SLOT_INTERVAL_MINUTES,
+  generateTimeSlots,
+  formatSlotTime,
+  parseSlotTime
 };
-
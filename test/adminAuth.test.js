@@ -0,0 +1,190 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useDatabase } = require('./helpers/supabase');
+const { MIGRATIONS, createTestDatabase } = require('./helpers/database');
+const { callMiddleware } = require('./helpers/http');
+const { generateAccessToken } = require('../src/utils/jwt');
+const { ADMIN_ROLES } = require('../src/config/adminRoles');
+const { adminAuth, requirePermission } = require('../src/middleware/adminAuth');
+
+const ADMIN_ROUTES_DIR = path.join(__dirname, '../src/routes/admin');
+
+const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+const adminToken = (admin, overrides = {}) => generateAccessToken({
+  adminId: admin.id,
+  email: admin.email,
+  role: admin.role,
+  type: 'admin',
+  ...overrides
+});
+
+/**
+ * Handlers of the route matching `method` and `path` in an Express router
+ */
+function routeStack(router, method, routePath) {
+  const layer = router.stack.find(candidate => candidate.route
+    && candidate.route.path === routePath
+    && candidate.route.methods[method]);
+  assert.ok(layer, `${method.toUpperCase()} ${routePath} not found`);
+  return layer.route.stack.map(handler => handler.handle);
+}
+
+describe('admin authentication', () => {
+  let db;
+  const admins = {};
+
+  before(async () => {
+    db = await createTestDatabase(...MIGRATIONS);
+    useDatabase(db);
+
+    for (const role of ADMIN_ROLES) {
+      const { rows: [admin] } = await db.query(
+        "INSERT INTO admin_users (email, password_hash, name, role) VALUES ($1, 'x', $2, $3) RETURNING id, email, role",
+        [`${role}@test.minuteserv.com`, role, role]
+      );
+      admins[role] = admin;
+    }
+
+    const { rows: [inactive] } = await db.query(
+      "INSERT INTO admin_users (email, password_hash, role, is_active) VALUES ('inactive@test.minuteserv.com', 'x', 'ops', false) RETURNING id, email, role"
+    );
+    admins.inactive = inactive;
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('lets an active admin through with the permissions of their role', async () => {
+    const { req, nextCalled } = await callMiddleware(adminAuth, bearer(adminToken(admins.finance)));
+
+    assert.equal(nextCalled, true);
+    assert.equal(req.admin.id, admins.finance.id);
+    assert.equal(req.admin.role, 'finance');
+    assert.ok(req.admin.permissions.includes('wallets:adjust'));
+  });
+
+  it('requires a bearer token', async () => {
+    const { res, nextCalled } = await callMiddleware(adminAuth, {});
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('rejects customer and partner tokens', async () => {
+    const customer = generateAccessToken({ userId: admins.ops.id, phone_number: '+919800000001' });
+    const partner = generateAccessToken({ partnerId: admins.ops.id, type: 'partner' });
+    const customerClaimingRole = generateAccessToken({ adminId: admins.ops.id, role: 'ops' });
+
+    for (const token of [customer, partner, customerClaimingRole]) {
+      const { res, nextCalled } = await callMiddleware(adminAuth, bearer(token));
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+    }
+  });
+
+  it('rejects a token with an unknown role', async () => {
+    const { res, nextCalled } = await callMiddleware(adminAuth, bearer(adminToken(admins.ops, { role: 'admin' })));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('rejects the token of a deactivated admin', async () => {
+    const { res, nextCalled } = await callMiddleware(adminAuth, bearer(adminToken(admins.inactive)));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('rejects a token issued for a role the admin no longer holds', async () => {
+    const { res, nextCalled } = await callMiddleware(adminAuth, bearer(adminToken(admins.support, { role: 'super_admin' })));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('rejects the token of an admin that no longer exists', async () => {
+    const { rows: [removed] } = await db.query(
+      "INSERT INTO admin_users (email, password_hash, role) VALUES ('removed@test.minuteserv.com', 'x', 'ops') RETURNING id, email, role"
+    );
+    await db.query('DELETE FROM admin_users WHERE id = $1', [removed.id]);
+
+    const { res, nextCalled } = await callMiddleware(adminAuth, bearer(adminToken(removed)));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe('admin permissions', () => {
+  const allowedRoles = async guard => {
+    const allowed = [];
+    for (const role of ADMIN_ROLES) {
+      const { res, nextCalled } = await callMiddleware(guard, { admin: { id: role, role } });
+      if (nextCalled) {
+        allowed.push(role);
+      } else {
+        assert.equal(res.statusCode, 403);
+      }
+    }
+    return allowed;
+  };
+
+  it('denies a request without a signed-in admin', async () => {
+    const { res, nextCalled } = await callMiddleware(requirePermission('bookings:read'), {});
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('requires every listed permission', async () => {
+    assert.deepEqual(await allowedRoles(requirePermission('bookings:read', 'payments:read')), ['super_admin', 'finance']);
+  });
+
+  // Routes and the roles allowed through their permission check
+  const cases = [
+    ['admin/bookings', 'patch', '/:id/status', ['super_admin', 'ops', 'support']],
+    ['admin/bookings', 'post', '/:id/assign-partner', ['super_admin', 'ops', 'support']],
+    ['admin/bookings', 'get', '/:id/invoice', ['super_admin', 'ops', 'finance', 'support']],
+    ['admin/bookings', 'post', '/:id/invoice', ['super_admin', 'ops', 'finance']],
+    ['admin/users', 'get', '/:id/wallet', ['super_admin', 'finance', 'support']],
+    ['admin/users', 'post', '/:id/wallet/adjustments', ['super_admin', 'finance']],
+    ['payments', 'get', '/', ['super_admin', 'finance']],
+    ['admin/promos', 'post', '/', ['super_admin', 'finance']],
+    ['admin/pricingRules', 'post', '/', ['super_admin', 'finance']],
+    ['admin/slotPricingRules', 'post', '/', ['super_admin', 'finance']],
+    ['admin/cancellationPolicies', 'post', '/:id/activate', ['super_admin', 'finance']],
+    ['admin/services', 'post', '/', ['super_admin', 'catalog']],
+    ['admin/categories', 'delete', '/:id', ['super_admin', 'catalog']],
+    ['admin/partners', 'post', '/', ['super_admin', 'ops']],
+    ['admin/notifications', 'post', '/:id/retry', ['super_admin', 'ops', 'support']]
+  ];
+
+  for (const [file, method, routePath, roles] of cases) {
+    it(`allows only ${roles.join(', ')} to ${method.toUpperCase()} ${file}${routePath}`, async () => {
+      const [auth, guard] = routeStack(require(`../src/routes/${file}`), method, routePath);
+
+      assert.equal(auth, adminAuth);
+      assert.deepEqual(await allowedRoles(guard), roles);
+    });
+  }
+
+  it('puts every admin route except sign-in behind adminAuth and a permission check', async () => {
+    const files = fs.readdirSync(ADMIN_ROUTES_DIR).filter(file => file.endsWith('.js') && !['index.js', 'auth.js'].includes(file));
+
+    for (const file of files) {
+      const router = require(path.join(ADMIN_ROUTES_DIR, file));
+      for (const layer of router.stack.filter(candidate => candidate.route)) {
+        const [auth, guard] = layer.route.stack.map(handler => handler.handle);
+        const { nextCalled } = await callMiddleware(guard, { admin: { id: 'none', role: 'none' } });
+
+        assert.equal(auth, adminAuth, `${file} ${layer.route.path} is not behind adminAuth`);
+        assert.equal(nextCalled, false, `${file} ${layer.route.path} has no permission check`);
+      }
+    }
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useDatabase } = require('./helpers/supabase');
+const { MIGRATIONS, createTestDatabase } = require('./helpers/database');
+const { callHandler } = require('./helpers/http');
+const { createUser, createAddress, createService, createPartner, createBooking } = require('./helpers/fixtures');
+const { updateBookingStatus } = require('../src/controllers/admin/bookingController');
+
+describe('admin booking status changes', () => {
+  let db;
+  let user;
+  let address;
+  let service;
+  let partner;
+  const admin = { id: crypto.randomUUID(), role: 'ops' };
+
+  const setStatus = (booking, status) => callHandler(updateBookingStatus, {
+    params: { id: booking.id },
+    admin,
+    body: { status }
+  });
+
+  const loadBooking = async id => {
+    const { rows: [booking] } = await db.query('SELECT status, partner_id, assignment_status, accepted_at FROM bookings WHERE id = $1', [id]);
+    return booking;
+  };
+
+  before(async () => {
+    db = await createTestDatabase(...MIGRATIONS);
+    useDatabase(db);
+
+    user = await createUser();
+    address = await createAddress(user.id);
+    service = await createService();
+    partner = await createPartner();
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('does not confirm a booking without a partner', async () => {
+    const booking = await createBooking({ user, address, service });
+
+    const res = await setStatus(booking, 'confirmed');
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.error, 'Assign a partner before confirming this booking');
+    assert.equal((await loadBooking(booking.id)).status, 'pending');
+  });
+
+  it('confirms a booking for its assigned partner', async () => {
+    const booking = await createBooking({ user, address, service, partner_id: partner.id, assignment_status: 'assigned' });
+
+    const res = await setStatus(booking, 'confirmed');
+
+    const confirmed = await loadBooking(booking.id);
+    const { rows: [event] } = await db.query(
+      "SELECT actor_type, metadata FROM booking_events WHERE booking_id = $1 AND to_status = 'confirmed'",
+      [booking.id]
+    );
+    assert.equal(res.statusCode, 200);
+    assert.equal(confirmed.status, 'confirmed');
+    assert.equal(confirmed.partner_id, partner.id);
+    assert.equal(confirmed.assignment_status, 'accepted');
+    assert.notEqual(confirmed.accepted_at, null);
+    assert.deepEqual(event, { actor_type: 'admin', metadata: { partner_id: partner.id } });
+  });
+
+  it('returns 404 for an unknown booking', async () => {
+    const res = await setStatus({ id: crypto.randomUUID() }, 'confirmed');
+
+    assert.equal(res.statusCode, 404);
+  });
+});
@@ -0,0 +1,265 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, callFunction } = require('./helpers/database');
+const reference = require('./helpers/analyticsReference');
+const { validateAnalyticsQuery } = require('../src/middleware/analyticsQuery');
+
+// Fixtures: UTC timestamps, several of them on either side of an IST midnight
+const users = [
+  { id: '00000000-0000-4000-8000-000000000001', phone_number: '+919800000001', created_at: '2026-01-04T20:00:00Z' }, // IST Mon 5 Jan 01:30
+  { id: '00000000-0000-4000-8000-000000000002', phone_number: '+919800000002', created_at: '2026-01-10T10:00:00Z' },
+  { id: '00000000-0000-4000-8000-000000000003', phone_number: '+919800000003', created_at: '2026-01-31T19:00:00Z' }, // IST Sun 1 Feb 00:30
+  { id: '00000000-0000-4000-8000-000000000004', phone_number: '+919800000004', created_at: '2026-02-15T10:00:00Z' },
+];
+
+const addresses = [
+  { id: '00000000-0000-4000-8000-0000000000a1', user_id: users[0].id, city: 'Bengaluru', pincode: '560001' },
+  { id: '00000000-0000-4000-8000-0000000000a2', user_id: users[1].id, city: 'Bengaluru', pincode: '560002' },
+  { id: '00000000-0000-4000-8000-0000000000a3', user_id: users[2].id, city: 'Mumbai', pincode: '400001' },
+];
+
+const partners = [
+  { id: '00000000-0000-4000-8000-0000000000b1', partner_code: 'MSP001', name: 'Asha', phone_number: '+919900000001' },
+  { id: '00000000-0000-4000-8000-0000000000c2', partner_code: 'MSP002', name: 'Bina', phone_number: '+919900000002' },
+];
+
+const bookings = [
+  {
+    // Last second of IST 5 Jan
+    booking_number: 'MS-T1', user_id: users[0].id, address_id: addresses[0].id, partner_id: partners[0].id,
+    status: 'completed', payment_status: 'paid', created_at: '2026-01-05T18:29:59Z',
+    booking_date: '2026-01-06', booking_time: '10:30:00', grand_total: 1534, partner_payout: 900, customer_rating: 5,
+    assigned_at: '2026-01-05T18:40:00Z', accepted_at: '2026-01-05T18:46:00Z',
+    services: [
+      { service_name: 'Facial', service_category: 'Skin', price: 500, quantity: 2 },
+      { name: 'Waxing', category: 'Body', price: 300 },
+    ],
+  },
+  {
+    // First second of IST 6 Jan
+    booking_number: 'MS-T2', user_id: users[0].id, address_id: addresses[0].id, partner_id: partners[0].id,
+    status: 'completed', payment_status: 'paid', created_at: '2026-01-05T18:30:00Z',
+    booking_date: '2026-01-07', booking_time: '14:00:00', grand_total: 590, partner_payout: 350, customer_rating: 4,
+    assigned_at: '2026-01-05T19:00:00Z', accepted_at: '2026-01-05T19:04:00Z',
+    services: [{ service_name: 'Facial', service_category: 'Skin', price: 500, quantity: 1 }],
+  },
+  {
+    booking_number: 'MS-T3', user_id: users[1].id, address_id: addresses[1].id, partner_id: partners[0].id,
+    status: 'cancelled', payment_status: 'pending', created_at: '2026-01-10T11:00:00Z',
+    booking_date: '2026-01-11', booking_time: '09:00:00', grand_total: 472,
+    services: [{ service_name: 'Manicure', service_category: 'Nails', price: 400 }],
+  },
+  {
+    booking_number: 'MS-T4', user_id: users[1].id, address_id: addresses[1].id, partner_id: null,
+    status: 'confirmed', payment_status: 'paid', created_at: '2026-01-20T05:00:00Z',
+    booking_date: '2026-01-24', booking_time: '14:15:00', grand_total: 591.18,
+    services: [{ id: 'svc-hair', name: 'Haircut', price: 250.5, quantity: 2 }],
+  },
+  {
+    // UTC 31 Jan, IST 1 Feb
+    booking_number: 'MS-T5', user_id: users[2].id, address_id: addresses[2].id, partner_id: partners[0].id,
+    status: 'completed', payment_status: 'paid', created_at: '2026-01-31T20:00:00Z',
+    booking_date: '2026-02-01', booking_time: '10:00:00', grand_total: 944, partner_payout: 560,
+    services: [{ service_name: 'Facial', service_category: 'Skin', price: 800 }],
+  },
+];
+
+/**
+ * Turn API query params into RPC range params the way the routes do (validateAnalyticsQuery)
+ */
+function apiRange(query) {
+  const req = { query: { ...query } };
+  let passed = false;
+  validateAnalyticsQuery(req, {}, () => { passed = true; });
+  assert.ok(passed, `invalid analytics query: ${JSON.stringify(query)}`);
+  return { p_date_from: req.query.date_from || null, p_date_to: req.query.date_to || null };
+}
+
+function referenceRange(params) {
+  return { from: params.p_date_from, to: params.p_date_to };
+}
+
+const RANGES = {
+  'all time': {},
+  'one IST day (5 Jan)': { date_from: '2026-01-05', date_to: '2026-01-05' },
+  'next IST day (6 Jan)': { date_from: '2026-01-06', date_to: '2026-01-06' },
+  'IST month of January': { date_from: '2026-01-01', date_to: '2026-01-31' },
+  'open-ended from 1 Feb IST': { date_from: '2026-02-01' },
+  'timestamps on both edges': { date_from: '2026-01-05T18:30:00Z', date_to: '2026-01-31T20:00:00Z' },
+  'empty range': { date_from: '2025-12-01', date_to: '2025-12-31' },
+};
+
+describe('analytics SQL functions', () => {
+  let db;
+
+  before(async () => {
+    db = await createTestDatabase('add_analytics_functions.sql');
+
+    for (const user of users) {
+      await db.query('INSERT INTO users (id, phone_number, created_at) VALUES ($1, $2, $3)',
+        [user.id, user.phone_number, user.created_at]);
+    }
+    for (const address of addresses) {
+      await db.query(`INSERT INTO user_addresses (id, user_id, address_line1, city, state, pincode)
+        VALUES ($1, $2, '1 Test Street', $3, 'Test State', $4)`,
+      [address.id, address.user_id, address.city, address.pincode]);
+    }
+    for (const partner of partners) {
+      await db.query('INSERT INTO partners (id, partner_code, name, phone_number) VALUES ($1, $2, $3, $4)',
+        [partner.id, partner.partner_code, partner.name, partner.phone_number]);
+    }
+    for (const b of bookings) {
+      await db.query(`INSERT INTO bookings (
+          booking_number, user_id, address_id, partner_id, services, booking_date, booking_time,
+          status, payment_method, payment_status, total_price, tax, grand_total, partner_payout,
+          customer_rating, assigned_at, accepted_at, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'online', $9, $10, 0, $10, $11, $12, $13, $14, $15)`,
+      [
+        b.booking_number, b.user_id, b.address_id, b.partner_id, JSON.stringify(b.services), b.booking_date,
+        b.booking_time, b.status, b.payment_status, b.grand_total, b.partner_payout ?? null,
+        b.customer_rating ?? null, b.assigned_at ?? null, b.accepted_at ?? null, b.created_at,
+      ]);
+    }
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  for (const [label, query] of Object.entries(RANGES)) {
+    describe(`matches the JS aggregation: ${label}`, () => {
+      const params = apiRange(query);
+      const range = referenceRange(params);
+
+      it('analytics_revenue_by_category', async () => {
+        const rows = await callFunction(db, 'analytics_revenue_by_category', params);
+        const actual = Object.fromEntries(rows.map(row => [row.category, Number(row.revenue)]));
+        assert.deepEqual(actual, reference.revenueByCategory(bookings, range));
+      });
+
+      it('analytics_peak_hours', async () => {
+        const rows = await callFunction(db, 'analytics_peak_hours', params);
+        const actual = Object.fromEntries(rows.map(row => [`${row.day_of_week}-${row.hour}`, row.booking_count]));
+        assert.deepEqual(actual, reference.peakHours(bookings, range));
+      });
+
+      it('analytics_acquisition_funnel', async () => {
+        const [row] = await callFunction(db, 'analytics_acquisition_funnel', params);
+        assert.deepEqual(row, reference.acquisitionFunnel(users, bookings, range));
+      });
+
+      it('analytics_partner_performance', async () => {
+        const rows = await callFunction(db, 'analytics_partner_performance', params);
+        const actual = Object.fromEntries(rows.map(row => [row.partner_id, {
+          total_bookings: row.total_bookings,
+          completed_bookings: row.completed_bookings,
+          cancelled_bookings: row.cancelled_bookings,
+          total_earnings: Number(row.total_earnings),
+          average_rating: Number(row.average_rating),
+          average_response_time: Number(row.average_response_time),
+        }]));
+        assert.deepEqual(actual, reference.partnerPerformance(partners, bookings, range));
+      });
+
+      it('analytics_geographic', async () => {
+        const rows = await callFunction(db, 'analytics_geographic', params);
+        const actual = { pincode: {}, city: {} };
+        rows.forEach(row => {
+          actual[row.dimension][row.area] = { bookings: row.bookings, revenue: Number(row.revenue) };
+        });
+        assert.deepEqual(actual, reference.geographic(bookings, addresses, range));
+      });
+
+      it('analytics_service_popularity', async () => {
+        const rows = await callFunction(db, 'analytics_service_popularity', params);
+        const actual = Object.fromEntries(rows.map(row => [row.service_name, {
+          service_id: row.service_id ?? undefined,
+          bookings: row.bookings,
+          quantity: Number(row.quantity),
+          revenue: Number(row.revenue),
+        }]));
+        assert.deepEqual(actual, reference.servicePopularity(bookings, range));
+      });
+
+      for (const period of ['day', 'week', 'month']) {
+        it(`analytics_aov_trends by ${period}`, async () => {
+          const rows = await callFunction(db, 'analytics_aov_trends', { ...params, p_period: period });
+          const actual = Object.fromEntries(rows.map(row => [row.period_key, {
+            total_revenue: Number(row.total_revenue),
+            booking_count: row.booking_count,
+          }]));
+          assert.deepEqual(actual, reference.aovTrends(bookings, range, period));
+        });
+      }
+    });
+  }
+
+  for (const cohortPeriod of ['week', 'month']) {
+    it(`analytics_cohort_retention by ${cohortPeriod} matches the JS aggregation`, async () => {
+      const rows = await callFunction(db, 'analytics_cohort_retention', { p_cohort_period: cohortPeriod, p_periods: 12 });
+      const actual = Object.fromEntries(rows.map(row => [`${row.cohort}|${row.period_index}`, row.user_count]));
+      assert.deepEqual(actual, reference.cohortRetention(users, bookings, cohortPeriod, 12));
+    });
+  }
+
+  describe('IST day boundaries', () => {
+    it('counts a booking at 23:59:59 IST in that day and one at 00:00 IST in the next', async () => {
+      const [fifth] = await callFunction(db, 'analytics_acquisition_funnel', apiRange({ date_from: '2026-01-05', date_to: '2026-01-05' }));
+      const [sixth] = await callFunction(db, 'analytics_acquisition_funnel', apiRange({ date_from: '2026-01-06', date_to: '2026-01-06' }));
+
+      assert.deepEqual(fifth, { total_users: 1, users_with_bookings: 1, repeat_customers: 0 });
+      assert.deepEqual(sixth, { total_users: 0, users_with_bookings: 1, repeat_customers: 0 });
+    });
+
+    it('puts signups and bookings made after IST midnight on 1 Feb into February', async () => {
+      const [january] = await callFunction(db, 'analytics_acquisition_funnel', apiRange({ date_from: '2026-01-01', date_to: '2026-01-31' }));
+      assert.deepEqual(january, { total_users: 2, users_with_bookings: 2, repeat_customers: 2 });
+
+      const cohorts = await callFunction(db, 'analytics_cohort_retention', { p_cohort_period: 'month', p_periods: 12 });
+      const sizes = {};
+      cohorts.forEach(row => { sizes[row.cohort] = (sizes[row.cohort] || 0) + row.user_count; });
+      assert.deepEqual(sizes, { '2026-01': 2, '2026-02': 2 });
+    });
+
+    it('starts IST weeks on Sunday for week cohorts', async () => {
+      const cohorts = await callFunction(db, 'analytics_cohort_retention', { p_cohort_period: 'week', p_periods: 12 });
+      const weeks = [...new Set(cohorts.map(row => row.cohort))].sort();
+      assert.deepEqual(weeks, ['2026-01-04', '2026-02-01', '2026-02-15']);
+    });
+
+    it('filters peak hours by the IST date of a timestamp bound', async () => {
+      // 20:00 UTC on 31 Jan is 01:30 IST on 1 Feb, so the 1 Feb booking is included
+      const rows = await callFunction(db, 'analytics_peak_hours', { p_date_from: '2026-01-31T20:00:00Z', p_date_to: null });
+      assert.deepEqual(rows, [{ day_of_week: 0, hour: 10, booking_count: 1 }]);
+    });
+  });
+
+  describe('period bucketing', () => {
+    it('groups AOV by day, Sunday-start week and month of the service date', async () => {
+      const keys = async period => (await callFunction(db, 'analytics_aov_trends', { p_period: period }))
+        .map(row => [row.period_key, Number(row.total_revenue), row.booking_count]);
+
+      assert.deepEqual(await keys('day'), [['2026-01-06', 1534, 1], ['2026-01-07', 590, 1], ['2026-02-01', 944, 1]]);
+      assert.deepEqual(await keys('week'), [['2026-01-04', 2124, 2], ['2026-02-01', 944, 1]]);
+      assert.deepEqual(await keys('month'), [['2026-01', 2124, 2], ['2026-02', 944, 1]]);
+    });
+  });
+
+  describe('empty range', () => {
+    it('returns no rows, zero counts and every partner with zero stats', async () => {
+      const params = apiRange(RANGES['empty range']);
+
+      assert.deepEqual(await callFunction(db, 'analytics_revenue_by_category', params), []);
+      assert.deepEqual(await callFunction(db, 'analytics_peak_hours', params), []);
+      assert.deepEqual(await callFunction(db, 'analytics_geographic', params), []);
+      assert.deepEqual(await callFunction(db, 'analytics_service_popularity', params), []);
+      assert.deepEqual(await callFunction(db, 'analytics_aov_trends', { ...params, p_period: 'day' }), []);
+      assert.deepEqual(await callFunction(db, 'analytics_acquisition_funnel', params),
+        [{ total_users: 0, users_with_bookings: 0, repeat_customers: 0 }]);
+
+      const partnerRows = await callFunction(db, 'analytics_partner_performance', params);
+      assert.equal(partnerRows.length, partners.length);
+      partnerRows.forEach(row => assert.equal(row.total_bookings, 0));
+    });
+  });
+});
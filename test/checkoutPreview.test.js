@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./helpers/supabase');
+const { MIGRATIONS, createTestDatabase } = require('./helpers/database');
+const { callHandler } = require('./helpers/http');
+const { istDate, createUser, createAddress, createService, createPartner } = require('./helpers/fixtures');
+const { prepareCheckout, confirmBooking } = require('../src/controllers/checkoutController');
+
+describe('checkout previews', () => {
+  let db;
+  let service;
+  let user;
+  let address;
+  let day = 2;
+
+  const prepare = () => callHandler(prepareCheckout, {
+    user: { id: user.id },
+    body: { items: [{ service_id: service.id, quantity: 1 }], address_id: address.id }
+  });
+
+  // Each confirm books a day of its own so the one partner is always free
+  const confirm = previewId => callHandler(confirmBooking, {
+    user: { id: user.id },
+    body: {
+      preview_id: previewId,
+      payment_method: 'cash',
+      address_id: address.id,
+      booking_date: istDate(++day),
+      booking_time: '10:00 AM',
+      customer_name: user.name,
+      customer_phone: user.phone_number
+    }
+  });
+
+  const bookingCount = async () => {
+    const { rows: [{ count }] } = await db.query('SELECT count(*)::int AS count FROM bookings WHERE user_id = $1', [user.id]);
+    return count;
+  };
+
+  before(async () => {
+    db = await createTestDatabase(...MIGRATIONS);
+    useDatabase(db);
+
+    await createPartner();
+  });
+
+  beforeEach(async () => {
+    service = await createService({ product_cost: 1000 });
+    user = await createUser();
+    address = await createAddress(user.id);
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('books a preview once', async () => {
+    const { body: { data: preview } } = await prepare();
+
+    const first = await confirm(preview.preview_id);
+    const second = await confirm(preview.preview_id);
+
+    const { rows: [claimed] } = await db.query('SELECT consumed_at, booking_id FROM checkout_previews WHERE id = $1', [preview.preview_id]);
+    assert.equal(first.statusCode, 201);
+    assert.equal(second.statusCode, 409);
+    assert.equal(second.body.error, 'This checkout has already been confirmed');
+    assert.notEqual(claimed.consumed_at, null);
+    assert.equal(claimed.booking_id, first.body.data.booking.id);
+    assert.equal(await bookingCount(), 1);
+  });
+
+  it('books a preview once when two confirms race', async () => {
+    const { body: { data: preview } } = await prepare();
+
+    const results = await Promise.all([confirm(preview.preview_id), confirm(preview.preview_id)]);
+
+    assert.deepEqual(results.map(res => res.statusCode).sort(), [201, 409]);
+    assert.equal(await bookingCount(), 1);
+  });
+
+  it('rejects an expired preview', async () => {
+    const { body: { data: preview } } = await prepare();
+    await db.query("UPDATE checkout_previews SET expires_at = now() - interval '1 minute' WHERE id = $1", [preview.preview_id]);
+
+    const res = await confirm(preview.preview_id);
+
+    assert.equal(res.statusCode, 410);
+    assert.equal(await bookingCount(), 0);
+  });
+
+  it('rejects the preview of another customer', async () => {
+    const { body: { data: preview } } = await prepare();
+    user = await createUser();
+    address = await createAddress(user.id);
+
+    const res = await confirm(preview.preview_id);
+
+    assert.equal(res.statusCode, 404);
+  });
+
+  it('sends the new price back when it changed after the preview', async () => {
+    const { body: { data: preview } } = await prepare();
+    await db.query('UPDATE services SET product_cost = 1200 WHERE id = $1', [service.id]);
+
+    const res = await confirm(preview.preview_id);
+
+    const { rows: [unclaimed] } = await db.query('SELECT consumed_at FROM checkout_previews WHERE id = $1', [preview.preview_id]);
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'PRICE_CHANGED');
+    assert.equal(res.body.data.previous_pricing.grand_total, preview.pricing.grand_total);
+    assert.ok(res.body.data.pricing.grand_total > preview.pricing.grand_total);
+    assert.equal(unclaimed.consumed_at, null);
+    assert.equal(await bookingCount(), 0);
+  });
+
+  it('books the quoted price', async () => {
+    const { body: { data: preview } } = await prepare();
+
+    const res = await confirm(preview.preview_id);
+
+    const { rows: [booking] } = await db.query('SELECT grand_total::float AS grand_total FROM bookings WHERE id = $1', [res.body.data.booking.id]);
+    assert.equal(res.statusCode, 201);
+    assert.equal(booking.grand_total, preview.pricing.grand_total);
+  });
+});
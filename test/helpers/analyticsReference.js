@@ -0,0 +1,225 @@
+/**
+ * The JS aggregation the analytics SQL functions replaced (from the old admin analyticsController),
+ * run over plain fixture rows. Timestamps are UTC ISO strings; calendar days are IST days
+ * (the old code used the server's local clock, which was IST).
+ */
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function istDate(timestamp) {
+  return new Date(new Date(timestamp).getTime() + IST_OFFSET_MS).toISOString().split('T')[0];
+}
+
+function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+function weekStart(date) {
+  const start = new Date(`${date}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - start.getUTCDay());
+  return start.toISOString().split('T')[0];
+}
+
+function inRange(timestamp, { from, to } = {}) {
+  const time = new Date(timestamp).getTime();
+  return (!from || time >= new Date(from).getTime()) && (!to || time <= new Date(to).getTime());
+}
+
+function serviceItems(booking) {
+  return Array.isArray(booking.services) ? booking.services : [];
+}
+
+function revenueByCategory(bookings, range) {
+  const categoryRevenue = {};
+
+  bookings
+    .filter(b => b.status === 'completed' && b.payment_status === 'paid' && inRange(b.created_at, range))
+    .forEach(booking => {
+      serviceItems(booking).forEach(item => {
+        const category = item.service_category || item.category || 'Other';
+        const revenue = parseFloat(item.price || 0) * (item.quantity || 1);
+        categoryRevenue[category] = round2((categoryRevenue[category] || 0) + revenue);
+      });
+    });
+
+  return categoryRevenue;
+}
+
+// Peak hours filter on booking_date, so the range is compared as IST days
+function peakHours(bookings, { from, to } = {}) {
+  const dayHourCounts = {};
+
+  bookings
+    .filter(b => ['confirmed', 'completed'].includes(b.status))
+    .filter(b => (!from || b.booking_date >= istDate(from)) && (!to || b.booking_date <= istDate(to)))
+    .forEach(booking => {
+      const hour = parseInt(booking.booking_time.split(':')[0]) || 0;
+      const key = `${dayOfWeek(booking.booking_date)}-${hour}`;
+      dayHourCounts[key] = (dayHourCounts[key] || 0) + 1;
+    });
+
+  return dayHourCounts;
+}
+
+function acquisitionFunnel(users, bookings, range) {
+  const bookingCounts = {};
+  bookings
+    .filter(b => inRange(b.created_at, range))
+    .forEach(booking => {
+      bookingCounts[booking.user_id] = (bookingCounts[booking.user_id] || 0) + 1;
+    });
+
+  return {
+    total_users: users.filter(u => inRange(u.created_at, range)).length,
+    users_with_bookings: Object.keys(bookingCounts).length,
+    repeat_customers: Object.values(bookingCounts).filter(count => count >= 2).length,
+  };
+}
+
+function partnerPerformance(partners, bookings, range) {
+  const stats = {};
+  partners.forEach(partner => {
+    stats[partner.id] = {
+      total_bookings: 0,
+      completed_bookings: 0,
+      cancelled_bookings: 0,
+      total_earnings: 0,
+      ratings: [],
+      response_times: [],
+    };
+  });
+
+  bookings
+    .filter(b => b.partner_id && stats[b.partner_id] && inRange(b.created_at, range))
+    .forEach(booking => {
+      const partnerStats = stats[booking.partner_id];
+      partnerStats.total_bookings++;
+      if (booking.status === 'completed') {
+        partnerStats.completed_bookings++;
+        partnerStats.total_earnings += parseFloat(booking.partner_payout || 0);
+      }
+      if (booking.status === 'cancelled') partnerStats.cancelled_bookings++;
+      if (booking.customer_rating) partnerStats.ratings.push(parseFloat(booking.customer_rating));
+      if (booking.assigned_at && booking.accepted_at) {
+        partnerStats.response_times.push((new Date(booking.accepted_at) - new Date(booking.assigned_at)) / (1000 * 60));
+      }
+    });
+
+  const average = values => values.length > 0
+    ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10
+    : 0;
+
+  return Object.fromEntries(Object.entries(stats).map(([partnerId, partnerStats]) => [partnerId, {
+    total_bookings: partnerStats.total_bookings,
+    completed_bookings: partnerStats.completed_bookings,
+    cancelled_bookings: partnerStats.cancelled_bookings,
+    total_earnings: round2(partnerStats.total_earnings),
+    average_rating: average(partnerStats.ratings),
+    average_response_time: average(partnerStats.response_times),
+  }]));
+}
+
+function geographic(bookings, addresses, range) {
+  const addressById = Object.fromEntries(addresses.map(address => [address.id, address]));
+  const result = { pincode: {}, city: {} };
+
+  bookings
+    .filter(b => ['confirmed', 'completed'].includes(b.status) && inRange(b.created_at, range))
+    .forEach(booking => {
+      const address = addressById[booking.address_id];
+      [['pincode', address.pincode], ['city', address.city]].forEach(([dimension, area]) => {
+        const entry = result[dimension][area] || { bookings: 0, revenue: 0 };
+        entry.bookings++;
+        entry.revenue = round2(entry.revenue + parseFloat(booking.grand_total || 0));
+        result[dimension][area] = entry;
+      });
+    });
+
+  return result;
+}
+
+function cohortRetention(users, bookings, cohortPeriod, periods) {
+  const firstBooking = {};
+  [...bookings]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach(booking => {
+      if (!firstBooking[booking.user_id]) firstBooking[booking.user_id] = istDate(booking.created_at);
+    });
+
+  const cohorts = {};
+  users.forEach(user => {
+    const joined = istDate(user.created_at);
+    const cohort = cohortPeriod === 'week' ? weekStart(joined) : joined.slice(0, 7);
+    const first = firstBooking[user.id];
+    let period = null;
+
+    if (first) {
+      const index = cohortPeriod === 'week'
+        ? Math.floor((new Date(first) - new Date(cohort)) / (7 * 24 * 60 * 60 * 1000))
+        : (Number(first.slice(0, 4)) - Number(cohort.slice(0, 4))) * 12 + Number(first.slice(5, 7)) - Number(cohort.slice(5, 7));
+      period = index >= 0 && index < periods ? index : null;
+    }
+
+    const key = `${cohort}|${period}`;
+    cohorts[key] = (cohorts[key] || 0) + 1;
+  });
+
+  return cohorts;
+}
+
+function servicePopularity(bookings, range) {
+  const serviceStats = {};
+
+  bookings
+    .filter(b => ['confirmed', 'completed'].includes(b.status) && inRange(b.created_at, range))
+    .forEach(booking => {
+      serviceItems(booking).forEach(item => {
+        const serviceName = item.service_name || item.name || 'Unknown Service';
+        const stats = serviceStats[serviceName] || {
+          service_id: item.service_id || item.id,
+          bookings: 0,
+          quantity: 0,
+          revenue: 0,
+        };
+        stats.bookings++;
+        stats.quantity += (item.quantity || 1);
+        stats.revenue = round2(stats.revenue + parseFloat(item.price || 0) * (item.quantity || 1));
+        serviceStats[serviceName] = stats;
+      });
+    });
+
+  return serviceStats;
+}
+
+function aovTrends(bookings, range, period) {
+  const periodData = {};
+
+  bookings
+    .filter(b => b.status === 'completed' && b.payment_status === 'paid' && inRange(b.created_at, range))
+    .forEach(booking => {
+      const date = booking.booking_date || istDate(booking.created_at);
+      const key = period === 'day' ? date : period === 'week' ? weekStart(date) : date.slice(0, 7);
+      const entry = periodData[key] || { total_revenue: 0, booking_count: 0 };
+      entry.total_revenue = round2(entry.total_revenue + parseFloat(booking.grand_total || 0));
+      entry.booking_count++;
+      periodData[key] = entry;
+    });
+
+  return periodData;
+}
+
+module.exports = {
+  istDate,
+  revenueByCategory,
+  peakHours,
+  acquisitionFunnel,
+  partnerPerformance,
+  geographic,
+  cohortRetention,
+  servicePopularity,
+  aovTrends,
+};
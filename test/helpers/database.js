@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const CONFIG_DIR = path.join(__dirname, '../../src/config');
+
+// Every migration, in the order the README runs them
+const MIGRATIONS = [
+  'add_service_columns.sql',
+  'add_categories_table.sql',
+  'add_analytics_functions.sql',
+  'add_promo_code_usage.sql',
+  'add_promo_code_stats.sql',
+  'add_promo_targeting.sql',
+  'add_checkout_previews.sql',
+  'add_availability.sql',
+  'add_partner_assignment.sql',
+  'add_partner_app.sql',
+  'add_booking_events.sql',
+  'add_refunds.sql',
+  'add_cancellation_policies.sql',
+  'add_reschedules.sql',
+  'add_service_max_quantity.sql',
+  'add_carts.sql',
+  'add_gst_invoicing.sql',
+  'add_pricing_rules.sql',
+  'add_slot_pricing.sql',
+  'add_wallet.sql',
+  'add_notifications.sql',
+  'add_otp_channels.sql',
+  'add_otp_security.sql',
+  'add_user_sessions.sql',
+  'add_admin_roles.sql'
+];
+
+/**
+ * Create an in-memory Postgres with src/config/database.sql and the given migrations applied
+ * e.g. await createTestDatabase('add_analytics_functions.sql')
+ */
+async function createTestDatabase(...migrations) {
+  const db = new PGlite();
+
+  // Runs in UTC like Supabase, so TIMESTAMP columns hold UTC
+  await db.exec("SET TIME ZONE 'UTC'");
+
+  for (const file of ['database.sql', ...migrations]) {
+    let sql = fs.readFileSync(path.join(CONFIG_DIR, file), 'utf8');
+    // gen_random_uuid() is built in; uuid-ossp is not bundled with PGlite
+    sql = sql.replace(/CREATE EXTENSION IF NOT EXISTS "uuid-ossp";/, '');
+    await db.exec(sql);
+  }
+
+  return db;
+}
+
+/**
+ * Call a SQL function with named arguments, like supabase.rpc(name, params)
+ */
+async function callFunction(db, name, params = {}) {
+  const keys = Object.keys(params);
+  const args = keys.map((key, index) => `${key} => $${index + 1}`).join(', ');
+  const { rows } = await db.query(`SELECT * FROM ${name}(${args})`, keys.map(key => params[key]));
+  return rows;
+}
+
+module.exports = { MIGRATIONS, createTestDatabase, callFunction };
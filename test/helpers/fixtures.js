@@ -0,0 +1,99 @@
+/**
+ * Rows for tests, inserted through the test Supabase client (so they come back as the app sees them)
+ */
+
+const { client } = require('./supabase');
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+let sequence = 0;
+
+async function insert(table, values) {
+  const { data, error } = await client.from(table).insert(values).select().single();
+  if (error) {
+    throw new Error(`Insert into ${table} failed: ${error.message}`);
+  }
+  return data;
+}
+
+/**
+ * IST calendar date `days` from today, e.g. '2026-10-26'
+ */
+function istDate(days = 0) {
+  return new Date(Date.now() + IST_OFFSET_MS + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function nextNumber() {
+  sequence++;
+  return String(sequence).padStart(6, '0');
+}
+
+function createUser(overrides = {}) {
+  return insert('users', { phone_number: `+9198${nextNumber()}00`, name: 'Test Customer', ...overrides });
+}
+
+function createAddress(userId, overrides = {}) {
+  return insert('user_addresses', {
+    user_id: userId,
+    address_line1: '1 Test Street',
+    city: 'Bengaluru',
+    state: 'Karnataka',
+    pincode: '560001',
+    ...overrides
+  });
+}
+
+function createService(overrides = {}) {
+  return insert('services', {
+    name: `Test Service ${nextNumber()}`,
+    category: 'Facial',
+    tier: 'Classic',
+    product_cost: 1000,
+    duration_minutes: 60,
+    ...overrides
+  });
+}
+
+function createPartner(overrides = {}) {
+  const number = nextNumber();
+  return insert('partners', {
+    partner_code: `P-${number}`,
+    name: 'Test Partner',
+    phone_number: `+9197${number}00`,
+    ...overrides
+  });
+}
+
+/**
+ * Booking for `user` at `address` with one line of `service` (or the given `services`)
+ */
+function createBooking({ user, address, service = null, ...overrides }) {
+  const price = service ? parseFloat(service.product_cost) : 1000;
+  return insert('bookings', {
+    booking_number: `MS-T${nextNumber()}`,
+    user_id: user.id,
+    address_id: address.id,
+    services: service
+      ? [{ service_id: service.id, name: service.name, category: service.category, tier: service.tier, quantity: 1, price }]
+      : [],
+    booking_date: istDate(3),
+    booking_time: '10:00:00',
+    duration_minutes: service ? service.duration_minutes : 60,
+    payment_method: 'online',
+    total_price: price,
+    tax: 0,
+    grand_total: price,
+    customer_name: user.name,
+    customer_phone: user.phone_number,
+    ...overrides
+  });
+}
+
+module.exports = {
+  insert,
+  istDate,
+  createUser,
+  createAddress,
+  createService,
+  createPartner,
+  createBooking
+};
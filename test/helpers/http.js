@@ -0,0 +1,70 @@
+/**
+ * Minimal Express request/response stand-ins for calling controllers and middleware directly
+ */
+
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    cookies: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    cookie(name, value) {
+      res.cookies[name] = value;
+      return res;
+    },
+    clearCookie(name) {
+      res.cookies[name] = null;
+      return res;
+    },
+    end() {
+      return res;
+    }
+  };
+  return res;
+}
+
+function createRequest(req = {}) {
+  return { params: {}, query: {}, body: {}, headers: {}, cookies: {}, ip: '127.0.0.1', ...req };
+}
+
+/**
+ * Run a controller, e.g. const res = await callHandler(cancelBooking, { params: { id }, user })
+ */
+async function callHandler(handler, req) {
+  const res = createResponse();
+  await handler(createRequest(req), res);
+  return res;
+}
+
+/**
+ * Run a middleware; `nextCalled` is true when it let the request through
+ */
+async function callMiddleware(middleware, req) {
+  const res = createResponse();
+  const request = createRequest(req);
+  let nextCalled = false;
+  await middleware(request, res, () => { nextCalled = true; });
+  return { req: request, res, nextCalled };
+}
+
+module.exports = { createResponse, createRequest, callHandler, callMiddleware };
@@ -0,0 +1,56 @@
+/**
+ * Razorpay stand-in: test keys are set and orders and refunds are recorded instead of sent to the gateway
+ * Require before any app module that loads razorpayService (some take createRefund at require time).
+ */
+
+require('./env');
+process.env.RAZORPAY_KEY_ID = 'rzp_test_key';
+process.env.RAZORPAY_KEY_SECRET = 'test-razorpay-secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const crypto = require('crypto');
+const razorpayService = require('../../src/services/razorpayService');
+
+// Set `failOrders` / `failRefunds` to make the next calls fail like a gateway error
+const gateway = { orders: [], refunds: [], failOrders: false, failRefunds: false };
+
+razorpayService.createOrder = async (amount, receipt, notes = {}) => {
+  if (gateway.failOrders) {
+    throw new Error('Failed to create payment order');
+  }
+  const order = { id: `order_test_${gateway.orders.length + 1}`, amount: Math.round(amount * 100), currency: 'INR', receipt, notes };
+  gateway.orders.push(order);
+  return { success: true, order_id: order.id, amount: order.amount, currency: order.currency, receipt };
+};
+
+razorpayService.createRefund = async (paymentId, amount, notes = {}, receipt = undefined) => {
+  if (gateway.failRefunds) {
+    throw new Error('Failed to create refund');
+  }
+  const refund = { id: `rfnd_test_${gateway.refunds.length + 1}`, payment_id: paymentId, amount, notes, receipt };
+  gateway.refunds.push(refund);
+  return { refund_id: refund.id, amount, status: 'pending' };
+};
+
+function hmac(secret, text) {
+  return crypto.createHmac('sha256', secret).update(text).digest('hex');
+}
+
+/**
+ * Webhook request for `payload`, signed the way Razorpay signs it
+ */
+function webhookRequest(payload) {
+  return {
+    headers: { 'x-razorpay-signature': hmac(process.env.RAZORPAY_WEBHOOK_SECRET, JSON.stringify(payload)) },
+    body: payload
+  };
+}
+
+/**
+ * Checkout signature Razorpay returns to the client for an order and payment
+ */
+function paymentSignature(orderId, paymentId) {
+  return hmac(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`);
+}
+
+module.exports = { gateway, webhookRequest, paymentSignature };
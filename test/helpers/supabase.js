@@ -0,0 +1,523 @@
+/**
+ * Supabase client for tests, backed by a PGlite database from ./database
+ * Covers the part of the supabase-js query builder the app uses. Rows are built as JSON in SQL,
+ * so values come back typed the way PostgREST returns them (numeric as numbers, timestamps as strings).
+ *
+ * Requiring this file makes `src/config/supabase` resolve to the test client, so require it before
+ * any app module and point it at a database with useDatabase(db).
+ */
+
+require('./env');
+
+const SUPABASE_CONFIG = require.resolve('../../src/config/supabase');
+
+const FILTER_OPERATORS = {
+  eq: '=',
+  neq: '<>',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'LIKE',
+  ilike: 'ILIKE'
+};
+
+let database = null;
+let schemaPromise = null;
+
+function quoteIdent(name) {
+  if (!/^\w+$/.test(name)) {
+    throw new Error(`Unsupported column in test client: ${name}`);
+  }
+  return `"${name}"`;
+}
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+function unquote(value) {
+  return value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value;
+}
+
+function toPostgresError(error) {
+  return { code: error.code, message: error.message, details: error.detail || null, hint: error.hint || null };
+}
+
+async function loadSchema() {
+  const { rows: columns } = await database.query(`
+    SELECT c.relname AS table_name, a.attname AS column_name, format_type(a.atttypid, a.atttypmod) AS type
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = 'public' AND c.relkind IN ('r', 'v') AND a.attnum > 0 AND NOT a.attisdropped`);
+
+  const { rows: constraints } = await database.query(`
+    SELECT con.conname AS name, con.contype AS kind, src.relname AS table_name, a.attname AS column_name,
+      ref.relname AS ref_table, ra.attname AS ref_column
+    FROM pg_constraint con
+    JOIN pg_class src ON src.oid = con.conrelid
+    JOIN pg_namespace n ON n.oid = src.relnamespace
+    JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = con.conkey[1]
+    LEFT JOIN pg_class ref ON ref.oid = con.confrelid
+    LEFT JOIN pg_attribute ra ON ra.attrelid = con.confrelid AND ra.attnum = con.confkey[1]
+    WHERE n.nspname = 'public' AND con.contype IN ('f', 'p')`);
+
+  const types = {};
+  for (const { table_name: table, column_name: column, type } of columns) {
+    types[table] = types[table] || {};
+    types[table][column] = type;
+  }
+
+  return {
+    types,
+    foreignKeys: constraints.filter(c => c.kind === 'f'),
+    primaryKeys: Object.fromEntries(constraints.filter(c => c.kind === 'p').map(c => [c.table_name, c.column_name]))
+  };
+}
+
+function getSchema() {
+  if (!database) {
+    throw new Error('Test client has no database: call useDatabase(db) first');
+  }
+  schemaPromise = schemaPromise || loadSchema();
+  return schemaPromise;
+}
+
+/**
+ * Text for a bind parameter that Postgres casts to the column type
+ */
+function toText(value, type) {
+  if (Array.isArray(value) && type.endsWith('[]')) {
+    return `{${value.map(item => `"${String(item).replace(/(["\\])/g, '\\$1')}"`).join(',')}}`;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+class Statement {
+  constructor(schema, table) {
+    this.schema = schema;
+    this.table = table;
+    this.params = [];
+    this.aliasCount = 0;
+  }
+
+  param(value, type) {
+    this.params.push(toText(value, type));
+    return `$${this.params.length}::${type}`;
+  }
+
+  columnType(table, column) {
+    const type = this.schema.types[table]?.[column];
+    if (!type) {
+      throw new Error(`Unknown column ${table}.${column}`);
+    }
+    return type;
+  }
+
+  condition(qualifier, column, operator, value) {
+    const target = `${qualifier}.${quoteIdent(column)}`;
+    const type = this.columnType(this.table, column);
+
+    if (operator === 'is') {
+      const literal = value === null || value === 'null' ? 'NULL' : String(value).toUpperCase();
+      return `${target} IS ${literal}`;
+    }
+    if (operator === 'in') {
+      const values = Array.isArray(value) ? value : splitTopLevel(String(value).replace(/^\(|\)$/g, '')).map(unquote);
+      return `${target} = ANY(${this.param(values, `${type}[]`)})`;
+    }
+    if (operator === 'cs') {
+      return `${target} @> ${this.param(value, type)}`;
+    }
+    if (!FILTER_OPERATORS[operator]) {
+      throw new Error(`Unsupported filter operator in test client: ${operator}`);
+    }
+
+    const isPattern = operator === 'like' || operator === 'ilike';
+    const text = isPattern ? String(value).replace(/\*/g, '%') : value;
+    return `${target} ${FILTER_OPERATORS[operator]} ${this.param(text, isPattern ? 'text' : type)}`;
+  }
+
+  /**
+   * PostgREST logic trees, e.g. or('status.eq.paid,and(a.gt.1,b.is.null)')
+   */
+  logicTree(qualifier, text, joiner) {
+    const parts = splitTopLevel(text).map(part => {
+      const group = part.match(/^(not\.)?(and|or)\((.*)\)$/);
+      if (group) {
+        const inner = this.logicTree(qualifier, group[3], group[2] === 'and' ? 'AND' : 'OR');
+        return group[1] ? `NOT (${inner})` : `(${inner})`;
+      }
+
+      const [, column, negated, operator, value] = part.match(/^(\w+)\.(not\.)?(\w+)\.(.*)$/);
+      const sql = this.condition(qualifier, column, operator, unquote(value));
+      return negated ? `NOT (${sql})` : sql;
+    });
+    return parts.join(` ${joiner} `);
+  }
+
+  /**
+   * Select list for rows of `table` read through `source`, with embedded resources as JSON subqueries
+   */
+  selectList(table, source, columns) {
+    return splitTopLevel(columns).map(item => {
+      if (item === '*') return `${source}.*`;
+
+      const embed = item.match(/^(?:(\w+):)?(\w+)(?:!(\w+))?\((.*)\)$/s);
+      if (embed) {
+        const [, alias, relation, hint, inner] = embed;
+        return `${this.embed(table, source, relation, hint, inner)} AS ${quoteIdent(alias || relation)}`;
+      }
+
+      const [name, column] = item.includes(':') ? item.split(':') : [item, item];
+      return `${source}.${quoteIdent(column.trim())} AS ${quoteIdent(name.trim())}`;
+    }).join(', ');
+  }
+
+  embed(table, source, relation, hint, columns) {
+    const matches = fk => !hint || hint === 'inner' || fk.name === hint || fk.column_name === hint;
+    const alias = `e${++this.aliasCount}`;
+    const toOne = this.schema.foreignKeys.find(fk => fk.table_name === table && fk.ref_table === relation && matches(fk));
+
+    if (toOne) {
+      return `(SELECT row_to_json(${alias}_r) FROM (SELECT ${this.selectList(relation, alias, columns)} FROM ${quoteIdent(relation)} ${alias}
+        WHERE ${alias}.${quoteIdent(toOne.ref_column)} = ${source}.${quoteIdent(toOne.column_name)} LIMIT 1) ${alias}_r)`;
+    }
+
+    const toMany = this.schema.foreignKeys.find(fk => fk.table_name === relation && fk.ref_table === table && matches(fk));
+    if (!toMany) {
+      throw new Error(`No relationship between ${table} and ${relation}`);
+    }
+
+    return `COALESCE((SELECT json_agg(row_to_json(${alias}_r)) FROM (SELECT ${this.selectList(relation, alias, columns)} FROM ${quoteIdent(relation)} ${alias}
+      WHERE ${alias}.${quoteIdent(toMany.column_name)} = ${source}.${quoteIdent(toMany.ref_column)}) ${alias}_r), '[]'::json)`;
+  }
+}
+
+class QueryBuilder {
+  constructor(table) {
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.returning = false;
+    this.resultMode = 'many';
+    this.countRows = false;
+    this.headOnly = false;
+    this.values = null;
+    this.upsertOptions = {};
+  }
+
+  select(columns = '*', { count, head } = {}) {
+    if (this.action === 'select') {
+      this.countRows = count === 'exact';
+      this.headOnly = !!head;
+    } else {
+      this.returning = true;
+    }
+    this.columns = columns;
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict, ignoreDuplicates = false } = {}) {
+    this.insert(values);
+    this.action = 'upsert';
+    this.upsertOptions = { onConflict, ignoreDuplicates };
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = [values];
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  addFilter(build) {
+    this.filters.push(build);
+    return this;
+  }
+
+  eq(column, value) { return this.addFilter(s => s.condition('t0', column, 'eq', value)); }
+  neq(column, value) { return this.addFilter(s => s.condition('t0', column, 'neq', value)); }
+  gt(column, value) { return this.addFilter(s => s.condition('t0', column, 'gt', value)); }
+  gte(column, value) { return this.addFilter(s => s.condition('t0', column, 'gte', value)); }
+  lt(column, value) { return this.addFilter(s => s.condition('t0', column, 'lt', value)); }
+  lte(column, value) { return this.addFilter(s => s.condition('t0', column, 'lte', value)); }
+  like(column, value) { return this.addFilter(s => s.condition('t0', column, 'like', value)); }
+  ilike(column, value) { return this.addFilter(s => s.condition('t0', column, 'ilike', value)); }
+  is(column, value) { return this.addFilter(s => s.condition('t0', column, 'is', value)); }
+  in(column, values) { return this.addFilter(s => s.condition('t0', column, 'in', values)); }
+  contains(column, value) { return this.addFilter(s => s.condition('t0', column, 'cs', value)); }
+  not(column, operator, value) { return this.addFilter(s => `NOT (${s.condition('t0', column, operator, value)})`); }
+  filter(column, operator, value) { return this.addFilter(s => s.condition('t0', column, operator, value)); }
+  or(text) { return this.addFilter(s => `(${s.logicTree('t0', text, 'OR')})`); }
+
+  match(values) {
+    Object.entries(values).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst } = {}) {
+    const nulls = nullsFirst === undefined ? '' : nullsFirst ? ' NULLS FIRST' : ' NULLS LAST';
+    this.orders.push(`t0.${quoteIdent(column)} ${ascending ? 'ASC' : 'DESC'}${nulls}`);
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.resultMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.resultMode = 'maybeSingle';
+    return this;
+  }
+
+  where(statement) {
+    const conditions = this.filters.map(build => build(statement));
+    return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  }
+
+  mutation(statement) {
+    const table = quoteIdent(this.table);
+
+    if (this.action === 'delete') {
+      return `DELETE FROM ${table} AS t0${this.where(statement)} RETURNING t0.*`;
+    }
+
+    const columns = [...new Set(this.values.flatMap(row => Object.keys(row).filter(key => row[key] !== undefined)))].map(quoteIdent);
+    const record = statement.param(this.action === 'update' ? this.values[0] : this.values, 'json');
+
+    if (this.action === 'update') {
+      const assignments = columns.map(column => `${column} = v.${column}`).join(', ');
+      return `UPDATE ${table} AS t0 SET ${assignments} FROM json_populate_record(NULL::${table}, ${record}) AS v${this.where(statement)} RETURNING t0.*`;
+    }
+
+    let sql = `INSERT INTO ${table} AS t0 (${columns.join(', ')})
+      SELECT ${columns.join(', ')} FROM json_populate_recordset(NULL::${table}, ${record})`;
+
+    if (this.action === 'upsert') {
+      const target = (this.upsertOptions.onConflict || statement.schema.primaryKeys[this.table])
+        .split(',').map(column => quoteIdent(column.trim())).join(', ');
+      sql += this.upsertOptions.ignoreDuplicates
+        ? ` ON CONFLICT (${target}) DO NOTHING`
+        : ` ON CONFLICT (${target}) DO UPDATE SET ${columns.map(column => `${column} = EXCLUDED.${column}`).join(', ')}`;
+    }
+
+    return `${sql} RETURNING t0.*`;
+  }
+
+  async execute() {
+    const schema = await getSchema();
+    const statement = new Statement(schema, this.table);
+    let count = null;
+    let rows;
+
+    try {
+      if (this.action === 'select') {
+        const where = this.where(statement);
+        if (this.countRows) {
+          const { rows: [counted] } = await database.query(
+            `SELECT count(*)::int AS count FROM ${quoteIdent(this.table)} t0${where}`, statement.params);
+          count = counted.count;
+        }
+
+        if (this.headOnly) {
+          return { data: null, error: null, count };
+        }
+
+        const order = this.orders.length > 0 ? ` ORDER BY ${this.orders.join(', ')}` : '';
+        const limit = this.limitCount !== null ? ` LIMIT ${this.limitCount}` : '';
+        const offset = this.offsetCount !== null ? ` OFFSET ${this.offsetCount}` : '';
+        const list = statement.selectList(this.table, 't0', this.columns);
+        const { rows: [result] } = await database.query(
+          `SELECT COALESCE(json_agg(r), '[]'::json) AS data FROM (
+            SELECT ${list} FROM ${quoteIdent(this.table)} t0${where}${order}${limit}${offset}) r`,
+          statement.params);
+        rows = result.data;
+      } else {
+        const mutation = this.mutation(statement);
+        const list = statement.selectList(this.table, 't0', this.columns);
+        const { rows: [result] } = await database.query(
+          `WITH m AS (${mutation}) SELECT COALESCE(json_agg(r), '[]'::json) AS data FROM (SELECT ${list} FROM m t0) r`,
+          statement.params);
+        rows = result.data;
+
+        if (!this.returning) {
+          return { data: null, error: null, count };
+        }
+      }
+    } catch (error) {
+      if (!error.code) throw error;
+      return { data: null, error: toPostgresError(error), count };
+    }
+
+    return shapeResult(rows, this.resultMode, count);
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+}
+
+function shapeResult(rows, resultMode, count = null) {
+  if (resultMode === 'many') {
+    return { data: rows, error: null, count };
+  }
+  if (rows.length === 1 || (resultMode === 'maybeSingle' && rows.length === 0)) {
+    return { data: rows[0] || null, error: null, count };
+  }
+  return {
+    data: null,
+    error: {
+      code: 'PGRST116',
+      message: 'JSON object requested, multiple (or no) rows returned',
+      details: `The result contains ${rows.length} rows`,
+      hint: null
+    },
+    count
+  };
+}
+
+class RpcBuilder {
+  constructor(name, params) {
+    this.name = name;
+    this.params = params || {};
+    this.resultMode = null;
+  }
+
+  single() {
+    this.resultMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.resultMode = 'maybeSingle';
+    return this;
+  }
+
+  async execute() {
+    const { rows: [fn] } = await database.query(`
+      SELECT p.proretset AS returns_set, t.typtype AS kind, t.typname AS type_name, p.proargnames AS names,
+        p.proargmodes::text[] AS modes,
+        ARRAY(SELECT format_type(a.oid, NULL) FROM unnest(COALESCE(p.proallargtypes, p.proargtypes::oid[])) WITH ORDINALITY AS a(oid, n) ORDER BY a.n) AS types
+      FROM pg_proc p
+      JOIN pg_type t ON t.oid = p.prorettype
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      WHERE n.nspname = 'public' AND p.proname = $1`, [this.name]);
+
+    if (!fn) {
+      return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${this.name}` } };
+    }
+
+    const argTypes = {};
+    (fn.names || []).forEach((name, index) => {
+      const mode = fn.modes ? fn.modes[index] : 'i';
+      if (mode === 'i' || mode === 'b') argTypes[name] = fn.types[index];
+    });
+
+    const values = [];
+    const args = Object.entries(this.params).map(([name, value]) => {
+      if (!argTypes[name]) {
+        throw new Error(`Unknown argument ${name} for ${this.name}`);
+      }
+      if (value === null || value === undefined) return `${name} => NULL::${argTypes[name]}`;
+      values.push(toText(value, argTypes[name]));
+      return `${name} => $${values.length}::${argTypes[name]}`;
+    }).join(', ');
+
+    const call = `${quoteIdent(this.name)}(${args})`;
+    let sql;
+    if (fn.returns_set) {
+      sql = `SELECT COALESCE(json_agg(r), '[]'::json) AS data FROM ${call} r`;
+    } else if (fn.kind === 'c') {
+      sql = `SELECT row_to_json(r) AS data FROM ${call} r`;
+    } else {
+      sql = `SELECT to_json(${call}) AS data`;
+    }
+
+    try {
+      const { rows: [result] } = await database.query(sql, values);
+      const data = fn.type_name === 'void' ? null : result.data;
+      if (this.resultMode) {
+        return shapeResult(Array.isArray(data) ? data : [data], this.resultMode);
+      }
+      return { data, error: null };
+    } catch (error) {
+      if (!error.code) throw error;
+      return { data: null, error: toPostgresError(error) };
+    }
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+}
+
+const client = {
+  from: table => new QueryBuilder(table),
+  rpc: (name, params) => new RpcBuilder(name, params)
+};
+
+require.cache[SUPABASE_CONFIG] = {
+  id: SUPABASE_CONFIG,
+  filename: SUPABASE_CONFIG,
+  loaded: true,
+  exports: client
+};
+
+/**
+ * Point the test client (and every app module using src/config/supabase) at a PGlite database
+ */
+function useDatabase(db) {
+  database = db;
+  schemaPromise = null;
+}
+
+module.exports = { client, useDatabase };
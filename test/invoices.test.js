@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useDatabase } = require('./helpers/supabase');
+const { MIGRATIONS, createTestDatabase } = require('./helpers/database');
+const { callHandler } = require('./helpers/http');
+const { createUser, createAddress, createService, createPartner, createBooking } = require('./helpers/fixtures');
+const {
+  updateBookingStatus,
+  getAdminBookingInvoice,
+  issueAdminBookingInvoice
+} = require('../src/controllers/admin/bookingController');
+const { getBookingInvoicePdf } = require('../src/controllers/bookingController');
+
+describe('invoices', () => {
+  let db;
+  let user;
+  let address;
+  let service;
+  let partner;
+  const admin = { id: crypto.randomUUID(), role: 'finance' };
+
+  const getInvoice = booking => callHandler(getAdminBookingInvoice, { params: { id: booking.id }, admin });
+  const issue = booking => callHandler(issueAdminBookingInvoice, { params: { id: booking.id }, admin });
+
+  const numbersUsed = async () => {
+    const { rows: [{ total }] } = await db.query('SELECT coalesce(sum(last_number), 0)::int AS total FROM invoice_sequences');
+    return total;
+  };
+
+  // Completed without going through the status endpoint, as when issuing on completion failed
+  const completedBooking = () => createBooking({
+    user,
+    address,
+    service,
+    partner_id: partner.id,
+    status: 'completed',
+    completed_at: new Date().toISOString()
+  });
+
+  before(async () => {
+    db = await createTestDatabase(...MIGRATIONS);
+    useDatabase(db);
+
+    user = await createUser();
+    address = await createAddress(user.id);
+    service = await createService();
+    partner = await createPartner();
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('are issued when an admin completes the booking', async () => {
+    const booking = await createBooking({ user, address, service, partner_id: partner.id, status: 'in_progress' });
+
+    await callHandler(updateBookingStatus, { params: { id: booking.id }, admin: { ...admin, role: 'ops' }, body: { status: 'completed' } });
+    const first = await getInvoice(booking);
+    const second = await getInvoice(booking);
+
+    assert.equal(first.statusCode, 200);
+    assert.match(first.body.data.invoice_number, /^MS\/\d{2}-\d{2}\/\d{6}$/);
+    assert.equal(second.body.data.invoice_number, first.body.data.invoice_number);
+  });
+
+  it('are not issued by reading them', async () => {
+    const booking = await completedBooking();
+    const before = await numbersUsed();
+
+    const res = await getInvoice(booking);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.error, 'The invoice for this booking has not been issued yet');
+    assert.equal(await numbersUsed(), before);
+  });
+
+  it('are not available to the customer before the service is completed', async () => {
+    const booking = await createBooking({ user, address, service });
+    const before = await numbersUsed();
+
+    const res = await callHandler(getBookingInvoicePdf, { params: { id: booking.id }, user: { id: user.id } });
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.error, 'The invoice is available once the service is completed');
+    assert.equal(await numbersUsed(), before);
+  });
+
+  it('can be issued by an admin once, using one number', async () => {
+    const booking = await completedBooking();
+    const before = await numbersUsed();
+
+    const first = await issue(booking);
+    const second = await issue(booking);
+
+    assert.equal(first.statusCode, 200);
+    assert.equal(second.body.data.invoice_number, first.body.data.invoice_number);
+    assert.equal(await numbersUsed(), before + 1);
+    assert.equal((await getInvoice(booking)).body.data.invoice_number, first.body.data.invoice_number);
+  });
+
+  it('cannot be issued by an admin before the service is completed', async () => {
+    const booking = await createBooking({ user, address, service });
+
+    const res = await issue(booking);
+
+    assert.equal(res.statusCode, 409);
+  });
+});
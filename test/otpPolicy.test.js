@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./helpers/supabase');
+const { MIGRATIONS, createTestDatabase } = require('./helpers/database');
+const { hashOTP, assertNotLocked, isPhoneSendLimited, isChannelLimited } = require('../src/services/otpPolicyService');
+const { sendOTP, verifyOTP } = require('../src/services/interaktOTPService');
+
+describe('OTP limits', () => {
+  let db;
+  let phoneSequence = 0;
+
+  const nextPhone = () => `+9196${String(++phoneSequence).padStart(6, '0')}00`;
+
+  const storeOTP = async (phoneNumber, code) => {
+    await db.query(
+      "INSERT INTO otp_verifications (phone_number, otp_hash, expires_at, channel) VALUES ($1, $2, now() + interval '10 minutes', 'whatsapp')",
+      [phoneNumber, await hashOTP(code)]
+    );
+  };
+
+  const failVerifications = async (phoneNumber, ip, times) => {
+    for (let i = 0; i < times; i++) {
+      await verifyOTP(phoneNumber, '000000', { ip }).catch(() => {});
+    }
+  };
+
+  before(async () => {
+    db = await createTestDatabase(...MIGRATIONS);
+    useDatabase(db);
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  describe('failed verifications', () => {
+    it('lock out the guessing IP for the number but not its owner', async () => {
+      const victim = nextPhone();
+      await storeOTP(victim, '123456');
+
+      await failVerifications(victim, '203.0.113.10', 5);
+
+      await assert.rejects(verifyOTP(victim, '123456', { ip: '203.0.113.10' }), { statusCode: 429 });
+      // The guesses used up that code; the owner asks for a new one and signs in
+      await assertNotLocked(victim, '198.51.100.7', 'send');
+      await storeOTP(victim, '234567');
+      assert.deepEqual(await verifyOTP(victim, '234567', { ip: '198.51.100.7' }), { success: true, verified: true });
+    });
+
+    it('lock out the number once guesses come from many IPs', async () => {
+      const victim = nextPhone();
+
+      await failVerifications(victim, '203.0.113.21', 5);
+      await failVerifications(victim, '203.0.113.22', 5);
+      await failVerifications(victim, '203.0.113.23', 5);
+
+      await assert.rejects(assertNotLocked(victim, '198.51.100.8', 'send'), { statusCode: 429 });
+    });
+
+    it('lock out an IP guessing across many numbers', async () => {
+      const ip = '203.0.113.30';
+      for (let i = 0; i < 5; i++) {
+        await failVerifications(nextPhone(), ip, 4);
+      }
+
+      await assert.rejects(assertNotLocked(nextPhone(), ip, 'verify'), { statusCode: 429 });
+    });
+
+    it('are cleared for the number and this IP by a correct code, but not for the IP', async () => {
+      const phoneNumber = nextPhone();
+      const ip = '203.0.113.40';
+      await storeOTP(phoneNumber, '654321');
+      await failVerifications(phoneNumber, ip, 3);
+
+      await verifyOTP(phoneNumber, '654321', { ip });
+
+      const { rows } = await db.query(
+        'SELECT subject_type, failed_attempts FROM otp_lockouts WHERE subject IN ($1, $2, $3) ORDER BY subject_type',
+        [phoneNumber, `${phoneNumber}|${ip}`, ip]
+      );
+      assert.deepEqual(rows, [
+        { subject_type: 'ip', failed_attempts: 3 },
+        { subject_type: 'phone', failed_attempts: 0 },
+        { subject_type: 'phone_ip', failed_attempts: 0 }
+      ]);
+    });
+  });
+
+  describe('sends', () => {
+    let nodeEnv;
+
+    // Send limits are off in development/test
+    before(() => {
+      nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+    });
+
+    after(() => {
+      process.env.NODE_ENV = nodeEnv;
+    });
+
+    const storeSends = async (phoneNumber, channels) => {
+      for (const channel of channels) {
+        await db.query(
+          "INSERT INTO otp_verifications (phone_number, otp_hash, expires_at, channel, invalidated_at) VALUES ($1, 'x', now(), $2, now())",
+          [phoneNumber, channel]
+        );
+      }
+    };
+
+    it('are capped per number over all channels', async () => {
+      const phoneNumber = nextPhone();
+      await storeSends(phoneNumber, ['whatsapp', 'whatsapp', 'whatsapp', 'sms', 'sms']);
+
+      assert.equal(await isChannelLimited(phoneNumber, 'sms'), false);
+      assert.equal(await isPhoneSendLimited(phoneNumber), true);
+      await assert.rejects(sendOTP(phoneNumber, { ip: '198.51.100.9' }), { statusCode: 429 });
+    });
+
+    it('do not count sends older than an hour or codes that were never delivered', async () => {
+      const phoneNumber = nextPhone();
+      await storeSends(phoneNumber, ['whatsapp', 'sms', 'sms', 'email', null, null]);
+      await storeSends(phoneNumber, ['whatsapp']);
+      await db.query(
+        "UPDATE otp_verifications SET created_at = now() - interval '2 hours' WHERE id = (SELECT id FROM otp_verifications WHERE phone_number = $1 AND channel = 'whatsapp' LIMIT 1)",
+        [phoneNumber]
+      );
+
+      assert.equal(await isPhoneSendLimited(phoneNumber), false);
+    });
+  });
+});
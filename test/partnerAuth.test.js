@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./helpers/supabase');
+const { MIGRATIONS, createTestDatabase } = require('./helpers/database');
+const { callHandler, callMiddleware } = require('./helpers/http');
+const jwt = require('jsonwebtoken');
+const { generateAccessToken, generateRefreshToken } = require('../src/utils/jwt');
+const { partnerAuth } = require('../src/middleware/partnerAuth');
+const { refreshPartnerToken } = require('../src/controllers/partner/authController');
+
+describe('partner tokens', () => {
+  let db;
+  let partner;
+  let inactivePartner;
+
+  const tokensFor = p => {
+    const payload = { partnerId: p.id, phone_number: p.phone_number, type: 'partner' };
+    return { access: generateAccessToken(payload), refresh: generateRefreshToken(payload) };
+  };
+  const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+  before(async () => {
+    db = await createTestDatabase(...MIGRATIONS);
+    useDatabase(db);
+
+    const { rows } = await db.query(`INSERT INTO partners (partner_code, name, phone_number, is_active) VALUES
+      ('P-1', 'Asha', '+919800000101', true), ('P-2', 'Ravi', '+919800000102', false)
+      RETURNING id, phone_number, is_active`);
+    [partner, inactivePartner] = rows;
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('lets an active partner through with an access token', async () => {
+    const { req, nextCalled } = await callMiddleware(partnerAuth, bearer(tokensFor(partner).access));
+
+    assert.equal(nextCalled, true);
+    assert.equal(req.partner.id, partner.id);
+  });
+
+  it('rejects a refresh token used as a bearer token', async () => {
+    const { res, nextCalled } = await callMiddleware(partnerAuth, bearer(tokensFor(partner).refresh));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('rejects partner tokens issued without a token use', async () => {
+    const legacy = jwt.sign({ partnerId: partner.id, type: 'partner' }, process.env.JWT_SECRET, { expiresIn: '365d' });
+    const { res, nextCalled } = await callMiddleware(partnerAuth, bearer(legacy));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('rejects the access token of a deactivated partner', async () => {
+    const { res, nextCalled } = await callMiddleware(partnerAuth, bearer(tokensFor(inactivePartner).access));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, 'Partner account is inactive');
+  });
+
+  it('rejects customer tokens', async () => {
+    const { res, nextCalled } = await callMiddleware(partnerAuth, bearer(generateAccessToken({ userId: partner.id })));
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('exchanges a refresh token for a new access and refresh token', async () => {
+    const res = await callHandler(refreshPartnerToken, { body: { refresh_token: tokensFor(partner).refresh } });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(jwt.decode(res.body.data.access_token).use, 'access');
+    assert.equal(jwt.decode(res.body.data.refresh_token).use, 'refresh');
+  });
+
+  it('does not accept an access token in place of a refresh token', async () => {
+    const res = await callHandler(refreshPartnerToken, { body: { refresh_token: tokensFor(partner).access } });
+
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('does not refresh a deactivated partner', async () => {
+    const res = await callHandler(refreshPartnerToken, { body: { refresh_token: tokensFor(inactivePartner).refresh } });
+
+    assert.equal(res.statusCode, 401);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDatabase, callFunction } = require('./helpers/database');
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const OTHER_USER_ID = '00000000-0000-4000-8000-000000000002';
+const ADDRESS_ID = '00000000-0000-4000-8000-0000000000a1';
+
+describe('promo redemption functions', () => {
+  let db;
+  let promoId;
+
+  async function createBooking(bookingNumber, userId = USER_ID, { status = 'pending', paymentStatus = 'pending' } = {}) {
+    const { rows: [booking] } = await db.query(`INSERT INTO bookings (
+        booking_number, user_id, address_id, services, booking_date, booking_time,
+        payment_method, total_price, tax, grand_total, status, payment_status
+      ) VALUES ($1, $2, $3, '[]', '2026-01-10', '10:00', 'online', 500, 0, 450, $4, $5)
+      RETURNING id`, [bookingNumber, userId, ADDRESS_ID, status, paymentStatus]);
+    return booking.id;
+  }
+
+  async function usedCount() {
+    const { rows: [promo] } = await db.query('SELECT used_count FROM promo_codes WHERE id = $1', [promoId]);
+    return promo.used_count;
+  }
+
+  before(async () => {
+    db = await createTestDatabase('add_promo_code_usage.sql');
+
+    await db.query(`INSERT INTO users (id, phone_number) VALUES ($1, '+919800000001'), ($2, '+919800000002')`,
+      [USER_ID, OTHER_USER_ID]);
+    await db.query(`INSERT INTO user_addresses (id, user_id, address_line1, city, state, pincode)
+      VALUES ($1, $2, '1 Test Street', 'Bengaluru', 'Karnataka', '560001')`, [ADDRESS_ID, USER_ID]);
+
+    const { rows: [promo] } = await db.query(`INSERT INTO promo_codes (code, discount_type, discount_value, total_usage_limit, used_count)
+      VALUES ('LASTONE', 'fixed', 50, 1, 0) RETURNING id`);
+    promoId = promo.id;
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('forces a released redemption back past the usage limit and flags it', async () => {
+    const failedFirst = await createBooking('MS-P1');
+    await callFunction(db, 'redeem_promo_code', {
+      p_promo_code_id: promoId, p_user_id: USER_ID, p_booking_id: failedFirst, p_discount_amount: 50,
+    });
+    assert.deepEqual(await callFunction(db, 'release_promo_code', { p_booking_id: failedFirst, p_reason: 'payment_failed' }),
+      [{ release_promo_code: true }]);
+
+    // Another customer takes the last redemption while the first payment is retried
+    const other = await createBooking('MS-P2', OTHER_USER_ID);
+    await callFunction(db, 'redeem_promo_code', {
+      p_promo_code_id: promoId, p_user_id: OTHER_USER_ID, p_booking_id: other, p_discount_amount: 50,
+    });
+
+    await assert.rejects(
+      callFunction(db, 'redeem_promo_code', {
+        p_promo_code_id: promoId, p_user_id: USER_ID, p_booking_id: failedFirst, p_discount_amount: 50,
+      }),
+      /usage limit reached/
+    );
+
+    const [forced] = await callFunction(db, 'force_promo_redemption', {
+      p_booking_id: failedFirst, p_reason: 'Promo code usage limit reached',
+    });
+
+    assert.equal(forced.status, 'applied');
+    assert.equal(forced.forced_reason, 'Promo code usage limit reached');
+    assert.ok(forced.forced_at);
+    assert.equal(await usedCount(), 2);
+  });
+
+  it('lets unpaid bookings through the first-order rule but not paid or completed ones', async () => {
+    const { rows: [welcome] } = await db.query(`INSERT INTO promo_codes (code, discount_type, discount_value, first_order_only)
+      VALUES ('WELCOME', 'fixed', 100, true) RETURNING id`);
+    const redeem = bookingId => callFunction(db, 'redeem_promo_code', {
+      p_promo_code_id: welcome.id, p_user_id: OTHER_USER_ID, p_booking_id: bookingId, p_discount_amount: 100,
+    });
+
+    // Earlier attempts that were never paid do not make this a repeat order
+    await createBooking('MS-F1', OTHER_USER_ID, { status: 'pending', paymentStatus: 'failed' });
+    await createBooking('MS-F2', OTHER_USER_ID, { status: 'cancelled', paymentStatus: 'paid' });
+    const first = await createBooking('MS-F3', OTHER_USER_ID, { paymentStatus: 'paid' });
+    const [usage] = await redeem(first);
+    assert.equal(usage.status, 'applied');
+
+    const second = await createBooking('MS-F4', OTHER_USER_ID);
+    await assert.rejects(redeem(second), /only valid on your first booking/);
+
+    await db.query("UPDATE bookings SET payment_status = 'pending', status = 'completed' WHERE id = $1", [first]);
+    await assert.rejects(redeem(second), /only valid on your first booking/);
+  });
+
+  it('does nothing when the booking has no released redemption', async () => {
+    const booking = await createBooking('MS-P3');
+
+    const [result] = await callFunction(db, 'force_promo_redemption', { p_booking_id: booking, p_reason: 'test' });
+
+    assert.equal(result.id, null);
+    assert.equal(await usedCount(), 2);
+  });
+});
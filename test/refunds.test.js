@@ -0,0 +1,285 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useDatabase } = require('./helpers/supabase');
+const { gateway, webhookRequest, paymentSignature } = require('./helpers/razorpay');
+const { MIGRATIONS, createTestDatabase } = require('./helpers/database');
+const { callHandler } = require('./helpers/http');
+const { insert, createUser, createAddress, createService, createPartner, createBooking } = require('./helpers/fixtures');
+const { creditWallet, debitWallet, getWalletBalance } = require('../src/services/walletService');
+const { refundCancelledBooking } = require('../src/services/refundService');
+const { cancelBooking } = require('../src/controllers/bookingController');
+const { updateBookingStatus } = require('../src/controllers/admin/bookingController');
+const { handleWebhook, verifyPayment } = require('../src/controllers/paymentController');
+
+describe('refunds of cancelled bookings', () => {
+  let db;
+  let service;
+  let partner;
+  let user;
+  let address;
+  let paymentNumber = 0;
+  const admin = { id: crypto.randomUUID(), role: 'super_admin' };
+
+  const refundRows = async bookingId => {
+    const { rows } = await db.query(
+      'SELECT id, amount::float AS amount, status, razorpay_refund_id FROM refunds WHERE booking_id = $1 ORDER BY created_at',
+      [bookingId]
+    );
+    return rows;
+  };
+
+  const walletRefunds = async bookingId => {
+    const { rows } = await db.query(
+      "SELECT amount::float AS amount FROM wallet_transactions WHERE booking_id = $1 AND source = 'refund'",
+      [bookingId]
+    );
+    return rows.map(row => row.amount);
+  };
+
+  const loadBooking = async id => {
+    const { rows: [booking] } = await db.query('SELECT * FROM bookings WHERE id = $1', [id]);
+    return booking;
+  };
+
+  const refundEvent = (event, refund, entity = {}) => webhookRequest({
+    event,
+    payload: { refund: { entity: { id: refund.razorpay_refund_id, notes: { refund_id: refund.id }, ...entity } } }
+  });
+
+  /**
+   * Online booking of 1000, paid 200 from the wallet and 800 through Razorpay, made an hour ago
+   */
+  async function createPaidBooking(overrides = {}) {
+    paymentNumber++;
+    const razorpayPaymentId = `pay_refund_${paymentNumber}`;
+    const booking = await createBooking({
+      user,
+      address,
+      service,
+      wallet_amount: 200,
+      payment_status: 'paid',
+      razorpay_order_id: `order_refund_${paymentNumber}`,
+      razorpay_payment_id: razorpayPaymentId,
+      cancellation_policy_version: 1,
+      ...overrides
+    });
+    await debitWallet({ userId: user.id, amount: 200, source: 'checkout', bookingId: booking.id, reference: `checkout:${booking.id}` });
+    await insert('payments', {
+      booking_id: booking.id,
+      razorpay_order_id: booking.razorpay_order_id,
+      razorpay_payment_id: razorpayPaymentId,
+      amount: 800,
+      status: 'success',
+      payment_method: 'online'
+    });
+    // Past the policy's free-cancellation minutes
+    await db.query("UPDATE bookings SET created_at = now() - interval '1 hour' WHERE id = $1", [booking.id]);
+    return loadBooking(booking.id);
+  }
+
+  const cancelAsCustomer = (booking, body = {}) => callHandler(cancelBooking, {
+    params: { id: booking.id },
+    user: { id: user.id },
+    body
+  });
+
+  const cancelAsAdmin = (booking, body = {}) => callHandler(updateBookingStatus, {
+    params: { id: booking.id },
+    admin,
+    body: { status: 'cancelled', ...body }
+  });
+
+  before(async () => {
+    db = await createTestDatabase(...MIGRATIONS);
+    useDatabase(db);
+
+    service = await createService({ product_cost: 1000 });
+    partner = await createPartner();
+  });
+
+  beforeEach(async () => {
+    user = await createUser();
+    address = await createAddress(user.id);
+    await creditWallet({ userId: user.id, amount: 500, source: 'goodwill', reference: `goodwill:${user.id}` });
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  describe('customer cancellation', () => {
+    it('refunds the wallet part to the wallet and the rest through Razorpay when no partner is assigned', async () => {
+      const booking = await createPaidBooking();
+
+      const res = await cancelAsCustomer(booking);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.data.cancellation_fee, 0);
+      assert.equal(res.body.data.refund.amount, 800);
+      assert.deepEqual(await walletRefunds(booking.id), [200]);
+      assert.equal(await getWalletBalance(user.id), 500);
+      assert.deepEqual((await refundRows(booking.id)).map(({ amount, status }) => ({ amount, status })), [{ amount: 800, status: 'pending' }]);
+      assert.equal(gateway.refunds.at(-1).payment_id, booking.razorpay_payment_id);
+      assert.equal((await loadBooking(booking.id)).payment_status, 'refund_pending');
+    });
+
+    it('keeps the policy fee from the online part once a partner is assigned', async () => {
+      const booking = await createPaidBooking({ partner_id: partner.id });
+
+      const res = await cancelAsCustomer(booking);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.data.cancellation_fee, 100);
+      assert.equal(res.body.data.refund_amount, 900);
+      assert.deepEqual(await walletRefunds(booking.id), [200]);
+      assert.deepEqual((await refundRows(booking.id)).map(row => row.amount), [700]);
+    });
+
+    it('charges no fee within the free-cancellation minutes', async () => {
+      const booking = await createPaidBooking({ partner_id: partner.id });
+      await db.query('UPDATE bookings SET created_at = now() WHERE id = $1', [booking.id]);
+
+      const res = await cancelAsCustomer(booking);
+
+      assert.equal(res.body.data.cancellation_fee, 0);
+      assert.deepEqual((await refundRows(booking.id)).map(row => row.amount), [800]);
+    });
+
+    it('refunds everything to the wallet when asked, settling the booking at once', async () => {
+      const booking = await createPaidBooking();
+
+      const res = await cancelAsCustomer(booking, { refund_to: 'wallet' });
+
+      const settled = await loadBooking(booking.id);
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(await walletRefunds(booking.id), [1000]);
+      assert.deepEqual(await refundRows(booking.id), []);
+      assert.equal(await getWalletBalance(user.id), 1300);
+      assert.equal(settled.status, 'refunded');
+      assert.equal(settled.payment_status, 'refunded');
+    });
+
+    it('does not refund twice', async () => {
+      const booking = await createPaidBooking();
+
+      await cancelAsCustomer(booking);
+      const again = await cancelAsCustomer(booking);
+      const retried = await refundCancelledBooking({ booking, refundAmount: 1000 });
+
+      assert.equal(again.statusCode, 400);
+      assert.equal(retried.refund, null);
+      assert.deepEqual(await walletRefunds(booking.id), [200]);
+      assert.equal((await refundRows(booking.id)).length, 1);
+      assert.equal(await getWalletBalance(user.id), 500);
+    });
+  });
+
+  describe('admin cancellation', () => {
+    it('refunds in full even with a partner assigned', async () => {
+      const booking = await createPaidBooking({ partner_id: partner.id });
+
+      const res = await cancelAsAdmin(booking);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.data.cancellation_fee, 0);
+      assert.deepEqual(await walletRefunds(booking.id), [200]);
+      assert.deepEqual((await refundRows(booking.id)).map(row => row.amount), [800]);
+    });
+
+    it('applies the policy fee when asked', async () => {
+      const booking = await createPaidBooking({ partner_id: partner.id });
+
+      const res = await cancelAsAdmin(booking, { apply_cancellation_fee: true });
+
+      assert.equal(res.body.data.cancellation_fee, 100);
+      assert.deepEqual((await refundRows(booking.id)).map(row => row.amount), [700]);
+    });
+
+    it('gives back only what the wallet still holds after a failed payment attempt', async () => {
+      const booking = await createPaidBooking();
+      await creditWallet({ userId: user.id, amount: 200, source: 'checkout_reversal', bookingId: booking.id, reference: `checkout_reversal:${booking.id}` });
+
+      await cancelAsAdmin(booking);
+
+      assert.deepEqual(await walletRefunds(booking.id), []);
+      assert.deepEqual((await refundRows(booking.id)).map(row => row.amount), [800]);
+    });
+  });
+
+  describe('refund webhooks', () => {
+    it('marks a processed refund and settles the payment and booking once', async () => {
+      const booking = await createPaidBooking();
+      await cancelAsCustomer(booking);
+      const [refund] = await refundRows(booking.id);
+
+      await callHandler(handleWebhook, refundEvent('refund.processed', refund));
+      await callHandler(handleWebhook, refundEvent('refund.processed', refund));
+
+      const { rows: [payment] } = await db.query('SELECT status FROM payments WHERE booking_id = $1', [booking.id]);
+      const { rows: [{ count }] } = await db.query(
+        "SELECT count(*)::int AS count FROM booking_events WHERE booking_id = $1 AND event_type = 'refund_processed'",
+        [booking.id]
+      );
+      const settled = await loadBooking(booking.id);
+
+      assert.equal((await refundRows(booking.id))[0].status, 'processed');
+      assert.equal(payment.status, 'refunded');
+      assert.equal(settled.payment_status, 'refunded');
+      assert.equal(settled.status, 'refunded');
+      // One for the wallet part, one for the Razorpay refund
+      assert.equal(count, 2);
+    });
+
+    it('marks the payment partially refunded when a fee was kept', async () => {
+      const booking = await createPaidBooking({ partner_id: partner.id });
+      await cancelAsCustomer(booking);
+      const [refund] = await refundRows(booking.id);
+
+      await callHandler(handleWebhook, refundEvent('refund.processed', refund));
+
+      const { rows: [payment] } = await db.query('SELECT status FROM payments WHERE booking_id = $1', [booking.id]);
+      assert.equal(payment.status, 'partially_refunded');
+      assert.equal((await loadBooking(booking.id)).payment_status, 'partially_refunded');
+    });
+
+    it('flags a failed refund for finance', async () => {
+      const booking = await createPaidBooking();
+      await cancelAsCustomer(booking);
+      const [refund] = await refundRows(booking.id);
+
+      await callHandler(handleWebhook, refundEvent('refund.failed', refund, { error_description: 'Account closed' }));
+
+      const { rows: [failed] } = await db.query('SELECT status, failure_reason FROM refunds WHERE id = $1', [refund.id]);
+      assert.deepEqual(failed, { status: 'failed', failure_reason: 'Account closed' });
+      assert.equal((await loadBooking(booking.id)).payment_status, 'refund_failed');
+    });
+  });
+
+  describe('payment verification', () => {
+    it('does not capture a verified payment again', async () => {
+      const booking = await createPaidBooking();
+      await cancelAsCustomer(booking);
+      const refundsBefore = gateway.refunds.length;
+
+      const res = await callHandler(verifyPayment, {
+        user: { id: user.id },
+        body: {
+          razorpay_order_id: booking.razorpay_order_id,
+          razorpay_payment_id: booking.razorpay_payment_id,
+          razorpay_signature: paymentSignature(booking.razorpay_order_id, booking.razorpay_payment_id)
+        }
+      });
+
+      const current = await loadBooking(booking.id);
+      const { rows: [payment] } = await db.query('SELECT status FROM payments WHERE booking_id = $1', [booking.id]);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.data.booking_status, 'cancelled');
+      assert.equal(payment.status, 'success');
+      assert.equal(current.payment_status, 'refund_pending');
+      assert.equal(gateway.refunds.length, refundsBefore);
+      assert.equal((await refundRows(booking.id)).length, 1);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./helpers/supabase');
+const { MIGRATIONS, createTestDatabase } = require('./helpers/database');
+const { callHandler } = require('./helpers/http');
+const { insert, istDate, createUser, createAddress, createService, createPartner, createBooking } = require('./helpers/fixtures');
+const { rescheduleBooking } = require('../src/controllers/bookingController');
+
+describe('rescheduling across slot prices', () => {
+  let db;
+  let user;
+  let address;
+  let service;
+
+  const reschedule = (booking, bookingTime) => callHandler(rescheduleBooking, {
+    params: { id: booking.id },
+    user: { id: user.id },
+    body: { booking_date: booking.booking_date, booking_time: bookingTime }
+  });
+
+  before(async () => {
+    db = await createTestDatabase(...MIGRATIONS);
+    useDatabase(db);
+
+    user = await createUser();
+    address = await createAddress(user.id);
+    service = await createService({ product_cost: 1000 });
+    await createPartner();
+
+    await insert('slot_pricing_rules', { name: 'Evening surge', start_time: '17:00', end_time: '20:00', multiplier: 1.2 });
+    await insert('slot_pricing_rules', { name: 'Afternoon off-peak', start_time: '13:00', end_time: '16:00', multiplier: 0.9 });
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('rejects moving a base-price booking into a surge slot with the new slot quote', async () => {
+    const booking = await createBooking({ user, address, service, booking_date: istDate(3), booking_time: '10:00:00' });
+
+    const res = await reschedule(booking, '6:00 PM');
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'PRICE_CHANGED');
+    assert.equal(res.body.data.slot_multiplier, 1.2);
+    assert.equal(res.body.data.rule, 'Evening surge');
+    assert.equal(res.body.data.pricing.subtotal, 1200);
+    assert.equal(res.body.data.previous_pricing.slot_multiplier, 1);
+
+    const { rows: [unchanged] } = await db.query('SELECT booking_time::text FROM bookings WHERE id = $1', [booking.id]);
+    assert.equal(unchanged.booking_time, '10:00:00');
+  });
+
+  it('rejects moving an off-peak booking out of its discount', async () => {
+    const booking = await createBooking({
+      user, address, service, booking_date: istDate(4), booking_time: '14:00:00', slot_multiplier: 0.9, total_price: 900, grand_total: 900
+    });
+
+    const res = await reschedule(booking, '10:00 AM');
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.code, 'PRICE_CHANGED');
+    assert.equal(res.body.data.pricing.subtotal, 1000);
+  });
+
+  it('moves a booking to another slot with the same price', async () => {
+    const booking = await createBooking({
+      user, address, service, booking_date: istDate(5), booking_time: '14:00:00', slot_multiplier: 0.9, total_price: 900, grand_total: 900
+    });
+
+    const res = await reschedule(booking, '3:00 PM');
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.booking.booking_time, '15:00:00');
+  });
+});
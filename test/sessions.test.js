@@ -0,0 +1,133 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./helpers/supabase');
+const { MIGRATIONS, createTestDatabase } = require('./helpers/database');
+const { callHandler, callMiddleware } = require('./helpers/http');
+const { createUser } = require('./helpers/fixtures');
+const { generateAccessToken } = require('../src/utils/jwt');
+const { createSession, rotateRefreshToken, revokeSession, revokeOtherSessions } = require('../src/services/sessionService');
+const { auth } = require('../src/middleware/auth');
+const { logoutHandler } = require('../src/controllers/authController');
+
+describe('customer sessions', () => {
+  let db;
+  let user;
+
+  const loadSession = async id => {
+    const { rows: [session] } = await db.query('SELECT revoked_at, revoked_reason FROM user_sessions WHERE id = $1', [id]);
+    return session;
+  };
+
+  const accessToken = session => generateAccessToken({ userId: user.id, phone_number: user.phone_number, sessionId: session.id });
+  const bearer = token => ({ headers: { authorization: `Bearer ${token}` } });
+
+  before(async () => {
+    db = await createTestDatabase(...MIGRATIONS);
+    useDatabase(db);
+  });
+
+  beforeEach(async () => {
+    user = await createUser();
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  describe('refresh token rotation', () => {
+    it('swaps a refresh token for a new one', async () => {
+      const { session, refreshToken } = await createSession({ userId: user.id, deviceName: 'Phone' });
+
+      const rotated = await rotateRefreshToken(refreshToken);
+
+      assert.equal(rotated.session.id, session.id);
+      assert.notEqual(rotated.refreshToken, refreshToken);
+      assert.ok(await rotateRefreshToken(rotated.refreshToken));
+    });
+
+    it('rejects a token reused within the grace window without revoking the session', async () => {
+      const { session, refreshToken } = await createSession({ userId: user.id });
+      const rotated = await rotateRefreshToken(refreshToken);
+
+      await assert.rejects(rotateRefreshToken(refreshToken), { statusCode: 401 });
+
+      assert.equal((await loadSession(session.id)).revoked_at, null);
+      assert.ok(await rotateRefreshToken(rotated.refreshToken));
+    });
+
+    it('revokes the session when a token is reused after the grace window', async () => {
+      const { session, refreshToken } = await createSession({ userId: user.id });
+      const rotated = await rotateRefreshToken(refreshToken);
+      await db.query("UPDATE refresh_tokens SET used_at = now() - interval '11 seconds' WHERE session_id = $1 AND used_at IS NOT NULL", [session.id]);
+
+      await assert.rejects(rotateRefreshToken(refreshToken), { statusCode: 401 });
+
+      assert.equal((await loadSession(session.id)).revoked_reason, 'token_reuse');
+      // The token the legitimate client holds dies with the session
+      await assert.rejects(rotateRefreshToken(rotated.refreshToken), { statusCode: 401 });
+      const { res } = await callMiddleware(auth, bearer(accessToken(session)));
+      assert.equal(res.statusCode, 401);
+    });
+
+    it('rejects unknown, expired and revoked tokens', async () => {
+      const expired = await createSession({ userId: user.id });
+      await db.query("UPDATE refresh_tokens SET expires_at = now() - interval '1 minute' WHERE session_id = $1", [expired.session.id]);
+      const revoked = await createSession({ userId: user.id });
+      await revokeSession(revoked.session.id, 'logout');
+
+      await assert.rejects(rotateRefreshToken('not-a-refresh-token'), { statusCode: 401 });
+      await assert.rejects(rotateRefreshToken(expired.refreshToken), { statusCode: 401 });
+      await assert.rejects(rotateRefreshToken(revoked.refreshToken), { statusCode: 401 });
+    });
+  });
+
+  describe('access tokens', () => {
+    it('let a signed-in session through', async () => {
+      const { session } = await createSession({ userId: user.id });
+
+      const { req, nextCalled } = await callMiddleware(auth, bearer(accessToken(session)));
+
+      assert.equal(nextCalled, true);
+      assert.deepEqual(req.user, { id: user.id, phone_number: user.phone_number, sessionId: session.id });
+    });
+
+    it('stop working as soon as the session logs out', async () => {
+      const { session } = await createSession({ userId: user.id });
+      const token = accessToken(session);
+
+      const { req } = await callMiddleware(auth, bearer(token));
+      await callHandler(logoutHandler, req);
+      const { res, nextCalled } = await callMiddleware(auth, bearer(token));
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+      assert.equal((await loadSession(session.id)).revoked_reason, 'logout');
+    });
+
+    it('stop working on the other devices when they are signed out', async () => {
+      const current = await createSession({ userId: user.id, deviceName: 'Phone' });
+      const other = await createSession({ userId: user.id, deviceName: 'Laptop' });
+
+      await revokeOtherSessions(user.id, current.session.id, 'signed_out_others');
+
+      assert.equal((await callMiddleware(auth, bearer(accessToken(current.session)))).nextCalled, true);
+      assert.equal((await callMiddleware(auth, bearer(accessToken(other.session)))).res.statusCode, 401);
+    });
+
+    it('are not accepted without a session', async () => {
+      const { res, nextCalled } = await callMiddleware(auth, bearer(generateAccessToken({ userId: user.id, phone_number: user.phone_number })));
+
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+    });
+
+    it('are not accepted once the session has expired', async () => {
+      const { session } = await createSession({ userId: user.id });
+      await db.query("UPDATE user_sessions SET expires_at = now() - interval '1 minute' WHERE id = $1", [session.id]);
+
+      const { res } = await callMiddleware(auth, bearer(accessToken(session)));
+
+      assert.equal(res.statusCode, 401);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useDatabase } = require('./helpers/supabase');
+const { gateway, webhookRequest } = require('./helpers/razorpay');
+const { MIGRATIONS, createTestDatabase } = require('./helpers/database');
+const { callHandler } = require('./helpers/http');
+const { istDate, insert, createUser, createAddress, createService, createPartner, createBooking } = require('./helpers/fixtures');
+const { creditWallet, debitWallet, getWalletBalance } = require('../src/services/walletService');
+const { markPaymentFailed, expireUnpaidBookings, reclaimWalletPart } = require('../src/services/unpaidBookingService');
+const { handleWebhook } = require('../src/controllers/paymentController');
+const { prepareCheckout, confirmBooking } = require('../src/controllers/checkoutController');
+
+describe('unpaid online bookings with a wallet part', () => {
+  let db;
+  let service;
+  let user;
+  let address;
+  let orderNumber = 0;
+
+  const walletRows = async (bookingId, reference) => {
+    const { rows } = await db.query(
+      'SELECT type, amount::float AS amount FROM wallet_transactions WHERE booking_id = $1 AND reference LIKE $2',
+      [bookingId, `${reference}:%`]
+    );
+    return rows;
+  };
+
+  const paymentEvent = (event, booking, entity) => webhookRequest({
+    event,
+    payload: { payment: { entity: { order_id: booking.razorpay_order_id, ...entity } } }
+  });
+
+  /**
+   * Online booking of 1000 with 200 paid from the wallet at checkout and 800 awaiting Razorpay
+   */
+  async function createCheckoutBooking(overrides = {}) {
+    orderNumber++;
+    const booking = await createBooking({
+      user,
+      address,
+      service,
+      wallet_amount: 200,
+      razorpay_order_id: `order_unpaid_${orderNumber}`,
+      ...overrides
+    });
+    await debitWallet({ userId: user.id, amount: 200, source: 'checkout', bookingId: booking.id, reference: `checkout:${booking.id}` });
+    await insert('payments', { booking_id: booking.id, razorpay_order_id: booking.razorpay_order_id, amount: 800, status: 'pending', payment_method: 'online' });
+    return booking;
+  }
+
+  before(async () => {
+    db = await createTestDatabase(...MIGRATIONS);
+    useDatabase(db);
+
+    service = await createService({ product_cost: 1000 });
+    await createPartner();
+  });
+
+  beforeEach(async () => {
+    user = await createUser();
+    address = await createAddress(user.id);
+    await creditWallet({ userId: user.id, amount: 500, source: 'goodwill', reference: `goodwill:${user.id}` });
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  it('gives the wallet part back once however often the payment fails', async () => {
+    const booking = await createCheckoutBooking();
+    assert.equal(await getWalletBalance(user.id), 300);
+
+    await markPaymentFailed(booking.id);
+    await markPaymentFailed(booking.id);
+    await callHandler(handleWebhook, paymentEvent('payment.failed', booking, { id: 'pay_failed_1', error_description: 'Card declined' }));
+
+    assert.deepEqual(await walletRows(booking.id, 'checkout_reversal'), [{ type: 'credit', amount: 200 }]);
+    assert.equal(await getWalletBalance(user.id), 500);
+  });
+
+  it('takes the wallet part back once when a failed payment is captured on retry', async () => {
+    const booking = await createCheckoutBooking();
+    await markPaymentFailed(booking.id);
+
+    const captured = paymentEvent('payment.captured', booking, { id: 'pay_retry_1', method: 'upi' });
+    const res = await callHandler(handleWebhook, captured);
+    const redelivered = await callHandler(handleWebhook, captured);
+    const { rows: [paid] } = await db.query('SELECT * FROM bookings WHERE id = $1', [booking.id]);
+    await reclaimWalletPart({ ...paid, payment_status: 'failed' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(redelivered.body.message, 'Already processed');
+    assert.deepEqual(await walletRows(booking.id, 'checkout_reclaim'), [{ type: 'debit', amount: 200 }]);
+    assert.equal(await getWalletBalance(user.id), 300);
+    assert.equal(paid.payment_status, 'paid');
+  });
+
+  it('expires an unpaid booking once and gives the wallet part back once', async () => {
+    const booking = await createCheckoutBooking();
+    await markPaymentFailed(booking.id);
+    await db.query("UPDATE bookings SET created_at = now() - interval '2 hours' WHERE id = $1", [booking.id]);
+
+    const firstRun = await expireUnpaidBookings();
+    const secondRun = await expireUnpaidBookings();
+
+    const { rows: [expired] } = await db.query('SELECT status, cancellation_reason FROM bookings WHERE id = $1', [booking.id]);
+    assert.equal(firstRun, 1);
+    assert.equal(secondRun, 0);
+    assert.equal(expired.status, 'cancelled');
+    assert.equal(expired.cancellation_reason, 'Payment not completed');
+    assert.deepEqual(await walletRows(booking.id, 'checkout_reversal'), [{ type: 'credit', amount: 200 }]);
+    assert.equal(await getWalletBalance(user.id), 500);
+  });
+
+  it('refunds in full a payment captured after the booking expired, without confirming it', async () => {
+    const booking = await createCheckoutBooking();
+    await db.query("UPDATE bookings SET created_at = now() - interval '2 hours' WHERE id = $1", [booking.id]);
+    await expireUnpaidBookings();
+    const refundsBefore = gateway.refunds.length;
+
+    const captured = paymentEvent('payment.captured', booking, { id: 'pay_late_1', method: 'card' });
+    await callHandler(handleWebhook, captured);
+    await callHandler(handleWebhook, captured);
+
+    const { rows: refunds } = await db.query('SELECT amount::float AS amount, status FROM refunds WHERE booking_id = $1', [booking.id]);
+    const { rows: [late] } = await db.query('SELECT status, partner_id, payment_status FROM bookings WHERE id = $1', [booking.id]);
+
+    assert.deepEqual(refunds, [{ amount: 800, status: 'pending' }]);
+    assert.equal(gateway.refunds.length, refundsBefore + 1);
+    assert.equal(gateway.refunds.at(-1).payment_id, 'pay_late_1');
+    assert.equal(late.status, 'cancelled');
+    assert.equal(late.partner_id, null);
+    assert.equal(late.payment_status, 'refund_pending');
+    // The wallet part went back at expiry and is not taken again
+    assert.deepEqual(await walletRows(booking.id, 'checkout_reclaim'), []);
+    assert.equal(await getWalletBalance(user.id), 500);
+  });
+
+  it('cancels the booking and gives the wallet part back when the payment order cannot be created', async () => {
+    const prepared = await callHandler(prepareCheckout, {
+      user: { id: user.id },
+      body: { items: [{ service_id: service.id, quantity: 1 }], address_id: address.id, use_wallet: true }
+    });
+    assert.equal(prepared.statusCode, 200);
+    assert.equal(prepared.body.data.pricing.wallet_amount, 500);
+
+    gateway.failOrders = true;
+    let res;
+    try {
+      res = await callHandler(confirmBooking, {
+        user: { id: user.id },
+        body: {
+          preview_id: prepared.body.data.preview_id,
+          payment_method: 'online',
+          address_id: address.id,
+          // Clear of the fixture bookings holding the only partner at 10:00
+          booking_date: istDate(5),
+          booking_time: '11:00 AM',
+          customer_name: user.name,
+          customer_phone: user.phone_number
+        }
+      });
+    } finally {
+      gateway.failOrders = false;
+    }
+
+    const { rows: [booking] } = await db.query('SELECT id, status, cancellation_reason FROM bookings WHERE user_id = $1', [user.id]);
+
+    assert.equal(res.statusCode, 500);
+    assert.equal(booking.status, 'cancelled');
+    assert.equal(booking.cancellation_reason, 'Payment setup failed');
+    assert.deepEqual(await walletRows(booking.id, 'checkout'), [{ type: 'debit', amount: 500 }]);
+    assert.deepEqual(await walletRows(booking.id, 'checkout_reversal'), [{ type: 'credit', amount: 500 }]);
+    assert.equal(await getWalletBalance(user.id), 500);
+  });
+});